@@ -18,6 +18,25 @@ SYSTEM_THREAD(ENABLED);
 
 #define FINGER_THRESHOLD             10000
 
+// Reported with every heartbeat so the server can show which build
+// a device runs
+#define FIRMWARE_VERSION             "1.1.0"
+
+// Heartbeat (device_status → POST /api/measurements/device/heartbeat):
+// "<firmwareVersion>,<rssi>,<bufferedRecords>", so the device shows as
+// online even outside its active hours
+#define HEARTBEAT_INTERVAL           (5 * 60 * 1000UL)   // 5 minutes
+
+// Replayed records are sent as "ts,hr,spo2;ts,hr,spo2;..." in one
+// event (health_data_batch → POST /api/measurements/device/batch).
+// Stay under the 622-byte Particle event data limit.
+#define MAX_BATCH_PAYLOAD            600
+
+// Default active hours (minutes after local midnight), overridden by
+// the server config relayed through hook-response/health_data
+#define DEFAULT_ACTIVE_START         (6 * 60)            // 06:00
+#define DEFAULT_ACTIVE_END           (22 * 60)           // 22:00
+
 // =====================================================
 // GLOBALS
 // =====================================================
@@ -34,7 +53,11 @@ DeviceState state = IDLE;
 
 unsigned long lastMeasurementTime = 0;
 unsigned long requestStartTime = 0;
+unsigned long lastHeartbeatTime = 0;
+bool heartbeatSent = false;
 unsigned long measurementInterval = DEFAULT_MEASUREMENT_INTERVAL;
+int activeStartMinutes = DEFAULT_ACTIVE_START;
+int activeEndMinutes = DEFAULT_ACTIVE_END;
 
 struct Record {
     uint32_t timestamp;
@@ -54,6 +77,10 @@ void flashYellow();
 void storeRecord(const String &payload);
 void flushStoredRecords();
 void handleWebhook(const char *event, const char *data);
+void handleStatusResponse(const char *event, const char *data);
+void publishHeartbeat();
+void applyServerConfig(const char *data);
+bool isWithinActiveHours();
 
 // =====================================================
 // WEBHOOK RESPONSE HANDLER
@@ -61,10 +88,62 @@ void handleWebhook(const char *event, const char *data);
 void handleWebhook(const char *event, const char *data) {
     Serial.println("[SERVER] Measurement recorded");
 
+    // Webhook response template relays {{{config}}} from the server
+    if (data) {
+        applyServerConfig(data);
+    }
+
     flashGreen();
     state = IDLE;
 }
 
+// Heartbeat responses carry the same config; no LED feedback
+void handleStatusResponse(const char *event, const char *data) {
+    if (data) {
+        applyServerConfig(data);
+    }
+}
+
+// =====================================================
+// SERVER CONFIG ("<intervalMin>,<startHHMM>,<endHHMM>,<utcOffsetMin>")
+// =====================================================
+void applyServerConfig(const char *data) {
+    int intervalMin, startHHMM, endHHMM, utcOffsetMin;
+
+    if (sscanf(data, "%d,%d,%d,%d",
+               &intervalMin, &startHHMM, &endHHMM, &utcOffsetMin) != 4) {
+        Serial.println("[CONFIG] No config in response");
+        return;
+    }
+
+    if (intervalMin > 0) {
+        measurementInterval = (unsigned long)intervalMin * 60 * 1000UL;
+    }
+
+    activeStartMinutes = (startHHMM / 100) * 60 + (startHHMM % 100);
+    activeEndMinutes = (endHHMM / 100) * 60 + (endHHMM % 100);
+
+    // Active hours are local to the user; keep device time in sync
+    Time.zone(utcOffsetMin / 60.0);
+
+    Serial.printf("[CONFIG] Interval %d min, active %04d-%04d, UTC%+d min\n",
+                  intervalMin, startHHMM, endHHMM, utcOffsetMin);
+}
+
+bool isWithinActiveHours() {
+    // Without a valid clock we cannot tell; don't block measurements
+    if (!Time.isValid()) return true;
+
+    int now = Time.hour() * 60 + Time.minute();
+
+    if (activeStartMinutes <= activeEndMinutes) {
+        return now >= activeStartMinutes && now < activeEndMinutes;
+    }
+
+    // Window wraps past midnight (e.g. 22:00-06:00)
+    return now >= activeStartMinutes || now < activeEndMinutes;
+}
+
 // =====================================================
 // SETUP
 // =====================================================
@@ -85,6 +164,7 @@ void setup() {
     Serial.printf("Stored records: %d\n", recordCount);
 
     Particle.subscribe("hook-response/health_data", handleWebhook, MY_DEVICES);
+    Particle.subscribe("hook-response/device_status", handleStatusResponse, MY_DEVICES);
 
     if (!particleSensor.begin(Wire, I2C_SPEED_FAST)) {
         Serial.println("MAX30105 not found");
@@ -113,11 +193,20 @@ void loop() {
         flushStoredRecords();
     }
 
+    // -------------------------------
+    // Heartbeat (device health)
+    // -------------------------------
+    if (Particle.connected() &&
+        (!heartbeatSent || millis() - lastHeartbeatTime >= HEARTBEAT_INTERVAL)) {
+        publishHeartbeat();
+    }
+
     // -------------------------------
     // Schedule new measurement
     // -------------------------------
     if (state == IDLE &&
-        millis() - lastMeasurementTime >= measurementInterval) {
+        millis() - lastMeasurementTime >= measurementInterval &&
+        isWithinActiveHours()) {
 
         requestMeasurement();
     }
@@ -237,27 +326,69 @@ void flushStoredRecords() {
 
     Serial.println("[EEPROM] Replaying stored data");
 
+    // Records keep their original timestamp so the server can file
+    // them at the time they were measured, not when they arrived
+    String batch = "";
+
     for (int i = 0; i < recordCount; i++) {
         Record r;
         EEPROM.get(EEPROM_START + i * RECORD_SIZE, r);
 
         if (Time.now() - r.timestamp <= 86400) {
-            Serial.print("[REPLAY] ");
-            Serial.println(r.payload);
+            String entry = String(r.timestamp) + "," + String(r.payload);
+
+            if (batch.length() > 0 &&
+                batch.length() + 1 + entry.length() > MAX_BATCH_PAYLOAD) {
+                Serial.print("[REPLAY] ");
+                Serial.println(batch);
+
+                Particle.publish("health_data_batch", batch, PRIVATE);
+                delay(1100);
+                batch = "";
+            }
 
-            Particle.publish("health_data", r.payload, PRIVATE);
-            delay(1100);
+            if (batch.length() > 0) batch += ";";
+            batch += entry;
         } else {
             Serial.println("[REPLAY] Expired record dropped");
         }
     }
 
+    if (batch.length() > 0) {
+        Serial.print("[REPLAY] ");
+        Serial.println(batch);
+
+        Particle.publish("health_data_batch", batch, PRIVATE);
+        delay(1100);
+    }
+
     recordCount = 0;
     EEPROM.put(EEPROM_COUNT_ADDR, recordCount);
 
     Serial.println("[EEPROM] Replay complete");
 }
 
+// =====================================================
+// HEARTBEAT
+// =====================================================
+void publishHeartbeat() {
+    // WiFi.RSSI() is negative dBm, or a positive error code; leave
+    // the field empty rather than report an error as signal strength
+    int rssi = (int8_t) WiFi.RSSI();
+
+    String payload = String(FIRMWARE_VERSION) + "," +
+                     (rssi < 0 ? String(rssi) : String("")) + "," +
+                     String(recordCount);
+
+    Serial.print("[STATUS] ");
+    Serial.println(payload);
+
+    Particle.publish("device_status", payload, PRIVATE);
+
+    lastHeartbeatTime = millis();
+    heartbeatSent = true;
+}
+
 // =====================================================
 // LED HELPERS
 // =====================================================
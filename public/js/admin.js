@@ -0,0 +1,307 @@
+// public/js/admin.js
+// -------------------------------------------------------------
+// Heart Track - Admin Console Logic
+// -------------------------------------------------------------
+// This script powers admin.html for admin accounts. It:
+//   • Fills the stat cards from apiManager.getAdminStats()
+//     (users, devices online, readings and ingestion errors in the
+//     last 24 hours)
+//   • Lists accounts in #users-table, filtered by the search form
+//     (email / name and role); each row can change the role or
+//     disable / re-enable the account (apiManager.updateAdminUser())
+//   • Lists devices in #devices-table, optionally only orphaned
+//     ones (owner account gone)
+//   • Lists refused device uploads in #ingestion-errors-table
+//   • Sends other accounts to their home page and logged-out
+//     visitors to login.html
+// -------------------------------------------------------------
+
+console.log('admin.js loaded');
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const authManager = window.authManager;
+  const apiManager = window.apiManager;
+
+  if (!authManager || !authManager.isAuthenticated()) {
+    window.location.href = 'login.html';
+    return;
+  }
+
+  if (!authManager.isAdmin()) {
+    window.location.href = authManager.getHomePage();
+    return;
+  }
+
+  // ---- Grab DOM elements ----
+  const usersBody = document.querySelector('#users-table tbody');
+  const devicesBody = document.querySelector('#devices-table tbody');
+  const errorsBody = document.querySelector('#ingestion-errors-table tbody');
+  const usersEmptyEl = document.getElementById('usersEmptyMessage');
+  const devicesEmptyEl = document.getElementById('devicesEmptyMessage');
+  const errorsEmptyEl = document.getElementById('ingestionErrorsEmptyMessage');
+  const searchForm = document.getElementById('userSearchForm');
+  const searchInput = document.getElementById('userSearch');
+  const roleFilter = document.getElementById('userRoleFilter');
+  const orphanedOnly = document.getElementById('orphanedOnly');
+  const errorEl = document.getElementById('adminMessage');
+  const successEl = document.getElementById('adminSuccess');
+
+  if (!usersBody || !devicesBody || !errorsBody) {
+    console.warn('admin.js: admin tables not found');
+    return;
+  }
+
+  const ROLES = ['patient', 'clinician', 'admin'];
+  const ROLE_LABELS = {
+    patient: 'Patient',
+    clinician: 'Clinician',
+    admin: 'Admin',
+  };
+  const CONNECTION_LABELS = {
+    online: 'Online',
+    stale: 'Stale',
+    offline: 'Offline',
+    unknown: 'Never seen',
+  };
+
+  // Utility: show error / success messages
+  function showError(msg) {
+    errorEl.textContent = msg;
+    errorEl.style.display = 'block';
+    successEl.style.display = 'none';
+  }
+
+  function showSuccess(msg) {
+    successEl.textContent = msg;
+    successEl.style.display = 'block';
+    errorEl.style.display = 'none';
+  }
+
+  // "just now", "12 min ago", "3 h ago", "2 d ago"
+  function timeAgo(date) {
+    const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return `${Math.floor(minutes / (24 * 60))} d ago`;
+  }
+
+  function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
+  function cell(text, title) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (title) td.title = title;
+    return td;
+  }
+
+  function button(text, className, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.className = `btn ${className} btn-sm`;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  async function updateUser(user, data, doneMessage) {
+    try {
+      await apiManager.updateAdminUser(user.id, data);
+      showSuccess(doneMessage);
+      await Promise.all([loadUsers(), loadStats()]);
+    } catch (err) {
+      console.error('Error updating user:', err);
+      showError(err.message || 'Failed to update the account.');
+      await loadUsers();
+    }
+  }
+
+  // ---- Stats ----
+  async function loadStats() {
+    try {
+      const stats = await apiManager.getAdminStats();
+      const { users, devices, readings } = stats;
+
+      setText('statUsers', String(users.total));
+      setText(
+        'statUsersDetail',
+        `${users.byRole.clinician || 0} clinicians · ${users.byRole.admin || 0} admins · ${users.disabled} disabled`
+      );
+      setText('statDevices', String(devices.byStatus.online));
+      setText(
+        'statDevicesDetail',
+        `${devices.active} active · ${devices.byStatus.offline} offline · ${devices.orphaned} orphaned`
+      );
+      setText('statReadings', String(readings.last24h));
+      setText(
+        'statReadingsDetail',
+        `${readings.total} total · ${readings.byQuality.suspect || 0} suspect · ${readings.unclaimed} unclaimed`
+      );
+      setText('statErrors', String(stats.ingestionErrorsLast24h));
+      setText('statErrorsDetail', `${stats.activeSessions} active sessions`);
+    } catch (err) {
+      console.error('Error loading stats:', err);
+      showError(err.message || 'Failed to load system stats.');
+    }
+  }
+
+  // ---- Users ----
+  function renderUsers(users) {
+    usersBody.innerHTML = '';
+    usersEmptyEl.style.display = users.length ? 'none' : 'block';
+
+    const ownId = (authManager.getAuthData().user || {}).id;
+
+    users.forEach((user) => {
+      const tr = document.createElement('tr');
+      const isSelf = String(user.id) === String(ownId);
+      const who = user.name || user.email;
+
+      const userTd = cell(user.name ? `${user.name} (${user.email})` : user.email);
+
+      const roleTd = document.createElement('td');
+      const roleSelect = document.createElement('select');
+      roleSelect.className = 'form-select';
+      ROLES.forEach((role) => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.textContent = ROLE_LABELS[role];
+        option.selected = role === user.role;
+        roleSelect.appendChild(option);
+      });
+      roleSelect.disabled = isSelf;
+      roleSelect.addEventListener('change', () => {
+        updateUser(user, { role: roleSelect.value }, `${who} is now ${ROLE_LABELS[roleSelect.value].toLowerCase()}.`);
+      });
+      roleTd.appendChild(roleSelect);
+
+      let status = user.emailVerified ? 'Verified' : 'Unverified';
+      if (user.disabledAt) {
+        status = user.disabledReason ? `Disabled: ${user.disabledReason}` : 'Disabled';
+      }
+      const statusTd = cell(status, user.disabledAt ? new Date(user.disabledAt).toLocaleString() : '');
+      if (user.disabledAt) {
+        statusTd.className = 'device-connection device-connection-offline';
+      }
+
+      const actionsTd = document.createElement('td');
+      if (!isSelf) {
+        if (user.disabledAt) {
+          actionsTd.appendChild(
+            button('Enable', 'btn-secondary', () =>
+              updateUser(user, { disabled: false }, `${who} can sign in again.`)
+            )
+          );
+        } else {
+          actionsTd.appendChild(
+            button('Disable', 'btn-danger', () => {
+              const reason = window.prompt(`Disable ${who}? They are signed out everywhere and their devices stop uploading.\nReason (optional):`);
+              if (reason === null) return;
+              updateUser(user, { disabled: true, reason }, `${who} has been disabled.`);
+            })
+          );
+        }
+      }
+
+      tr.append(
+        userTd,
+        roleTd,
+        cell(String(user.devices)),
+        statusTd,
+        cell(new Date(user.createdAt).toLocaleDateString()),
+        actionsTd
+      );
+      usersBody.appendChild(tr);
+    });
+  }
+
+  async function loadUsers() {
+    const params = {};
+    if (searchInput.value.trim()) params.search = searchInput.value.trim();
+    if (roleFilter.value) params.role = roleFilter.value;
+
+    try {
+      renderUsers(await apiManager.getAdminUsers(params));
+    } catch (err) {
+      console.error('Error loading users:', err);
+      showError(err.message || 'Failed to load users.');
+    }
+  }
+
+  // ---- Devices ----
+  function renderDevices(devices) {
+    devicesBody.innerHTML = '';
+    devicesEmptyEl.style.display = devices.length ? 'none' : 'block';
+
+    devices.forEach((device) => {
+      const tr = document.createElement('tr');
+      const telemetry = device.telemetry || {};
+      const status = device.archivedAt ? 'archived' : device.status || 'unknown';
+
+      const ownerTd = device.owner
+        ? cell(device.owner.name ? `${device.owner.name} (${device.owner.email})` : device.owner.email)
+        : cell('Orphaned (owner deleted)');
+
+      const statusTd = cell(status === 'archived' ? 'Archived' : CONNECTION_LABELS[status] || status);
+      statusTd.className = `device-connection device-connection-${status === 'archived' ? 'unknown' : status}`;
+
+      const seenTd = telemetry.lastSeenAt
+        ? cell(timeAgo(telemetry.lastSeenAt), new Date(telemetry.lastSeenAt).toLocaleString())
+        : cell('Never seen');
+
+      tr.append(cell(device.deviceId), cell(device.name), ownerTd, statusTd, seenTd);
+      devicesBody.appendChild(tr);
+    });
+  }
+
+  async function loadDevices() {
+    try {
+      const params = orphanedOnly.checked ? { orphaned: true } : {};
+      renderDevices(await apiManager.getAdminDevices(params));
+    } catch (err) {
+      console.error('Error loading devices:', err);
+      showError(err.message || 'Failed to load devices.');
+    }
+  }
+
+  // ---- Ingestion errors ----
+  function renderIngestionErrors(entries) {
+    errorsBody.innerHTML = '';
+    errorsEmptyEl.style.display = entries.length ? 'none' : 'block';
+
+    entries.forEach((entry) => {
+      const tr = document.createElement('tr');
+      const fieldErrors = (entry.fieldErrors || []).map((e) => `${e.field}: ${e.message}`).join('; ');
+
+      tr.append(
+        cell(timeAgo(entry.createdAt), new Date(entry.createdAt).toLocaleString()),
+        cell(entry.deviceId || 'Unknown', entry.ip),
+        cell(String(entry.status)),
+        cell(entry.error || '--', fieldErrors),
+        cell(entry.route)
+      );
+      errorsBody.appendChild(tr);
+    });
+  }
+
+  async function loadIngestionErrors() {
+    try {
+      renderIngestionErrors(await apiManager.getIngestionErrors());
+    } catch (err) {
+      console.error('Error loading ingestion errors:', err);
+      showError(err.message || 'Failed to load ingestion errors.');
+    }
+  }
+
+  searchForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadUsers();
+  });
+  roleFilter.addEventListener('change', loadUsers);
+  orphanedOnly.addEventListener('change', loadDevices);
+
+  await Promise.all([loadStats(), loadUsers(), loadDevices(), loadIngestionErrors()]);
+});
@@ -6,33 +6,88 @@
 //  - Automatically injects Authorization headers using auth.js.
 //  - Installs a global fetch interceptor that:
 //        • Adds JWT to every request when logged in
-//        • Gracefully handles 401 Unauthorized responses
-//        • Prevents accidental auto-logout unless token is missing
+//        • On a 401 whose `code` says the access token or session
+//          was not accepted (SESSION_ERROR_CODES), refreshes the
+//          session once via authManager.refreshSession() and retries
+//          the request; sends the user to login only if the refresh
+//          fails. Other 401s (e.g. a wrong password) are returned
+//          as they are, so they are never sent twice
 //  - Provides API helpers:
 //        AUTH:
 //          • login(email, password, rememberMe)
 //          • register(email, password)
 //          • logout()
+//          • resendVerificationEmail()
 //        DEVICES:
-//          • getDevices()
-//          • registerDevice(data)
+//          • getDevices({ includeArchived })
+//          • pairDevice(claimCode, name)
 //          • updateDevice(id, data)
-//          • deleteDevice(id)
+//          • deleteDevice(id, mode)   mode: 'archive' | 'delete'
+//          • restoreDevice(id)
+//          • rotateDeviceKey(id)
+//          • revokeDeviceKey(id)
+//          • claimDeviceReadings(id)
 //        MEASUREMENTS:
 //          • getMeasurements(params)
 //          • submitMeasurement(data)
 //          • addMeasurementFromDevice(data)
 //          • getWeeklySummary()
 //          • getDailyDetails(date)
-//        USER PROFILE / SETTINGS:
+//          • addAnnotation(measurementId, text)
+//          • deleteAnnotation(measurementId, annotationId)
+//          (reads go to the shared account from
+//          authManager.getViewedAccount() while one is being viewed)
+//        SHARING (/api/shares):
+//          • getShares()              → { granted, received }
+//          • createShare(data)        { email, permission, scope, deviceIds }
+//          • updateShare(id, data)
+//          • revokeShare(id)          (owner revokes, grantee leaves)
+//          • acceptShare(token)
+//        CLINICIAN CONSENT (/api/consents, patient side):
+//          • getConsents()
+//          • grantConsent(clinicianEmail)
+//          • withdrawConsent(id)
+//          • getAccessLog(limit)      → who looked at the readings
+//        CLINICIAN PORTAL (/api/clinician, clinicians only):
+//          • getPatients()            → roster with latest readings
+//          • removePatient(patientId)
+//        ALERTS (/api/alerts):
+//          • getAlerts(params)        { status, limit }
+//          • getAlertSummary()        → { unread, active }
+//          • updateAlert(id, status)  'acknowledged' | 'resolved'
+//          • updateAllAlerts(status)
+//          • getAlertRules()
+//          • updateAlertRules(rules)
+//        ADMIN CONSOLE (/api/admin, admins only):
+//          • getAdminStats()
+//          • getAdminUsers(params)    { search, role, disabled, limit }
+//          • updateAdminUser(id, data) { role, disabled, reason }
+//          • getAdminDevices(params)  { orphaned, limit }
+//          • getIngestionErrors(params) { deviceId, limit }
+//        USER PROFILE / SETTINGS (/api/users/me):
 //          • getUserProfile()
 //          • updateUserProfile(data)
+//          • getUserSettings()
 //          • updateUserSettings(settings)
-//  - Includes JSON response handling with error translation.
+//          • exportUserData()        → { blob, filename }
+//          • deleteAccount(password)
+//        TWO-FACTOR (/api/users/me/2fa):
+//          • setupTwoFactor()
+//          • enableTwoFactor(code)
+//          • disableTwoFactor(password)
+//          • regenerateRecoveryCodes(password)
+//  - Includes JSON response handling with error translation:
+//        failed calls throw an Error carrying `status` and
+//        `fieldErrors` ([{ field, message }] on 422 responses);
+//        showFieldErrors(form, fieldErrors, fields) places those
+//        messages under the matching inputs.
 //  - Contains mock data generators used for development/testing.
 //  - Instantiated globally as window.apiManager on DOMContentLoaded.
 // -------------------------------------------------------------
 
+// 401 codes from server/middleware/auth.js worth a session refresh
+const SESSION_ERROR_CODES = ['TOKEN_EXPIRED', 'INVALID_TOKEN', 'SESSION_ENDED'];
+
 class APIManager {
     constructor() {
         this.baseUrl = '/api';
@@ -61,9 +116,20 @@ class APIManager {
             try {
                 const response = await this.originalFetch(url, options);
                 
-                // Handle 401 responses
-                if (response.status === 401) {
-                    this.handleUnauthorized();
+                // Handle 401 responses (credential endpoints answer for themselves)
+                if (
+                    response.status === 401 &&
+                    !/\/api\/auth\/(login|register|refresh|logout)$/.test(String(url)) &&
+                    await this.isSessionError(response)
+                ) {
+                    const refreshed = await this.handleUnauthorized();
+                    if (refreshed) {
+                        options.headers = {
+                            ...(options.headers || {}),
+                            ...this.authManager.getAuthHeaders()
+                        };
+                        return this.originalFetch(url, options);
+                    }
                 }
                 
                 return response;
@@ -74,15 +140,32 @@ class APIManager {
         };
     }
 
-    handleUnauthorized() {
-        // DO NOT auto-logout immediately
-        console.warn("Received 401 Unauthorized — NOT auto-logging out.");
+    // Whether a 401 came from the access token / session check rather
+    // than from the route itself (read from a copy, so the caller can
+    // still read the body)
+    async isSessionError(response) {
+        try {
+            const data = await response.clone().json();
+            return SESSION_ERROR_CODES.includes(data && data.code);
+        } catch (err) {
+            return false;
+        }
+    }
 
-        // Optionally: only log out if token truly missing
+    // Access tokens are short-lived: try the refresh token first.
+    // Resolves true if the request is worth retrying.
+    async handleUnauthorized() {
         if (!this.authManager || !this.authManager.getToken()) {
-            console.warn("Token missing — logging out.");
-            this.authManager.logout();
+            return false;
         }
+
+        const refreshed = await this.authManager.refreshSession();
+        if (!refreshed) {
+            console.warn("Session ended — logging out.");
+            this.authManager.clearAuthData();
+            window.location.href = 'login.html';
+        }
+        return refreshed;
     }
 
     // Authentication API calls
@@ -111,7 +194,18 @@ class APIManager {
     }
 
     async logout() {
+        const { refreshToken } = this.authManager.getAuthData();
         const response = await fetch(`${this.baseUrl}/auth/logout`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ refreshToken })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async resendVerificationEmail() {
+        const response = await fetch(`${this.baseUrl}/auth/verify/resend`, {
             method: 'POST',
             headers: this.authManager.getAuthHeaders()
         });
@@ -120,8 +214,9 @@ class APIManager {
     }
 
     // Device API calls
-    async getDevices() {
-        const response = await fetch(`${this.baseUrl}/devices`, {
+    async getDevices({ includeArchived = false } = {}) {
+        const query = includeArchived ? '?includeArchived=true' : '';
+        const response = await fetch(`${this.baseUrl}/devices${query}`, {
             method: 'GET',
             headers: this.authManager.getAuthHeaders()
         });
@@ -129,11 +224,11 @@ class APIManager {
         return this.handleResponse(response);
     }
 
-    async registerDevice(deviceData) {
-        const response = await fetch(`${this.baseUrl}/devices`, {
+    async pairDevice(claimCode, name) {
+        const response = await fetch(`${this.baseUrl}/devices/pair`, {
             method: 'POST',
             headers: this.authManager.getAuthHeaders(),
-            body: JSON.stringify(deviceData)
+            body: JSON.stringify({ claimCode, name })
         });
 
         return this.handleResponse(response);
@@ -149,8 +244,36 @@ class APIManager {
         return this.handleResponse(response);
     }
 
-    async deleteDevice(deviceId) {
-        const response = await fetch(`${this.baseUrl}/devices/${deviceId}`, {
+    // 'archive' keeps the device's readings; 'delete' removes them too
+    async deleteDevice(deviceId, mode = 'archive') {
+        const response = await fetch(`${this.baseUrl}/devices/${deviceId}?mode=${encodeURIComponent(mode)}`, {
+            method: 'DELETE',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async restoreDevice(deviceId) {
+        const response = await fetch(`${this.baseUrl}/devices/${deviceId}/restore`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async rotateDeviceKey(deviceId) {
+        const response = await fetch(`${this.baseUrl}/devices/${deviceId}/api-key`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async revokeDeviceKey(deviceId) {
+        const response = await fetch(`${this.baseUrl}/devices/${deviceId}/api-key`, {
             method: 'DELETE',
             headers: this.authManager.getAuthHeaders()
         });
@@ -158,8 +281,27 @@ class APIManager {
         return this.handleResponse(response);
     }
 
+    async claimDeviceReadings(deviceId) {
+        const response = await fetch(`${this.baseUrl}/devices/${deviceId}/claim`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    // ?owner= for the shared account being viewed, if any
+    viewedOwnerQuery() {
+        const viewed = this.authManager.getViewedAccount();
+        return viewed ? `?owner=${encodeURIComponent(viewed.id)}` : '';
+    }
+
     // Measurement API calls
     async getMeasurements(params = {}) {
+        const viewed = this.authManager.getViewedAccount();
+        if (viewed && !params.owner) {
+            params = { ...params, owner: viewed.id };
+        }
         const queryString = new URLSearchParams(params).toString();
         const url = queryString ? `${this.baseUrl}/measurements?${queryString}` : `${this.baseUrl}/measurements`;
         
@@ -195,7 +337,7 @@ class APIManager {
 
 
     async getWeeklySummary() {
-        const response = await fetch(`${this.baseUrl}/measurements/weekly`, {
+        const response = await fetch(`${this.baseUrl}/measurements/weekly${this.viewedOwnerQuery()}`, {
             method: 'GET',
             headers: this.authManager.getAuthHeaders()
         });
@@ -204,7 +346,241 @@ class APIManager {
     }
 
     async getDailyDetails(date) {
-        const response = await fetch(`${this.baseUrl}/measurements/daily/${date}`, {
+        const response = await fetch(`${this.baseUrl}/measurements/daily/${date}${this.viewedOwnerQuery()}`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async addAnnotation(measurementId, text) {
+        const response = await fetch(`${this.baseUrl}/measurements/${measurementId}/annotations`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ text })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async deleteAnnotation(measurementId, annotationId) {
+        const response = await fetch(`${this.baseUrl}/measurements/${measurementId}/annotations/${annotationId}`, {
+            method: 'DELETE',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    // Sharing API calls
+    async getShares() {
+        const response = await fetch(`${this.baseUrl}/shares`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async createShare(shareData) {
+        const response = await fetch(`${this.baseUrl}/shares`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify(shareData)
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async updateShare(shareId, shareData) {
+        const response = await fetch(`${this.baseUrl}/shares/${shareId}`, {
+            method: 'PUT',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify(shareData)
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async revokeShare(shareId) {
+        const response = await fetch(`${this.baseUrl}/shares/${shareId}`, {
+            method: 'DELETE',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async acceptShare(token) {
+        const response = await fetch(`${this.baseUrl}/shares/accept`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ token })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    // Clinician consent API calls (patient side)
+    async getConsents() {
+        const response = await fetch(`${this.baseUrl}/consents`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async grantConsent(clinicianEmail) {
+        const response = await fetch(`${this.baseUrl}/consents`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ clinicianEmail })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async withdrawConsent(consentId) {
+        const response = await fetch(`${this.baseUrl}/consents/${consentId}`, {
+            method: 'DELETE',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async getAccessLog(limit = 50) {
+        const response = await fetch(`${this.baseUrl}/consents/access-log?limit=${limit}`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    // Clinician portal API calls
+    async getPatients() {
+        const response = await fetch(`${this.baseUrl}/clinician/patients`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async removePatient(patientId) {
+        const response = await fetch(`${this.baseUrl}/clinician/patients/${patientId}`, {
+            method: 'DELETE',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    // Alert API calls
+    async getAlerts(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const response = await fetch(`${this.baseUrl}/alerts?${queryString}`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async getAlertSummary() {
+        const response = await fetch(`${this.baseUrl}/alerts/summary`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async updateAlert(alertId, status) {
+        const response = await fetch(`${this.baseUrl}/alerts/${alertId}`, {
+            method: 'PATCH',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ status })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async updateAllAlerts(status) {
+        const response = await fetch(`${this.baseUrl}/alerts`, {
+            method: 'PATCH',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ status })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async getAlertRules() {
+        const response = await fetch(`${this.baseUrl}/alerts/rules`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async updateAlertRules(rules) {
+        const response = await fetch(`${this.baseUrl}/alerts/rules`, {
+            method: 'PUT',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify(rules)
+        });
+
+        return this.handleResponse(response);
+    }
+
+    // Admin console API calls
+    async getAdminStats() {
+        const response = await fetch(`${this.baseUrl}/admin/stats`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async getAdminUsers(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const response = await fetch(`${this.baseUrl}/admin/users?${queryString}`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async updateAdminUser(userId, data) {
+        const response = await fetch(`${this.baseUrl}/admin/users/${userId}`, {
+            method: 'PUT',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify(data)
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async getAdminDevices(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const response = await fetch(`${this.baseUrl}/admin/devices?${queryString}`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async getIngestionErrors(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        const response = await fetch(`${this.baseUrl}/admin/ingestion-errors?${queryString}`, {
             method: 'GET',
             headers: this.authManager.getAuthHeaders()
         });
@@ -214,7 +590,7 @@ class APIManager {
 
     // User API calls
     async getUserProfile() {
-        const response = await fetch(`${this.baseUrl}/users/profile`, {
+        const response = await fetch(`${this.baseUrl}/users/me`, {
             method: 'GET',
             headers: this.authManager.getAuthHeaders()
         });
@@ -223,7 +599,7 @@ class APIManager {
     }
 
     async updateUserProfile(userData) {
-        const response = await fetch(`${this.baseUrl}/users/profile`, {
+        const response = await fetch(`${this.baseUrl}/users/me`, {
             method: 'PUT',
             headers: this.authManager.getAuthHeaders(),
             body: JSON.stringify(userData)
@@ -232,8 +608,17 @@ class APIManager {
         return this.handleResponse(response);
     }
 
+    async getUserSettings() {
+        const response = await fetch(`${this.baseUrl}/users/me/settings`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
     async updateUserSettings(settings) {
-        const response = await fetch(`${this.baseUrl}/users/settings`, {
+        const response = await fetch(`${this.baseUrl}/users/me/settings`, {
             method: 'PUT',
             headers: this.authManager.getAuthHeaders(),
             body: JSON.stringify(settings)
@@ -242,6 +627,76 @@ class APIManager {
         return this.handleResponse(response);
     }
 
+    // Download the personal data archive. Resolves to the file
+    // contents plus the name the server suggested for it.
+    async exportUserData() {
+        const response = await fetch(`${this.baseUrl}/users/me/export`, {
+            method: 'GET',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            return this.handleResponse(response);
+        }
+
+        const disposition = response.headers.get('content-disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        return {
+            blob: await response.blob(),
+            filename: match ? match[1] : 'heart-track-export.json'
+        };
+    }
+
+    async deleteAccount(password) {
+        const response = await fetch(`${this.baseUrl}/users/me`, {
+            method: 'DELETE',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ password })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    // Two-factor authentication API calls
+    async setupTwoFactor() {
+        const response = await fetch(`${this.baseUrl}/users/me/2fa/setup`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders()
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async enableTwoFactor(code) {
+        const response = await fetch(`${this.baseUrl}/users/me/2fa/enable`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ code })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async disableTwoFactor(password) {
+        const response = await fetch(`${this.baseUrl}/users/me/2fa/disable`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ password })
+        });
+
+        return this.handleResponse(response);
+    }
+
+    async regenerateRecoveryCodes(password) {
+        const response = await fetch(`${this.baseUrl}/users/me/2fa/recovery-codes`, {
+            method: 'POST',
+            headers: this.authManager.getAuthHeaders(),
+            body: JSON.stringify({ password })
+        });
+
+        return this.handleResponse(response);
+    }
+
     // Utility methods
     async handleResponse(response) {
         const contentType = response.headers.get('content-type');
@@ -250,19 +705,63 @@ class APIManager {
             const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+                // The server reports failures as { error }; invalid
+                // input (422) also lists { field, message } per field
+                const error = new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.fieldErrors = Array.isArray(data.errors) ? data.errors : [];
+                throw error;
             }
             
             return data;
         } else {
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.fieldErrors = [];
+                throw error;
             }
             
             return response;
         }
     }
 
+    // Show 422 field errors under the matching inputs of `form`.
+    // `fields` maps API field names to input ids, e.g.
+    //   { name: 'deviceName', 'timeRange.start': 'settingsStartTime' }
+    // Returns true if at least one message was placed. Call
+    // clearFieldErrors(form) before the form is submitted again.
+    showFieldErrors(form, fieldErrors, fields) {
+        if (!form || !Array.isArray(fieldErrors)) return false;
+
+        let shown = false;
+        fieldErrors.forEach(({ field, message }) => {
+            const input = fields[field] && document.getElementById(fields[field]);
+            if (!input || input.getAttribute('aria-invalid') === 'true') return;
+
+            const hint = document.createElement('p');
+            hint.className = 'field-error';
+            hint.id = `${input.id}FieldError`;
+            hint.textContent = message;
+
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', hint.id);
+            input.insertAdjacentElement('afterend', hint);
+            shown = true;
+        });
+
+        return shown;
+    }
+
+    clearFieldErrors(form) {
+        if (!form) return;
+        form.querySelectorAll('.field-error').forEach((hint) => hint.remove());
+        form.querySelectorAll('[aria-invalid="true"]').forEach((input) => {
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+        });
+    }
+
     // Mock data for development/testing
     getMockData() {
         return {
@@ -271,8 +770,12 @@ class APIManager {
                     id: '1',
                     name: 'Heart Track Device #1',
                     status: 'online',
-                    batteryLevel: 85,
-                    lastSeen: new Date(Date.now() - 5 * 60 * 1000), // 5 minutes ago
+                    telemetry: {
+                        lastSeenAt: new Date(Date.now() - 5 * 60 * 1000), // 5 minutes ago
+                        firmwareVersion: '1.1.0',
+                        rssi: -58,
+                        bufferedRecords: 0
+                    },
                     settings: {
                         measurementInterval: 30,
                         timeRange: { start: '06:00', end: '22:00' }
@@ -282,8 +785,12 @@ class APIManager {
                     id: '2',
                     name: 'Heart Track Device #2',
                     status: 'offline',
-                    batteryLevel: 42,
-                    lastSeen: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
+                    telemetry: {
+                        lastSeenAt: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
+                        firmwareVersion: '1.0.0',
+                        rssi: -79,
+                        bufferedRecords: 12
+                    },
                     settings: {
                         measurementInterval: 60,
                         timeRange: { start: '08:00', end: '20:00' }
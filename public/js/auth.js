@@ -3,8 +3,9 @@
 // Heart Track - Authentication + Session Management Module
 // -------------------------------------------------------------
 //  - Manages full login, registration, logout, and session state.
-//  - Stores JWT tokens + user objects in localStorage or sessionStorage
-//      depending on the “Remember Me” option.
+//  - Stores the access token (short-lived JWT), refresh token + user
+//      object in localStorage or sessionStorage depending on the
+//      “Remember Me” option.
 //  - Redirects users based on authentication state (auto-redirects
 //      logged-out users away from protected pages).
 //  - Implements UI interactions for:
@@ -14,13 +15,33 @@
 //        • Loading states on submit buttons
 //  - API Calls handled manually via fetch() to:
 //        • POST /api/auth/login
+//        • POST /api/auth/login/2fa (second step when the account has
+//          two-factor authentication: the login answer carries a
+//          challenge token, exchanged with the 6-digit or recovery code)
 //        • POST /api/auth/register
-//        • POST /api/auth/logout
+//        • POST /api/auth/refresh (new token pair when the access
+//          token expires; api.js calls refreshSession() on a token 401)
+//        • POST /api/auth/logout (revokes this session server-side)
+//        • POST /api/auth/logout-all (“Sign out of all devices”)
 //  - Provides helpers for:
 //        • isAuthenticated()
 //        • getAuthHeaders() → attaches Authorization: Bearer <token>
-//        • getAuthData() (reads token + user from storage)
-//        • storeAuthData() (persists token + user)
+//        • getAuthData() (reads tokens + user from storage)
+//        • storeAuthData() (persists tokens + user)
+//        • getToken() / refreshSession()
+//        • getTimeZone() (the user's stored IANA timezone, else the
+//          browser's; sent on login/register so the server learns it)
+//        • getViewedAccount() / setViewedAccount(account) → the
+//          account whose shared readings this tab shows instead of
+//          the user's own ({ id, name, timezone, patient? } or null;
+//          patient is set when a clinician opened it from their
+//          roster; kept in sessionStorage, cleared on logout)
+//        • isClinician() / getHomePage() → clinician accounts
+//          (registered with "I'm a clinician") land on the patient
+//          roster (clinician.html) instead of the dashboard
+//        • getRole() / isAdmin() → the stored account's role
+//          ("patient", "clinician" or "admin"); the server checks
+//          it again on every admin or clinician request
 //  - Automatically binds logout button (#logoutBtn) globally.
 //  - On DOM load, instantiates `window.authManager` for use by
 //    all other modules (dashboard, daily-detail, settings, etc).
@@ -30,7 +51,9 @@ class AuthManager {
     constructor() {
         this.apiBaseUrl = '/api/auth';
         this.tokenKey = 'heartTrackToken';
+        this.refreshTokenKey = 'heartTrackRefreshToken';
         this.userKey = 'heartTrackUser';
+        this.viewedAccountKey = 'heartTrackViewedAccount';
         this.init();
     }
 
@@ -108,6 +131,7 @@ class AuthManager {
     setupFormHandlers() {
         const loginForm = document.getElementById('loginForm');
         const registerForm = document.getElementById('registerForm');
+        const twoFactorForm = document.getElementById('twoFactorForm');
 
         if (loginForm) {
             loginForm.addEventListener('submit', (e) => {
@@ -116,6 +140,13 @@ class AuthManager {
             });
         }
 
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleTwoFactor();
+            });
+        }
+
         if (registerForm) {
             registerForm.addEventListener('submit', (e) => {
                 e.preventDefault();
@@ -143,26 +174,28 @@ class AuthManager {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ email, password, rememberMe })
+                body: JSON.stringify({
+                    email,
+                    password,
+                    rememberMe,
+                    timezone: this.getBrowserTimeZone()
+                })
             });
 
             const data = await response.json();
+            this.showFieldErrors('loginForm', data.errors, {
+                email: 'loginEmail',
+                password: 'loginPassword'
+            });
 
-            if (response.ok) {
-                // Store token and user data
-                this.storeAuthData(data.token, data.user, rememberMe);
-                
-                // Show success message
-                if (window.heartTrackApp) {
-                    window.heartTrackApp.showNotification('Login successful!', 'success');
-                }
-                
-                // Redirect to dashboard
-                setTimeout(() => {
-                    window.location.href = 'dashboard.html';
-                }, 1000);
+            if (response.ok && data.twoFactorRequired) {
+                // Password accepted; ask for the authenticator code
+                this.pendingLogin = { challengeToken: data.challengeToken, rememberMe };
+                this.showTwoFactorStep();
+            } else if (response.ok) {
+                this.completeLogin(data, rememberMe, 'Login successful!');
             } else {
-                throw new Error(data.message || 'Login failed');
+                throw new Error(data.error || data.message || 'Login failed');
             }
         } catch (error) {
             this.showError(errorDiv, error.message);
@@ -171,11 +204,85 @@ class AuthManager {
         }
     }
 
+    showTwoFactorStep() {
+        const loginForm = document.getElementById('loginForm');
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        const tabs = document.querySelector('.auth-tabs');
+
+        if (loginForm) loginForm.classList.remove('active');
+        if (tabs) tabs.classList.add('hidden');
+        if (twoFactorForm) {
+            twoFactorForm.classList.add('active');
+            document.getElementById('twoFactorCode').focus();
+        }
+    }
+
+    async handleTwoFactor() {
+        const code = document.getElementById('twoFactorCode').value.trim();
+
+        const button = document.querySelector('#twoFactorForm .form-button');
+        const buttonText = button.querySelector('.button-text');
+        const loading = button.querySelector('.loading');
+        const errorDiv = document.getElementById('twoFactorError');
+
+        if (!this.pendingLogin) {
+            this.showError(errorDiv, 'Please sign in again');
+            return;
+        }
+
+        this.setButtonLoading(button, buttonText, loading, true);
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/login/2fa`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    challengeToken: this.pendingLogin.challengeToken,
+                    code
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Verification failed');
+            }
+
+            const message = data.recoveryCodesRemaining !== undefined
+                ? `Signed in with a recovery code. ${data.recoveryCodesRemaining} left; generate new ones in Settings.`
+                : 'Login successful!';
+            this.completeLogin(data, this.pendingLogin.rememberMe, message);
+        } catch (error) {
+            this.showError(errorDiv, error.message);
+        } finally {
+            this.setButtonLoading(button, buttonText, loading, false);
+        }
+    }
+
+    completeLogin(data, rememberMe, message) {
+        // Store token and user data
+        this.storeAuthData(data.token, data.user, rememberMe, data.refreshToken);
+        this.pendingLogin = null;
+        
+        // Show success message
+        if (window.heartTrackApp) {
+            window.heartTrackApp.showNotification(message, 'success');
+        }
+        
+        // Redirect to the user's home page
+        setTimeout(() => {
+            window.location.href = this.getHomePage();
+        }, 1000);
+    }
+
     async handleRegister() {
         const email = document.getElementById('registerEmail').value;
         const password = document.getElementById('registerPassword').value;
         const confirmPassword = document.getElementById('confirmPassword').value;
         const agreeTerms = document.getElementById('agreeTerms').checked;
+        const clinicianBox = document.getElementById('registerClinician');
 
         const button = document.querySelector('#registerForm .form-button');
         const buttonText = button.querySelector('.button-text');
@@ -203,26 +310,35 @@ class AuthManager {
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ email, password })
+                body: JSON.stringify({
+                    email,
+                    password,
+                    timezone: this.getBrowserTimeZone(),
+                    role: clinicianBox && clinicianBox.checked ? 'clinician' : 'patient'
+                })
             });
 
             const data = await response.json();
+            this.showFieldErrors('registerForm', data.errors, {
+                email: 'registerEmail',
+                password: 'registerPassword'
+            });
 
             if (response.ok) {
                 // Store token and user data
-                this.storeAuthData(data.token, data.user, false);
+                this.storeAuthData(data.token, data.user, false, data.refreshToken);
                 
                 // Show success message
                 if (window.heartTrackApp) {
-                    window.heartTrackApp.showNotification('Account created successfully!', 'success')
+                    window.heartTrackApp.showNotification('Account created! Check your email to verify your address.', 'success')
                 }
                 
-                // Redirect to dashboard
+                // Redirect to the user's home page
                 setTimeout(() => {
-                    window.location.href = 'dashboard.html';
+                    window.location.href = this.getHomePage();
                 }, 1000);
             } else {
-                throw new Error(data.message || 'Registration failed');
+                throw new Error(data.error || data.message || 'Registration failed');
             }
         } catch (error) {
             this.showError(errorDiv, error.message);
@@ -245,6 +361,17 @@ class AuthManager {
         }
     }
 
+    // Put 422 field errors ({ field, message }) under the inputs.
+    // Uses api.js when the page loads it; otherwise only the
+    // summary in the form's error box is shown.
+    showFieldErrors(formId, errors, fields) {
+        const form = document.getElementById(formId);
+        if (!form || !window.apiManager) return;
+
+        window.apiManager.clearFieldErrors(form);
+        window.apiManager.showFieldErrors(form, errors, fields);
+    }
+
     showError(errorDiv, message) {
         errorDiv.textContent = message;
         errorDiv.classList.remove('hidden');
@@ -255,36 +382,137 @@ class AuthManager {
         }, 5000);
     }
 
-    storeAuthData(token, user, rememberMe) {
+    storeAuthData(token, user, rememberMe, refreshToken) {
         const storage = rememberMe ? localStorage : sessionStorage;
         storage.setItem(this.tokenKey, token);
         storage.setItem(this.userKey, JSON.stringify(user));
+        if (refreshToken) {
+            storage.setItem(this.refreshTokenKey, refreshToken);
+        }
     }
 
     getAuthData() {
         const token = localStorage.getItem(this.tokenKey) || sessionStorage.getItem(this.tokenKey);
+        const refreshToken = localStorage.getItem(this.refreshTokenKey) || sessionStorage.getItem(this.refreshTokenKey);
         const user = localStorage.getItem(this.userKey) || sessionStorage.getItem(this.userKey);
         
         return {
             token,
+            refreshToken,
             user: user ? JSON.parse(user) : null
         };
     }
 
+    clearAuthData() {
+        [localStorage, sessionStorage].forEach(storage => {
+            storage.removeItem(this.tokenKey);
+            storage.removeItem(this.refreshTokenKey);
+            storage.removeItem(this.userKey);
+        });
+        sessionStorage.removeItem(this.viewedAccountKey);
+    }
+
+    getToken() {
+        return this.getAuthData().token;
+    }
+
+    // Trade the refresh token for a new token pair. Concurrent callers
+    // share one request, since each refresh token only works once.
+    // Resolves true when the session is still alive.
+    refreshSession() {
+        if (this.refreshPromise) return this.refreshPromise;
+
+        const { refreshToken } = this.getAuthData();
+        if (!refreshToken) return Promise.resolve(false);
+
+        const rememberMe = !!localStorage.getItem(this.refreshTokenKey);
+
+        this.refreshPromise = (async () => {
+            try {
+                const response = await fetch(`${this.apiBaseUrl}/refresh`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ refreshToken })
+                });
+
+                if (!response.ok) return false;
+
+                const data = await response.json();
+                this.storeAuthData(data.token, data.user, rememberMe, data.refreshToken);
+                return true;
+            } catch (error) {
+                console.error('Session refresh error:', error);
+                return false;
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+
+        return this.refreshPromise;
+    }
+
+    // IANA zone of this browser (e.g. "America/Phoenix")
+    getBrowserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    // Zone the server buckets this user's days in
+    getTimeZone() {
+        const { user } = this.getAuthData();
+        return (user && user.timezone) || this.getBrowserTimeZone();
+    }
+
+    // Another account's shared readings, when this tab is showing them
+    getViewedAccount() {
+        const stored = sessionStorage.getItem(this.viewedAccountKey);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    setViewedAccount(account) {
+        if (account) {
+            sessionStorage.setItem(this.viewedAccountKey, JSON.stringify(account));
+        } else {
+            sessionStorage.removeItem(this.viewedAccountKey);
+        }
+    }
+
     isAuthenticated() {
         const { token } = this.getAuthData();
         return !!token;
     }
 
+    getRole() {
+        const { user } = this.getAuthData();
+        return user ? user.role || 'patient' : null;
+    }
+
+    isClinician() {
+        return this.getRole() === 'clinician';
+    }
+
+    isAdmin() {
+        return this.getRole() === 'admin';
+    }
+
+    getHomePage() {
+        return this.isClinician() ? 'clinician.html' : 'dashboard.html';
+    }
+
     checkAuthState() {
         if (this.isAuthenticated()) {
-            // User is logged in, redirect to dashboard if on login page
+            // User is logged in, redirect to their home page if on login page
             if (window.location.pathname.includes('login.html')) {
-                window.location.href = 'dashboard.html';
+                window.location.href = this.getHomePage();
             }
         } else {
             // User is not logged in, redirect to login if on protected page
-            const protectedPages = ['dashboard.html', 'weekly-summary.html', 'daily-detail.html', 'device-management.html', 'settings.html'];
+            const protectedPages = ['dashboard.html', 'weekly-summary.html', 'daily-detail.html', 'device-management.html', 'settings.html', 'clinician.html', 'admin.html'];
             const currentPage = window.location.pathname.split('/').pop();
             
             if (protectedPages.includes(currentPage)) {
@@ -295,31 +523,45 @@ class AuthManager {
 
     async logout() {
         try {
-            const { token } = this.getAuthData();
+            const { token, refreshToken } = this.getAuthData();
             
-            if (token) {
+            if (token || refreshToken) {
                 await fetch(`${this.apiBaseUrl}/logout`, {
                     method: 'POST',
                     headers: {
                         'Authorization': `Bearer ${token}`,
                         'Content-Type': 'application/json'
-                    }
+                    },
+                    body: JSON.stringify({ refreshToken })
                 });
             }
         } catch (error) {
             console.error('Logout error:', error);
         } finally {
             // Clear stored data
-            localStorage.removeItem(this.tokenKey);
-            localStorage.removeItem(this.userKey);
-            sessionStorage.removeItem(this.tokenKey);
-            sessionStorage.removeItem(this.userKey);
+            this.clearAuthData();
             
             // Redirect to login
             window.location.href = 'login.html';
         }
     }
 
+    // Revoke every session of this account (other browsers included)
+    async logoutAll() {
+        const response = await fetch(`${this.apiBaseUrl}/logout-all`, {
+            method: 'POST',
+            headers: this.getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Could not sign out of all devices');
+        }
+
+        this.clearAuthData();
+        window.location.href = 'login.html';
+    }
+
     getAuthHeaders() {
         const { token } = this.getAuthData();
         return {
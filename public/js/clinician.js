@@ -0,0 +1,164 @@
+// public/js/clinician.js
+// -------------------------------------------------------------
+// Heart Track - Clinician Portal Logic (patient roster)
+// -------------------------------------------------------------
+// This script powers the Patients view for clinician accounts.
+// It:
+//   • Loads the roster via apiManager.getPatients() and fills
+//     #patients-table: latest heart rate / SpO₂ (suspect readings
+//     marked), when it was taken, when a device was last heard
+//     from and the number of open alerts
+//   • "Weekly" / "Daily" open the ordinary weekly-summary and
+//     daily-detail pages for that patient (authManager.
+//     setViewedAccount() with `patient: true`; the server checks
+//     the consent and logs each view)
+//   • "Remove" takes a patient off the roster
+//     (apiManager.removePatient())
+//   • Sends other accounts to the dashboard and logged-out
+//     visitors to login.html
+// -------------------------------------------------------------
+
+console.log('clinician.js loaded');
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const authManager = window.authManager;
+  const apiManager = window.apiManager;
+
+  if (!authManager || !authManager.isAuthenticated()) {
+    window.location.href = 'login.html';
+    return;
+  }
+
+  if (!authManager.isClinician()) {
+    window.location.href = 'dashboard.html';
+    return;
+  }
+
+  // ---- Grab DOM elements ----
+  const tbody = document.querySelector('#patients-table tbody');
+  const emptyEl = document.getElementById('patientsEmptyMessage');
+  const errorEl = document.getElementById('patientsMessage');
+  const successEl = document.getElementById('patientsSuccess');
+
+  if (!tbody) {
+    console.warn('clinician.js: #patients-table not found');
+    return;
+  }
+
+  // Utility: show error / success messages
+  function showError(msg) {
+    errorEl.textContent = msg;
+    errorEl.style.display = 'block';
+    successEl.style.display = 'none';
+  }
+
+  function showSuccess(msg) {
+    successEl.textContent = msg;
+    successEl.style.display = 'block';
+    errorEl.style.display = 'none';
+  }
+
+  // "just now", "12 min ago", "3 h ago", "2 d ago"
+  function timeAgo(date) {
+    const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return `${Math.floor(minutes / (24 * 60))} d ago`;
+  }
+
+  function cell(text, title) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (title) td.title = title;
+    return td;
+  }
+
+  function button(text, className, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.className = `btn ${className} btn-sm`;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // Switch the reading pages to this patient, then open `page`
+  function openPatient(patient, page) {
+    authManager.setViewedAccount({
+      id: patient.id,
+      name: patient.name || patient.email,
+      timezone: patient.timezone,
+      permission: 'read',
+      patient: true,
+    });
+    window.location.href = page;
+  }
+
+  function renderRoster(patients) {
+    tbody.innerHTML = '';
+    emptyEl.style.display = patients.length ? 'none' : 'block';
+
+    patients.forEach((patient) => {
+      const tr = document.createElement('tr');
+      const latest = patient.latest;
+      if (latest && latest.quality === 'suspect') {
+        tr.classList.add('measurement-suspect');
+      }
+
+      const nameTd = cell(patient.name ? `${patient.name} (${patient.email})` : patient.email);
+
+      const hrTd = cell(latest ? `${Math.round(latest.heartRate)} BPM` : '--');
+      const spo2Td = cell(latest ? `${Math.round(latest.spo2)}%` : '--');
+      const takenTd = latest
+        ? cell(timeAgo(latest.takenAt), new Date(latest.takenAt).toLocaleString())
+        : cell('No readings yet');
+      const seenTd = patient.lastSeenAt
+        ? cell(timeAgo(patient.lastSeenAt), new Date(patient.lastSeenAt).toLocaleString())
+        : cell(patient.devices ? 'Never seen' : 'No devices');
+
+      const alertsTd = cell(String(patient.openAlerts));
+      if (patient.openAlerts > 0) {
+        alertsTd.className = 'device-connection device-connection-offline';
+      }
+
+      const actionsTd = document.createElement('td');
+      actionsTd.appendChild(button('Weekly', 'btn-primary', () => openPatient(patient, 'weekly-summary.html')));
+      actionsTd.appendChild(button('Daily', 'btn-secondary', () => openPatient(patient, 'daily-detail.html')));
+      actionsTd.appendChild(
+        button('Remove', 'btn-danger', async () => {
+          const who = patient.name || patient.email;
+          if (!window.confirm(`Remove ${who} from your patients? Only ${who} can give you access again.`)) {
+            return;
+          }
+          try {
+            const data = await apiManager.removePatient(patient.id);
+            showSuccess(data.message || 'Patient removed.');
+            await loadRoster();
+          } catch (err) {
+            console.error('Error removing patient:', err);
+            showError(err.message || 'Failed to remove the patient.');
+          }
+        })
+      );
+
+      tr.append(nameTd, hrTd, spo2Td, takenTd, seenTd, alertsTd, actionsTd);
+      tbody.appendChild(tr);
+    });
+  }
+
+  async function loadRoster() {
+    try {
+      renderRoster(await apiManager.getPatients());
+    } catch (err) {
+      console.error('Error loading patients:', err);
+      showError(err.message || 'Failed to load patients.');
+    }
+  }
+
+  // A patient opened earlier stays selected in this tab; the roster
+  // is the clinician's own view
+  authManager.setViewedAccount(null);
+
+  await loadRoster();
+});
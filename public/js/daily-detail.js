@@ -3,14 +3,22 @@
 // Heart Track - Daily Detail Page Logic
 // -------------------------------------------------------------
 // This script powers the Daily Detail view. It:
-//   • Loads all recent measurements via apiManager.getMeasurements()
-//   • Filters them for a single specific date ("YYYY-MM-DD")
+//   • Loads one day ("YYYY-MM-DD") via apiManager.getDailyDetails();
+//     the server picks the day's readings in the user's timezone
+//   • Shows times in that same timezone (authManager.getTimeZone())
 //   • Updates the stat cards (min HR, max HR, avg HR, count)
 //   • Updates the measurement timeline table
 //   • Renders TWO Chart.js graphs:
 //       - Heart Rate (BPM) over time  -> <canvas id="dailyHeartChart">
 //       - SpO₂ (%) over time         -> <canvas id="dailySpo2Chart">
 //   • Visually marks minimum & maximum points on each chart
+//   • Readings the server graded "suspect" are listed (marked ⚠)
+//     but left out of the cards and charts
+//   • Lists each reading's notes; the owner (and people it was
+//     shared with "annotate" permission) can add notes, and a note
+//     can be removed by its author or the owner
+//   • Shows readings someone shared while one is being viewed
+//     (authManager.getViewedAccount(), handled by api.js)
 //   • Supports date selector + “Today” quick button
 //
 // Notes:
@@ -26,12 +34,16 @@
   // (kept for possible debugging; we now use Chart.getChart(...) instead)
   let dailyChart = null; // UNUSED: legacy reference
 
-  // Format a Date as "h:mm AM/PM"
+  // Timezone the server buckets days in (set on page load)
+  let userTimeZone;
+
+  // Format a Date as "h:mm AM/PM" in the user's timezone
   function formatTime(date) {
     const d = date instanceof Date ? date : new Date(date);
     return d.toLocaleTimeString([], {
       hour: "numeric",
       minute: "2-digit",
+      timeZone: userTimeZone,
     });
   }
 
@@ -45,23 +57,98 @@
     });
   }
 
-  // Convert Date → "YYYY-MM-DD" (local time) for the <input type="date">
-  function formatDateForInput(date) {
-    const d = date instanceof Date ? date : new Date(date);
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, "0");
-    const day = String(d.getDate()).padStart(2, "0");
-    return `${y}-${m}-${day}`;
+  // "YYYY-MM-DD" of today in the user's timezone, for <input type="date">
+  function todayInUserTimeZone() {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Date().toLocaleDateString("en-CA", { timeZone: userTimeZone });
   }
 
-  // Convert Date → "YYYY-MM-DD" using LOCAL time (not UTC)
-  // Used when deciding whether a measurement belongs to the selected day.
-  function formatDateLocalYMD(date) {
-    const d = date instanceof Date ? date : new Date(date);
-    const y = d.getFullYear();
-    const m = String(d.getMonth() + 1).padStart(2, "0");
-    const day = String(d.getDate()).padStart(2, "0");
-    return `${y}-${m}-${day}`;
+  // Server-side plausibility grade (see Measurement.quality);
+  // readings without a grade count as valid
+  function isSuspect(m) {
+    return !!(m && m.quality && m.quality.status === "suspect");
+  }
+
+  // Notes (see POST /api/measurements/:id/annotations): owners may add
+  // and remove any; people a device was shared with need "annotate"
+  // permission to add and may remove only their own
+  function canAddNotes() {
+    const viewed = window.authManager && window.authManager.getViewedAccount();
+    return !viewed || viewed.permission === "annotate";
+  }
+
+  function canRemoveNote(note) {
+    const authManager = window.authManager;
+    if (!authManager) return false;
+    if (!authManager.getViewedAccount()) return true;
+    const { user } = authManager.getAuthData();
+    return !!user && String(note.authorId) === String(user.id);
+  }
+
+  function notifyError(message) {
+    if (window.heartTrackApp) {
+      window.heartTrackApp.showNotification(message, "error", 5000);
+    } else {
+      console.warn(message);
+    }
+  }
+
+  function renderNotesCell(cell, m, dateStr) {
+    const notes = m.annotations || [];
+
+    if (notes.length > 0) {
+      const list = document.createElement("ul");
+      list.className = "annotation-list";
+
+      notes.forEach((note) => {
+        const item = document.createElement("li");
+        item.textContent = note.authorName
+          ? `${note.authorName}: ${note.text}`
+          : note.text;
+
+        if (canRemoveNote(note)) {
+          const removeBtn = document.createElement("button");
+          removeBtn.type = "button";
+          removeBtn.className = "table-pagination__btn";
+          removeBtn.textContent = "×";
+          removeBtn.title = "Remove note";
+          removeBtn.addEventListener("click", async () => {
+            try {
+              await window.apiManager.deleteAnnotation(m._id, note._id);
+              loadDailyData(dateStr);
+            } catch (err) {
+              console.error("Daily Detail: failed to remove note:", err);
+              notifyError(err.message || "Could not remove the note.");
+            }
+          });
+          item.append(" ", removeBtn);
+        }
+
+        list.appendChild(item);
+      });
+
+      cell.appendChild(list);
+    }
+
+    if (canAddNotes() && m._id) {
+      const addBtn = document.createElement("button");
+      addBtn.type = "button";
+      addBtn.className = "table-pagination__btn";
+      addBtn.textContent = "+ Note";
+      addBtn.addEventListener("click", async () => {
+        const text = window.prompt("Note for this reading:");
+        if (!text || !text.trim()) return;
+
+        try {
+          await window.apiManager.addAnnotation(m._id, text.trim());
+          loadDailyData(dateStr);
+        } catch (err) {
+          console.error("Daily Detail: failed to add note:", err);
+          notifyError(err.message || "Could not add the note.");
+        }
+      });
+      cell.appendChild(addBtn);
+    }
   }
 
   // -------------------------------------------------------------------
@@ -359,38 +446,53 @@
 
     // We have data
     emptyMessage.style.display = "none";
-    const sorted = [...measurements].sort(
+    const all = [...measurements].sort(
       (a, b) => new Date(a.takenAt) - new Date(b.takenAt)
     );
+    // Cards and charts only use trusted readings; the table lists all
+    const sorted = all.filter((m) => !isSuspect(m));
+    const suspectCount = all.length - sorted.length;
+    const suspectNote = suspectCount
+      ? ` ${suspectCount} suspect reading(s) are marked ⚠ and left out of the stats and charts.`
+      : "";
+    const deviceIds = new Set(all.map((m) => m.deviceId));
+
+    if (sorted.length > 0) {
+      const heartRates = sorted.map((m) => m.heartRate);
+      const minHr = Math.min(...heartRates);
+      const maxHr = Math.max(...heartRates);
+      const avgHr = heartRates.reduce((s, v) => s + v, 0) / heartRates.length;
+      const minIdx = heartRates.indexOf(minHr);
+      const maxIdx = heartRates.indexOf(maxHr);
+      const minTime = sorted[minIdx].takenAt;
+      const maxTime = sorted[maxIdx].takenAt;
+
+      // Stat cards
+      minHrEl.textContent = `${minHr}`;
+      avgHrEl.textContent = `${Math.round(avgHr)}`;
+      maxHrEl.textContent = `${maxHr}`;
+      minHrTimeEl && (minHrTimeEl.textContent = `Lowest at ${formatTime(minTime)}`);
+      maxHrTimeEl && (maxHrTimeEl.textContent = `Highest at ${formatTime(maxTime)}`);
+      avgHrInfoEl && (avgHrInfoEl.textContent = `Across ${sorted.length} measurements`);
+    } else {
+      // Only suspect readings on this day
+      minHrEl.textContent = avgHrEl.textContent = maxHrEl.textContent = "--";
+      minHrTimeEl && (minHrTimeEl.textContent = "--");
+      maxHrTimeEl && (maxHrTimeEl.textContent = "--");
+      avgHrInfoEl && (avgHrInfoEl.textContent = "No trusted readings");
+    }
 
-    const heartRates = sorted.map((m) => m.heartRate);
-    const minHr = Math.min(...heartRates);
-    const maxHr = Math.max(...heartRates);
-    const avgHr = heartRates.reduce((s, v) => s + v, 0) / heartRates.length;
-    const minIdx = heartRates.indexOf(minHr);
-    const maxIdx = heartRates.indexOf(maxHr);
-    const minTime = sorted[minIdx].takenAt;
-    const maxTime = sorted[maxIdx].takenAt;
-    const deviceIds = new Set(sorted.map((m) => m.deviceId));
-
-    // Stat cards
-    minHrEl.textContent = `${minHr}`;
-    avgHrEl.textContent = `${Math.round(avgHr)}`;
-    maxHrEl.textContent = `${maxHr}`;
-    countEl.textContent = `${sorted.length}`;
-    minHrTimeEl && (minHrTimeEl.textContent = `Lowest at ${formatTime(minTime)}`);
-    maxHrTimeEl && (maxHrTimeEl.textContent = `Highest at ${formatTime(maxTime)}`);
-    avgHrInfoEl && (avgHrInfoEl.textContent = `Across ${sorted.length} measurements`);
+    countEl.textContent = `${all.length}`;
     measurementsDevicesEl &&
-      (measurementsDevicesEl.textContent = `${sorted.length} measurements from ${deviceIds.size} device(s)`);
+      (measurementsDevicesEl.textContent = `${all.length} measurements from ${deviceIds.size} device(s)`);
     if (aboutTextEl) {
-      aboutTextEl.textContent = `Showing ${sorted.length} measurements on ${formatLongDate(
+      aboutTextEl.textContent = `Showing ${all.length} measurements on ${formatLongDate(
         new Date(dateStr + "T00:00:00")
-      )}.`;
+      )}.${suspectNote}`;
     }
 
     // --- Pagination setup ---
-    state.measurements = sorted;
+    state.measurements = all;
     state.currentPage = 1;
 
     if (!state.controlsInitialized && tableBody.parentElement) {
@@ -440,11 +542,18 @@
 
       pageItems.forEach((m) => {
         const row = document.createElement("tr");
+        const flag = isSuspect(m) ? " ⚠" : "";
+        if (flag) {
+          row.classList.add("measurement-suspect");
+          row.title = `Suspect reading: ${(m.quality.reasons || []).join(", ")}`;
+        }
         row.innerHTML = `
           <td>${formatTime(m.takenAt)}</td>
           <td>${m.deviceId}</td>
-          <td>${m.heartRate}</td>
-          <td>${m.spo2}</td>`;
+          <td>${m.heartRate}${flag}</td>
+          <td>${m.spo2}</td>
+          <td></td>`;
+        renderNotesCell(row.lastElementChild, m, dateStr);
         tableBody.appendChild(row);
       });
 
@@ -456,7 +565,7 @@
 
 
   // -------------------------------------------------------------------
-  // Load all recent measurements, then filter for the chosen day
+  // Load the chosen day's measurements (bucketed server-side)
   // -------------------------------------------------------------------
   async function loadDailyData(dateStr) {
     const apiManager = window.apiManager;
@@ -470,27 +579,25 @@
       return;
     }
 
-    if (!apiManager || typeof apiManager.getMeasurements !== "function") {
-      console.warn("Daily Detail: apiManager.getMeasurements is missing.");
+    if (!apiManager || typeof apiManager.getDailyDetails !== "function") {
+      console.warn("Daily Detail: apiManager.getDailyDetails is missing.");
       return;
     }
 
     console.log("Daily Detail: loading data for", dateStr);
 
     try {
-      const allMeasurements = await apiManager.getMeasurements({ limit: 500 });
+      const day = await apiManager.getDailyDetails(dateStr);
+      const measurements = (day && day.measurements) || [];
 
-      // Compare using LOCAL date (fixes UTC vs local mismatch)
-      const filtered = allMeasurements.filter((m) => {
-        const key = formatDateLocalYMD(m.takenAt || m.createdAt);
-        return key === dateStr;
-      });
+      // Follow the zone the server actually used for this day
+      if (day && day.timezone) userTimeZone = day.timezone;
 
       console.log(
-        `Daily Detail: ${filtered.length} measurements matched ${dateStr} (out of ${allMeasurements.length})`
+        `Daily Detail: ${measurements.length} measurements on ${dateStr} (${userTimeZone})`
       );
 
-      updateDailyUI(dateStr, filtered);
+      updateDailyUI(dateStr, measurements);
     } catch (err) {
       console.error("Daily Detail: error fetching data:", err);
       updateDailyUI(dateStr, []); // show empty state
@@ -511,9 +618,12 @@
       return;
     }
 
-    // Default to today
-    const today = new Date();
-    const todayStr = formatDateForInput(today);
+    userTimeZone = window.authManager
+      ? window.authManager.getTimeZone()
+      : undefined;
+
+    // Default to today (in the user's timezone)
+    const todayStr = todayInUserTimeZone();
     if (!dateInput.value) {
       dateInput.value = todayStr;
     }
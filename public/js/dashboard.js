@@ -4,16 +4,29 @@
 // -------------------------------------------------------------
 // This script powers the main Dashboard view. It:
 //   • Loads recent measurements from the backend via apiManager.getMeasurements()
-//   • Filters those measurements by the selected time range
-//     ("today", "week", "month") using <select id="timeRange">
+//   • Asks the server for the selected time range ("today", "week",
+//     "month") using <select id="timeRange">; days are counted in the
+//     user's timezone, which is also used to display times
 //   • Updates the stat cards:
 //       - Current Heart Rate
 //       - Blood Oxygen
 //       - Today's Measurements
-//       - Active Devices (via /api/devices)
+//       - Active Devices (via /api/devices): devices currently
+//         online, with stale / offline ones listed underneath
 //   • Populates the “Recent Measurements” table with newest readings first
+//     (readings the server graded "suspect" are marked with ⚠ and
+//     left out of the stat cards and charts)
 //   • Sends processed data into chartsManager (charts.js) to render
 //     the Heart Rate and Oxygen charts
+//   • Lists the user's alerts not resolved yet in the Health Alerts
+//     panel (apiManager.getAlerts({ status: 'active' })): open ones
+//     can be marked as read (one or all), and × resolves an alert;
+//     the nav badge is refreshed afterwards (main.js)
+//   • While readings someone shared are being viewed
+//     (authManager.getViewedAccount()), shows those instead, in the
+//     owner's timezone; the devices card only covers the user's own
+//     devices, so it is left blank then, and the alerts panel is
+//     hidden
 //   • Enforces login on this page via authManager (auth.js)
 //   • Gracefully handles empty data sets and API errors
 // -------------------------------------------------------------
@@ -58,6 +71,28 @@
     const currentOxygenEl = document.getElementById('currentOxygen');
     const todayCountEl = document.getElementById('todayMeasurements');
     const activeDevicesEl = document.getElementById('activeDevices');
+    const devicesTrendEl = document.getElementById('devicesTrend');
+
+    // ---- Alerts panel elements ----
+    const alertsSectionEl = document.getElementById('alertsSection');
+    const alertsListEl = document.getElementById('alertsList');
+    const alertsEmptyEl = document.getElementById('alertsEmptyMessage');
+    const alertsMessageEl = document.getElementById('alertsMessage');
+    const acknowledgeAlertsBtn = document.getElementById('acknowledgeAlertsBtn');
+
+    // Shared account whose readings are shown, if any
+    const viewedAccount =
+      authManager && typeof authManager.getViewedAccount === 'function'
+        ? authManager.getViewedAccount()
+        : null;
+
+    // Timezone the server buckets days in; times are shown in it too
+    const userTimeZone =
+      viewedAccount && viewedAccount.timezone
+        ? viewedAccount.timezone
+        : authManager && typeof authManager.getTimeZone === 'function'
+        ? authManager.getTimeZone()
+        : undefined;
 
     // ---------------------------------------------------------
     // Helper: figure out measurement timestamp as Date
@@ -70,50 +105,11 @@
     }
 
     // ---------------------------------------------------------
-    // Range filtering: "today", "week", "month"
+    // Helper: server-side plausibility grade (see Measurement.quality).
+    // Readings without a grade (mock data, old records) count as valid.
     // ---------------------------------------------------------
-    function filterByRange(measurements, range) {
-      if (!Array.isArray(measurements) || measurements.length === 0) {
-        return [];
-      }
-
-      const now = new Date();
-      const startOfToday = new Date(
-        now.getFullYear(),
-        now.getMonth(),
-        now.getDate(),
-        0,
-        0,
-        0,
-        0
-      );
-
-      let start;
-
-      switch (range) {
-        case 'today':
-          start = startOfToday;
-          break;
-        case 'week':
-          // Last 7 days (including today)
-          start = new Date(startOfToday);
-          start.setDate(start.getDate() - 6);
-          break;
-        case 'month':
-          // Last 30 days
-          start = new Date(startOfToday);
-          start.setDate(start.getDate() - 29);
-          break;
-        default:
-          // Unknown range -> no filtering
-          return measurements;
-      }
-
-      return measurements.filter((m) => {
-        const t = getMeasurementTime(m);
-        if (!t) return false;
-        return t >= start && t <= now;
-      });
+    function isSuspect(m) {
+      return !!(m && m.quality && m.quality.status === 'suspect');
     }
 
     // ---------------------------------------------------------
@@ -268,6 +264,10 @@
       // Render only this page's items
       pageItems.forEach((m) => {
         const row = document.createElement('tr');
+        if (isSuspect(m)) {
+          row.classList.add('measurement-suspect');
+          row.title = `Suspect reading: ${(m.quality.reasons || []).join(', ')}`;
+        }
 
         const t = getMeasurementTime(m);
         const timeText = t
@@ -276,6 +276,7 @@
               day: 'numeric',
               hour: 'numeric',
               minute: '2-digit',
+              timeZone: userTimeZone,
             })
           : '--';
 
@@ -288,6 +289,7 @@
         const hrCell = document.createElement('td');
         hrCell.textContent =
           typeof m.heartRate === 'number' ? m.heartRate : '--';
+        if (isSuspect(m)) hrCell.textContent += ' ⚠';
 
         const spo2Val =
           typeof m.spo2 === 'number'
@@ -318,6 +320,12 @@
     function updateActiveDevicesCard() {
       if (!activeDevicesEl || !apiManager.getDevices) return;
 
+      if (viewedAccount) {
+        activeDevicesEl.textContent = '--';
+        if (devicesTrendEl) devicesTrendEl.textContent = 'Shared readings';
+        return;
+      }
+
       apiManager
         .getDevices()
         .then((devices) => {
@@ -325,7 +333,25 @@
             activeDevicesEl.textContent = '--';
             return;
           }
-          activeDevicesEl.textContent = String(devices.length);
+          // Online = heard from recently (status derived server-side)
+          const count = (status) => devices.filter((d) => d.status === status).length;
+          activeDevicesEl.textContent = String(count('online'));
+
+          if (devicesTrendEl) {
+            const notOnline = [
+              count('stale') && `${count('stale')} stale`,
+              count('offline') && `${count('offline')} offline`,
+              count('unknown') && `${count('unknown')} never seen`,
+            ].filter(Boolean);
+
+            if (devices.length === 0) {
+              devicesTrendEl.textContent = 'No devices yet';
+            } else {
+              devicesTrendEl.textContent = notOnline.length
+                ? notOnline.join(', ')
+                : 'All online';
+            }
+          }
         })
         .catch((err) => {
           console.warn(
@@ -336,6 +362,122 @@
         });
     }
 
+    // ---------------------------------------------------------
+    // Health Alerts panel (alerts not resolved yet)
+    // ---------------------------------------------------------
+    const ALERT_TITLES = {
+      'heart-rate-high': 'High Heart Rate',
+      'heart-rate-low': 'Low Heart Rate',
+      'spo2-low': 'Low Blood Oxygen',
+      'heart-rate-change': 'Sudden Heart Rate Change',
+      'spo2-drop': 'Blood Oxygen Drop',
+    };
+
+    // "just now", "12 min ago", "3 h ago", "2 d ago"
+    function timeAgo(date) {
+      const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+      if (minutes < 1) return 'just now';
+      if (minutes < 60) return `${minutes} min ago`;
+      if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+      return `${Math.floor(minutes / (24 * 60))} d ago`;
+    }
+
+    function showAlertsError(msg) {
+      if (!alertsMessageEl) return;
+      alertsMessageEl.textContent = msg;
+      alertsMessageEl.style.display = msg ? 'block' : 'none';
+    }
+
+    async function changeAlerts(update, failMessage) {
+      try {
+        await update();
+        showAlertsError('');
+      } catch (err) {
+        console.error('Dashboard: failed to update alerts', err);
+        showAlertsError(err.message || failMessage);
+      }
+      await loadAlerts();
+      if (window.heartTrackApp) window.heartTrackApp.refreshAlertBadge();
+    }
+
+    function renderAlerts(alerts) {
+      alertsListEl.innerHTML = '';
+      if (alertsEmptyEl) alertsEmptyEl.style.display = alerts.length ? 'none' : 'block';
+      if (acknowledgeAlertsBtn) {
+        acknowledgeAlertsBtn.disabled = !alerts.some((a) => a.status === 'open');
+      }
+
+      alerts.forEach((alert) => {
+        const isOpen = alert.status === 'open';
+
+        const item = document.createElement('div');
+        // Unread alerts stand out; read ones stay until resolved
+        item.className = `alert-item ${isOpen ? 'error' : 'warning'}`;
+
+        const icon = document.createElement('div');
+        icon.className = 'alert-icon';
+        icon.textContent = isOpen ? '🚨' : '⚠️';
+
+        const content = document.createElement('div');
+        content.className = 'alert-content';
+
+        const title = document.createElement('h4');
+        title.textContent = ALERT_TITLES[alert.rule] || 'Health Alert';
+
+        const message = document.createElement('p');
+        message.textContent = alert.message;
+
+        const time = document.createElement('span');
+        time.className = 'alert-time';
+        const readings = alert.readings > 1 ? ` · ${alert.readings} readings` : '';
+        time.textContent = `${alert.deviceId} · ${timeAgo(alert.lastTakenAt)}${readings}`;
+        time.title = new Date(alert.lastTakenAt).toLocaleString([], { timeZone: userTimeZone });
+
+        content.append(title, message, time);
+
+        if (isOpen) {
+          const readBtn = document.createElement('button');
+          readBtn.type = 'button';
+          readBtn.className = 'btn btn-secondary btn-sm';
+          readBtn.textContent = 'Mark as read';
+          readBtn.addEventListener('click', () =>
+            changeAlerts(
+              () => apiManager.updateAlert(alert._id, 'acknowledged'),
+              'Failed to update the alert.'
+            )
+          );
+          content.appendChild(readBtn);
+        }
+
+        const resolveBtn = document.createElement('button');
+        resolveBtn.type = 'button';
+        resolveBtn.className = 'alert-dismiss';
+        resolveBtn.textContent = '×';
+        resolveBtn.title = 'Resolve';
+        resolveBtn.addEventListener('click', () =>
+          changeAlerts(
+            () => apiManager.updateAlert(alert._id, 'resolved'),
+            'Failed to resolve the alert.'
+          )
+        );
+
+        item.append(icon, content, resolveBtn);
+        alertsListEl.appendChild(item);
+      });
+    }
+
+    async function loadAlerts() {
+      if (!alertsListEl || !apiManager.getAlerts) return;
+
+      try {
+        const alerts = await apiManager.getAlerts({ status: 'active' });
+        renderAlerts(Array.isArray(alerts) ? alerts : []);
+      } catch (err) {
+        console.warn('Dashboard: error loading alerts', err);
+        showAlertsError(err.message || 'Failed to load alerts.');
+      }
+    }
+
     // ---------------------------------------------------------
     // Chart updates via chartsManager (from charts.js)
     // ---------------------------------------------------------
@@ -381,8 +523,7 @@
       const range = rangeValue || rangeSelect.value || 'today';
 
       try {
-        // Ask backend for measurements (optionally passing range).
-        // Backend may or may not use the query; we still filter in the browser.
+        // The backend limits the readings to the range (in the user's timezone)
         const payload = await apiManager.getMeasurements({ range });
 
         // Support two shapes: array OR { measurements: [...] }
@@ -392,11 +533,12 @@
           ? payload.measurements
           : [];
 
-        const filtered = filterByRange(allMeasurements, range);
+        // Suspect readings stay visible in the table only
+        const trusted = allMeasurements.filter((m) => !isSuspect(m));
 
-        updateRecentTable(filtered);
-        updateStatCards(filtered);
-        updateCharts(filtered);
+        updateRecentTable(allMeasurements);
+        updateStatCards(trusted);
+        updateCharts(trusted);
         updateActiveDevicesCard();
       } catch (err) {
         console.error('Dashboard: failed to load measurements', err);
@@ -416,7 +558,23 @@
       loadMeasurementsAndRender(rangeSelect.value);
     });
 
+    if (acknowledgeAlertsBtn) {
+      acknowledgeAlertsBtn.addEventListener('click', () =>
+        changeAlerts(
+          () => apiManager.updateAllAlerts('acknowledged'),
+          'Failed to update the alerts.'
+        )
+      );
+    }
+
     // Initial load – use whatever is in the select (default "today")
     loadMeasurementsAndRender(rangeSelect.value);
+
+    // Alerts belong to the signed-in user, not to shared readings
+    if (viewedAccount) {
+      if (alertsSectionEl) alertsSectionEl.classList.add('hidden');
+    } else {
+      loadAlerts();
+    }
   });
 })();
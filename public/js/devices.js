@@ -8,9 +8,27 @@
 //     via apiManager.getDevices() and renders them into
 //     <table id="devices-table">.
 //   • Shows a friendly "no devices" empty state when none exist.
-//   • Handles the "Add Device" form, sending a POST request
-//     to /api/devices via apiManager.registerDevice().
-//   • Displays success / error messages when devices are added
+//   • Handles the "Pair a Device" form: the claim code shown by
+//     the device is sent to POST /api/devices/pair via
+//     apiManager.pairDevice(); the device then collects its own
+//     API key, so none is displayed here.
+//   • Lets the user edit a device (name, measurement interval,
+//     active hours) and activate / deactivate it via
+//     apiManager.updateDevice() → PUT /api/devices/:id.
+//   • Shows each device's health from its telemetry: online /
+//     stale / offline (derived server-side as `status`), when it
+//     was last seen, firmware version, Wi-Fi RSSI and readings
+//     still buffered in EEPROM.
+//   • Shows each device's API key status (last 4 chars) with
+//     "Rotate key" / "Revoke key" actions. Newly minted keys are
+//     displayed once in #deviceKeyNotice.
+//   • Offers to claim readings the device published before it was
+//     registered (quarantined server-side as "unclaimed readings").
+//   • "Remove" opens #removeDeviceSection, which shows how many
+//     readings the device has and lets the user archive it (history
+//     kept, DELETE ?mode=archive) or delete it with its readings
+//     (?mode=delete). Archived devices stay listed with "Restore".
+//   • Displays success / error messages when devices are paired
 //     or when API calls fail.
 //   • Logs helpful messages to the console for debugging
 //     (e.g., current auth state, loaded devices).
@@ -46,13 +64,28 @@ document.addEventListener('DOMContentLoaded', async () => {
   // ---- Grab DOM elements ----
   const tableBody = document.querySelector('#devices-table tbody');
   const emptyMessage = document.getElementById('devicesEmptyMessage');
-  const addDeviceForm = document.getElementById('addDeviceForm');
-  const deviceNameInput = document.getElementById('deviceName');
-  const deviceIdInput = document.getElementById('deviceId');
+  const pairDeviceForm = document.getElementById('pairDeviceForm');
+  const pairCodeInput = document.getElementById('pairClaimCode');
+  const pairNameInput = document.getElementById('pairDeviceName');
   const errorEl = document.getElementById('deviceMessage');
   const successEl = document.getElementById('deviceSuccess');
-
-  if (!tableBody || !addDeviceForm) {
+  const editSection = document.getElementById('editDeviceSection');
+  const editForm = document.getElementById('editDeviceForm');
+  const editNameInput = document.getElementById('editDeviceName');
+  const editIntervalSelect = document.getElementById('editDeviceInterval');
+  const editStartInput = document.getElementById('editDeviceStartTime');
+  const editEndInput = document.getElementById('editDeviceEndTime');
+  const editCancelBtn = document.getElementById('editDeviceCancel');
+  const keyNoticeEl = document.getElementById('deviceKeyNotice');
+  const keyValueEl = document.getElementById('deviceKeyValue');
+  const keyDeviceEl = document.getElementById('deviceKeyDevice');
+  const removeSection = document.getElementById('removeDeviceSection');
+  const removeSummaryEl = document.getElementById('removeDeviceSummary');
+  const removeArchiveBtn = document.getElementById('removeDeviceArchive');
+  const removeDeleteBtn = document.getElementById('removeDeviceDelete');
+  const removeCancelBtn = document.getElementById('removeDeviceCancel');
+
+  if (!tableBody || !pairDeviceForm) {
     console.warn('devices.js: required DOM elements not found');
     return;
   }
@@ -81,10 +114,133 @@ document.addEventListener('DOMContentLoaded', async () => {
   function clearMessages() {
     if (errorEl) errorEl.style.display = 'none';
     if (successEl) successEl.style.display = 'none';
+    apiManager.clearFieldErrors(pairDeviceForm);
+    apiManager.clearFieldErrors(editForm);
+  }
+
+  // API field names → inputs, for 422 validation errors
+  const PAIR_DEVICE_FIELDS = { claimCode: 'pairClaimCode', name: 'pairDeviceName' };
+  const EDIT_DEVICE_FIELDS = {
+    name: 'editDeviceName',
+    'settings.measurementInterval': 'editDeviceInterval',
+    'settings.timeRange.start': 'editDeviceStartTime',
+    'settings.timeRange.end': 'editDeviceEndTime',
+  };
+
+  // Show a freshly minted API key (the server only returns it once)
+  function showApiKey(device, apiKey) {
+    if (!keyNoticeEl || !keyValueEl || !apiKey) return;
+    keyValueEl.textContent = apiKey;
+    if (keyDeviceEl) {
+      keyDeviceEl.textContent = `For device: ${device.name || device.deviceId}`;
+    }
+    keyNoticeEl.style.display = 'block';
+  }
+
+  function hideApiKey() {
+    if (keyNoticeEl) keyNoticeEl.style.display = 'none';
+    if (keyValueEl) keyValueEl.textContent = '';
+  }
+
+  // Last list we rendered, so "Edit" can prefill from it
+  let currentDevices = [];
+  let editingId = null;
+
+  // ---- Edit panel helpers ----
+  function openEditor(device) {
+    if (!editSection || !editForm) return;
+
+    const settings = device.settings || {};
+    const timeRange = settings.timeRange || {};
+
+    editingId = device._id || device.id;
+    editNameInput.value = device.name || '';
+    editIntervalSelect.value = String(settings.measurementInterval || 30);
+    editStartInput.value = timeRange.start || '06:00';
+    editEndInput.value = timeRange.end || '22:00';
+
+    editSection.style.display = 'block';
+    editNameInput.focus();
+  }
+
+  function closeEditor() {
+    editingId = null;
+    if (editSection) editSection.style.display = 'none';
+  }
+
+  // ---- Remove dialog helpers ----
+  let removing = null;
+
+  function openRemoveDialog(device) {
+    if (!removeSection) return;
+
+    removing = device;
+    const count = device.measurementCount || 0;
+    removeSummaryEl.textContent =
+      `"${device.name || device.deviceId}" has ${count} stored reading(s).`;
+
+    // An archived device can only be deleted for good
+    removeArchiveBtn.style.display = device.archivedAt ? 'none' : '';
+    removeDeleteBtn.textContent = count > 0
+      ? `Delete device and ${count} reading(s)`
+      : 'Delete device';
+
+    removeSection.style.display = 'block';
+    removeSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  function closeRemoveDialog() {
+    removing = null;
+    if (removeSection) removeSection.style.display = 'none';
+  }
+
+  // ---- Device health (telemetry) helpers ----
+  const CONNECTION_LABELS = {
+    online: 'Online',
+    stale: 'Stale',
+    offline: 'Offline',
+    unknown: 'Never seen',
+  };
+
+  // "just now", "12 min ago", "3 h ago", "2 d ago"
+  function timeAgo(date) {
+    const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return `${Math.floor(minutes / (24 * 60))} d ago`;
+  }
+
+  function renderHealth(td, device) {
+    const telemetry = device.telemetry || {};
+    const status = device.status || 'unknown';
+
+    const statusLine = document.createElement('div');
+    statusLine.className = `device-connection device-connection-${status}`;
+    statusLine.textContent = CONNECTION_LABELS[status] || status;
+    if (telemetry.lastSeenAt) {
+      statusLine.textContent += ` · ${timeAgo(telemetry.lastSeenAt)}`;
+      statusLine.title = new Date(telemetry.lastSeenAt).toLocaleString();
+    }
+    td.appendChild(statusLine);
+
+    const details = [];
+    if (telemetry.firmwareVersion) details.push(`FW ${telemetry.firmwareVersion}`);
+    if (telemetry.rssi != null) details.push(`${telemetry.rssi} dBm`);
+    if (telemetry.bufferedRecords > 0) details.push(`${telemetry.bufferedRecords} buffered`);
+
+    if (details.length) {
+      const detailLine = document.createElement('div');
+      detailLine.className = 'form-helper-text';
+      detailLine.textContent = details.join(' · ');
+      td.appendChild(detailLine);
+    }
   }
 
   // ---- Render devices into the table ----
   function renderDevices(devices) {
+    currentDevices = devices || [];
+
     // Clear existing rows
     tableBody.innerHTML = '';
 
@@ -104,6 +260,21 @@ document.addEventListener('DOMContentLoaded', async () => {
       const idTd = document.createElement('td');
       idTd.textContent = device.deviceId || device.id || '(no id)';
 
+      const statusTd = document.createElement('td');
+      if (device.archivedAt) {
+        statusTd.textContent = 'Archived';
+      } else {
+        statusTd.textContent = device.active === false ? 'Inactive' : 'Active';
+      }
+
+      const healthTd = document.createElement('td');
+      renderHealth(healthTd, device);
+
+      const keyTd = document.createElement('td');
+      keyTd.textContent = device.apiKeyLast4
+        ? `••••${device.apiKeyLast4}`
+        : 'Revoked';
+
       const createdTd = document.createElement('td');
       const dateStr = device.createdAt
         ? new Date(device.createdAt).toLocaleString()
@@ -120,10 +291,78 @@ document.addEventListener('DOMContentLoaded', async () => {
       // Use Mongo _id if available; fall back to generic id
       removeBtn.dataset.id = device._id || device.id;
 
+      // Archived devices can only be restored or deleted for good
+      if (device.archivedAt) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.className = 'btn btn-secondary btn-sm device-restore-btn';
+        restoreBtn.dataset.id = device._id || device.id;
+
+        actionsTd.appendChild(restoreBtn);
+        actionsTd.appendChild(removeBtn);
+
+        tr.appendChild(nameTd);
+        tr.appendChild(idTd);
+        tr.appendChild(statusTd);
+        tr.appendChild(healthTd);
+        tr.appendChild(keyTd);
+        tr.appendChild(createdTd);
+        tr.appendChild(actionsTd);
+
+        tableBody.appendChild(tr);
+        return;
+      }
+
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.textContent = 'Edit';
+      editBtn.className = 'btn btn-secondary btn-sm device-edit-btn';
+      editBtn.dataset.id = device._id || device.id;
+
+      const toggleBtn = document.createElement('button');
+      toggleBtn.type = 'button';
+      toggleBtn.textContent = device.active === false ? 'Activate' : 'Deactivate';
+      toggleBtn.className = 'btn btn-secondary btn-sm device-toggle-btn';
+      toggleBtn.dataset.id = device._id || device.id;
+      toggleBtn.dataset.active = String(device.active !== false);
+
+      actionsTd.appendChild(editBtn);
+      actionsTd.appendChild(toggleBtn);
+
+      const rotateBtn = document.createElement('button');
+      rotateBtn.type = 'button';
+      rotateBtn.textContent = device.apiKeyLast4 ? 'Rotate key' : 'Issue key';
+      rotateBtn.className = 'btn btn-secondary btn-sm device-rotate-key-btn';
+      rotateBtn.dataset.id = device._id || device.id;
+
+      actionsTd.appendChild(rotateBtn);
+
+      if (device.apiKeyLast4) {
+        const revokeBtn = document.createElement('button');
+        revokeBtn.type = 'button';
+        revokeBtn.textContent = 'Revoke key';
+        revokeBtn.className = 'btn btn-secondary btn-sm device-revoke-key-btn';
+        revokeBtn.dataset.id = device._id || device.id;
+        actionsTd.appendChild(revokeBtn);
+      }
+
+      if (device.unclaimedReadings > 0) {
+        const claimBtn = document.createElement('button');
+        claimBtn.type = 'button';
+        claimBtn.textContent = `Claim ${device.unclaimedReadings} reading(s)`;
+        claimBtn.className = 'btn btn-primary btn-sm device-claim-btn';
+        claimBtn.dataset.id = device._id || device.id;
+        actionsTd.appendChild(claimBtn);
+      }
+
       actionsTd.appendChild(removeBtn);
 
       tr.appendChild(nameTd);
       tr.appendChild(idTd);
+      tr.appendChild(statusTd);
+      tr.appendChild(healthTd);
+      tr.appendChild(keyTd);
       tr.appendChild(createdTd);
       tr.appendChild(actionsTd);
 
@@ -136,7 +375,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     clearMessages();
 
     try {
-      const data = await apiManager.getDevices();
+      const data = await apiManager.getDevices({ includeArchived: true });
       // Depending on how the backend responds, data might be:
       //   [ {..}, {..} ]  OR  { devices: [..] }
       const devices = Array.isArray(data) ? data : data.devices || [];
@@ -148,41 +387,174 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  // ---- Handle "Add Device" form submit ----
-  addDeviceForm.addEventListener('submit', async (evt) => {
-    evt.preventDefault();
-    clearMessages();
+  // ---- Claim quarantined readings for a device ----
+  async function claimReadings(id) {
+    const data = await apiManager.claimDeviceReadings(id);
+    showSuccess(`Added ${data.claimed} earlier reading(s) to your account.`);
+  }
 
-    const name = deviceNameInput.value.trim();
-    const deviceId = deviceIdInput.value.trim();
+  // ---- Handle "Pair a Device" form submit ----
+  if (pairDeviceForm) {
+    pairDeviceForm.addEventListener('submit', async (evt) => {
+      evt.preventDefault();
+      clearMessages();
+
+      const claimCode = pairCodeInput.value.trim();
+      const name = pairNameInput.value.trim();
+
+      if (!claimCode || !name) {
+        showError('Please enter both the claim code and a device name.');
+        return;
+      }
+
+      try {
+        const data = await apiManager.pairDevice(claimCode, name);
+        const device = data.device || {};
+
+        hideApiKey();
+        showSuccess(data.message || 'Device paired.');
+
+        // Readings published before pairing are waiting in quarantine
+        if (device.unclaimedReadings > 0) {
+          const claim = window.confirm(
+            `This device already sent ${device.unclaimedReadings} reading(s) before it was paired. Add them to your account?`
+          );
+          if (claim) {
+            await claimReadings(device._id || device.id);
+          }
+        }
+
+        pairCodeInput.value = '';
+        pairNameInput.value = '';
+
+        await loadDevices();
+      } catch (err) {
+        console.error('Error pairing device:', err);
+        if (apiManager.showFieldErrors(pairDeviceForm, err.fieldErrors, PAIR_DEVICE_FIELDS)) return;
+        showError(err.message || 'Failed to pair device.');
+      }
+    });
+  }
 
-    if (!name || !deviceId) {
-      showError('Please enter both a device name and device ID.');
+  // ---- Handle "Edit" / "Activate" / "Deactivate" clicks ----
+  tableBody.addEventListener('click', async (evt) => {
+    const editBtn = evt.target.closest('.device-edit-btn');
+    if (editBtn) {
+      const device = currentDevices.find(
+        (d) => (d._id || d.id) === editBtn.dataset.id
+      );
+      if (device) openEditor(device);
       return;
     }
 
+    const toggleBtn = evt.target.closest('.device-toggle-btn');
+    if (!toggleBtn || !toggleBtn.dataset.id) return;
+
+    const makeActive = toggleBtn.dataset.active !== 'true';
+    clearMessages();
+
+    try {
+      await apiManager.updateDevice(toggleBtn.dataset.id, { active: makeActive });
+      showSuccess(makeActive ? 'Device activated.' : 'Device deactivated. Its readings will be refused.');
+      await loadDevices();
+    } catch (err) {
+      console.error('Error updating device:', err);
+      showError(err.message || 'Failed to update device.');
+    }
+  });
+
+  // ---- Handle "Edit Device" form submit ----
+  if (editForm) {
+    editForm.addEventListener('submit', async (evt) => {
+      evt.preventDefault();
+      if (!editingId) return;
+      clearMessages();
+
+      const name = editNameInput.value.trim();
+      if (!name) {
+        showError('Device name cannot be empty.');
+        return;
+      }
+
+      const payload = {
+        name,
+        settings: {
+          measurementInterval: Number(editIntervalSelect.value) || 30,
+          timeRange: {
+            start: editStartInput.value || '06:00',
+            end: editEndInput.value || '22:00',
+          },
+        },
+      };
+
+      try {
+        await apiManager.updateDevice(editingId, payload);
+        closeEditor();
+        showSuccess('Device updated successfully.');
+        await loadDevices();
+      } catch (err) {
+        console.error('Error saving device:', err);
+        if (apiManager.showFieldErrors(editForm, err.fieldErrors, EDIT_DEVICE_FIELDS)) return;
+        showError(err.message || 'Failed to save device.');
+      }
+    });
+  }
+
+  if (editCancelBtn) {
+    editCancelBtn.addEventListener('click', closeEditor);
+  }
+
+  // ---- Handle "Claim readings" clicks ----
+  tableBody.addEventListener('click', async (evt) => {
+    const btn = evt.target.closest('.device-claim-btn');
+    if (!btn || !btn.dataset.id) return;
+
+    clearMessages();
+
     try {
-      const payload = { name, deviceId };
-      console.log('Registering new device with payload:', payload);
+      await claimReadings(btn.dataset.id);
+      await loadDevices();
+    } catch (err) {
+      console.error('Error claiming readings:', err);
+      showError(err.message || 'Failed to claim readings.');
+    }
+  });
 
-      await apiManager.registerDevice(payload);
+  // ---- Handle "Rotate key" / "Revoke key" clicks ----
+  tableBody.addEventListener('click', async (evt) => {
+    const rotateBtn = evt.target.closest('.device-rotate-key-btn');
+    const revokeBtn = evt.target.closest('.device-revoke-key-btn');
+    const btn = rotateBtn || revokeBtn;
+    if (!btn || !btn.dataset.id) return;
 
-      showSuccess('Device registered successfully.');
+    const confirmed = window.confirm(
+      rotateBtn
+        ? 'Issue a new API key for this device? The current key will stop working immediately.'
+        : 'Revoke this device\'s API key? It will not be able to upload readings until a new key is issued.'
+    );
+    if (!confirmed) return;
 
-      // Clear inputs
-      deviceNameInput.value = '';
-      deviceIdInput.value = '';
+    clearMessages();
+    hideApiKey();
 
-      // Reload table
+    try {
+      if (rotateBtn) {
+        const data = await apiManager.rotateDeviceKey(btn.dataset.id);
+        showSuccess('New API key issued. Update your device configuration.');
+        showApiKey(data.device || {}, data.apiKey);
+      } else {
+        await apiManager.revokeDeviceKey(btn.dataset.id);
+        showSuccess('API key revoked.');
+      }
       await loadDevices();
     } catch (err) {
-      console.error('Error registering device:', err);
-      showError(err.message || 'Failed to register device.');
+      console.error('Error updating device key:', err);
+      showError(err.message || 'Failed to update device key.');
     }
   });
 
   // ---- Handle "Remove" clicks via event delegation ----
-  tableBody.addEventListener('click', async (evt) => {
+  tableBody.addEventListener('click', (evt) => {
     const btn = evt.target.closest('.device-remove-btn');
     if (!btn) return;
 
@@ -192,22 +564,67 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    const confirmed = window.confirm(
-      'Remove this device from your account? Existing measurements will NOT be deleted.'
-    );
-    if (!confirmed) return;
+    const device = currentDevices.find((d) => (d._id || d.id) === deviceId);
+    if (device) {
+      clearMessages();
+      openRemoveDialog(device);
+    }
+  });
+
+  async function removeDevice(mode) {
+    if (!removing) return;
+    const device = removing;
+    const id = device._id || device.id;
+
+    if (mode === 'delete') {
+      const confirmed = window.confirm(
+        `Permanently delete "${device.name || device.deviceId}" and ${device.measurementCount || 0} reading(s)? This cannot be undone.`
+      );
+      if (!confirmed) return;
+    }
 
     clearMessages();
 
     try {
-      console.log('Removing device with id:', deviceId);
-      await apiManager.deleteDevice(deviceId);
-      showSuccess('Device removed successfully.');
+      console.log(`Removing device with id: ${id} (mode: ${mode})`);
+      const data = await apiManager.deleteDevice(id, mode);
+      closeRemoveDialog();
+      showSuccess(
+        mode === 'delete'
+          ? `Device deleted along with ${data.deletedMeasurements} reading(s).`
+          : `Device archived. ${data.measurements} reading(s) kept in your history.`
+      );
       await loadDevices();
     } catch (err) {
       console.error('Error removing device:', err);
       showError(err.message || 'Failed to remove device.');
     }
+  }
+
+  if (removeArchiveBtn && removeDeleteBtn) {
+    removeArchiveBtn.addEventListener('click', () => removeDevice('archive'));
+    removeDeleteBtn.addEventListener('click', () => removeDevice('delete'));
+  }
+
+  if (removeCancelBtn) {
+    removeCancelBtn.addEventListener('click', closeRemoveDialog);
+  }
+
+  // ---- Handle "Restore" clicks (archived devices) ----
+  tableBody.addEventListener('click', async (evt) => {
+    const btn = evt.target.closest('.device-restore-btn');
+    if (!btn || !btn.dataset.id) return;
+
+    clearMessages();
+
+    try {
+      const data = await apiManager.restoreDevice(btn.dataset.id);
+      showSuccess(data.message || 'Device restored.');
+      await loadDevices();
+    } catch (err) {
+      console.error('Error restoring device:', err);
+      showError(err.message || 'Failed to restore device.');
+    }
   });
 
   // Initial load
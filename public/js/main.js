@@ -14,6 +14,16 @@
 //   • Sets up scroll-based "fade in" animations for cards
 //     (.feature-card, .step, .stat-card) using an
 //     IntersectionObserver.
+//   • Fills #sharedViewBanner (reading pages) while the tab shows
+//     readings another account shared, with a way back to the
+//     user's own (authManager.getViewedAccount()), or, for a
+//     patient opened from the clinician roster, back to the roster.
+//   • Shows nav links marked data-role="<role>" (Patients for
+//     "clinician", Admin for "admin") to accounts with that role
+//     only.
+//   • Shows the number of unread (open) alerts next to the
+//     Dashboard nav link on signed-in pages (refreshAlertBadge(),
+//     also called by dashboard.js after alerts change).
 //   • Exposes small utility helpers (showNotification,
 //     formatDate, formatTime, debounce, throttle) that
 //     other scripts can call via window.heartTrackApp.
@@ -29,6 +39,9 @@ class HeartTrackApp {
         this.setupSmoothScrolling();
         this.setupFormValidation();
         this.setupAnimations();
+        this.setupSharedViewBanner();
+        this.setupRoleNav();
+        this.refreshAlertBadge();
     }
 
     setupMobileMenu() {
@@ -202,6 +215,69 @@ class HeartTrackApp {
         });
     }
 
+    setupSharedViewBanner() {
+        const banner = document.getElementById('sharedViewBanner');
+        const authManager = window.authManager;
+        const viewed = authManager && authManager.getViewedAccount();
+        if (!banner || !viewed) return;
+
+        const text = document.createElement('span');
+        text.textContent = viewed.patient
+            ? `Viewing readings of your patient ${viewed.name}.`
+            : `Viewing readings shared by ${viewed.name}.`;
+
+        const backBtn = document.createElement('button');
+        backBtn.type = 'button';
+        backBtn.className = 'btn btn-secondary';
+        backBtn.textContent = viewed.patient ? 'Back to patient list' : 'Back to my readings';
+        backBtn.addEventListener('click', () => {
+            authManager.setViewedAccount(null);
+            if (viewed.patient) {
+                window.location.href = 'clinician.html';
+            } else {
+                window.location.reload();
+            }
+        });
+
+        banner.append(text, backBtn);
+        banner.classList.remove('hidden');
+    }
+
+    setupRoleNav() {
+        const authManager = window.authManager;
+        const role = authManager && authManager.getRole();
+        if (!role) return;
+
+        document.querySelectorAll(`.nav-link[data-role="${role}"]`).forEach(link => {
+            link.classList.remove('hidden');
+        });
+    }
+
+    async refreshAlertBadge() {
+        const authManager = window.authManager;
+        const apiManager = window.apiManager;
+        const link = document.querySelector('.nav-link[href="dashboard.html"]');
+        // Only on signed-in pages (they have the Logout link)
+        if (!link || !document.getElementById('logoutBtn') || !apiManager ||
+            !authManager || !authManager.isAuthenticated()) return;
+
+        try {
+            const { unread } = await apiManager.getAlertSummary();
+
+            let badge = link.querySelector('.nav-badge');
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'nav-badge';
+                link.appendChild(badge);
+            }
+            badge.textContent = unread > 99 ? '99+' : String(unread);
+            badge.title = `${unread} unread alert${unread === 1 ? '' : 's'}`;
+            badge.classList.toggle('hidden', unread === 0);
+        } catch (err) {
+            console.warn('Could not load the unread alert count', err);
+        }
+    }
+
     // Utility methods
     showNotification(message, type = 'info', duration = 3000) {
         const notification = document.createElement('div');
@@ -0,0 +1,115 @@
+// public/js/reset-password.js
+// -------------------------------------------------------------
+// Heart Track - Password Reset Page Logic
+// -------------------------------------------------------------
+//  Two steps on reset-password.html:
+//    1) Without ?token= in the URL, #forgotForm asks for the account
+//       email and calls POST /api/auth/forgot-password. The answer is
+//       the same whether or not the email is registered.
+//    2) Opened from the emailed link (?token=...), #resetForm takes
+//       the new password and calls POST /api/auth/reset-password,
+//       then sends the user back to login.html.
+//  Uses plain fetch (no auth headers: the user is logged out).
+// -------------------------------------------------------------
+
+(function () {
+  console.log('reset-password.js loaded');
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const forgotForm = document.getElementById('forgotForm');
+    const resetForm = document.getElementById('resetForm');
+
+    if (!forgotForm || !resetForm) {
+      console.warn('Reset password: forms not found; skipping reset-password.js');
+      return;
+    }
+
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    // ---------- Helpers ----------
+    function setLoading(form, isLoading) {
+      const button = form.querySelector('.form-button');
+      button.disabled = isLoading;
+      button.querySelector('.button-text').classList.toggle('hidden', isLoading);
+      button.querySelector('.loading').classList.toggle('hidden', !isLoading);
+    }
+
+    function showText(el, text) {
+      el.textContent = text;
+      el.classList.remove('hidden');
+    }
+
+    function hide(...els) {
+      els.forEach((el) => el.classList.add('hidden'));
+    }
+
+    async function postJson(path, body) {
+      const response = await fetch(`/api/auth/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `Request failed (HTTP ${response.status})`);
+      }
+      return data;
+    }
+
+    // ---------- Show the right step ----------
+    if (token) {
+      forgotForm.classList.remove('active');
+      resetForm.classList.add('active');
+    }
+
+    // ---------- Step 1: request a link ----------
+    const forgotSuccess = document.getElementById('forgotSuccess');
+    const forgotError = document.getElementById('forgotError');
+
+    forgotForm.addEventListener('submit', async (evt) => {
+      evt.preventDefault();
+      hide(forgotSuccess, forgotError);
+      setLoading(forgotForm, true);
+
+      try {
+        const email = document.getElementById('forgotEmail').value.trim();
+        const data = await postJson('forgot-password', { email });
+        showText(forgotSuccess, data.message);
+      } catch (err) {
+        showText(forgotError, err.message);
+      } finally {
+        setLoading(forgotForm, false);
+      }
+    });
+
+    // ---------- Step 2: set the new password ----------
+    const resetSuccess = document.getElementById('resetSuccess');
+    const resetError = document.getElementById('resetError');
+
+    resetForm.addEventListener('submit', async (evt) => {
+      evt.preventDefault();
+      hide(resetSuccess, resetError);
+
+      const password = document.getElementById('resetPassword').value;
+      const confirm = document.getElementById('resetConfirmPassword').value;
+      if (password !== confirm) {
+        showText(resetError, 'Passwords do not match');
+        return;
+      }
+
+      setLoading(resetForm, true);
+      try {
+        const data = await postJson('reset-password', { token, password });
+        showText(resetSuccess, data.message);
+        resetForm.querySelector('.form-button').disabled = true;
+
+        setTimeout(() => {
+          window.location.href = 'login.html';
+        }, 2000);
+      } catch (err) {
+        showText(resetError, err.message);
+        setLoading(resetForm, false);
+      }
+    });
+  });
+})();
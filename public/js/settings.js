@@ -2,12 +2,30 @@
 // -------------------------------------------------------------
 // Heart Track - Settings Page Logic
 // -------------------------------------------------------------
-//  1) Reads the logged-in user from auth.js (heartTrackUser / /api/users/me).
+//  1) Reads the logged-in user from GET /api/users/me (falls back to
+//     the heartTrackUser copy from auth.js if the call fails).
 //  2) Calls /api/devices to show how many devices are registered.
-//  3) Loads/saves UI preferences (interval, notifications,
-//     active hours) in localStorage so they persist per-browser.
+//  3) Loads/saves preferences (interval, reminders, active hours,
+//     units, timezone) through /api/users/me/settings so they follow
+//     the account across browsers.
+//     Interval + active hours are also pushed to every registered
+//     device (PUT /api/devices/:id), and the server relays them to
+//     the Photon on its next publish.
 //  4) Allows updating profile name and password via /api/users/me
 //     (email remains read-only).
+//  5) Shows whether the email address is verified and can resend the
+//     verification link (POST /api/auth/verify/resend).
+//  6) Two-factor authentication: enrollment with a QR code
+//     (/api/users/me/2fa/setup + /enable), then turning it off or
+//     replacing recovery codes after re-entering the password.
+//  7) "Sign out of all devices" revokes every session of the account
+//     (POST /api/auth/logout-all via authManager.logoutAll()).
+//  8) Data & privacy: "Download my data" saves the JSON archive from
+//     GET /api/users/me/export; the danger zone deletes the account
+//     (DELETE /api/users/me, password required) and logs out.
+//  9) Alert rules: loads and saves the limits that raise dashboard
+//     alerts (GET/PUT /api/alerts/rules); a blank limit is sent as
+//     null, which turns that rule off.
 // -------------------------------------------------------------
 
 (function () {
@@ -40,11 +58,62 @@
     const notifSelect      = document.getElementById('settingsNotifications');
     const startTimeInput   = document.getElementById('settingsStartTime');
     const endTimeInput     = document.getElementById('settingsEndTime');
+    const unitsSelect      = document.getElementById('settingsUnits');
+    const timezoneSelect   = document.getElementById('settingsTimezone');
 
     const currentPwInput   = document.getElementById('settingsCurrentPassword');
     const newPwInput       = document.getElementById('settingsNewPassword');
 
     const messageEl        = document.getElementById('settingsMessage');
+    const logoutAllBtn     = document.getElementById('settingsLogoutAll');
+    const emailStatusEl    = document.getElementById('settingsEmailStatus');
+    const resendVerifyBtn  = document.getElementById('settingsResendVerification');
+
+    const twoFactorStatusEl    = document.getElementById('settings2faStatus');
+    const twoFactorSetupBtn    = document.getElementById('settings2faSetup');
+    const twoFactorEnrollEl    = document.getElementById('settings2faEnroll');
+    const twoFactorQrImg       = document.getElementById('settings2faQr');
+    const twoFactorSecretEl    = document.getElementById('settings2faSecret');
+    const twoFactorCodeInput   = document.getElementById('settings2faCode');
+    const twoFactorEnableBtn   = document.getElementById('settings2faEnable');
+    const twoFactorManageEl    = document.getElementById('settings2faManage');
+    const twoFactorPwInput     = document.getElementById('settings2faPassword');
+    const twoFactorRegenBtn    = document.getElementById('settings2faRegenerate');
+    const twoFactorDisableBtn  = document.getElementById('settings2faDisable');
+    const recoveryEl           = document.getElementById('settings2faRecovery');
+    const recoveryListEl       = document.getElementById('settings2faRecoveryList');
+
+    const exportDataBtn        = document.getElementById('settingsExportData');
+    const deletePwInput        = document.getElementById('settingsDeletePassword');
+    const deleteAccountBtn     = document.getElementById('settingsDeleteAccount');
+
+    const alertRulesForm       = document.getElementById('alertRulesForm');
+    const alertRulesEnabledEl  = document.getElementById('alertRulesEnabled');
+    const alertRulesMessageEl  = document.getElementById('alertRulesMessage');
+
+    // API field names → inputs, for 422 validation errors
+    const SETTINGS_FIELDS = {
+      name: 'settingsName',
+      timezone: 'settingsTimezone',
+      currentPassword: 'settingsCurrentPassword',
+      newPassword: 'settingsNewPassword',
+      measurementInterval: 'settingsInterval',
+      reminders: 'settingsNotifications',
+      'timeRange.start': 'settingsStartTime',
+      'timeRange.end': 'settingsEndTime',
+      units: 'settingsUnits',
+    };
+
+    // Alert rule fields → inputs (also used for 422 validation errors)
+    const ALERT_RULE_FIELDS = {
+      heartRateHigh: 'alertHeartRateHigh',
+      heartRateLow: 'alertHeartRateLow',
+      spo2Low: 'alertSpo2Low',
+      sustainedReadings: 'alertSustainedReadings',
+      heartRateChange: 'alertHeartRateChange',
+      spo2Drop: 'alertSpo2Drop',
+      changeWindowMinutes: 'alertChangeWindow',
+    };
 
     if (
       !accountEmailEl || !emailInput ||
@@ -61,41 +130,16 @@
     const authManager = window.authManager;
 
     // ---------- Helpers ----------
-    const PREFS_KEY = 'heartTrackSettings';
-    const USER_KEY  = 'heartTrackUser';
+    const USER_KEY = 'heartTrackUser';
 
-    function loadPreferences() {
-      try {
-        const raw = localStorage.getItem(PREFS_KEY);
-        if (!raw) {
-          return {
-            intervalMinutes: 30,
-            notifications: 'on',
-            startTime: '06:00',
-            endTime: '22:00',
-          };
-        }
-        const parsed = JSON.parse(raw);
-        return {
-          intervalMinutes: parsed.intervalMinutes ?? 30,
-          notifications:   parsed.notifications   ?? 'on',
-          startTime:       parsed.startTime       ?? '06:00',
-          endTime:         parsed.endTime         ?? '22:00',
-        };
-      } catch (err) {
-        console.error('Settings: error parsing stored preferences', err);
-        return {
-          intervalMinutes: 30,
-          notifications: 'on',
-          startTime: '06:00',
-          endTime: '22:00',
-        };
-      }
-    }
-
-    function savePreferences(prefs) {
-      localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
-    }
+    // Shown until GET /api/users/me/settings answers
+    const DEFAULT_SETTINGS = {
+      measurementInterval: 30,
+      reminders: true,
+      timeRange: { start: '06:00', end: '22:00' },
+      units: 'metric',
+      timezone: authManager ? authManager.getTimeZone() : undefined,
+    };
 
     function formatDateTime(value) {
       if (!value) return '--';
@@ -108,26 +152,86 @@
       }
     }
 
-    function updatePreferenceCards(prefs) {
+    // Offer every zone the browser knows; keep the current one selectable
+    function fillTimezoneOptions(current) {
+      if (!timezoneSelect) return;
+
+      const zones =
+        typeof Intl.supportedValuesOf === 'function'
+          ? Intl.supportedValuesOf('timeZone')
+          : [];
+      if (current && !zones.includes(current)) zones.unshift(current);
+
+      timezoneSelect.innerHTML = '';
+      zones.forEach((zone) => {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        timezoneSelect.appendChild(option);
+      });
+    }
+
+    function applySettingsToForm(settings) {
+      const timeRange = settings.timeRange || DEFAULT_SETTINGS.timeRange;
+
+      intervalSelect.value = String(settings.measurementInterval);
+      notifSelect.value    = settings.reminders === false ? 'off' : 'on';
+      startTimeInput.value = timeRange.start;
+      endTimeInput.value   = timeRange.end;
+      if (unitsSelect) unitsSelect.value = settings.units || 'metric';
+      if (timezoneSelect && settings.timezone) {
+        if (!timezoneSelect.querySelector(`option[value="${settings.timezone}"]`)) {
+          fillTimezoneOptions(settings.timezone);
+        }
+        timezoneSelect.value = settings.timezone;
+      }
+    }
+
+    function readSettingsFromForm() {
+      const settings = {
+        measurementInterval: Number(intervalSelect.value) || 30,
+        reminders: notifSelect.value !== 'off',
+        timeRange: {
+          start: startTimeInput.value || '06:00',
+          end:   endTimeInput.value || '22:00',
+        },
+      };
+      if (unitsSelect) settings.units = unitsSelect.value;
+      if (timezoneSelect && timezoneSelect.value) {
+        settings.timezone = timezoneSelect.value;
+      }
+      return settings;
+    }
+
+    function updatePreferenceCards(settings) {
       if (intervalLabelEl) {
-        intervalLabelEl.textContent = `Every ${prefs.intervalMinutes} minutes`;
+        intervalLabelEl.textContent = `Every ${settings.measurementInterval} minutes`;
       }
       if (intervalHintEl) {
-        intervalHintEl.textContent =
-          'This is a demo preference stored in your browser. In a full system, it would configure the device schedule.';
+        intervalHintEl.textContent = userDevices.length
+          ? 'Applied to your devices the next time they upload a reading.'
+          : 'Register a device to apply this schedule to it.';
       }
 
       if (notifLabelEl) {
-        notifLabelEl.textContent = prefs.notifications === 'off' ? 'Off' : 'On';
+        notifLabelEl.textContent = settings.reminders === false ? 'Off' : 'On';
       }
       if (notifHintEl) {
         notifHintEl.textContent =
-          prefs.notifications === 'off'
-            ? 'Reminders are disabled for this browser.'
-            : 'Reminders are enabled for this browser (demo only).';
+          settings.reminders === false
+            ? 'Reminders are disabled for your account.'
+            : 'Reminders are enabled for your account.';
       }
     }
 
+    // Keep auth.js's cached user in step (other pages read timezone from it)
+    function cacheUser(user) {
+      const storage = localStorage.getItem(USER_KEY) ? localStorage : sessionStorage;
+      try {
+        storage.setItem(USER_KEY, JSON.stringify(user));
+      } catch (_) {}
+    }
+
     function getCurrentUserFromStorage() {
       const fromLocal   = localStorage.getItem(USER_KEY);
       const fromSession = sessionStorage.getItem(USER_KEY);
@@ -141,33 +245,68 @@
       }
     }
 
+    function showUser(user) {
+      accountEmailEl.textContent = user.email || '--';
+      emailInput.value = user.email || '';
+      nameInput && (nameInput.value = user.name || '');
+
+      accountCreatedEl.textContent = user.createdAt
+        ? `Account created: ${formatDateTime(user.createdAt)}`
+        : 'Account creation time not available.';
+
+      showEmailStatus(user);
+      showTwoFactorStatus(Boolean(user.twoFactorEnabled));
+    }
+
+    function showTwoFactorStatus(enabled) {
+      if (!twoFactorStatusEl) return;
+
+      twoFactorStatusEl.textContent = enabled
+        ? '🔒 On. Signing in asks for a code from your authenticator app.'
+        : 'Off. Add a code from your phone to your password for extra protection.';
+
+      twoFactorSetupBtn && twoFactorSetupBtn.classList.toggle('hidden', enabled);
+      twoFactorManageEl && twoFactorManageEl.classList.toggle('hidden', !enabled);
+      twoFactorEnrollEl && twoFactorEnrollEl.classList.add('hidden');
+    }
+
+    function showRecoveryCodes(codes) {
+      if (!recoveryEl || !recoveryListEl) return;
+
+      recoveryListEl.innerHTML = '';
+      codes.forEach((code) => {
+        const li = document.createElement('li');
+        const codeEl = document.createElement('code');
+        codeEl.textContent = code;
+        li.appendChild(codeEl);
+        recoveryListEl.appendChild(li);
+      });
+      recoveryEl.classList.remove('hidden');
+    }
+
+    function showEmailStatus(user) {
+      if (!emailStatusEl) return;
+
+      if (user.emailVerified) {
+        emailStatusEl.textContent = `✅ ${user.email} is verified.`;
+        if (resendVerifyBtn) resendVerifyBtn.classList.add('hidden');
+      } else {
+        emailStatusEl.textContent =
+          `⚠️ ${user.email || 'Your email'} is not verified yet. Some features, like registering devices, stay locked until you click the link we emailed you.`;
+        if (resendVerifyBtn) resendVerifyBtn.classList.remove('hidden');
+      }
+    }
+
     async function loadUserProfile() {
-      // Prefer real API if authManager + token are available
-      if (authManager && typeof authManager.getAuthHeaders === 'function') {
+      if (apiManager && typeof apiManager.getUserProfile === 'function') {
         try {
-          const resp = await fetch('/api/users/me', {
-            headers: authManager.getAuthHeaders(),
-          });
-
-          if (resp.ok) {
-            const data = await resp.json();
-            const user = data && data.user ? data.user : null;
-
-            if (user) {
-              accountEmailEl.textContent = user.email || '--';
-              emailInput.value = user.email || '';
-              nameInput && (nameInput.value = user.name || '');
-
-              accountCreatedEl.textContent = user.createdAt
-                ? `Account created: ${formatDateTime(user.createdAt)}`
-                : 'Account creation time not available.';
-
-              // Also sync to storage for other pages if you like
-              try {
-                localStorage.setItem(USER_KEY, JSON.stringify(user));
-              } catch (_) {}
-              return;
-            }
+          const data = await apiManager.getUserProfile();
+          const user = data && data.user ? data.user : null;
+
+          if (user) {
+            showUser(user);
+            cacheUser(user);
+            return;
           }
 
           console.warn(
@@ -181,15 +320,10 @@
         }
       }
 
-      // Fallback: local storage
+      // Fallback: the copy auth.js stored at login
       const stored = getCurrentUserFromStorage();
       if (stored) {
-        accountEmailEl.textContent = stored.email || '--';
-        emailInput.value = stored.email || '';
-        nameInput && (nameInput.value = stored.name || '');
-        accountCreatedEl.textContent = stored.createdAt
-          ? `Account created: ${formatDateTime(stored.createdAt)}`
-          : 'Account creation time not available.';
+        showUser(stored);
       } else {
         accountEmailEl.textContent = '--';
         emailInput.value = '';
@@ -199,6 +333,55 @@
       }
     }
 
+    async function loadSettings() {
+      if (!apiManager || typeof apiManager.getUserSettings !== 'function') return;
+
+      try {
+        const data = await apiManager.getUserSettings();
+        if (data && data.settings) {
+          settings = data.settings;
+          applySettingsToForm(settings);
+          updatePreferenceCards(settings);
+        }
+      } catch (err) {
+        console.warn('Settings: error loading preferences', err);
+        showMessage('Could not load your saved preferences; showing defaults.');
+      }
+    }
+
+    function showMessage(text) {
+      if (!messageEl) return;
+      messageEl.style.display = 'block';
+      messageEl.textContent = text;
+    }
+
+    // Devices linked to this account (filled by the device count call)
+    let userDevices = [];
+
+    // Push interval + active hours to every device so the server can
+    // relay them to the Photon (see config in POST /api/measurements/device)
+    async function syncDeviceSchedules(newSettings) {
+      if (!apiManager || typeof apiManager.updateDevice !== 'function') return;
+
+      await Promise.all(
+        userDevices.map((device) =>
+          apiManager.updateDevice(device._id || device.id, {
+            settings: {
+              measurementInterval: newSettings.measurementInterval,
+              timeRange: newSettings.timeRange,
+            },
+          })
+        )
+      );
+    }
+
+    // ---------- Preferences ----------
+    let settings = DEFAULT_SETTINGS;
+
+    fillTimezoneOptions(settings.timezone);
+    applySettingsToForm(settings);
+    updatePreferenceCards(settings);
+
     // ---------- Device count ----------
     if (apiManager && typeof apiManager.getDevices === 'function') {
       apiManager
@@ -210,12 +393,16 @@
             return;
           }
 
+          userDevices = devices;
+
           const count = devices.length;
           deviceCountEl.textContent = String(count);
           deviceHintEl.textContent =
             count === 1
               ? '1 device linked to this account.'
               : `${count} devices linked to this account.`;
+
+          updatePreferenceCards(settings);
         })
         .catch((err) => {
           console.warn('Settings: error loading devices', err);
@@ -228,33 +415,275 @@
       deviceHintEl.textContent = 'Device API not available in this build.';
     }
 
-    // ---------- Preferences ----------
-    const prefs = loadPreferences();
+    // ---------- Load profile + preferences from the API ----------
+    loadUserProfile();
+    loadSettings();
+    loadAlertRules();
 
-    intervalSelect.value = String(prefs.intervalMinutes);
-    notifSelect.value    = prefs.notifications;
-    startTimeInput.value = prefs.startTime;
-    endTimeInput.value   = prefs.endTime;
+    // ---------- Resend verification email ----------
+    if (resendVerifyBtn && apiManager) {
+      resendVerifyBtn.addEventListener('click', async () => {
+        resendVerifyBtn.disabled = true;
+        try {
+          const data = await apiManager.resendVerificationEmail();
+          showMessage(data.message);
+        } catch (err) {
+          console.error('Settings: error resending verification email', err);
+          showMessage(err.message || 'Could not send the verification email.');
+        } finally {
+          resendVerifyBtn.disabled = false;
+        }
+      });
+    }
 
-    updatePreferenceCards(prefs);
+    // ---------- Two-factor authentication ----------
+    if (twoFactorSetupBtn && apiManager) {
+      twoFactorSetupBtn.addEventListener('click', async () => {
+        twoFactorSetupBtn.disabled = true;
+        try {
+          const data = await apiManager.setupTwoFactor();
+          twoFactorQrImg.src = data.qrCode;
+          twoFactorSecretEl.textContent = data.secret;
+          twoFactorCodeInput.value = '';
+          twoFactorEnrollEl.classList.remove('hidden');
+          twoFactorSetupBtn.classList.add('hidden');
+        } catch (err) {
+          console.error('Settings: error starting 2FA setup', err);
+          showMessage(err.message || 'Could not start two-factor setup.');
+        } finally {
+          twoFactorSetupBtn.disabled = false;
+        }
+      });
+    }
 
-    // ---------- Load profile from API / storage ----------
-    loadUserProfile();
+    if (twoFactorEnableBtn && apiManager) {
+      twoFactorEnableBtn.addEventListener('click', async () => {
+        twoFactorEnableBtn.disabled = true;
+        try {
+          const data = await apiManager.enableTwoFactor(twoFactorCodeInput.value.trim());
+          showTwoFactorStatus(true);
+          showRecoveryCodes(data.recoveryCodes);
+          showMessage(data.message);
+        } catch (err) {
+          console.error('Settings: error enabling 2FA', err);
+          showMessage(err.message || 'Could not turn on two-factor authentication.');
+        } finally {
+          twoFactorEnableBtn.disabled = false;
+        }
+      });
+    }
+
+    if (twoFactorRegenBtn && apiManager) {
+      twoFactorRegenBtn.addEventListener('click', async () => {
+        twoFactorRegenBtn.disabled = true;
+        try {
+          const data = await apiManager.regenerateRecoveryCodes(twoFactorPwInput.value);
+          twoFactorPwInput.value = '';
+          showRecoveryCodes(data.recoveryCodes);
+          showMessage(data.message);
+        } catch (err) {
+          console.error('Settings: error regenerating recovery codes', err);
+          showMessage(err.message || 'Could not generate new recovery codes.');
+        } finally {
+          twoFactorRegenBtn.disabled = false;
+        }
+      });
+    }
+
+    if (twoFactorDisableBtn && apiManager) {
+      twoFactorDisableBtn.addEventListener('click', async () => {
+        if (!window.confirm('Turn off two-factor authentication for your account?')) {
+          return;
+        }
+
+        twoFactorDisableBtn.disabled = true;
+        try {
+          const data = await apiManager.disableTwoFactor(twoFactorPwInput.value);
+          twoFactorPwInput.value = '';
+          recoveryEl && recoveryEl.classList.add('hidden');
+          showTwoFactorStatus(false);
+          showMessage(data.message);
+        } catch (err) {
+          console.error('Settings: error disabling 2FA', err);
+          showMessage(err.message || 'Could not turn off two-factor authentication.');
+        } finally {
+          twoFactorDisableBtn.disabled = false;
+        }
+      });
+    }
+
+    // ---------- Sign out everywhere ----------
+    if (logoutAllBtn && authManager) {
+      logoutAllBtn.addEventListener('click', async () => {
+        if (!window.confirm('Sign out of Heart Track on every device, including this one?')) {
+          return;
+        }
+
+        logoutAllBtn.disabled = true;
+        try {
+          await authManager.logoutAll();
+        } catch (err) {
+          console.error('Settings: error signing out everywhere', err);
+          showMessage(err.message || 'Could not sign out of all devices.');
+          logoutAllBtn.disabled = false;
+        }
+      });
+    }
+
+    // ---------- Data export / account deletion ----------
+    if (exportDataBtn && apiManager) {
+      exportDataBtn.addEventListener('click', async () => {
+        exportDataBtn.disabled = true;
+        try {
+          const { blob, filename } = await apiManager.exportUserData();
+
+          // Hand the file to the browser's download manager
+          const url = URL.createObjectURL(blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = filename;
+          document.body.appendChild(link);
+          link.click();
+          link.remove();
+          URL.revokeObjectURL(url);
+        } catch (err) {
+          console.error('Settings: error exporting data', err);
+          showMessage(err.message || 'Could not export your data.');
+        } finally {
+          exportDataBtn.disabled = false;
+        }
+      });
+    }
+
+    if (deleteAccountBtn && deletePwInput && apiManager) {
+      deleteAccountBtn.addEventListener('click', async () => {
+        const password = deletePwInput.value;
+        if (!password) {
+          showMessage('Enter your password to delete your account.');
+          return;
+        }
+
+        if (!window.confirm(
+          'Delete your Heart Track account, all devices and every measurement? This cannot be undone.'
+        )) {
+          return;
+        }
+
+        deleteAccountBtn.disabled = true;
+        try {
+          await apiManager.deleteAccount(password);
+          if (authManager) authManager.clearAuthData();
+          window.location.href = 'index.html';
+        } catch (err) {
+          console.error('Settings: error deleting account', err);
+          showMessage(err.message || 'Could not delete your account.');
+          deleteAccountBtn.disabled = false;
+        }
+      });
+    }
+
+    // ---------- Alert rules ----------
+    function showAlertRulesMessage(text) {
+      if (!alertRulesMessageEl) return;
+      alertRulesMessageEl.style.display = text ? 'block' : 'none';
+      alertRulesMessageEl.textContent = text;
+    }
+
+    function applyAlertRulesToForm(rules) {
+      alertRulesEnabledEl.checked = rules.enabled !== false;
+      Object.entries(ALERT_RULE_FIELDS).forEach(([field, id]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = rules[field] === null || rules[field] === undefined ? '' : rules[field];
+      });
+    }
+
+    // Blank limits → null (rule off)
+    function readAlertRulesFromForm() {
+      const rules = { enabled: alertRulesEnabledEl.checked };
+      Object.entries(ALERT_RULE_FIELDS).forEach(([field, id]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        const value = input.value.trim();
+        rules[field] = value === '' ? null : Number(value);
+      });
+      return rules;
+    }
+
+    async function loadAlertRules() {
+      if (!alertRulesForm || !apiManager || typeof apiManager.getAlertRules !== 'function') return;
+
+      try {
+        applyAlertRulesToForm(await apiManager.getAlertRules());
+      } catch (err) {
+        console.warn('Settings: error loading alert rules', err);
+        showAlertRulesMessage(err.message || 'Could not load your alert rules.');
+      }
+    }
+
+    if (alertRulesForm) {
+      alertRulesForm.addEventListener('submit', async (evt) => {
+        evt.preventDefault();
+        showAlertRulesMessage('');
+
+        if (!apiManager) {
+          showAlertRulesMessage('Alert rules can only be saved while logged in.');
+          return;
+        }
+        apiManager.clearFieldErrors(alertRulesForm);
+
+        try {
+          const data = await apiManager.updateAlertRules(readAlertRulesFromForm());
+          applyAlertRulesToForm(data.rules);
+          showAlertRulesMessage('Alert rules saved.');
+        } catch (err) {
+          console.error('Settings: error saving alert rules', err);
+          apiManager.showFieldErrors(alertRulesForm, err.fieldErrors, ALERT_RULE_FIELDS);
+          showAlertRulesMessage(err.message || 'Could not save your alert rules.');
+        }
+      });
+    }
 
     // ---------- Form submission ----------
     form.addEventListener('submit', async (evt) => {
       evt.preventDefault();
 
-      // 1) Collect local preferences (unchanged logic)
-      const updatedPrefs = {
-        intervalMinutes: Number(intervalSelect.value) || 30,
-        notifications:   notifSelect.value === 'off' ? 'off' : 'on',
-        startTime:       startTimeInput.value || '06:00',
-        endTime:         endTimeInput.value || '22:00',
-      };
+      // Clear message
+      if (messageEl) {
+        messageEl.style.display = 'none';
+        messageEl.textContent = '';
+      }
+
+      if (!apiManager) {
+        showMessage('Settings can only be saved while logged in.');
+        return;
+      }
+      apiManager.clearFieldErrors(form);
+
+      // 1) Preferences → /api/users/me/settings, then the devices
+      let settingsSaved = true;
+      let scheduleSynced = true;
+      try {
+        const data = await apiManager.updateUserSettings(readSettingsFromForm());
+        settings = data.settings;
+        applySettingsToForm(settings);
+        updatePreferenceCards(settings);
 
-      savePreferences(updatedPrefs);
-      updatePreferenceCards(updatedPrefs);
+        // Other pages bucket days in the cached user's timezone
+        const stored = getCurrentUserFromStorage();
+        if (stored) cacheUser({ ...stored, timezone: settings.timezone });
+
+        try {
+          await syncDeviceSchedules(settings);
+        } catch (err) {
+          console.error('Settings: error updating device schedules', err);
+          scheduleSynced = false;
+        }
+      } catch (err) {
+        console.error('Settings: error saving preferences', err);
+        settingsSaved = false;
+        apiManager.showFieldErrors(form, err.fieldErrors, SETTINGS_FIELDS);
+        showMessage(err.message || 'Could not save your preferences.');
+      }
 
       // 2) Prepare profile update payload
       const payload = {
@@ -269,67 +698,28 @@
         payload.currentPassword = currentPw;
       }
 
-      // Clear message
-      if (messageEl) {
-        messageEl.style.display = 'none';
-        messageEl.textContent = '';
-      }
+      // 3) Profile → /api/users/me
+      try {
+        const data = await apiManager.updateUserProfile(payload);
 
-      // 3) Call /api/users/me if possible
-      if (authManager && typeof authManager.getAuthHeaders === 'function') {
-        try {
-          const resp = await fetch('/api/users/me', {
-            method: 'PUT',
-            headers: {
-              'Content-Type': 'application/json',
-              ...authManager.getAuthHeaders(),
-            },
-            body: JSON.stringify(payload),
-          });
-
-          const data = await resp.json().catch(() => ({}));
-
-          if (!resp.ok) {
-            const errMsg =
-              (data && data.error) ||
-              `Failed to update profile (HTTP ${resp.status})`;
-            if (messageEl) {
-              messageEl.style.display = 'block';
-              messageEl.textContent = errMsg;
-            }
-          } else {
-            // Update local user cache
-            if (data && data.user) {
-              try {
-                localStorage.setItem(USER_KEY, JSON.stringify(data.user));
-              } catch (_) {}
-            }
-
-            // Clear password inputs after successful update
-            if (currentPwInput) currentPwInput.value = '';
-            if (newPwInput) newPwInput.value = '';
-
-            if (messageEl) {
-              messageEl.style.display = 'block';
-              messageEl.textContent =
-                'Preferences and profile updated successfully.';
-            }
-          }
-        } catch (err) {
-          console.error('Settings: error updating profile', err);
-          if (messageEl) {
-            messageEl.style.display = 'block';
-            messageEl.textContent =
-              'An error occurred while updating your profile.';
-          }
-        }
-      } else {
-        // No authManager – just save local prefs and warn
-        if (messageEl) {
-          messageEl.style.display = 'block';
-          messageEl.textContent =
-            'Preferences saved locally. Profile changes require login.';
+        // Update local user cache
+        if (data && data.user) cacheUser(data.user);
+
+        // Clear password inputs after successful update
+        if (currentPwInput) currentPwInput.value = '';
+        if (newPwInput) newPwInput.value = '';
+
+        if (settingsSaved) {
+          showMessage(
+            scheduleSynced
+              ? 'Preferences and profile updated successfully.'
+              : 'Profile updated, but the device schedule could not be saved.'
+          );
         }
+      } catch (err) {
+        console.error('Settings: error updating profile', err);
+        apiManager.showFieldErrors(form, err.fieldErrors, SETTINGS_FIELDS);
+        showMessage(err.message || 'An error occurred while updating your profile.');
       }
 
       // Hide message after a few seconds
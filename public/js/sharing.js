@@ -0,0 +1,469 @@
+// public/js/sharing.js
+// -------------------------------------------------------------
+// Heart Track - Sharing Page Logic (caregiver access)
+// -------------------------------------------------------------
+// This script powers the Sharing view. It:
+//   • Loads both directions of sharing via apiManager.getShares():
+//       - "People With Access" (#granted-table): invitations and
+//         shares the user created, with their status (pending,
+//         expired, active), an access selector (view / view + notes)
+//         and Revoke / Cancel
+//       - "Shared With You" (#received-table): accounts that shared
+//         readings with the user, with "View readings" (switches
+//         this tab to their readings, see authManager.
+//         setViewedAccount()) and "Leave"
+//   • Handles the "Invite Someone" form → apiManager.createShare():
+//     email, access, and all devices or a chosen few (checkboxes
+//     built from apiManager.getDevices({ includeArchived: true }))
+//   • Lists clinicians the user consented to (#consent-table,
+//     "Withdraw" → apiManager.withdrawConsent()), the clinician
+//     access log (#access-log-table, apiManager.getAccessLog())
+//     and handles the consent form → apiManager.grantConsent()
+//   • Accepts invitations from the emailed link
+//     (sharing.html?invite=<token>) → apiManager.acceptShare().
+//     Logged-out visitors are asked to log in and open the link
+//     again; other visitors without a session go to login.html.
+// -------------------------------------------------------------
+
+console.log('sharing.js loaded');
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const authManager = window.authManager;
+  const apiManager = window.apiManager;
+
+  const inviteToken = new URLSearchParams(window.location.search).get('invite');
+
+  // ---- Grab DOM elements ----
+  const grantedBody = document.querySelector('#granted-table tbody');
+  const receivedBody = document.querySelector('#received-table tbody');
+  const grantedEmpty = document.getElementById('grantedEmptyMessage');
+  const receivedEmpty = document.getElementById('receivedEmptyMessage');
+  const inviteForm = document.getElementById('shareInviteForm');
+  const emailInput = document.getElementById('shareEmail');
+  const permissionSelect = document.getElementById('sharePermission');
+  const deviceOptionsEl = document.getElementById('shareDeviceOptions');
+  const errorEl = document.getElementById('shareMessage');
+  const successEl = document.getElementById('shareSuccess');
+  const inviteSection = document.getElementById('inviteSection');
+  const inviteTextEl = document.getElementById('inviteText');
+  const inviteAcceptBtn = document.getElementById('inviteAcceptBtn');
+  const inviteLoginLink = document.getElementById('inviteLoginLink');
+  const inviteMessageEl = document.getElementById('inviteMessage');
+  const consentBody = document.querySelector('#consent-table tbody');
+  const consentEmpty = document.getElementById('consentEmptyMessage');
+  const accessLogBody = document.querySelector('#access-log-table tbody');
+  const accessLogEmpty = document.getElementById('accessLogEmptyMessage');
+  const consentForm = document.getElementById('consentForm');
+  const clinicianEmailInput = document.getElementById('clinicianEmail');
+  const consentErrorEl = document.getElementById('consentMessage');
+  const consentSuccessEl = document.getElementById('consentSuccess');
+
+  if (!grantedBody || !receivedBody || !inviteForm) {
+    console.warn('sharing.js: required DOM elements not found');
+    return;
+  }
+
+  if (!authManager || !authManager.isAuthenticated()) {
+    if (inviteToken && inviteSection) {
+      inviteTextEl.textContent =
+        'Someone shared their Heart Track readings with you. Log in (or sign up) with the email address the invitation was sent to, then open the link from the email again.';
+      inviteAcceptBtn.style.display = 'none';
+      inviteLoginLink.style.display = '';
+      inviteSection.style.display = 'block';
+    } else {
+      window.location.href = 'login.html';
+    }
+    return;
+  }
+
+  const INVITE_FIELDS = { email: 'shareEmail', permission: 'sharePermission' };
+
+  const PERMISSION_LABELS = {
+    read: 'View',
+    annotate: 'View + notes',
+  };
+
+  const STATUS_LABELS = {
+    pending: 'Invitation sent',
+    expired: 'Invitation expired',
+    active: 'Active',
+  };
+
+  const ACCESS_LABELS = {
+    readings: 'Readings list',
+    daily: 'Daily detail',
+    weekly: 'Weekly summary',
+    chat: 'Asked the assistant',
+  };
+
+  // Utility: show error / success messages
+  function showError(msg) {
+    errorEl.textContent = msg;
+    errorEl.style.display = 'block';
+    successEl.style.display = 'none';
+  }
+
+  function showSuccess(msg) {
+    successEl.textContent = msg;
+    successEl.style.display = 'block';
+    errorEl.style.display = 'none';
+  }
+
+  function clearMessages() {
+    errorEl.style.display = 'none';
+    successEl.style.display = 'none';
+  }
+
+  function selectedScope() {
+    const checked = inviteForm.querySelector('input[name="shareScope"]:checked');
+    return checked ? checked.value : 'all';
+  }
+
+  function describeDevices(share, deviceNames) {
+    if (share.scope === 'all') return 'All devices';
+    return share.deviceIds.map((id) => deviceNames.get(id) || id).join(', ');
+  }
+
+  function button(text, className, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = text;
+    btn.className = `btn ${className} btn-sm`;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // ---- Device checkboxes for scope "devices" ----
+  async function loadDeviceOptions() {
+    let devices = [];
+    try {
+      devices = await apiManager.getDevices({ includeArchived: true });
+    } catch (err) {
+      console.error('Error loading devices for sharing:', err);
+    }
+
+    deviceOptionsEl.innerHTML = '';
+    if (!devices.length) {
+      deviceOptionsEl.textContent = 'You have no devices yet.';
+      return new Map();
+    }
+
+    devices.forEach((device) => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = device.deviceId;
+      checkbox.addEventListener('change', () => {
+        inviteForm.querySelector('input[name="shareScope"][value="devices"]').checked = true;
+      });
+      label.append(checkbox, ` ${device.name || device.deviceId}${device.archivedAt ? ' (archived)' : ''}`);
+      deviceOptionsEl.appendChild(label);
+    });
+
+    return new Map(devices.map((d) => [d.deviceId, d.name || d.deviceId]));
+  }
+
+  // ---- Render "People With Access" ----
+  function renderGranted(shares, deviceNames) {
+    grantedBody.innerHTML = '';
+    grantedEmpty.style.display = shares.length ? 'none' : 'block';
+
+    shares.forEach((share) => {
+      const tr = document.createElement('tr');
+
+      const personTd = document.createElement('td');
+      personTd.textContent = share.grantee
+        ? `${share.grantee.name || share.grantee.email} (${share.email})`
+        : share.email;
+
+      // Access can be changed in place
+      const accessTd = document.createElement('td');
+      const accessSelect = document.createElement('select');
+      accessSelect.className = 'form-select';
+      Object.entries(PERMISSION_LABELS).forEach(([value, label]) => {
+        accessSelect.add(new Option(label, value, false, value === share.permission));
+      });
+      accessSelect.addEventListener('change', async () => {
+        clearMessages();
+        try {
+          const data = await apiManager.updateShare(share._id, { permission: accessSelect.value });
+          showSuccess(data.message || 'Share updated.');
+        } catch (err) {
+          console.error('Error updating share:', err);
+          showError(err.message || 'Failed to update share.');
+          accessSelect.value = share.permission;
+        }
+      });
+      accessTd.appendChild(accessSelect);
+
+      const devicesTd = document.createElement('td');
+      devicesTd.textContent = describeDevices(share, deviceNames);
+
+      const statusTd = document.createElement('td');
+      statusTd.textContent = STATUS_LABELS[share.status] || share.status;
+      if (share.status === 'pending') {
+        statusTd.title = `Expires ${new Date(share.inviteExpiresAt).toLocaleString()}`;
+      }
+
+      const actionsTd = document.createElement('td');
+      const revokeLabel = share.status === 'active' ? 'Revoke' : 'Cancel';
+      actionsTd.appendChild(
+        button(revokeLabel, 'btn-danger', async () => {
+          const who = share.grantee ? share.grantee.name || share.email : share.email;
+          if (share.status === 'active' && !window.confirm(`Stop sharing your readings with ${who}?`)) {
+            return;
+          }
+          clearMessages();
+          try {
+            const data = await apiManager.revokeShare(share._id);
+            showSuccess(data.message || 'Access revoked.');
+            await loadShares();
+          } catch (err) {
+            console.error('Error revoking share:', err);
+            showError(err.message || 'Failed to revoke share.');
+          }
+        })
+      );
+
+      tr.append(personTd, accessTd, devicesTd, statusTd, actionsTd);
+      grantedBody.appendChild(tr);
+    });
+  }
+
+  // ---- Render "Shared With You" ----
+  function renderReceived(shares) {
+    receivedBody.innerHTML = '';
+    receivedEmpty.style.display = shares.length ? 'none' : 'block';
+
+    shares.forEach((share) => {
+      const owner = share.owner || { name: 'Unknown account' };
+      const ownerName = owner.name || owner.email;
+      const tr = document.createElement('tr');
+
+      const ownerTd = document.createElement('td');
+      ownerTd.textContent = owner.email ? `${ownerName} (${owner.email})` : ownerName;
+
+      const accessTd = document.createElement('td');
+      accessTd.textContent = PERMISSION_LABELS[share.permission] || share.permission;
+
+      const devicesTd = document.createElement('td');
+      devicesTd.textContent = share.devices.length
+        ? share.devices.map((d) => d.name || d.deviceId).join(', ')
+        : 'No devices yet';
+
+      const actionsTd = document.createElement('td');
+      actionsTd.appendChild(
+        button('View readings', 'btn-primary', () => {
+          authManager.setViewedAccount({
+            id: owner.id,
+            name: ownerName,
+            timezone: owner.timezone,
+            permission: share.permission,
+          });
+          window.location.href = 'dashboard.html';
+        })
+      );
+      actionsTd.appendChild(
+        button('Leave', 'btn-secondary', async () => {
+          if (!window.confirm(`Stop following ${ownerName}'s readings? They would have to invite you again.`)) {
+            return;
+          }
+          clearMessages();
+          try {
+            const data = await apiManager.revokeShare(share._id);
+            const viewed = authManager.getViewedAccount();
+            if (viewed && String(viewed.id) === String(owner.id)) {
+              authManager.setViewedAccount(null);
+            }
+            showSuccess(data.message || 'You left the share.');
+            await loadShares();
+          } catch (err) {
+            console.error('Error leaving share:', err);
+            showError(err.message || 'Failed to leave the share.');
+          }
+        })
+      );
+
+      tr.append(ownerTd, accessTd, devicesTd, actionsTd);
+      receivedBody.appendChild(tr);
+    });
+  }
+
+  let deviceNames = new Map();
+
+  async function loadShares() {
+    try {
+      const { granted = [], received = [] } = await apiManager.getShares();
+      renderGranted(granted, deviceNames);
+      renderReceived(received);
+    } catch (err) {
+      console.error('Error loading shares:', err);
+      showError(err.message || 'Failed to load sharing.');
+    }
+  }
+
+  // ---- Clinicians ----
+  function clinicianLabel(clinician) {
+    if (!clinician) return 'Deleted account';
+    return clinician.name ? `${clinician.name} (${clinician.email})` : clinician.email;
+  }
+
+  function showConsentMessage(el, msg) {
+    consentErrorEl.style.display = 'none';
+    consentSuccessEl.style.display = 'none';
+    el.textContent = msg;
+    el.style.display = 'block';
+  }
+
+  function renderConsents(consents) {
+    consentBody.innerHTML = '';
+    consentEmpty.style.display = consents.length ? 'none' : 'block';
+
+    consents.forEach((consent) => {
+      const tr = document.createElement('tr');
+
+      const clinicianTd = document.createElement('td');
+      clinicianTd.textContent = clinicianLabel(consent.clinician);
+
+      const sinceTd = document.createElement('td');
+      sinceTd.textContent = new Date(consent.grantedAt).toLocaleDateString();
+
+      const actionsTd = document.createElement('td');
+      actionsTd.appendChild(
+        button('Withdraw', 'btn-danger', async () => {
+          if (!window.confirm(`Stop ${clinicianLabel(consent.clinician)} from seeing your readings?`)) {
+            return;
+          }
+          try {
+            const data = await apiManager.withdrawConsent(consent._id);
+            showConsentMessage(consentSuccessEl, data.message || 'Consent withdrawn.');
+            await loadConsents();
+          } catch (err) {
+            console.error('Error withdrawing consent:', err);
+            showConsentMessage(consentErrorEl, err.message || 'Failed to withdraw consent.');
+          }
+        })
+      );
+
+      tr.append(clinicianTd, sinceTd, actionsTd);
+      consentBody.appendChild(tr);
+    });
+  }
+
+  function renderAccessLog(events) {
+    accessLogBody.innerHTML = '';
+    accessLogEmpty.style.display = events.length ? 'none' : 'block';
+
+    events.forEach((event) => {
+      const tr = document.createElement('tr');
+
+      const whenTd = document.createElement('td');
+      whenTd.textContent = new Date(event.createdAt).toLocaleString();
+
+      const clinicianTd = document.createElement('td');
+      clinicianTd.textContent = clinicianLabel(event.clinician);
+
+      const whatTd = document.createElement('td');
+      const date = event.details && event.details.date;
+      whatTd.textContent = `${ACCESS_LABELS[event.action] || event.action}${date ? ` (${date})` : ''}`;
+
+      tr.append(whenTd, clinicianTd, whatTd);
+      accessLogBody.appendChild(tr);
+    });
+  }
+
+  async function loadConsents() {
+    try {
+      const [consents, events] = await Promise.all([
+        apiManager.getConsents(),
+        apiManager.getAccessLog(20),
+      ]);
+      renderConsents(consents);
+      renderAccessLog(events);
+    } catch (err) {
+      console.error('Error loading clinician consents:', err);
+      showConsentMessage(consentErrorEl, err.message || 'Failed to load clinicians.');
+    }
+  }
+
+  if (consentForm) {
+    consentForm.addEventListener('submit', async (evt) => {
+      evt.preventDefault();
+      apiManager.clearFieldErrors(consentForm);
+
+      try {
+        const data = await apiManager.grantConsent(clinicianEmailInput.value.trim());
+        showConsentMessage(consentSuccessEl, data.message || 'Consent given.');
+        consentForm.reset();
+        await loadConsents();
+      } catch (err) {
+        console.error('Error giving consent:', err);
+        if (apiManager.showFieldErrors(consentForm, err.fieldErrors, { clinicianEmail: 'clinicianEmail' })) return;
+        showConsentMessage(consentErrorEl, err.message || 'Failed to give consent.');
+      }
+    });
+  }
+
+  // ---- Invite form ----
+  inviteForm.addEventListener('submit', async (evt) => {
+    evt.preventDefault();
+    clearMessages();
+    apiManager.clearFieldErrors(inviteForm);
+
+    const scope = selectedScope();
+    const deviceIds = Array.from(
+      deviceOptionsEl.querySelectorAll('input[type="checkbox"]:checked')
+    ).map((checkbox) => checkbox.value);
+
+    if (scope === 'devices' && deviceIds.length === 0) {
+      showError('Choose at least one device to share, or share all devices.');
+      return;
+    }
+
+    try {
+      const data = await apiManager.createShare({
+        email: emailInput.value.trim(),
+        permission: permissionSelect.value,
+        scope,
+        deviceIds: scope === 'devices' ? deviceIds : undefined,
+      });
+
+      showSuccess(data.message || 'Invitation sent.');
+      inviteForm.reset();
+      await loadShares();
+    } catch (err) {
+      console.error('Error sending invitation:', err);
+      if (apiManager.showFieldErrors(inviteForm, err.fieldErrors, INVITE_FIELDS)) return;
+      showError(err.message || 'Failed to send the invitation.');
+    }
+  });
+
+  // ---- Invitation link ----
+  if (inviteToken && inviteSection) {
+    inviteTextEl.textContent =
+      'Someone shared their Heart Track readings with you. Accept to see them under "Shared With You".';
+    inviteSection.style.display = 'block';
+
+    inviteAcceptBtn.addEventListener('click', async () => {
+      inviteMessageEl.style.display = 'none';
+      try {
+        const data = await apiManager.acceptShare(inviteToken);
+        inviteTextEl.textContent = data.message || 'Invitation accepted.';
+        inviteAcceptBtn.style.display = 'none';
+        // The link works once; keep it out of the address bar
+        window.history.replaceState(null, '', 'sharing.html');
+        await loadShares();
+      } catch (err) {
+        console.error('Error accepting invitation:', err);
+        inviteMessageEl.textContent = err.message || 'Could not accept the invitation.';
+        inviteMessageEl.style.display = 'block';
+      }
+    });
+  }
+
+  deviceNames = await loadDeviceOptions();
+  await loadShares();
+  if (consentBody && accessLogBody) {
+    await loadConsents();
+  }
+});
@@ -0,0 +1,73 @@
+// public/js/verify-email.js
+// -------------------------------------------------------------
+// Heart Track - Email Verification Page Logic
+// -------------------------------------------------------------
+//  Opened from the link in the registration email
+//  (verify-email.html?token=...). Sends the token to
+//  POST /api/auth/verify and shows the outcome. If this browser is
+//  logged in, the cached heartTrackUser is marked verified so other
+//  pages stop showing the reminder.
+// -------------------------------------------------------------
+
+(function () {
+  console.log('verify-email.js loaded');
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    const statusEl = document.getElementById('verifyStatus');
+    const successEl = document.getElementById('verifySuccess');
+    const errorEl = document.getElementById('verifyError');
+    const continueEl = document.getElementById('verifyContinue');
+
+    if (!statusEl || !successEl || !errorEl) {
+      console.warn('Verify email: expected DOM elements not found.');
+      return;
+    }
+
+    function showText(el, text) {
+      el.textContent = text;
+      el.classList.remove('hidden');
+    }
+
+    // Keep auth.js's cached user in step
+    function markCachedUserVerified() {
+      const USER_KEY = 'heartTrackUser';
+      [localStorage, sessionStorage].forEach((storage) => {
+        const raw = storage.getItem(USER_KEY);
+        if (!raw) return;
+        try {
+          storage.setItem(USER_KEY, JSON.stringify({ ...JSON.parse(raw), emailVerified: true }));
+        } catch (_) {}
+      });
+    }
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+      statusEl.textContent = 'This page needs the link from your verification email.';
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/auth/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || `Verification failed (HTTP ${response.status})`);
+      }
+
+      statusEl.textContent = 'All set.';
+      showText(successEl, `${data.message}: ${data.user.email}`);
+      markCachedUserVerified();
+
+      if (continueEl && window.authManager && window.authManager.isAuthenticated()) {
+        continueEl.classList.remove('hidden');
+      }
+    } catch (err) {
+      statusEl.textContent = 'We could not verify your email address.';
+      showText(errorEl, `${err.message}. You can request a new link from Settings.`);
+    }
+  });
+})();
@@ -7,7 +7,8 @@
 //     auth headers from AuthManager) to retrieve one week of
 //     aggregate heart-rate and SpO₂ data.
 //   • Populating the four top summary cards with weekly averages,
-//     total measurements, and active device count.
+//     total measurements, and active device count (the server only
+//     averages readings graded valid; flagged ones are counted apart).
 //   • Filling the “Daily Breakdown” table with per-day min / max /
 //     average heart rate, average SpO₂, and measurement counts.
 //   • Rendering a Chart.js line chart that plots average heart
@@ -28,6 +29,7 @@
     const avgSpo2El = document.getElementById('avgSpo2Value');
     const totalMeasEl = document.getElementById('totalMeasurementsValue');
     const activeDevicesEl = document.getElementById('activeDevicesValue');
+    const flaggedMeasEl = document.getElementById('flaggedMeasurementsValue');
     const weeklyMinHrEl = document.getElementById('weeklyMinHeartRate');
     const weeklyMaxHrEl = document.getElementById('weeklyMaxHeartRate');
     const weeklyRangeTextEl = document.getElementById('weeklyHrRangeText');
@@ -95,6 +97,18 @@
       }
     }
 
+    // ------------------------------------------------------------------
+    // Label a "YYYY-MM-DD" day key from the server. The key is already
+    // a calendar day in the user's timezone, so format it as-is (UTC)
+    // rather than letting the browser shift it into its own zone.
+    // ------------------------------------------------------------------
+    function formatDayKey(dateKey, options) {
+      return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+        ...options,
+        timeZone: 'UTC'
+      });
+    }
+
     // ------------------------------------------------------------------
     // Update the top four cards
     // ------------------------------------------------------------------
@@ -109,6 +123,14 @@
       totalMeasEl.textContent = total != null ? `${total}` : '--';
       activeDevicesEl.textContent = devices != null ? `${devices}` : '--';
 
+      // Suspect / rejected readings are not part of the averages above
+      if (flaggedMeasEl) {
+        const flagged = summary.flaggedMeasurements;
+        flaggedMeasEl.textContent = flagged
+          ? `${flagged} flagged reading(s) excluded`
+          : '';
+      }
+
       // ---- compute global min/max HR over the last 7 days ----
       const daily = Array.isArray(summary.daily) ? summary.daily : [];
 
@@ -168,7 +190,7 @@
       daily.forEach(day => {
         const tr = document.createElement('tr');
 
-        const dateLabel = new Date(day.date).toLocaleDateString('en-US', {
+        const dateLabel = formatDayKey(day.date, {
           weekday: 'short',
           month: 'short',
           day: 'numeric'
@@ -222,9 +244,7 @@
       const daily = summary.daily || [];
 
       const labels = daily.map(day =>
-        new Date(day.date).toLocaleDateString('en-US', {
-          weekday: 'short'
-        })
+        formatDayKey(day.date, { weekday: 'short' })
       );
 
       const hrData = daily.map(day =>
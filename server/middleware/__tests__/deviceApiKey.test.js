@@ -0,0 +1,143 @@
+// server/middleware/__tests__/deviceApiKey.test.js
+// -------------------------------------------------------------
+// Heart Track - Device API key middleware
+// -------------------------------------------------------------
+//  Device and User lookups are stubbed; each test drives one
+//  branch and checks the answer (or that next() was called).
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+const Device = require('../../models/Device');
+const User = require('../../models/User');
+const deviceApiKey = require('../deviceApiKey');
+
+const PROVISIONING_KEY = 'provision-me';
+
+function run({ apiKey, body = {} } = {}) {
+  const req = { body, header: (name) => (name === 'x-api-key' ? apiKey : undefined) };
+  const res = { status: jest.fn(), json: jest.fn() };
+  res.status.mockReturnValue(res);
+  const next = jest.fn();
+
+  return deviceApiKey(req, res, next).then(() => ({ req, res, next }));
+}
+
+function expectAnswer({ res, next }, status, error) {
+  expect(next).not.toHaveBeenCalled();
+  expect(res.status).toHaveBeenCalledWith(status);
+  expect(res.json.mock.calls[0][0].error).toBe(error);
+}
+
+let device;
+let apiKey;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  process.env.DEVICE_PROVISIONING_KEY = PROVISIONING_KEY;
+
+  device = new Device({ userId: new mongoose.Types.ObjectId(), name: 'Photon', deviceId: 'PHOTON_ONE' });
+  apiKey = device.issueApiKey();
+
+  jest.spyOn(Device, 'findOne').mockImplementation(async ({ apiKeyHash }) =>
+    (apiKeyHash === device.apiKeyHash ? device : null));
+  jest.spyOn(Device, 'exists').mockResolvedValue(null);
+  jest.spyOn(User, 'exists').mockResolvedValue(null);
+});
+
+afterAll(() => {
+  delete process.env.DEVICE_PROVISIONING_KEY;
+});
+
+describe('deviceApiKey', () => {
+  test('a missing key is refused', async () => {
+    expectAnswer(await run(), 401, 'Missing x-api-key header');
+  });
+
+  test('a non-string deviceId or coreid is refused before any lookup', async () => {
+    const result = await run({ apiKey, body: { deviceId: { $ne: null } } });
+
+    expectAnswer(result, 422, 'deviceId must be a string');
+    expect(result.res.json.mock.calls[0][0].errors).toEqual([
+      { field: 'deviceId', location: 'body', message: 'deviceId must be a string' },
+    ]);
+    expectAnswer(await run({ apiKey, body: { coreid: 42 } }), 422, 'coreid must be a string');
+    expect(Device.findOne).not.toHaveBeenCalled();
+  });
+
+  test('an unknown key is refused', async () => {
+    expectAnswer(await run({ apiKey: 'htk_nope' }), 401, 'Invalid API key');
+  });
+
+  test('a valid key resolves its device', async () => {
+    const { req, next } = await run({ apiKey, body: { deviceId: 'PHOTON_ONE' } });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.device).toBe(device);
+  });
+
+  test('a Particle coreid is checked like deviceId', async () => {
+    expectAnswer(
+      await run({ apiKey, body: { coreid: 'PHOTON_TWO' } }),
+      403,
+      'deviceId does not match this API key'
+    );
+  });
+
+  test('an inactive device is refused', async () => {
+    device.active = false;
+    expectAnswer(await run({ apiKey }), 403, 'Device is inactive');
+  });
+
+  test("a device whose owner's account is disabled is refused", async () => {
+    User.exists.mockResolvedValue({ _id: device.userId });
+
+    expectAnswer(await run({ apiKey }), 403, 'The account this device belongs to is disabled');
+    expect(User.exists).toHaveBeenCalledWith({ _id: device.userId, disabledAt: { $ne: null } });
+  });
+
+  describe('provisioning key', () => {
+    test('needs a deviceId', async () => {
+      expectAnswer(
+        await run({ apiKey: PROVISIONING_KEY }),
+        400,
+        'deviceId is required with the provisioning key'
+      );
+    });
+
+    test('is refused for a registered device', async () => {
+      Device.exists.mockResolvedValue({ _id: device._id });
+
+      expectAnswer(
+        await run({ apiKey: PROVISIONING_KEY, body: { deviceId: 'PHOTON_ONE' } }),
+        403,
+        'Device is registered; use its own API key'
+      );
+    });
+
+    test('lets an unregistered device through for quarantine', async () => {
+      const { req, next } = await run({ apiKey: PROVISIONING_KEY, body: { coreid: 'PHOTON_NEW' } });
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.device).toBeNull();
+      expect(req.unregisteredDeviceId).toBe('PHOTON_NEW');
+      expect(Device.exists).toHaveBeenCalledWith({ deviceId: 'PHOTON_NEW' });
+    });
+
+    test('is an ordinary (invalid) key when none is configured', async () => {
+      delete process.env.DEVICE_PROVISIONING_KEY;
+      expectAnswer(
+        await run({ apiKey: PROVISIONING_KEY, body: { deviceId: 'PHOTON_NEW' } }),
+        401,
+        'Invalid API key'
+      );
+    });
+  });
+
+  test('a lookup error goes to the error handler', async () => {
+    const failure = new Error('db down');
+    Device.findOne.mockRejectedValue(failure);
+
+    const { next } = await run({ apiKey });
+    expect(next).toHaveBeenCalledWith(failure);
+  });
+});
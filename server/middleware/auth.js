@@ -4,18 +4,26 @@
 // -------------------------------------------------------------
 //  • Extracts the JWT from the "Authorization" header (Bearer token).
 //  • Verifies the token using process.env.JWT_SECRET (fallback provided).
-//  • On success, attaches user info (id + email) to req.user.
-//  • On failure, responds with 401 Unauthorized.
+//  • Checks the token's session (`sid`) is still active, so logout and
+//    "sign out of all devices" take effect before the token expires.
+//  • On success, attaches user info (id + email + sessionId) to req.user.
+//  • On failure, responds with 401 Unauthorized and a `code`:
+//      TOKEN_EXPIRED → the access token ran out (refresh it)
+//      INVALID_TOKEN → missing, malformed or wrongly signed token
+//      SESSION_ENDED → the session was logged out or revoked
+//    The frontend only refreshes the session on these; other 401s
+//    (e.g. a wrong current password) are answers, not expiry.
 // -------------------------------------------------------------
 //  Used by protected routes such as:
 //    - /api/devices
 //    - /api/measurements
-//    - /api/users/profile
+//    - /api/users
 // -------------------------------------------------------------
 
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
 
-module.exports = function authMiddleware(req, res, next) {
+module.exports = async function authMiddleware(req, res, next) {
   const header = req.header('Authorization') || '';
 
   // Expect header like: "Bearer eyJhbGciOi..."
@@ -24,22 +32,41 @@ module.exports = function authMiddleware(req, res, next) {
     : null;
 
   if (!token) {
-    return res.status(401).json({ error: 'Missing Authorization token' });
+    return res
+      .status(401)
+      .json({ error: 'Missing Authorization token', code: 'INVALID_TOKEN' });
   }
 
+  let payload;
   try {
     const secret = process.env.JWT_SECRET || 'dev-secret';
-    const payload = jwt.verify(token, secret);
+    payload = jwt.verify(token, secret);
+  } catch (err) {
+    console.error('JWT verification failed:', err.message);
+    return res.status(401).json({
+      error: 'Invalid or expired token',
+      code: err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+    });
+  }
+
+  try {
+    // Tokens issued before sessions existed carry no sid
+    const session = payload.sid ? await Session.findById(payload.sid) : null;
+    if (!session || !session.isActive() || String(session.userId) !== payload.sub) {
+      return res
+        .status(401)
+        .json({ error: 'Session has ended; please log in again', code: 'SESSION_ENDED' });
+    }
 
     // We’ll store the user id + email on the request object
     req.user = {
       id: payload.sub,
       email: payload.email,
+      sessionId: payload.sid,
     };
 
     return next();
   } catch (err) {
-    console.error('JWT verification failed:', err.message);
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    return next(err);
   }
 };
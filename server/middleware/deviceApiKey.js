@@ -5,24 +5,98 @@
 // Purpose:
 //  - Protects the IoT ingestion endpoint: POST /api/measurements/device
 //  - Requires an API key in the `x-api-key` header
-//  - Compares against process.env.DEVICE_API_KEY (or a dev default)
+//  - Each device has its own key (collected at the end of pairing or
+//    rotated from the device-management page); we hash the header
+//    and look up the Device that owns it
+//  - Attaches the resolved Device document to req.device
+//  - Rejects payloads whose deviceId (or Particle `coreid`) belongs
+//    to a different device, or is not a string (422)
+//  - Rejects devices that have been deactivated (active: false)
+//    or whose owner's account an admin disabled
+//
+// Unregistered devices:
+//  - If DEVICE_PROVISIONING_KEY is configured, a device that is not
+//    registered yet may post with that shared key and its deviceId.
+//    req.device is then null and req.unregisteredDeviceId is set, so
+//    the route can quarantine the reading instead of storing it.
 // -------------------------------------------------------------
 
-module.exports = function deviceApiKeyMiddleware(req, res, next) {
-  // Read key from header
-  const apiKeyFromHeader = req.header('x-api-key');
+const Device = require('../models/Device');
+const User = require('../models/User');
 
-  // Expected key (configure in .env as DEVICE_API_KEY)
-  const expectedKey = process.env.DEVICE_API_KEY || 'dev-device-key';
+module.exports = async function deviceApiKeyMiddleware(req, res, next) {
+  try {
+    // Read key from header
+    const apiKeyFromHeader = req.header('x-api-key');
 
-  if (!apiKeyFromHeader) {
-    return res.status(401).json({ error: 'Missing x-api-key header' });
-  }
+    if (!apiKeyFromHeader) {
+      return res.status(401).json({ error: 'Missing x-api-key header' });
+    }
 
-  if (apiKeyFromHeader !== expectedKey) {
-    return res.status(401).json({ error: 'Invalid API key' });
-  }
+    // Particle webhooks identify the device as `coreid`. This runs
+    // before the route's validators, so anything but a string (e.g.
+    // { "$ne": null }) is refused here rather than reaching a query.
+    const body = req.body || {};
+    for (const field of ['deviceId', 'coreid']) {
+      if (body[field] != null && typeof body[field] !== 'string') {
+        const message = `${field} must be a string`;
+        return res.status(422).json({
+          error: message,
+          errors: [{ field, location: 'body', message }],
+        });
+      }
+    }
+    const claimedDeviceId = body.deviceId || body.coreid;
+
+    // Shared provisioning key → only for devices nobody registered yet
+    const provisioningKey = process.env.DEVICE_PROVISIONING_KEY;
+    if (provisioningKey && apiKeyFromHeader === provisioningKey) {
+      if (!claimedDeviceId) {
+        return res
+          .status(400)
+          .json({ error: 'deviceId is required with the provisioning key' });
+      }
+
+      const registered = await Device.exists({ deviceId: claimedDeviceId });
+      if (registered) {
+        return res
+          .status(403)
+          .json({ error: 'Device is registered; use its own API key' });
+      }
+
+      req.device = null;
+      req.unregisteredDeviceId = claimedDeviceId;
+      return next();
+    }
+
+    const device = await Device.findOne({
+      apiKeyHash: Device.hashApiKey(apiKeyFromHeader),
+    });
 
-  // OK → allow request to proceed
-  return next();
+    if (!device) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    // A key only authorizes readings for its own device
+    if (claimedDeviceId && claimedDeviceId !== device.deviceId) {
+      return res
+        .status(403)
+        .json({ error: 'deviceId does not match this API key' });
+    }
+
+    if (!device.active) {
+      return res.status(403).json({ error: 'Device is inactive' });
+    }
+
+    const ownerDisabled = await User.exists({ _id: device.userId, disabledAt: { $ne: null } });
+    if (ownerDisabled) {
+      return res.status(403).json({ error: 'The account this device belongs to is disabled' });
+    }
+
+    // OK → allow request to proceed
+    req.device = device;
+    return next();
+  } catch (err) {
+    next(err);
+  }
 };
@@ -0,0 +1,36 @@
+// server/middleware/ingestionErrorLog.js
+// -------------------------------------------------------------
+// Heart Track - Ingestion Error Logging
+// -------------------------------------------------------------
+//  Writes every refused device upload to the IngestionError log
+//  (models/IngestionError.js) once the response has been sent,
+//  whichever step refused it: the API key check, validation, the
+//  route itself or the error handler. Rate limited requests (429)
+//  are left out:
+//
+//    router.post('/device', deviceAuthFailureLimiter, ingestionErrorLog,
+//                deviceApiKey, deviceIngestLimiter, ...)
+//
+//  The response body is captured by wrapping res.json, so the
+//  log holds the same message the device got.
+// -------------------------------------------------------------
+
+const IngestionError = require('../models/IngestionError');
+
+module.exports = function ingestionErrorLog(req, res, next) {
+  const json = res.json.bind(res);
+  let sentBody;
+
+  res.json = (body) => {
+    sentBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400 && res.statusCode !== 429) {
+      IngestionError.record(req, res.statusCode, sentBody || {});
+    }
+  });
+
+  next();
+};
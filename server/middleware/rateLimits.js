@@ -0,0 +1,219 @@
+// server/middleware/rateLimits.js
+// -------------------------------------------------------------
+// Heart Track - Per-Route Rate Limits (express-rate-limit)
+// -------------------------------------------------------------
+//  Each sensitive route gets its own budget, configurable through
+//  the environment (defaults in brackets):
+//
+//    loginLimiter          per IP, sign-in + 2FA step
+//        LOGIN_RATE_LIMIT_MAX [20] per LOGIN_RATE_LIMIT_WINDOW_MINUTES [15]
+//    registerLimiter       per IP, account creation
+//        REGISTER_RATE_LIMIT_MAX [10] per REGISTER_RATE_LIMIT_WINDOW_MINUTES [60]
+//    passwordLimiter       per IP, forgot / reset password
+//        PASSWORD_RATE_LIMIT_MAX [5] per PASSWORD_RATE_LIMIT_WINDOW_MINUTES [15]
+//    passwordChangeLimiter per account, PUT /api/users/me with a
+//                          new password (same PASSWORD_* budget)
+//    accountDeleteLimiter  per account, DELETE /api/users/me
+//                          (same PASSWORD_* budget)
+//    twoFactorChangeLimiter per account, turning 2FA off or replacing
+//                          recovery codes (same PASSWORD_* budget)
+//    deviceAuthFailureLimiter per IP, device uploads whose API key
+//                          was refused (401); runs before the key
+//                          lookup, so random keys cannot flood it
+//        DEVICE_AUTH_FAILURE_RATE_LIMIT_MAX [60] per
+//        DEVICE_RATE_LIMIT_WINDOW_SECONDS [60]
+//    deviceIngestLimiter   per device, reading uploads and heartbeats
+//                          of devices whose key resolved (runs after
+//                          middleware/deviceApiKey.js)
+//        DEVICE_RATE_LIMIT_MAX [30] per DEVICE_RATE_LIMIT_WINDOW_SECONDS [60]
+//    pairingDeviceLimiter  the device side of pairing: code requests
+//                          per IP, status polls per pairing token
+//        PAIRING_DEVICE_RATE_LIMIT_MAX [20] per minute
+//    pairingClaimLimiter   per account, claim codes entered on the
+//                          Devices page (guessing codes)
+//        PAIRING_CLAIM_RATE_LIMIT_MAX [10] per 15 minutes
+//    shareInviteLimiter    per account, sharing invitations sent
+//                          (each one emails an address)
+//        SHARE_INVITE_RATE_LIMIT_MAX [20] per hour
+//
+//  Devices are keyed by device rather than IP because Particle
+//  webhooks all arrive from the same few cloud addresses. Refused
+//  keys are the exception: those have no device yet, so they share
+//  a per-IP budget, generous enough for a few devices still posting
+//  with a revoked key.
+//
+//  Limited requests get 429, a Retry-After header and
+//  { error, retryAfter }. Auth limits are also written to the
+//  SecurityEvent audit log.
+//
+//  Counters live in memory, i.e. per server process. Set TRUST_PROXY
+//  when running behind a load balancer so req.ip is the client.
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const SecurityEvent = require('../models/SecurityEvent');
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0
+    ? value
+    : fallback;
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// Shared 429 response: Retry-After header + JSON body
+function createLimiter(
+  name,
+  { windowMs, max, message, keyGenerator, skip, requestWasSuccessful, audit = true }
+) {
+  return rateLimit({
+    windowMs,
+    max,
+    keyGenerator,
+    skip,
+    // Only count the requests this says failed
+    skipSuccessfulRequests: Boolean(requestWasSuccessful),
+    requestWasSuccessful,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      const resetTime = req.rateLimit && req.rateLimit.resetTime;
+      const retryAfter = resetTime
+        ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+        : Math.ceil(windowMs / 1000);
+
+      if (audit) {
+        SecurityEvent.record(req, 'rate-limited', {
+          userId: req.user ? req.user.id : null,
+          email: req.body && typeof req.body.email === 'string' ? req.body.email : '',
+          details: { limiter: name, max, windowSeconds: windowMs / 1000 },
+        });
+      }
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: message, retryAfter });
+    },
+  });
+}
+
+const loginLimiter = createLimiter('login', {
+  windowMs: numberFromEnv('LOGIN_RATE_LIMIT_WINDOW_MINUTES', 15) * MINUTE_MS,
+  max: numberFromEnv('LOGIN_RATE_LIMIT_MAX', 20),
+  message: 'Too many sign-in attempts from this network. Please try again later.',
+});
+
+const registerLimiter = createLimiter('register', {
+  windowMs: numberFromEnv('REGISTER_RATE_LIMIT_WINDOW_MINUTES', 60) * MINUTE_MS,
+  max: numberFromEnv('REGISTER_RATE_LIMIT_MAX', 10),
+  message: 'Too many accounts created from this network. Please try again later.',
+});
+
+const passwordWindowMs = numberFromEnv('PASSWORD_RATE_LIMIT_WINDOW_MINUTES', 15) * MINUTE_MS;
+const passwordMax = numberFromEnv('PASSWORD_RATE_LIMIT_MAX', 5);
+
+const passwordLimiter = createLimiter('password', {
+  windowMs: passwordWindowMs,
+  max: passwordMax,
+  message: 'Too many password requests. Please try again later.',
+});
+
+// Runs after authMiddleware; only password changes count
+const passwordChangeLimiter = createLimiter('password-change', {
+  windowMs: passwordWindowMs,
+  max: passwordMax,
+  message: 'Too many password change attempts. Please try again later.',
+  keyGenerator: (req) => `user:${req.user.id}`,
+  skip: (req) => !(req.body && req.body.newPassword),
+});
+
+// Runs after authMiddleware; guesses at the password that confirms
+// an account deletion
+const accountDeleteLimiter = createLimiter('account-delete', {
+  windowMs: passwordWindowMs,
+  max: passwordMax,
+  message: 'Too many account deletion attempts. Please try again later.',
+  keyGenerator: (req) => `user:${req.user.id}`,
+});
+
+// Runs after authMiddleware; guesses at the password that confirms
+// turning 2FA off or replacing the recovery codes
+const twoFactorChangeLimiter = createLimiter('two-factor-change', {
+  windowMs: passwordWindowMs,
+  max: passwordMax,
+  message: 'Too many two-factor changes attempted. Please try again later.',
+  keyGenerator: (req) => `user:${req.user.id}`,
+});
+
+const deviceWindowMs = numberFromEnv('DEVICE_RATE_LIMIT_WINDOW_SECONDS', 60) * 1000;
+
+// Ahead of the API key check; only refused keys count, so devices
+// with a valid key behind the same cloud IP are unaffected until
+// someone floods it with bad ones
+const deviceAuthFailureLimiter = createLimiter('device-auth-failure', {
+  windowMs: deviceWindowMs,
+  max: numberFromEnv('DEVICE_AUTH_FAILURE_RATE_LIMIT_MAX', 60),
+  message: 'Too many requests with an invalid API key. Please try again later.',
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  audit: false,
+});
+
+// After the API key check: one budget per registered device. The
+// shared provisioning key (unregistered devices) has one budget,
+// keyed by its hash so the raw secret is not held as a map key.
+const deviceIngestLimiter = createLimiter('device-ingest', {
+  windowMs: deviceWindowMs,
+  max: numberFromEnv('DEVICE_RATE_LIMIT_MAX', 30),
+  message: 'Device is sending readings too quickly. Slow down the publish interval.',
+  keyGenerator: (req) =>
+    req.device
+      ? `device:${req.device._id}`
+      : `key:${crypto.createHash('sha256').update(req.header('x-api-key')).digest('hex')}`,
+  audit: false,
+});
+
+// Devices poll while their code waits to be entered, so polls are
+// counted per pairing token rather than per (shared) cloud IP
+const pairingDeviceLimiter = createLimiter('pairing-device', {
+  windowMs: MINUTE_MS,
+  max: numberFromEnv('PAIRING_DEVICE_RATE_LIMIT_MAX', 20),
+  message: 'Too many pairing requests from this device. Poll less often.',
+  keyGenerator: (req) => {
+    const token = req.body && req.body.pairingToken;
+    return typeof token === 'string'
+      ? `token:${crypto.createHash('sha256').update(token).digest('hex')}`
+      : `ip:${req.ip}`;
+  },
+  audit: false,
+});
+
+// Runs after authMiddleware; claim codes are short, so guesses count
+const pairingClaimLimiter = createLimiter('pairing-claim', {
+  windowMs: 15 * MINUTE_MS,
+  max: numberFromEnv('PAIRING_CLAIM_RATE_LIMIT_MAX', 10),
+  message: 'Too many claim codes entered. Please wait a few minutes and try again.',
+  keyGenerator: (req) => `user:${req.user.id}`,
+});
+
+// Runs after authMiddleware; every invitation sends an email
+const shareInviteLimiter = createLimiter('share-invite', {
+  windowMs: 60 * MINUTE_MS,
+  max: numberFromEnv('SHARE_INVITE_RATE_LIMIT_MAX', 20),
+  message: 'Too many invitations sent. Please try again later.',
+  keyGenerator: (req) => `user:${req.user.id}`,
+});
+
+module.exports = {
+  loginLimiter,
+  registerLimiter,
+  passwordLimiter,
+  passwordChangeLimiter,
+  accountDeleteLimiter,
+  twoFactorChangeLimiter,
+  deviceAuthFailureLimiter,
+  deviceIngestLimiter,
+  pairingDeviceLimiter,
+  pairingClaimLimiter,
+  shareInviteLimiter,
+};
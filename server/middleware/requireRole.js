@@ -0,0 +1,37 @@
+// server/middleware/requireRole.js
+// -------------------------------------------------------------
+// Heart Track - Role Gate
+// -------------------------------------------------------------
+//  Lets a route through only for accounts with one of the given
+//  roles (User.role). Use after authMiddleware:
+//
+//    app.use('/api/clinician', authMiddleware, requireRole('clinician'), ...)
+//
+//  The role is read from the database on every request rather
+//  than from the JWT, so a role change takes effect at once.
+//  Sets req.user.role for the handlers.
+//
+//  Responds 403 when the account has none of the roles.
+// -------------------------------------------------------------
+
+const User = require('../models/User');
+
+module.exports = function requireRole(...roles) {
+  return async function roleMiddleware(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id).select('role');
+      if (!user) {
+        return res.status(401).json({ error: 'User not found for current token' });
+      }
+
+      if (!roles.includes(user.role)) {
+        return res.status(403).json({ error: 'Your account does not have access to this page' });
+      }
+
+      req.user.role = user.role;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+};
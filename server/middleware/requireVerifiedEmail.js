@@ -0,0 +1,52 @@
+// server/middleware/requireVerifiedEmail.js
+// -------------------------------------------------------------
+// Heart Track - Verified Email Gate
+// -------------------------------------------------------------
+//  Blocks selected features until the user has confirmed their
+//  email address (User.emailVerifiedAt). Use after authMiddleware:
+//
+//    router.post('/', requireVerifiedEmail('devices'), ...)
+//
+//  Which features are gated is read from
+//  EMAIL_VERIFICATION_REQUIRED_FOR, a comma-separated list
+//  (default "devices"; "none" turns the gate off). Known features:
+//    • devices → registering a new device
+//    • chat    → the AI assistant (/api/chat)
+//    • sharing → inviting others to your readings (/api/shares)
+//
+//  Responds 403 when the address is unverified.
+// -------------------------------------------------------------
+
+const User = require('../models/User');
+
+function gatedFeatures() {
+  return (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || 'devices')
+    .split(',')
+    .map((feature) => feature.trim())
+    .filter(Boolean);
+}
+
+module.exports = function requireVerifiedEmail(feature) {
+  return async function verifiedEmailMiddleware(req, res, next) {
+    if (!gatedFeatures().includes(feature)) {
+      return next();
+    }
+
+    try {
+      const user = await User.findById(req.user.id).select('emailVerifiedAt');
+      if (!user) {
+        return res.status(401).json({ error: 'User not found for current token' });
+      }
+
+      if (!user.emailVerifiedAt) {
+        return res.status(403).json({
+          error: 'Please verify your email address first. Check your inbox or resend the link from Settings.',
+        });
+      }
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+};
@@ -0,0 +1,48 @@
+// server/middleware/validate.js
+// -------------------------------------------------------------
+// Heart Track - Request Validation (express-validator)
+// -------------------------------------------------------------
+//  Turns a declarative schema (see server/validators/) into route
+//  middleware:
+//
+//    router.post('/', validate(schemas.register), async (req, res) => ...)
+//
+//  Fields are read from req.body unless the schema says otherwise
+//  (`in: ['params']` / `in: ['query']`). Sanitizers in the schema
+//  (trim, toLowerCase, toInt, ...) rewrite req.body / req.query /
+//  req.params in place, so handlers see normalized values.
+//
+//  On failure responds 422 with one entry per offending field:
+//    {
+//      error: "A valid email address is required",   // first problem
+//      errors: [
+//        { field: "email", location: "body",
+//          message: "A valid email address is required" },
+//        { field: "password", location: "body",
+//          message: "Password must be at least 8 characters long" }
+//      ]
+//    }
+//  `field` uses dot paths for nested values ("timeRange.start")
+//  and brackets for array items ("readings[3]").
+// -------------------------------------------------------------
+
+const { checkSchema, validationResult } = require('express-validator');
+
+function reportValidationErrors(req, res, next) {
+  const result = validationResult(req);
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  const errors = result.array({ onlyFirstError: true }).map((err) => ({
+    field: err.path,
+    location: err.location,
+    message: err.msg,
+  }));
+
+  return res.status(422).json({ error: errors[0].message, errors });
+}
+
+module.exports = function validate(schema) {
+  return [checkSchema(schema, ['body']), reportValidationErrors];
+};
@@ -0,0 +1,106 @@
+// server/models/AccessEvent.js
+// -------------------------------------------------------------
+// Heart Track - Clinician Access Log (Mongoose Schema)
+// -------------------------------------------------------------
+//  Append-only record of clinicians looking at patient data, so
+//  a patient can see who opened their readings and when (GET
+//  /api/consents/access-log) and an operator can audit it.
+//
+//    • action      → what was looked at: "roster" (the patient
+//                    list), "readings", "daily", "weekly" or
+//                    "chat"
+//    • actorId     → clinician who made the request
+//    • patientId   → whose data it was (null for "roster")
+//    • ip          → client address (req.ip)
+//    • userAgent   → client User-Agent header
+//    • route       → request path
+//    • details     → action-specific data (e.g. the date opened,
+//                    number of patients listed)
+//
+//  Events expire after ACCESS_EVENT_TTL_DAYS (default 2190, six
+//  years).
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      action: "daily",
+//      actorId: "ObjectId(...)",
+//      patientId: "ObjectId(...)",
+//      ip: "203.0.113.7",
+//      userAgent: "Mozilla/5.0 ...",
+//      route: "/api/measurements/daily/2025-12-03?owner=...",
+//      details: { date: "2025-12-03" },
+//      createdAt: "2025-12-03T10:00:00.000Z"
+//    }
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+
+const ACCESS_EVENT_TTL_DAYS = Number(process.env.ACCESS_EVENT_TTL_DAYS) || 2190;
+
+const ACCESS_ACTIONS = ['roster', 'readings', 'daily', 'weekly', 'chat'];
+
+const accessEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ACCESS_ACTIONS,
+      required: true
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    route: {
+      type: String,
+      default: ''
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+accessEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: ACCESS_EVENT_TTL_DAYS * 24 * 60 * 60 }
+);
+
+// Helper: record that the current user (req.user) looked at a
+// patient's data. Never throws, like SecurityEvent.record().
+accessEventSchema.statics.record = async function record(req, action, fields = {}) {
+  try {
+    await this.create({
+      action,
+      actorId: req.user.id,
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || '',
+      route: req.originalUrl,
+      ...fields
+    });
+  } catch (err) {
+    console.error('Failed to record access event:', err.message);
+  }
+};
+
+module.exports = mongoose.model('AccessEvent', accessEventSchema);
@@ -0,0 +1,194 @@
+// server/models/Alert.js
+// -------------------------------------------------------------
+// Heart Track - Alert Model (Mongoose Schema)
+// -------------------------------------------------------------
+//  One alert per episode of readings that broke one of the
+//  owner's alert rules (User.alertRules, judged by
+//  utils/alertRules.js), raised at ingestion through
+//  Alert.raiseForReading(). While an alert is open (unread),
+//  further readings breaking the same rule on the same device are
+//  added to it (readings, lastTakenAt, latest value) instead of
+//  raising a new one. Once it has been read or resolved, the next
+//  breach raises a new open alert. A partial unique index keeps it
+//  to one open alert per device and rule.
+//
+//    • userId      → owner of the device (who sees the alert)
+//    • deviceId    → string ID of the device (Device.deviceId)
+//    • rule        → "heart-rate-high" | "heart-rate-low" |
+//                    "spo2-low" | "heart-rate-change" | "spo2-drop"
+//    • message     → human-readable summary for the UI
+//    • value       → the latest offending value (BPM, %, or the
+//                    change for the rate-of-change rules)
+//    • threshold   → the rule's limit when the alert was raised
+//    • measurementId → latest reading in the episode
+//    • readings    → readings in the episode so far
+//    • firstTakenAt / lastTakenAt → first / latest reading time
+//    • status      → "open" (unread), "acknowledged" (seen) or
+//                    "resolved" (dealt with)
+//    • acknowledgedAt / resolvedAt → when the status changed
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      userId: "ObjectId(...)",
+//      deviceId: "PHOTON_ABC123",
+//      rule: "spo2-low",
+//      message: "SpO₂ 85% is below your limit of 90%",
+//      value: 85,
+//      threshold: 90,
+//      measurementId: "ObjectId(...)",
+//      readings: 2,
+//      firstTakenAt: "2025-12-03T10:00:00.000Z",
+//      lastTakenAt: "2025-12-03T10:30:00.000Z",
+//      status: "open",
+//      acknowledgedAt: null,
+//      resolvedAt: null,
+//      createdAt: "...",
+//      updatedAt: "..."
+//    }
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+const User = require('./User');
+const Measurement = require('./Measurement');
+const {
+  ALERT_RULES,
+  ALERT_STATUSES,
+  DEFAULT_ALERT_RULES,
+  checkReading
+} = require('../utils/alertRules');
+
+const alertSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    deviceId: {
+      type: String,
+      required: true
+    },
+    rule: {
+      type: String,
+      enum: ALERT_RULES,
+      required: true
+    },
+    message: {
+      type: String,
+      default: ''
+    },
+    value: {
+      type: Number,
+      required: true
+    },
+    threshold: {
+      type: Number,
+      required: true
+    },
+    measurementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Measurement',
+      default: null
+    },
+    readings: {
+      type: Number,
+      default: 1
+    },
+    firstTakenAt: {
+      type: Date,
+      required: true
+    },
+    lastTakenAt: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ALERT_STATUSES,
+      default: 'open'
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// The alerts panel and the unread count
+alertSchema.index({ userId: 1, status: 1, createdAt: -1 });
+// A device's alerts (removing a device)
+alertSchema.index({ userId: 1, deviceId: 1, rule: 1, status: 1 });
+// At most one open alert per device and rule, which parallel readings
+// extend through the upsert in raiseForReading()
+alertSchema.index(
+  { userId: 1, deviceId: 1, rule: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Helper: check a newly stored reading of a registered device against
+// its owner's rules, raising new alerts or extending open ones.
+// Returns the alerts touched. Never throws, like SecurityEvent.record():
+// the reading is already stored, and a retried upload would only be
+// answered as a duplicate.
+alertSchema.statics.raiseForReading = async function raiseForReading(device, measurement) {
+  try {
+    if (measurement.quality && measurement.quality.status === 'rejected') {
+      return [];
+    }
+
+    const owner = await User.findById(device.userId).select('alertRules');
+    const rules = owner && owner.alertRules ? owner.alertRules.toObject() : {};
+    if (!owner || rules.enabled === false) {
+      return [];
+    }
+
+    // Enough history for the streak, and one reading for the change rules
+    const sustainedReadings = rules.sustainedReadings || DEFAULT_ALERT_RULES.sustainedReadings;
+    const previous = await Measurement.find({
+      deviceId: measurement.deviceId,
+      takenAt: { $lt: measurement.takenAt },
+      'quality.status': { $ne: 'rejected' }
+    })
+      .sort({ takenAt: -1 })
+      .limit(Math.max(sustainedReadings - 1, 1))
+      .select('heartRate spo2 takenAt');
+
+    const alerts = [];
+    for (const { rule, value, threshold, message } of checkReading(rules, measurement, previous)) {
+      // Extend the open alert, or raise it if there is none. One upsert,
+      // so parallel readings cannot both raise one.
+      const raiseOrExtend = () => this.findOneAndUpdate(
+        { userId: device.userId, deviceId: measurement.deviceId, rule, status: 'open' },
+        {
+          $set: { message, value, threshold, measurementId: measurement._id },
+          $inc: { readings: 1 },
+          $max: { lastTakenAt: measurement.takenAt },
+          $setOnInsert: { firstTakenAt: measurement.takenAt }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      try {
+        alerts.push(await raiseOrExtend());
+      } catch (err) {
+        // Lost the insert to a parallel reading: extend its alert instead
+        if (err.code !== 11000) throw err;
+        alerts.push(await raiseOrExtend());
+      }
+    }
+    return alerts;
+  } catch (err) {
+    console.error('Failed to evaluate alert rules:', err.message);
+    return [];
+  }
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
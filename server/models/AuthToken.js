@@ -0,0 +1,105 @@
+// server/models/AuthToken.js
+// -------------------------------------------------------------
+// Heart Track - One-Time Account Token Model (Mongoose Schema)
+// -------------------------------------------------------------
+//  Single-use tokens mailed to a user (password reset and email
+//  verification links).
+//  Only a SHA-256 hash is stored, so a database leak does not hand
+//  out working links.
+//
+//    • userId     → owner (MongoDB ObjectId of User)
+//    • purpose    → what the token unlocks ("password-reset" or
+//                   "email-verification")
+//    • tokenHash  → SHA-256 of the raw token in the email
+//    • expiresAt  → deadline; expired tokens are deleted by a TTL index
+//    • usedAt     → set when the token is redeemed (never reusable)
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      userId: "ObjectId(...)",
+//      purpose: "password-reset",
+//      tokenHash: "1f3c...",
+//      expiresAt: "2025-12-01T19:00:00.000Z",
+//      usedAt: null,
+//      createdAt: "...",
+//      updatedAt: "..."
+//    }
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const AUTH_TOKEN_PURPOSES = ['password-reset', 'email-verification'];
+
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    purpose: {
+      type: String,
+      enum: AUTH_TOKEN_PURPOSES,
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Drop tokens once they can no longer be redeemed
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authTokenSchema.statics.hashToken = function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue a fresh token for `purpose`, replacing any unused one.
+// Returns the raw token for the email; only its hash is saved.
+authTokenSchema.statics.issue = async function issue(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Redeem a token atomically: resolves the token document if it was
+// valid for `purpose` (and marks it used), otherwise null.
+authTokenSchema.statics.consume = function consume(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,72 @@
+// server/models/ClinicianConsent.js
+// -------------------------------------------------------------
+// Heart Track - Clinician Consent Model (Mongoose Schema)
+// -------------------------------------------------------------
+//  A patient's explicit permission for one clinician account
+//  (User.role "clinician") to follow their readings:
+//
+//    • patientId   → User who gave consent
+//    • clinicianId → clinician it was given to
+//    • grantedAt   → when the patient gave it
+//    • revokedAt   → when the patient withdrew it, or the
+//                    clinician removed the patient from their
+//                    roster; revoked consents grant nothing
+//
+//  Consent covers every device of the patient (present, archived
+//  and future) for reading only; notes need an "annotate" share
+//  (models/DeviceShare.js). At most one consent per pair is in
+//  force at a time; giving it again after a revoke adds a new
+//  document, so the history of consents is kept.
+//
+//  utils/deviceAccess.js honours consents on reads and every
+//  clinician read is written to the AccessEvent log.
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      patientId: "ObjectId(...)",
+//      clinicianId: "ObjectId(...)",
+//      grantedAt: "2025-12-03T09:30:00.000Z",
+//      revokedAt: null,
+//      createdAt: "...",
+//      updatedAt: "..."
+//    }
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+
+const clinicianConsentSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    clinicianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One consent in force per patient / clinician pair
+clinicianConsentSchema.index(
+  { patientId: 1, clinicianId: 1 },
+  { unique: true, partialFilterExpression: { revokedAt: { $type: 'null' } } }
+);
+
+module.exports = mongoose.model('ClinicianConsent', clinicianConsentSchema);
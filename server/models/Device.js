@@ -8,6 +8,26 @@
 //    • name       → human-readable label ("Bedroom Sensor")
 //    • deviceId   → unique hardware ID sent by the IoT device
 //    • active     → whether the device is currently enabled
+//    • settings   → measurement schedule for this device:
+//                     measurementInterval (minutes) and
+//                     timeRange { start, end } ("HH:MM" local)
+//    • apiKeyHash → SHA-256 of the device's own ingestion key
+//                   (the raw key is only shown once, never stored)
+//    • archivedAt → set when the owner removed the device but kept
+//                   its history (soft delete). Archived devices are
+//                   inactive, have no API key and still hold their
+//                   deviceId, so nobody else can register it and
+//                   inherit the readings.
+//    • telemetry  → what the device last reported about itself
+//                   (uploads and heartbeats): lastSeenAt,
+//                   firmwareVersion, rssi (Wi-Fi dBm) and
+//                   bufferedRecords (readings waiting in EEPROM)
+//
+//  The JSON form also carries a derived `status`:
+//    online  → heard from within DEVICE_ONLINE_MINUTES (15)
+//    stale   → within DEVICE_OFFLINE_MINUTES (60)
+//    offline → longer ago
+//    unknown → never heard from
 //
 //  Automatically manages createdAt / updatedAt timestamps.
 // -------------------------------------------------------------
@@ -18,13 +38,76 @@
 //      name: "Photon #1",
 //      deviceId: "PHOTON_ABC123",
 //      active: true,
+//      settings: {
+//        measurementInterval: 30,
+//        timeRange: { start: "06:00", end: "22:00" }
+//      },
+//      apiKeyLast4: "9f3c",
+//      apiKeyCreatedAt: "...",
+//      archivedAt: null,
+//      telemetry: {
+//        lastSeenAt: "...",
+//        firmwareVersion: "1.2.0",
+//        rssi: -61,
+//        bufferedRecords: 0
+//      },
 //      createdAt: "...",
 //      updatedAt: "..."
 //    }
 // -------------------------------------------------------------
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// "HH:MM" in 24-hour time
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const deviceSettingsSchema = new mongoose.Schema(
+  {
+    measurementInterval: {
+      // Minutes between measurement prompts on the device
+      type: Number,
+      default: 30,
+      min: 1,
+      max: 24 * 60
+    },
+    timeRange: {
+      // Hours of the day when the device asks for measurements
+      start: { type: String, default: '06:00', match: TIME_OF_DAY },
+      end: { type: String, default: '22:00', match: TIME_OF_DAY }
+    }
+  },
+  { _id: false }
+);
+
+const deviceTelemetrySchema = new mongoose.Schema(
+  {
+    lastSeenAt: {
+      // Last upload or heartbeat
+      type: Date,
+      default: null
+    },
+    firmwareVersion: {
+      type: String,
+      default: null
+    },
+    rssi: {
+      // Wi-Fi signal strength in dBm (-127 … 0, higher is better)
+      type: Number,
+      default: null
+    },
+    bufferedRecords: {
+      // Readings stored in EEPROM while offline, not yet replayed
+      type: Number,
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const ONLINE_MINUTES = Number(process.env.DEVICE_ONLINE_MINUTES) || 15;
+const OFFLINE_MINUTES = Number(process.env.DEVICE_OFFLINE_MINUTES) || 60;
+
 const deviceSchema = new mongoose.Schema(
   {
     userId: {
@@ -47,13 +130,160 @@ const deviceSchema = new mongoose.Schema(
     active: {
       type: Boolean,
       default: true
+    },
+    settings: {
+      type: deviceSettingsSchema,
+      default: () => ({})
+    },
+    apiKeyHash: {
+      // SHA-256 hex digest of the device API key (null when revoked).
+      // Keys are random 32-byte secrets, so a fast hash is enough and
+      // lets the ingestion middleware look the device up directly.
+      type: String,
+      default: null,
+      select: false
+    },
+    apiKeyLast4: {
+      // Last 4 characters of the key, so the UI can tell keys apart
+      type: String,
+      default: null
+    },
+    apiKeyCreatedAt: {
+      type: Date,
+      default: null
+    },
+    archivedAt: {
+      // Soft delete: hidden from the device list, readings kept
+      type: Date,
+      default: null
+    },
+    telemetry: {
+      type: deviceTelemetrySchema,
+      default: () => ({})
     }
   },
   {
-    timestamps: true
+    timestamps: true,
+    toJSON: {
+      // Never send the key hash to the frontend
+      transform(doc, ret) {
+        delete ret.apiKeyHash;
+        ret.status = doc.connectionStatus();
+        return ret;
+      }
+    }
   }
 );
 
+// One device per key. Revoked keys are null, and a sparse index would
+// still index those (only one device could be without a key), so only
+// string hashes are indexed, as for DeviceShare.inviteTokenHash.
+// Databases that still have the old sparse index need it dropped once:
+// db.devices.dropIndex('apiKeyHash_1')
+deviceSchema.index(
+  { apiKeyHash: 1 },
+  { unique: true, partialFilterExpression: { apiKeyHash: { $type: 'string' } } }
+);
+
+// Compact config string relayed to the Photon through the Particle
+// webhook response: "<intervalMinutes>,<startHHMM>,<endHHMM>,<utcOffsetMinutes>"
+// e.g. "30,0600,2200,-420". Kept short and comma-separated so the
+// firmware can parse it with sscanf.
+deviceSchema.methods.toConfigString = function toConfigString(utcOffsetMinutes = 0) {
+  const settings = this.settings || {};
+  const timeRange = settings.timeRange || {};
+  const hhmm = (value, fallback) => (value || fallback).replace(':', '');
+
+  return [
+    settings.measurementInterval || 30,
+    hhmm(timeRange.start, '06:00'),
+    hhmm(timeRange.end, '22:00'),
+    Math.round(utcOffsetMinutes) || 0,
+  ].join(',');
+};
+
+// online / stale / offline from the last contact, unknown if none
+deviceSchema.methods.connectionStatus = function connectionStatus(now = new Date()) {
+  const lastSeenAt = this.telemetry && this.telemetry.lastSeenAt;
+  if (!lastSeenAt) return 'unknown';
+
+  const minutes = (now.getTime() - new Date(lastSeenAt).getTime()) / 60000;
+  if (minutes <= ONLINE_MINUTES) return 'online';
+  if (minutes <= OFFLINE_MINUTES) return 'stale';
+  return 'offline';
+};
+
+// connectionStatus() counted in the database for devices matching
+// `filter` → { online, stale, offline, unknown }
+deviceSchema.statics.countByConnectionStatus = async function countByConnectionStatus(
+  filter = {},
+  now = new Date()
+) {
+  const onlineSince = new Date(now.getTime() - ONLINE_MINUTES * 60000);
+  const offlineSince = new Date(now.getTime() - OFFLINE_MINUTES * 60000);
+  const lastSeenAt = { $ifNull: ['$telemetry.lastSeenAt', null] };
+
+  const groups = await this.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          $switch: {
+            branches: [
+              { case: { $eq: [lastSeenAt, null] }, then: 'unknown' },
+              { case: { $gte: [lastSeenAt, onlineSince] }, then: 'online' },
+              { case: { $gte: [lastSeenAt, offlineSince] }, then: 'stale' }
+            ],
+            default: 'offline'
+          }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const counts = { online: 0, stale: 0, offline: 0, unknown: 0 };
+  groups.forEach(g => { counts[g._id] = g.count; });
+  return counts;
+};
+
+// Hash a raw device API key the same way it was stored
+deviceSchema.statics.hashApiKey = function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+};
+
+// Mint a fresh key for this device (replacing any previous one).
+// Returns the raw key; the caller must show it to the user once.
+deviceSchema.methods.issueApiKey = function issueApiKey() {
+  const apiKey = `htk_${crypto.randomBytes(24).toString('hex')}`;
+
+  this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+  this.apiKeyLast4 = apiKey.slice(-4);
+  this.apiKeyCreatedAt = new Date();
+
+  return apiKey;
+};
+
+// Revoke the current key; the device can no longer post readings
+deviceSchema.methods.revokeApiKey = function revokeApiKey() {
+  this.apiKeyHash = null;
+  this.apiKeyLast4 = null;
+  this.apiKeyCreatedAt = null;
+};
+
+// Soft-delete: stop uploads and hide the device, keep its readings
+deviceSchema.methods.archive = function archive() {
+  this.archivedAt = new Date();
+  this.active = false;
+  this.revokeApiKey();
+};
+
+// Undo archive(); a new API key must be issued before uploads resume
+deviceSchema.methods.restore = function restore() {
+  this.archivedAt = null;
+  this.active = true;
+};
+
 module.exports = mongoose.model('Device', deviceSchema);
 
 /*
@@ -62,6 +292,12 @@ module.exports = mongoose.model('Device', deviceSchema);
   "userId": "ObjectId of owner",
   "name": "Photon #1",
   "deviceId": "PHOTON_ABC123",
-  "active": true
+  "active": true,
+  "settings": {
+    "measurementInterval": 30,
+    "timeRange": { "start": "06:00", "end": "22:00" }
+  },
+  "apiKeyLast4": "9f3c",
+  "apiKeyCreatedAt": "2025-11-17T20:05:00.000Z"
 }
 */
\ No newline at end of file
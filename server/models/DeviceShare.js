@@ -0,0 +1,171 @@
+// server/models/DeviceShare.js
+// -------------------------------------------------------------
+// Heart Track - Device Share Model (Mongoose Schema)
+// -------------------------------------------------------------
+//  Read access an owner grants another account (a caregiver,
+//  family member, ...) to their readings. A share starts as an
+//  emailed invitation and becomes a grant once accepted:
+//
+//    • ownerId         → User whose readings are shared
+//    • email           → address the invitation was sent to
+//                        (lowercased); only the account with this
+//                        email can accept it
+//    • granteeId       → User who accepted (null while pending)
+//    • permission      → "read" (view only) or "annotate" (view
+//                        and add notes to readings)
+//    • scope           → "all": every device of the owner, present,
+//                        archived and future, with their history;
+//                        "devices": only the deviceIds listed
+//    • deviceIds       → Device.deviceId strings (scope "devices")
+//    • inviteTokenHash → SHA-256 of the invitation link's token,
+//                        cleared once accepted
+//    • inviteExpiresAt → the invitation can't be accepted after this
+//    • acceptedAt      → when the grantee accepted
+//    • revokedAt       → when the owner revoked it (or the grantee
+//                        left); revoked shares grant nothing
+//
+//  Only the token hash is stored, like AuthToken and PairingCode.
+//  utils/deviceAccess.js turns active shares into device lists.
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      ownerId: "ObjectId(...)",
+//      email: "daughter@example.com",
+//      granteeId: "ObjectId(...)",
+//      permission: "annotate",
+//      scope: "devices",
+//      deviceIds: ["PHOTON_ABC123"],
+//      inviteTokenHash: null,
+//      inviteExpiresAt: "2025-12-08T19:00:00.000Z",
+//      acceptedAt: "2025-12-02T08:15:00.000Z",
+//      revokedAt: null,
+//      createdAt: "...",
+//      updatedAt: "..."
+//    }
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Keep in step with validators/shares.js
+const SHARE_PERMISSIONS = ['read', 'annotate'];
+const SHARE_SCOPES = ['all', 'devices'];
+
+const deviceShareSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    granteeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+    permission: {
+      type: String,
+      enum: SHARE_PERMISSIONS,
+      default: 'read'
+    },
+    scope: {
+      type: String,
+      enum: SHARE_SCOPES,
+      default: 'all'
+    },
+    deviceIds: {
+      type: [String],
+      default: []
+    },
+    inviteTokenHash: {
+      type: String,
+      default: null
+    },
+    inviteExpiresAt: {
+      type: Date,
+      required: true
+    },
+    acceptedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+deviceShareSchema.index(
+  { inviteTokenHash: 1 },
+  { unique: true, partialFilterExpression: { inviteTokenHash: { $type: 'string' } } }
+);
+
+deviceShareSchema.statics.hashToken = function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Invite `email` to the owner's readings. Returns { share, token };
+// the token goes into the invitation link and is not stored.
+deviceShareSchema.statics.invite = async function invite(fields, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const share = await this.create({
+    ...fields,
+    inviteTokenHash: this.hashToken(token),
+    inviteExpiresAt: new Date(Date.now() + ttlMs)
+  });
+  return { share, token };
+};
+
+// Accept an invitation for `user` atomically: resolves the share if the
+// token was valid, unexpired, unused and addressed to the user's
+// email, otherwise null.
+deviceShareSchema.statics.accept = function accept(token, user) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      inviteTokenHash: this.hashToken(token),
+      email: user.email,
+      acceptedAt: null,
+      revokedAt: null,
+      inviteExpiresAt: { $gt: now }
+    },
+    { $set: { granteeId: user._id, acceptedAt: now, inviteTokenHash: null } },
+    { new: true }
+  );
+};
+
+// "pending" | "active" | "expired" | "revoked"
+deviceShareSchema.methods.status = function status(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.acceptedAt) return 'active';
+  return this.inviteExpiresAt > now ? 'pending' : 'expired';
+};
+
+// True if this share covers readings from `deviceId`
+deviceShareSchema.methods.covers = function covers(deviceId) {
+  return this.scope === 'all' || this.deviceIds.includes(deviceId);
+};
+
+deviceShareSchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.inviteTokenHash;
+    ret.status = doc.status();
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('DeviceShare', deviceShareSchema);
@@ -0,0 +1,120 @@
+// server/models/IngestionError.js
+// -------------------------------------------------------------
+// Heart Track - Ingestion Error Log (Mongoose Schema)
+// -------------------------------------------------------------
+//  One document per device upload the server refused, so an
+//  admin can see which devices are misconfigured or sending bad
+//  data (GET /api/admin/ingestion-errors). Written by
+//  middleware/ingestionErrorLog.js for every 4xx / 5xx answer on
+//  the /api/measurements/device* routes, except rate limiting
+//  (429, already in the SecurityEvent log).
+//
+//    • route     → request path
+//    • status    → HTTP status that was sent
+//    • error     → the `error` message of the response
+//    • fieldErrors → field errors of a 422 ([{ field, message }])
+//    • deviceId  → the device it came from: the one the API key
+//                  resolved to, else the deviceId / coreid it
+//                  claimed ('' when neither is known)
+//    • userId    → owner of that device, when it is registered
+//    • ip        → client address (req.ip)
+//    • userAgent → client User-Agent header
+//
+//  Entries expire after INGESTION_ERROR_TTL_DAYS (default 30).
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      route: "/api/measurements/device",
+//      status: 422,
+//      error: "heartRate must be a number",
+//      fieldErrors: [{ field: "heartRate", message: "heartRate must be a number" }],
+//      deviceId: "PHOTON_ABC123",
+//      userId: "ObjectId(...)",
+//      ip: "54.1.2.3",
+//      userAgent: "ParticleBot/1.1",
+//      createdAt: "2025-12-03T10:00:00.000Z"
+//    }
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+
+const INGESTION_ERROR_TTL_DAYS = Number(process.env.INGESTION_ERROR_TTL_DAYS) || 30;
+
+const ingestionErrorSchema = new mongoose.Schema(
+  {
+    route: {
+      type: String,
+      default: ''
+    },
+    status: {
+      type: Number,
+      required: true
+    },
+    error: {
+      type: String,
+      default: ''
+    },
+    fieldErrors: {
+      type: [
+        {
+          _id: false,
+          field: String,
+          message: String
+        }
+      ],
+      default: undefined
+    },
+    deviceId: {
+      type: String,
+      default: '',
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+ingestionErrorSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: INGESTION_ERROR_TTL_DAYS * 24 * 60 * 60 }
+);
+
+// Helper: record a refused upload. Never throws, like
+// SecurityEvent.record(); logging must not break ingestion.
+ingestionErrorSchema.statics.record = async function record(req, status, body = {}) {
+  try {
+    const claimed = req.body && (req.body.deviceId || req.body.coreid);
+
+    await this.create({
+      route: req.originalUrl,
+      status,
+      error: typeof body.error === 'string' ? body.error : '',
+      fieldErrors: Array.isArray(body.errors)
+        ? body.errors.map(({ field, message }) => ({ field, message }))
+        : undefined,
+      deviceId: req.device ? req.device.deviceId : typeof claimed === 'string' ? claimed : '',
+      userId: req.device ? req.device.userId : null,
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || ''
+    });
+  } catch (err) {
+    console.error('Failed to record ingestion error:', err.message);
+  }
+};
+
+module.exports = mongoose.model('IngestionError', ingestionErrorSchema);
@@ -0,0 +1,54 @@
+// server/models/LoginThrottle.js
+// -------------------------------------------------------------
+// Heart Track - Sign-in Throttle for Unknown Addresses (Mongoose)
+// -------------------------------------------------------------
+//  Failed sign-ins for an email address that has no account are
+//  counted here, with the same `lockout` fields as User, so
+//  utils/loginLockout.js locks them out exactly like a real
+//  account. Otherwise a 429 would only ever come back for
+//  registered addresses and give them away.
+//
+//    • email     → address that was tried (as sent to /login)
+//    • lockout   → failures, level, lockedUntil (see User.lockout)
+//    • expiresAt → pushed back on every failure; the entry is
+//                  deleted by a TTL index after a quiet day
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      email: "nobody@example.com",
+//      lockout: { failures: 2, level: 1, lockedUntil: null },
+//      expiresAt: "2025-12-02T18:00:00.000Z",
+//      createdAt: "...",
+//      updatedAt: "..."
+//    }
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    lockout: {
+      failures: { type: Number, default: 0 },
+      level: { type: Number, default: 0 },
+      lockedUntil: { type: Date, default: null }
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Forget addresses nobody has tried for a while
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -8,6 +8,15 @@
 //    • heartRate  → beats per minute (BPM)
 //    • spo2       → oxygen saturation percentage (SpO₂)
 //    • takenAt    → timestamp of when the measurement occurred
+//    • idempotencyKey → client-supplied key, or a hash derived from
+//                   deviceId + takenAt + values; unique per device so
+//                   retried / replayed publishes are stored once
+//    • quality    → { status: "valid" | "suspect" | "rejected",
+//                     reasons: [...] }, graded server-side from
+//                   utils/plausibility.js whenever HR/SpO₂ change
+//    • annotations → notes on the reading by its owner or by someone
+//                   it was shared with "annotate" permission:
+//                   [{ authorId, authorName, text, createdAt }]
 //
 //  The schema also automatically stores createdAt / updatedAt
 //  for auditing and weekly/daily analytics.
@@ -18,12 +27,58 @@
 //      heartRate: 72,
 //      spo2: 98,
 //      takenAt: "2025-11-17T20:05:00.000Z",
+//      quality: { status: "valid", reasons: [] },
+//      annotations: [
+//        { _id: "...", authorId: "ObjectId(...)", authorName: "Sam",
+//          text: "Had just climbed the stairs", createdAt: "..." }
+//      ],
 //      createdAt: "...",
 //      updatedAt: "..."
 //    }
 // -------------------------------------------------------------
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { QUALITY_STATUSES, assessReading } = require('../utils/plausibility');
+
+// Plausibility grade of a reading (never sent by the client)
+const qualitySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: QUALITY_STATUSES,
+      default: 'valid'
+    },
+    reasons: {
+      type: [String],
+      default: []
+    }
+  },
+  { _id: false }
+);
+
+// A note on a reading; authorName is copied when the note is written
+// so notes list without looking up every author
+const annotationSchema = new mongoose.Schema({
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorName: {
+    type: String,
+    default: ''
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const measurementSchema = new mongoose.Schema(
   {
@@ -44,6 +99,18 @@ const measurementSchema = new mongoose.Schema(
       // When the reading was taken (from device or server time)
       type: Date,
       default: Date.now
+    },
+    idempotencyKey: {
+      // Same key from the same device → same reading (see index below)
+      type: String
+    },
+    quality: {
+      type: qualitySchema,
+      default: () => ({})
+    },
+    annotations: {
+      type: [annotationSchema],
+      default: undefined
     }
   },
   {
@@ -51,6 +118,33 @@ const measurementSchema = new mongoose.Schema(
   }
 );
 
+// Aggregates filter on quality; documents from before quality existed
+// have no status and count as valid.
+measurementSchema.index({ deviceId: 1, 'quality.status': 1, takenAt: -1 });
+
+// Grade the reading before it is stored (also runs for insertMany)
+measurementSchema.pre('validate', function gradeQuality(next) {
+  if (this.isNew || this.isModified('heartRate') || this.isModified('spo2')) {
+    this.quality = assessReading({ heartRate: this.heartRate, spo2: this.spo2 });
+  }
+  next();
+});
+
+// One reading per (device, key). Partial so older documents without a
+// key don't collide with each other.
+measurementSchema.index(
+  { deviceId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } }
+);
+
+// Key used when the sender didn't supply one: the same device reporting
+// the same values at the same instant is treated as the same reading.
+measurementSchema.statics.deriveIdempotencyKey = function deriveIdempotencyKey(reading) {
+  const { deviceId, takenAt, heartRate, spo2 } = reading;
+  const source = [deviceId, new Date(takenAt).toISOString(), heartRate, spo2].join('|');
+  return `auto:${crypto.createHash('sha256').update(source).digest('hex')}`;
+};
+
 module.exports = mongoose.model('Measurement', measurementSchema);
 
 /*
@@ -59,6 +153,7 @@ module.exports = mongoose.model('Measurement', measurementSchema);
   "deviceId": "PHOTON_ABC123",
   "heartRate": 72,
   "spo2": 98,
-  "takenAt": "2025-11-17T20:05:00.000Z"
+  "takenAt": "2025-11-17T20:05:00.000Z",
+  "quality": { "status": "valid", "reasons": [] }
 }
 */
\ No newline at end of file
@@ -0,0 +1,180 @@
+// server/models/PairingCode.js
+// -------------------------------------------------------------
+// Heart Track - Device Pairing Code Model (Mongoose Schema)
+// -------------------------------------------------------------
+//  Short-lived codes that bind a device to a user without anyone
+//  typing its raw deviceId:
+//
+//    1. The device asks for a code (POST /api/pairing/codes) and
+//       shows the claim code to its owner. It keeps the pairing
+//       token to itself.
+//    2. The owner enters the claim code on the Devices page
+//       (POST /api/devices/pair); the device is bound to them.
+//    3. The device polls with its pairing token
+//       (POST /api/pairing/status) and receives its API key once.
+//
+//    • deviceId         → hardware ID the device asked for a code for
+//    • codeHash         → SHA-256 of the normalized claim code
+//    • pairingTokenHash → SHA-256 of the device's polling secret
+//    • expiresAt        → deadline; expired codes are deleted by a
+//                         TTL index (pushed back once claimed, so
+//                         the device has time to collect its key)
+//    • claimedBy        → User who entered the code (null until then)
+//    • claimedAt        → when the code was entered
+//    • deliveredAt      → when the device collected its API key
+//
+//  Only hashes are stored, like AuthToken and device API keys.
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      deviceId: "PHOTON_ABC123",
+//      codeHash: "5be1...",
+//      pairingTokenHash: "a07c...",
+//      expiresAt: "2025-12-01T19:10:00.000Z",
+//      claimedBy: "ObjectId(...)",
+//      claimedAt: "2025-12-01T19:03:12.000Z",
+//      deliveredAt: null,
+//      createdAt: "...",
+//      updatedAt: "..."
+//    }
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// No 0/O, 1/I/L or U, so codes survive being read off a tiny screen
+const CLAIM_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CLAIM_CODE_LENGTH = 8;
+
+const pairingCodeSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    pairingTokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    claimedAt: {
+      type: Date,
+      default: null
+    },
+    deliveredAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Drop codes once they can no longer be used
+pairingCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// "abcd-efgh", "ABCD EFGH" and "ABCDEFGH" are the same code
+pairingCodeSchema.statics.normalizeCode = function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+};
+
+pairingCodeSchema.statics.hashCode = function hashCode(code) {
+  return sha256(this.normalizeCode(code));
+};
+
+pairingCodeSchema.statics.hashPairingToken = function hashPairingToken(token) {
+  return sha256(token);
+};
+
+// Start pairing `deviceId`. Anyone with the shared provisioning key
+// can ask for any deviceId, so a new code never cancels other
+// callers' codes: only the caller's own unclaimed code is replaced,
+// when it sends its previous `pairingToken`. Other pending codes
+// stay valid until they expire.
+// Returns { claimCode: "ABCD-EFGH", pairingToken, expiresAt }; only
+// hashes are saved.
+pairingCodeSchema.statics.issue = async function issue(deviceId, ttlMs, previousToken) {
+  let code = '';
+  for (let i = 0; i < CLAIM_CODE_LENGTH; i++) {
+    code += CLAIM_CODE_ALPHABET[crypto.randomInt(CLAIM_CODE_ALPHABET.length)];
+  }
+  const pairingToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  if (previousToken) {
+    await this.deleteOne({
+      deviceId,
+      pairingTokenHash: this.hashPairingToken(previousToken),
+      claimedAt: null
+    });
+  }
+  await this.create({
+    deviceId,
+    codeHash: this.hashCode(code),
+    pairingTokenHash: this.hashPairingToken(pairingToken),
+    expiresAt
+  });
+
+  return {
+    claimCode: `${code.slice(0, 4)}-${code.slice(4)}`,
+    pairingToken,
+    expiresAt
+  };
+};
+
+// Claim a code for `userId` atomically: resolves the pairing document
+// if the code was valid and unclaimed, otherwise null. `ttlMs` is the
+// time the device then gets to collect its key.
+pairingCodeSchema.statics.claim = function claim(code, userId, ttlMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      codeHash: this.hashCode(code),
+      claimedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        claimedBy: userId,
+        claimedAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs)
+      }
+    },
+    { new: true }
+  );
+};
+
+// Mark a claimed pairing as delivered, at most once. Resolves the
+// pairing document for the caller that gets to hand out the key,
+// otherwise null.
+pairingCodeSchema.statics.markDelivered = function markDelivered(id) {
+  return this.findOneAndUpdate(
+    { _id: id, claimedAt: { $ne: null }, deliveredAt: null },
+    { $set: { deliveredAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PairingCode', pairingCodeSchema);
@@ -0,0 +1,102 @@
+// server/models/SecurityEvent.js
+// -------------------------------------------------------------
+// Heart Track - Security Audit Log (Mongoose Schema)
+// -------------------------------------------------------------
+//  Append-only record of brute-force defences kicking in, so an
+//  operator can see who was locked out and from where, and of the
+//  account changes admins make (routes/admin.js).
+//
+//    • type      → "account-locked" (too many failed sign-ins),
+//                  "rate-limited" (a per-route limit was hit),
+//                  "account-disabled" / "account-enabled" /
+//                  "role-changed" (by an admin; details.adminId)
+//    • userId    → affected account, when known
+//    • email     → address that was targeted, when known
+//    • ip        → client address (req.ip)
+//    • userAgent → client User-Agent header
+//    • route     → request path that triggered the event
+//    • details   → event-specific data (e.g. lockout level and
+//                  duration, limiter name)
+//
+//  Events expire after SECURITY_EVENT_TTL_DAYS (default 90).
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      type: "account-locked",
+//      userId: "ObjectId(...)",
+//      email: "student@arizona.edu",
+//      ip: "203.0.113.7",
+//      userAgent: "Mozilla/5.0 ...",
+//      route: "/api/auth/login",
+//      details: { level: 2, lockedForSeconds: 120 },
+//      createdAt: "2025-12-01T18:00:00.000Z"
+//    }
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+
+const SECURITY_EVENT_TTL_DAYS = Number(process.env.SECURITY_EVENT_TTL_DAYS) || 90;
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['account-locked', 'rate-limited', 'account-disabled', 'account-enabled', 'role-changed'],
+      required: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+    email: {
+      type: String,
+      default: ''
+    },
+    ip: {
+      type: String,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    route: {
+      type: String,
+      default: ''
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+securityEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SECURITY_EVENT_TTL_DAYS * 24 * 60 * 60 }
+);
+
+// Helper: record an event for the current request. Never throws;
+// auditing must not break the response it is auditing.
+securityEventSchema.statics.record = async function record(req, type, fields = {}) {
+  try {
+    await this.create({
+      type,
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || '',
+      route: req.originalUrl,
+      ...fields
+    });
+  } catch (err) {
+    console.error('Failed to record security event:', err.message);
+  }
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,119 @@
+// server/models/Session.js
+// -------------------------------------------------------------
+// Heart Track - Login Session Model (Mongoose Schema)
+// -------------------------------------------------------------
+//  One document per signed-in browser. Access tokens (short-lived
+//  JWTs) carry the session id as `sid`; authMiddleware refuses any
+//  token whose session is revoked, expired or gone.
+//
+//    • userId            → owner (MongoDB ObjectId of User)
+//    • refreshTokenHash  → SHA-256 of the current refresh token
+//                          (the raw token only lives in the browser)
+//    • previousTokenHash → hash of the token it replaced; seeing it
+//                          again means a stolen copy is in use, so
+//                          the session is revoked
+//    • expiresAt         → refresh deadline; expired sessions are
+//                          deleted by a TTL index
+//    • persistent        → "Remember me" login (long refresh window)
+//    • revokedAt         → set on logout / "sign out everywhere"
+//    • userAgent, ip     → shown to help users recognise sessions
+//
+//  Refresh tokens rotate on every use (see rotateRefreshToken).
+// -------------------------------------------------------------
+//  Example stored document:
+//    {
+//      _id: "...",
+//      userId: "ObjectId(...)",
+//      refreshTokenHash: "5e88...",
+//      previousTokenHash: "9a0c...",
+//      expiresAt: "2025-12-31T00:00:00.000Z",
+//      persistent: true,
+//      revokedAt: null,
+//      lastUsedAt: "...",
+//      userAgent: "Mozilla/5.0 ...",
+//      ip: "127.0.0.1",
+//      createdAt: "...",
+//      updatedAt: "..."
+//    }
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    previousTokenHash: {
+      type: String,
+      default: null,
+      index: { sparse: true },
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    persistent: {
+      type: Boolean,
+      default: false
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    },
+    ip: {
+      type: String,
+      default: ''
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token the same way it was stored
+sessionSchema.statics.hashToken = function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Replace the refresh token (and extend the session by `ttlMs`).
+// Returns the raw token; the caller hands it to the browser.
+sessionSchema.methods.rotateRefreshToken = function rotateRefreshToken(ttlMs) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  this.previousTokenHash = this.refreshTokenHash || null;
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+  this.expiresAt = new Date(Date.now() + ttlMs);
+  this.lastUsedAt = new Date();
+
+  return refreshToken;
+};
+
+// Usable for refreshing / authenticating requests
+sessionSchema.methods.isActive = function isActive() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
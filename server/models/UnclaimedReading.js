@@ -0,0 +1,69 @@
+// server/models/UnclaimedReading.js
+// -------------------------------------------------------------
+// Heart Track - Unclaimed Reading Model (Mongoose Schema)
+// -------------------------------------------------------------
+//  Quarantine for readings published by a device that is not
+//  registered to any user yet (e.g., a Photon that starts
+//  publishing before its owner adds it on the Devices page).
+//
+//  These never show up in dashboards or summaries. When the
+//  owner registers the device, they can claim the readings,
+//  which moves them into the Measurement collection.
+//
+//    • deviceId   → string ID sent by the device
+//    • heartRate  → beats per minute (BPM)
+//    • spo2       → oxygen saturation percentage (SpO₂)
+//    • takenAt    → timestamp of when the measurement occurred
+//    • idempotencyKey → same meaning as on Measurement
+//
+//  Documents expire automatically (TTL index on createdAt) after
+//  UNCLAIMED_READING_TTL_HOURS hours (default: 72).
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+
+const TTL_HOURS = Number(process.env.UNCLAIMED_READING_TTL_HOURS) || 72;
+
+const unclaimedReadingSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      // Matches the Device.deviceId the reading will be claimed for
+      type: String,
+      required: true,
+      index: true
+    },
+    heartRate: {
+      type: Number,
+      required: true
+    },
+    spo2: {
+      type: Number,
+      required: true
+    },
+    takenAt: {
+      type: Date,
+      default: Date.now
+    },
+    idempotencyKey: {
+      // Carried over to the Measurement when claimed
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Same de-duplication rule as Measurement
+unclaimedReadingSchema.index(
+  { deviceId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } }
+);
+
+// Auto-delete quarantined readings nobody claimed
+unclaimedReadingSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: TTL_HOURS * 60 * 60 }
+);
+
+module.exports = mongoose.model('UnclaimedReading', unclaimedReadingSchema);
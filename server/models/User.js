@@ -7,6 +7,36 @@
 //    • email        → unique login identifier (lowercased)
 //    • passwordHash → bcrypt-hashed password (never stored raw)
 //    • name         → optional display name for UI features
+//    • role         → "patient" (default), "clinician" or "admin".
+//                     Clinicians read the readings of patients who
+//                     consented (see models/ClinicianConsent.js);
+//                     admins use /api/admin. Routes check it with
+//                     middleware/requireRole.js
+//    • disabledAt   → set when an admin disabled the account (with
+//                     disabledReason); disabled accounts cannot sign
+//                     in and their devices cannot upload
+//    • emailVerifiedAt → when the address was confirmed through the
+//                     emailed link; null until then (see
+//                     middleware/requireVerifiedEmail.js). Accounts
+//                     older than verification are backfilled with
+//                     their createdAt on startup
+//    • timezone     → IANA zone (e.g. "America/Phoenix") used to
+//                     bucket readings into days; unset until the
+//                     browser reports one (DEFAULT_TIMEZONE applies)
+//    • settings     → account-wide preferences shown on the Settings
+//                     page: measurementInterval (minutes), reminders,
+//                     timeRange { start, end } ("HH:MM") and units
+//    • alertRules   → limits the alert engine checks every uploaded
+//                     reading against (see utils/alertRules.js and
+//                     models/Alert.js); null turns a rule off
+//    • twoFactor    → optional TOTP 2FA: enabled flag, the base32
+//                     secret (plus a pending one during enrollment),
+//                     SHA-256 hashes of unused recovery codes and the
+//                     last accepted time step (blocks code replay).
+//                     Secrets and hashes are never selected by default.
+//    • lockout      → failed sign-in tracking: consecutive failures,
+//                     lockedUntil and the progressive lockout level
+//                     (see utils/loginLockout.js)
 //
 //  Mongoose timestamps automatically add:
 //    • createdAt
@@ -18,12 +48,91 @@
 //      email: "student@arizona.edu",
 //      passwordHash: "$2b$12$...",
 //      name: "Elias",
+//      role: "patient",
+//      disabledAt: null,
+//      emailVerifiedAt: "2025-11-10T...",
+//      timezone: "America/Phoenix",
+//      settings: {
+//        measurementInterval: 30,
+//        reminders: true,
+//        timeRange: { start: "06:00", end: "22:00" },
+//        units: "metric"
+//      },
+//      alertRules: {
+//        enabled: true,
+//        heartRateHigh: 120, heartRateLow: 40, spo2Low: 90,
+//        sustainedReadings: 1,
+//        heartRateChange: 30, spo2Drop: 5, changeWindowMinutes: 60
+//      },
+//      twoFactor: { enabled: true, enabledAt: "2025-11-12T..." },
 //      createdAt: "2025-11-10T...",
 //      updatedAt: "2025-11-10T..."
 //    }
 // -------------------------------------------------------------
 
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
+const { DEFAULT_ALERT_RULES, MAX_SUSTAINED_READINGS } = require('../utils/alertRules');
+
+// Keep in step with validators/admin.js
+const USER_ROLES = ['patient', 'clinician', 'admin'];
+
+// "HH:MM" in 24-hour time (same rule as Device.settings)
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const userSettingsSchema = new mongoose.Schema(
+  {
+    measurementInterval: {
+      // Default schedule pushed to the user's devices
+      type: Number,
+      default: 30,
+      min: 1,
+      max: 24 * 60
+    },
+    reminders: {
+      // Show "time to measure" reminders in the UI
+      type: Boolean,
+      default: true
+    },
+    timeRange: {
+      // Hours of the day when measurements are expected
+      start: { type: String, default: '06:00', match: TIME_OF_DAY },
+      end: { type: String, default: '22:00', match: TIME_OF_DAY }
+    },
+    units: {
+      type: String,
+      enum: ['metric', 'imperial'],
+      default: 'metric'
+    }
+  },
+  { _id: false }
+);
+
+// Limits for the alert engine (utils/alertRules.js); null turns a
+// rule off
+const alertRulesSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: DEFAULT_ALERT_RULES.enabled },
+    heartRateHigh: { type: Number, default: DEFAULT_ALERT_RULES.heartRateHigh, min: 30, max: 250 },
+    heartRateLow: { type: Number, default: DEFAULT_ALERT_RULES.heartRateLow, min: 20, max: 200 },
+    spo2Low: { type: Number, default: DEFAULT_ALERT_RULES.spo2Low, min: 50, max: 100 },
+    sustainedReadings: {
+      type: Number,
+      default: DEFAULT_ALERT_RULES.sustainedReadings,
+      min: 1,
+      max: MAX_SUSTAINED_READINGS
+    },
+    heartRateChange: { type: Number, default: DEFAULT_ALERT_RULES.heartRateChange, min: 1, max: 200 },
+    spo2Drop: { type: Number, default: DEFAULT_ALERT_RULES.spo2Drop, min: 1, max: 50 },
+    changeWindowMinutes: {
+      type: Number,
+      default: DEFAULT_ALERT_RULES.changeWindowMinutes,
+      min: 1,
+      max: 24 * 60
+    }
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -42,6 +151,52 @@ const userSchema = new mongoose.Schema(
     name: {
       type: String,
       default: ''
+    },
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: 'patient',
+      index: true
+    },
+    disabledAt: {
+      type: Date,
+      default: null
+    },
+    disabledReason: {
+      type: String,
+      default: ''
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    timezone: {
+      type: String,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'timezone must be an IANA zone name (e.g. America/Phoenix)'
+      }
+    },
+    settings: {
+      type: userSettingsSchema,
+      default: () => ({})
+    },
+    alertRules: {
+      type: alertRulesSchema,
+      default: () => ({})
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false }
+    },
+    lockout: {
+      failures: { type: Number, default: 0 },
+      level: { type: Number, default: 0 },
+      lockedUntil: { type: Date, default: null }
     }
   },
   {
@@ -49,6 +204,18 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Accounts created before email verification existed have no
+// emailVerifiedAt at all (new accounts store null). They are treated
+// as verified from their creation date, so the verification gate
+// does not lock them out of features they already used. Safe to run
+// on every start: once backfilled, nothing matches.
+userSchema.statics.backfillEmailVerification = async function backfillEmailVerification() {
+  const result = await this.updateMany({ emailVerifiedAt: { $exists: false } }, [
+    { $set: { emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }
+  ]);
+  return result.modifiedCount;
+};
+
 module.exports = mongoose.model('User', userSchema);
 
 /*
@@ -58,6 +225,27 @@ module.exports = mongoose.model('User', userSchema);
   "email": "student@arizona.edu",
   "passwordHash": "$2b$12$...",
   "name": "Elias",
+  "role": "patient",
+  "disabledAt": null,
+  "emailVerifiedAt": "...",
+  "timezone": "America/Phoenix",
+  "settings": {
+    "measurementInterval": 30,
+    "reminders": true,
+    "timeRange": { "start": "06:00", "end": "22:00" },
+    "units": "metric"
+  },
+  "alertRules": {
+    "enabled": true,
+    "heartRateHigh": 120,
+    "heartRateLow": 40,
+    "spo2Low": 90,
+    "sustainedReadings": 1,
+    "heartRateChange": 30,
+    "spo2Drop": 5,
+    "changeWindowMinutes": 60
+  },
+  "twoFactor": { "enabled": false, "enabledAt": null },
   "createdAt": "...",
   "updatedAt": "..."
 }
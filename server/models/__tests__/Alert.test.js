@@ -0,0 +1,87 @@
+// server/models/__tests__/Alert.test.js
+// -------------------------------------------------------------
+// Heart Track - Alert model (raiseForReading)
+// -------------------------------------------------------------
+//  Queries are stubbed; these tests cover the single upsert that
+//  raises or extends the open alert, and the index behind it.
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+const Alert = require('../Alert');
+const User = require('../User');
+const Measurement = require('../Measurement');
+
+const device = { userId: new mongoose.Types.ObjectId(), deviceId: 'PHOTON_ONE' };
+const measurement = {
+  _id: new mongoose.Types.ObjectId(),
+  deviceId: 'PHOTON_ONE',
+  heartRate: 130,
+  spo2: 97,
+  takenAt: new Date('2025-12-01T12:00:00Z')
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: () => Promise.resolve({ alertRules: { toObject: () => ({}) } })
+  });
+  const previous = { sort: () => previous, limit: () => previous, select: () => Promise.resolve([]) };
+  jest.spyOn(Measurement, 'find').mockReturnValue(previous);
+});
+
+describe('Alert.raiseForReading', () => {
+  test('at most one alert per device and rule can be open', () => {
+    const [, options] = Alert.schema.indexes()
+      .find(([fields, opts]) => fields.rule === 1 && opts.unique);
+
+    expect(options.partialFilterExpression).toEqual({ status: 'open' });
+  });
+
+  test('raises or extends the open alert in one upsert', async () => {
+    const alert = { rule: 'heart-rate-high' };
+    const upsert = jest.spyOn(Alert, 'findOneAndUpdate').mockResolvedValue(alert);
+
+    await expect(Alert.raiseForReading(device, measurement)).resolves.toEqual([alert]);
+
+    const [filter, update, options] = upsert.mock.calls[0];
+    expect(filter).toEqual({
+      userId: device.userId,
+      deviceId: 'PHOTON_ONE',
+      rule: 'heart-rate-high',
+      status: 'open'
+    });
+    expect(update).toMatchObject({
+      $set: { value: 130, threshold: 120, measurementId: measurement._id },
+      $inc: { readings: 1 },
+      $max: { lastTakenAt: measurement.takenAt },
+      $setOnInsert: { firstTakenAt: measurement.takenAt }
+    });
+    expect(options).toMatchObject({ new: true, upsert: true });
+  });
+
+  test('extends the alert a parallel reading raised first', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    const alert = { rule: 'heart-rate-high', readings: 2 };
+    const upsert = jest.spyOn(Alert, 'findOneAndUpdate')
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce(alert);
+
+    await expect(Alert.raiseForReading(device, measurement)).resolves.toEqual([alert]);
+    expect(upsert).toHaveBeenCalledTimes(2);
+  });
+
+  test('never throws; a failure raises nothing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Alert, 'findOneAndUpdate').mockRejectedValue(new Error('db down'));
+
+    await expect(Alert.raiseForReading(device, measurement)).resolves.toEqual([]);
+  });
+
+  test('rejected readings are not judged', async () => {
+    const upsert = jest.spyOn(Alert, 'findOneAndUpdate');
+
+    await expect(Alert.raiseForReading(device, { ...measurement, quality: { status: 'rejected' } }))
+      .resolves.toEqual([]);
+    expect(upsert).not.toHaveBeenCalled();
+  });
+});
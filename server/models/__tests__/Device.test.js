@@ -0,0 +1,101 @@
+// server/models/__tests__/Device.test.js
+// -------------------------------------------------------------
+// Heart Track - Device model
+// -------------------------------------------------------------
+//  API keys (issue / revoke / archive), the unique key index that
+//  must leave revoked (null) keys out, the schedule string sent to
+//  the firmware and the connection status.
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+const Device = require('../Device');
+
+function newDevice(deviceId) {
+  return new Device({
+    userId: new mongoose.Types.ObjectId(),
+    name: deviceId,
+    deviceId
+  });
+}
+
+describe('Device API keys', () => {
+  test('the key index is unique and only covers stored key hashes', () => {
+    const [, options] = Device.schema.indexes().find(([fields]) => fields.apiKeyHash === 1);
+
+    // A sparse index would still hold null, so only one device at a
+    // time could be without a key (E11000 on the second revoke)
+    expect(options.unique).toBe(true);
+    expect(options.sparse).toBeUndefined();
+    expect(options.partialFilterExpression).toEqual({ apiKeyHash: { $type: 'string' } });
+    expect(Device.schema.path('apiKeyHash').options.index).toBeUndefined();
+  });
+
+  test('issueApiKey stores only the hash of the returned key', () => {
+    const device = newDevice('PHOTON_ONE');
+    const apiKey = device.issueApiKey();
+
+    expect(apiKey).toMatch(/^htk_[0-9a-f]{48}$/);
+    expect(device.apiKeyHash).toBe(Device.hashApiKey(apiKey));
+    expect(device.apiKeyHash).not.toContain(apiKey);
+    expect(device.apiKeyLast4).toBe(apiKey.slice(-4));
+    expect(device.apiKeyCreatedAt).toBeInstanceOf(Date);
+  });
+
+  test('a new key replaces the previous one', () => {
+    const device = newDevice('PHOTON_ONE');
+    const first = device.issueApiKey();
+    const second = device.issueApiKey();
+
+    expect(second).not.toBe(first);
+    expect(device.apiKeyHash).toBe(Device.hashApiKey(second));
+  });
+
+  test('revokeApiKey clears the key', () => {
+    const device = newDevice('PHOTON_ONE');
+    device.issueApiKey();
+    device.revokeApiKey();
+
+    expect(device.apiKeyHash).toBeNull();
+    expect(device.apiKeyLast4).toBeNull();
+    expect(device.apiKeyCreatedAt).toBeNull();
+  });
+
+  test('archive deactivates the device and revokes its key; restore keeps it keyless', () => {
+    const device = newDevice('PHOTON_ONE');
+    device.issueApiKey();
+    device.archive();
+
+    expect(device.archivedAt).toBeInstanceOf(Date);
+    expect(device.active).toBe(false);
+    expect(device.apiKeyHash).toBeNull();
+
+    device.restore();
+    expect(device.archivedAt).toBeNull();
+    expect(device.active).toBe(true);
+    expect(device.apiKeyHash).toBeNull();
+  });
+});
+
+describe('Device schedule and status', () => {
+  test('toConfigString sends interval, active hours and UTC offset', () => {
+    const device = newDevice('PHOTON_ONE');
+    device.settings = { measurementInterval: 15, timeRange: { start: '07:30', end: '21:00' } };
+
+    expect(device.toConfigString(-420)).toBe('15,0730,2100,-420');
+    expect(newDevice('PHOTON_TWO').toConfigString()).toBe('30,0600,2200,0');
+  });
+
+  test('connectionStatus follows the last contact', () => {
+    const now = new Date('2025-12-01T12:00:00Z');
+    const seen = (minutesAgo) => {
+      const device = newDevice('PHOTON_ONE');
+      device.telemetry = { lastSeenAt: new Date(now.getTime() - minutesAgo * 60000) };
+      return device.connectionStatus(now);
+    };
+
+    expect(newDevice('PHOTON_TWO').connectionStatus(now)).toBe('unknown');
+    expect(seen(5)).toBe('online');
+    expect(seen(30)).toBe('stale');
+    expect(seen(120)).toBe('offline');
+  });
+});
@@ -0,0 +1,316 @@
+// server/routes/admin.js
+// -------------------------------------------------------------
+// Heart Track - Admin Console Routes
+// -------------------------------------------------------------
+//  Operator views across every account: users, devices, system
+//  stats and the ingestion error log (models/IngestionError.js).
+//  Used by public/admin.html.
+//
+//  Authentication:
+//    • authMiddleware + requireRole('admin') (mounted in server.js);
+//      other accounts get 403
+//    • Accounts become admins through another admin (PUT below) or
+//      by signing in with a verified address listed in ADMIN_EMAILS
+//
+//  Endpoints:
+//    GET /api/admin/users?search=&role=&disabled=&limit=50
+//        - Accounts, newest first, with the number of devices each
+//          owns; search matches email or name
+//
+//    PUT /api/admin/users/:id
+//        - Body: { role?, disabled?, reason? }
+//        - disabled: true stamps disabledAt / disabledReason and
+//          ends every session of the account; it can no longer sign
+//          in and its devices can no longer upload. false lifts it.
+//        - Admins cannot change their own account here (400)
+//        - Each change is logged as a SecurityEvent
+//
+//    GET /api/admin/devices?orphaned=true&limit=50
+//        - Devices across all accounts, newest first, with owner
+//          { id, email, name } and connection `status`
+//        - orphaned=true: only devices whose owner no longer exists
+//
+//    GET /api/admin/stats
+//        - Counts of users (by role, disabled, verified), devices
+//          (active, archived, orphaned, by connection status),
+//          readings (total, last 24 h, by quality), quarantined
+//          readings, ingestion errors in the last 24 h and active
+//          sessions
+//
+//    GET /api/admin/ingestion-errors?deviceId=&limit=50
+//        - Refused device uploads, newest first
+// -------------------------------------------------------------
+
+const express = require('express');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Measurement = require('../models/Measurement');
+const UnclaimedReading = require('../models/UnclaimedReading');
+const IngestionError = require('../models/IngestionError');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/admin');
+
+const router = express.Router();
+
+const DEFAULT_LIST_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Literal text for a case-insensitive search regex
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// [{ _id, count }] from a $group stage → { key: count }
+function toCounts(groups) {
+  return groups.reduce((counts, g) => {
+    counts[g._id == null ? 'unknown' : g._id] = g.count;
+    return counts;
+  }, {});
+}
+
+// Owners that still exist among `userIds` → Map(id string → user)
+async function findOwners(userIds) {
+  const owners = await User.find({ _id: { $in: userIds } }).select('email name');
+  return new Map(owners.map(u => [String(u._id), u]));
+}
+
+// Devices whose owner account no longer exists
+async function orphanedDeviceFilter() {
+  const ownerIds = await Device.distinct('userId');
+  const existing = await User.find({ _id: { $in: ownerIds } }).distinct('_id');
+  const existingSet = new Set(existing.map(String));
+  return { userId: { $in: ownerIds.filter(id => !existingSet.has(String(id))) } };
+}
+
+function toAdminUser(user, devices = 0) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    disabledAt: user.disabledAt,
+    disabledReason: user.disabledReason,
+    devices,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * GET /api/admin/users
+ * List accounts.
+ */
+router.get('/users', validate(schemas.listUsers), async (req, res, next) => {
+  try {
+    const { search, role, disabled } = req.query;
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      filter.$or = [{ email: pattern }, { name: pattern }];
+    }
+    if (role) {
+      filter.role = role;
+    }
+    if (disabled !== undefined) {
+      filter.disabledAt = disabled ? { $ne: null } : null;
+    }
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || DEFAULT_LIST_LIMIT);
+
+    const deviceCounts = await Device.aggregate([
+      { $match: { userId: { $in: users.map(u => u._id) } } },
+      { $group: { _id: '$userId', count: { $sum: 1 } } }
+    ]);
+    const devicesByUser = new Map(deviceCounts.map(c => [String(c._id), c.count]));
+
+    res.json(users.map(u => toAdminUser(u, devicesByUser.get(String(u._id)) || 0)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id
+ * Change an account's role, or disable / re-enable it.
+ * body: { role?, disabled?, reason? }
+ */
+router.put('/users/:id', validate(schemas.updateUser), async (req, res, next) => {
+  try {
+    const { role, disabled, reason } = req.body;
+
+    if (role === undefined && disabled === undefined) {
+      return res.status(400).json({ error: 'Nothing to change: send a role or disabled' });
+    }
+
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot change your own account here' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const events = [];
+
+    if (role !== undefined && role !== user.role) {
+      events.push(['role-changed', { from: user.role, to: role }]);
+      user.role = role;
+    }
+
+    if (disabled === true && !user.disabledAt) {
+      user.disabledAt = new Date();
+      user.disabledReason = reason || '';
+      events.push(['account-disabled', { reason: user.disabledReason }]);
+    } else if (disabled === false && user.disabledAt) {
+      user.disabledAt = null;
+      user.disabledReason = '';
+      events.push(['account-enabled', {}]);
+    }
+
+    await user.save();
+
+    if (user.disabledAt) {
+      await Session.updateMany(
+        { userId: user._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+
+    for (const [type, details] of events) {
+      await SecurityEvent.record(req, type, {
+        userId: user._id,
+        email: user.email,
+        details: { ...details, adminId: req.user.id }
+      });
+    }
+
+    const devices = await Device.countDocuments({ userId: user._id });
+
+    res.json({ message: 'User updated', user: toAdminUser(user, devices) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/admin/devices
+ * List devices across all accounts.
+ */
+router.get('/devices', validate(schemas.listDevices), async (req, res, next) => {
+  try {
+    const filter = req.query.orphaned === true ? await orphanedDeviceFilter() : {};
+
+    const devices = await Device.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || DEFAULT_LIST_LIMIT);
+    const owners = await findOwners(devices.map(d => d.userId));
+
+    res.json(devices.map(device => {
+      const owner = owners.get(String(device.userId));
+      return {
+        ...device.toJSON(),
+        owner: owner ? { id: owner._id, email: owner.email, name: owner.name } : null
+      };
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/admin/stats
+ * System-wide counts.
+ */
+router.get('/stats', async (req, res, next) => {
+  try {
+    const since = new Date(Date.now() - DAY_MS);
+    const now = new Date();
+
+    const [
+      usersByRole,
+      disabledUsers,
+      verifiedUsers,
+      devicesTotal,
+      activeDevices,
+      archivedDevices,
+      byStatus,
+      orphanFilter,
+      readingsTotal,
+      readingsLastDay,
+      readingsByQuality,
+      unclaimedReadings,
+      ingestionErrorsLastDay,
+      activeSessions
+    ] = await Promise.all([
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+      User.countDocuments({ disabledAt: { $ne: null } }),
+      User.countDocuments({ emailVerifiedAt: { $ne: null } }),
+      Device.countDocuments(),
+      Device.countDocuments({ active: true, archivedAt: null }),
+      Device.countDocuments({ archivedAt: { $ne: null } }),
+      Device.countByConnectionStatus({ archivedAt: null }, now),
+      orphanedDeviceFilter(),
+      Measurement.estimatedDocumentCount(),
+      Measurement.countDocuments({ takenAt: { $gte: since } }),
+      Measurement.aggregate([{ $group: { _id: '$quality.status', count: { $sum: 1 } } }]),
+      UnclaimedReading.countDocuments(),
+      IngestionError.countDocuments({ createdAt: { $gte: since } }),
+      Session.countDocuments({ revokedAt: null, expiresAt: { $gt: now } })
+    ]);
+
+    const roles = toCounts(usersByRole);
+
+    res.json({
+      users: {
+        total: Object.values(roles).reduce((sum, n) => sum + n, 0),
+        byRole: roles,
+        disabled: disabledUsers,
+        verified: verifiedUsers
+      },
+      devices: {
+        total: devicesTotal,
+        active: activeDevices,
+        archived: archivedDevices,
+        orphaned: await Device.countDocuments(orphanFilter),
+        byStatus
+      },
+      readings: {
+        total: readingsTotal,
+        last24h: readingsLastDay,
+        byQuality: toCounts(readingsByQuality),
+        unclaimed: unclaimedReadings
+      },
+      ingestionErrorsLast24h: ingestionErrorsLastDay,
+      activeSessions
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/admin/ingestion-errors
+ * Refused device uploads.
+ */
+router.get('/ingestion-errors', validate(schemas.listIngestionErrors), async (req, res, next) => {
+  try {
+    const filter = req.query.deviceId ? { deviceId: req.query.deviceId } : {};
+
+    const entries = await IngestionError.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || DEFAULT_LIST_LIMIT);
+
+    res.json(entries);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,206 @@
+// server/routes/alerts.js
+// -------------------------------------------------------------
+// Heart Track - Alert Routes
+// -------------------------------------------------------------
+//  Alerts raised when uploaded readings break the user's alert
+//  rules (models/Alert.js, utils/alertRules.js), and the rules
+//  themselves. Alerts are raised by POST /api/measurements/device
+//  for the owner of the sending device.
+//
+//  Authentication:
+//    • All routes require authMiddleware (mounted in server.js)
+//
+//  Endpoints:
+//    GET /api/alerts?status=open|acknowledged|resolved|active&limit=50
+//        - The user's alerts, newest first (default 50, at most
+//          200); "active" means open or acknowledged
+//
+//    GET /api/alerts/summary
+//        - { unread, active }: open alerts (the nav badge) and
+//          alerts not resolved yet
+//
+//    PATCH /api/alerts
+//        - Body: { status: "acknowledged" | "resolved" }
+//        - Acknowledges every open alert, or resolves every alert
+//          not resolved yet → { message, updated }
+//
+//    PATCH /api/alerts/:id
+//        - Body: { status: "acknowledged" | "resolved" }
+//        - 409 once the alert is resolved. Later breaches of the
+//          rule only extend an open alert; once it is read or
+//          resolved, the next breach raises a new one
+//
+//    GET /api/alerts/rules
+//        - The user's alert rules (defaults until changed)
+//
+//    PUT /api/alerts/rules
+//        - Body (all optional): { enabled, heartRateHigh,
+//          heartRateLow, spo2Low, sustainedReadings,
+//          heartRateChange, spo2Drop, changeWindowMinutes };
+//          null turns a limit off
+//        - 400 unless heartRateLow stays below heartRateHigh
+// -------------------------------------------------------------
+
+const express = require('express');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/alerts');
+const { DEFAULT_ALERT_RULES } = require('../utils/alertRules');
+
+const router = express.Router();
+
+const DEFAULT_LIST_LIMIT = 50;
+const ACTIVE = { $in: ['open', 'acknowledged'] };
+
+function toPublicRules(user) {
+  return { ...DEFAULT_ALERT_RULES, ...(user.alertRules ? user.alertRules.toObject() : {}) };
+}
+
+/**
+ * GET /api/alerts
+ * The user's alerts, newest first.
+ */
+router.get('/', validate(schemas.listAlerts), async (req, res, next) => {
+  try {
+    const filter = { userId: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status === 'active' ? ACTIVE : req.query.status;
+    }
+
+    const alerts = await Alert.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || DEFAULT_LIST_LIMIT);
+
+    res.json(alerts);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/alerts/summary
+ * Counts for the nav badge and the alerts panel.
+ */
+router.get('/summary', async (req, res, next) => {
+  try {
+    const [unread, active] = await Promise.all([
+      Alert.countDocuments({ userId: req.user.id, status: 'open' }),
+      Alert.countDocuments({ userId: req.user.id, status: ACTIVE })
+    ]);
+
+    res.json({ unread, active });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/alerts/rules
+ */
+router.get('/rules', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('alertRules');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found for current token' });
+    }
+
+    res.json(toPublicRules(user));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/alerts/rules
+ * Change some or all alert rules.
+ */
+router.put('/rules', validate(schemas.updateRules), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('alertRules');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found for current token' });
+    }
+
+    // Values were checked and normalized by the schema
+    Object.keys(DEFAULT_ALERT_RULES).forEach(field => {
+      if (req.body[field] !== undefined) {
+        user.alertRules[field] = req.body[field];
+      }
+    });
+
+    const { heartRateLow, heartRateHigh } = user.alertRules;
+    if (heartRateLow !== null && heartRateHigh !== null && heartRateLow >= heartRateHigh) {
+      return res
+        .status(400)
+        .json({ error: 'The low heart rate limit must be below the high limit' });
+    }
+
+    await user.save();
+
+    res.json({ message: 'Alert rules updated', rules: toPublicRules(user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/alerts
+ * Acknowledge all open alerts, or resolve all active ones.
+ * body: { status }
+ */
+router.patch('/', validate(schemas.updateAllAlerts), async (req, res, next) => {
+  try {
+    const now = new Date();
+    const result = req.body.status === 'acknowledged'
+      ? await Alert.updateMany(
+        { userId: req.user.id, status: 'open' },
+        { $set: { status: 'acknowledged', acknowledgedAt: now } }
+      )
+      : await Alert.updateMany(
+        { userId: req.user.id, status: ACTIVE },
+        { $set: { status: 'resolved', resolvedAt: now } }
+      );
+
+    res.json({
+      message: req.body.status === 'acknowledged' ? 'Alerts acknowledged' : 'Alerts resolved',
+      updated: result.modifiedCount
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /api/alerts/:id
+ * Acknowledge or resolve one alert.
+ * body: { status }
+ */
+router.patch('/:id', validate(schemas.updateAlert), async (req, res, next) => {
+  try {
+    const alert = await Alert.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.status(409).json({ error: 'This alert is already resolved' });
+    }
+
+    if (req.body.status === 'resolved') {
+      alert.status = 'resolved';
+      alert.resolvedAt = new Date();
+    } else if (alert.status === 'open') {
+      alert.status = 'acknowledged';
+      alert.acknowledgedAt = new Date();
+    }
+
+    await alert.save();
+
+    res.json({ message: 'Alert updated', alert });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,89 @@
 // server/routes/auth.js
 // -------------------------------------------------------------
-// Heart Track - Authentication Routes (Register + Login)
+// Heart Track - Authentication Routes (Register, Login, Sessions)
 // -------------------------------------------------------------
 //  Provides endpoints for user account creation and login.
-//  Backed by MongoDB via the User model, using:
+//  Backed by MongoDB via the User + Session models, using:
 //    • bcryptjs for password hashing
-//    • JWT (jsonwebtoken) for session tokens
+//    • JWT (jsonwebtoken) for short-lived access tokens
+//    • opaque refresh tokens, stored hashed on a Session
 //
 //  Endpoints:
 //    POST /api/auth/register
-//        - Creates a new user (email/password/name)
+//        - Creates a new, unverified user (email/password/name, plus
+//          the browser's IANA timezone when sent); passwords need
+//          at least 8 characters
+//        - role "clinician" opens a clinician account (default
+//          "patient"); clinicians only see patients who consent
 //        - Hashes password using bcrypt
-//        - Returns JWT + basic user info
+//        - Emails a verification link (valid for
+//          EMAIL_VERIFICATION_TTL_HOURS, default 24)
+//        - Starts a session; returns access + refresh token + user info
 //
 //    POST /api/auth/login
 //        - Validates user credentials
 //        - Verifies hashed password
-//        - Returns JWT + basic user info
+//        - Stores the browser's timezone if the account has none
+//        - Accounts an admin disabled get 403 (only after a correct
+//          password, so it reveals nothing to guessers)
+//        - Verified addresses listed in ADMIN_EMAILS become admins
+//          here, so a new deployment can reach the admin console
+//        - Starts a session; returns access + refresh token + user info
+//        - With 2FA enabled, returns { twoFactorRequired, challengeToken }
+//          instead; no session exists until the second step
 //
-//  JWT Notes:
-//    • Payload includes: { sub: userId, email }
-//    • Token lifetime: 7 days (suitable for course project)
+//    POST /api/auth/login/2fa
+//        - Exchanges the challenge token (valid 5 minutes) plus a TOTP
+//          or recovery code for the session
+//
+//    POST /api/auth/refresh
+//        - Trades a refresh token for a new access + refresh token
+//          (the old refresh token stops working)
+//        - Replaying an already-rotated token revokes the session
+//
+//    POST /api/auth/logout
+//        - Revokes the current session (by access or refresh token)
+//
+//    POST /api/auth/logout-all   (requires access token)
+//        - Revokes every session of the user ("sign out everywhere")
+//
+//    POST /api/auth/verify
+//        - Redeems the emailed verification token
+//
+//    POST /api/auth/verify/resend   (requires access token)
+//        - Sends a new verification link, at most once every
+//          VERIFICATION_RESEND_COOLDOWN_SECONDS (default 60)
+//
+//    POST /api/auth/forgot-password
+//        - Emails a single-use reset link (valid for
+//          PASSWORD_RESET_TTL_MINUTES, default 60) if the account exists
+//        - Same answer, sent before the link is issued or mailed,
+//          whether or not the email is registered
+//
+//    POST /api/auth/reset-password
+//        - Redeems the reset token, sets the new password and
+//          signs the account out everywhere
+//
+//  Token Notes:
+//    • Access token payload: { sub: userId, email, sid: sessionId }
+//    • Access token lifetime: ACCESS_TOKEN_TTL (default 15m)
+//    • Refresh window: REFRESH_TOKEN_TTL_DAYS (default 30) with
+//      "Remember me", otherwise 1 day; extended on every refresh
 //    • Secret read from process.env.JWT_SECRET or fallback
 //
+//  Brute-force protection:
+//    • per-IP limits on login, register and password routes
+//      (middleware/rateLimits.js)
+//    • per-account progressive lockout on wrong passwords / 2FA
+//      codes (utils/loginLockout.js); locked → 429 + Retry-After
+//    • unknown emails are locked out the same way, so a 429 does
+//      not reveal which addresses have an account
+//
+//  Input validation:
+//    • request bodies are checked against validators/auth.js;
+//      malformed input → 422 { error, errors: [{ field, message }] }
+//    • emails are trimmed and lower-cased before any lookup
+//
 //  All responses avoid leaking sensitive details such as
 //  whether the email exists or which part of login failed.
 // -------------------------------------------------------------
@@ -31,31 +92,179 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/auth');
+const { sendMail, appUrl } = require('../utils/mailer');
+const { verifyCode, hashRecoveryCode } = require('../utils/totp');
+const {
+  lockoutRemainingSeconds,
+  recordLoginFailure,
+  unknownEmailLockoutSeconds,
+  recordUnknownEmailFailure,
+  clearLoginFailures,
+  sendLocked,
+} = require('../utils/loginLockout');
+const {
+  loginLimiter,
+  registerLimiter,
+  passwordLimiter,
+} = require('../middleware/rateLimits');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
-// Helper: create JWT for a user document
-function createToken(user) {
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS =
+  Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Time allowed between the password step and the 2FA code
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Helper: create a short-lived access JWT bound to a session
+function createToken(user, session) {
   const payload = {
     sub: user._id.toString(),
     email: user.email,
+    sid: session._id.toString(),
   };
 
   const secret = process.env.JWT_SECRET || 'dev-secret';
 
-  // 7-day token is fine for this class project
-  return jwt.sign(payload, secret, { expiresIn: '7d' });
+  return jwt.sign(payload, secret, { expiresIn: ACCESS_TOKEN_TTL });
 }
 
-// POST /api/auth/register
-// body: { email, password, name }
-router.post('/register', async (req, res, next) => {
+// Helper: short-lived proof that the password step succeeded.
+// It has no `sid`, so authMiddleware never accepts it.
+function createChallengeToken(user, rememberMe) {
+  const payload = {
+    sub: user._id.toString(),
+    purpose: 'two-factor',
+    rememberMe,
+  };
+
+  const secret = process.env.JWT_SECRET || 'dev-secret';
+
+  return jwt.sign(payload, secret, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+}
+
+// Answer for accounts an admin disabled (see routes/admin.js)
+function sendDisabled(res) {
+  return res
+    .status(403)
+    .json({ error: 'This account has been disabled. Contact the Heart Track team.' });
+}
+
+// Promote the user to admin if ADMIN_EMAILS (comma-separated) lists
+// their address and they verified it; a listed address nobody owns
+// yet cannot be claimed by registering it
+async function applyBootstrapAdmin(user) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (user.role !== 'admin' && user.emailVerifiedAt && adminEmails.includes(user.email)) {
+    user.role = 'admin';
+    await user.save();
+  }
+}
+
+// How long a session may go without refreshing
+function refreshTtlMs(session) {
+  return session.persistent ? REFRESH_TOKEN_TTL_DAYS * DAY_MS : DAY_MS;
+}
+
+// Helper: open a session for a freshly authenticated user
+// and return the token pair for the browser
+async function startSession(user, req, persistent) {
+  const session = new Session({
+    userId: user._id,
+    persistent: Boolean(persistent),
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || '',
+  });
+
+  const refreshToken = session.rotateRefreshToken(refreshTtlMs(session));
+  await session.save();
+
+  return { token: createToken(user, session), refreshToken };
+}
+
+// Helper: mail a single-use password reset link
+async function sendPasswordResetEmail(user) {
+  const token = await AuthToken.issue(
+    user._id,
+    'password-reset',
+    PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+  );
+  const link = `${appUrl()}/reset-password.html?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Heart Track password',
+    text: [
+      'Someone (hopefully you) asked to reset your Heart Track password.',
+      '',
+      `Choose a new password here: ${link}`,
+      '',
+      `The link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.`,
+      'If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+// Helper: mail a fresh verification link (replaces any earlier one).
+// Delivery problems are logged; the user can resend from Settings.
+async function sendVerificationEmail(user) {
+  const token = await AuthToken.issue(
+    user._id,
+    'email-verification',
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  const link = `${appUrl()}/verify-email.html?token=${token}`;
+
   try {
-    const { email, password, name = '' } = req.body || {};
+    await sendMail({
+      to: user.email,
+      subject: 'Confirm your Heart Track email address',
+      text: [
+        'Welcome to Heart Track!',
+        '',
+        `Confirm your email address here: ${link}`,
+        '',
+        `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+        'If you did not create an account, you can ignore this email.',
+      ].join('\n'),
+    });
+  } catch (mailErr) {
+    console.error('Verification email failed:', mailErr.message);
+  }
+}
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'email and password are required' });
-    }
+function toAuthUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    timezone: user.timezone || DEFAULT_TIMEZONE,
+    role: user.role,
+  };
+}
+
+// POST /api/auth/register
+// body: { email, password, name, timezone?, role? }
+router.post('/register', registerLimiter, validate(schemas.register), async (req, res, next) => {
+  try {
+    const { email, password, name = '', timezone, role } = req.body;
 
     // Check if email already exists
     const existing = await User.findOne({ email });
@@ -67,19 +276,26 @@ router.post('/register', async (req, res, next) => {
     const passwordHash = await bcrypt.hash(password, 12);
 
     // Create user in MongoDB
-    const user = await User.create({ email, passwordHash, name });
+    // timezone is the browser's IANA zone; ignored if unknown
+    const user = await User.create({
+      email,
+      passwordHash,
+      name,
+      role,
+      timezone: isValidTimeZone(timezone) ? timezone : undefined,
+    });
+
+    await sendVerificationEmail(user);
 
-    // Create a token (optional to return on register, but convenient)
-    const token = createToken(user);
+    // Sign the new user in right away; gated features stay
+    // locked until the email is verified
+    const { token, refreshToken } = await startSession(user, req, false);
 
     return res.status(201).json({
       message: 'registered',
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-      },
+      refreshToken,
+      user: toAuthUser(user),
     });
   } catch (err) {
     next(err);
@@ -87,39 +303,373 @@ router.post('/register', async (req, res, next) => {
 });
 
 // POST /api/auth/login
-// body: { email, password }
-router.post('/login', async (req, res, next) => {
+// body: { email, password, timezone?, rememberMe? }
+router.post('/login', loginLimiter, validate(schemas.login), async (req, res, next) => {
   try {
-    const { email, password } = req.body || {};
-
-    if (!email || !password) {
-      return res.status(400).json({ error: 'email and password are required' });
-    }
+    const { email, password, timezone, rememberMe } = req.body;
 
     const user = await User.findOne({ email });
     if (!user) {
+      // Unknown addresses are counted and locked like accounts, so
+      // neither the 401 nor a 429 reveals which emails are registered
+      const lockedFor = await unknownEmailLockoutSeconds(email);
+      if (lockedFor) {
+        return sendLocked(res, lockedFor);
+      }
+      const lockedNow = await recordUnknownEmailFailure(email, req);
+      if (lockedNow) {
+        return sendLocked(res, lockedNow);
+      }
       // Do not reveal which part is wrong → generic error
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // Locked accounts are refused before the password is even checked
+    const lockedFor = lockoutRemainingSeconds(user);
+    if (lockedFor) {
+      return sendLocked(res, lockedFor);
+    }
+
     const match = await bcrypt.compare(password, user.passwordHash);
     if (!match) {
+      const lockedNow = await recordLoginFailure(user, req);
+      if (lockedNow) {
+        return sendLocked(res, lockedNow);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const token = createToken(user);
+    if (user.disabledAt) {
+      return sendDisabled(res);
+    }
+
+    // Accounts created before timezones were stored adopt the
+    // browser's zone on their next login
+    if (!user.timezone && isValidTimeZone(timezone)) {
+      user.timezone = timezone;
+      await user.save();
+    }
+
+    // Password was right; the session waits for the second factor
+    // (failures are only cleared once that step succeeds too)
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user, rememberMe === true),
+      });
+    }
+
+    await clearLoginFailures(user);
+    await applyBootstrapAdmin(user);
+
+    const { token, refreshToken } = await startSession(user, req, rememberMe === true);
 
     return res.json({
       token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
+      refreshToken,
+      user: toAuthUser(user),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/login/2fa
+// body: { challengeToken, code }   (code: 6-digit TOTP or a recovery code)
+router.post('/login/2fa', loginLimiter, validate(schemas.loginTwoFactor), async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let challenge;
+    try {
+      const secret = process.env.JWT_SECRET || 'dev-secret';
+      challenge = jwt.verify(challengeToken, secret);
+    } catch (_) {
+      challenge = null;
+    }
+    if (!challenge || challenge.purpose !== 'two-factor') {
+      return res
+        .status(401)
+        .json({ error: 'Login attempt expired; please sign in again' });
+    }
+
+    const user = await User.findById(challenge.sub).select(
+      '+twoFactor.secret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep'
+    );
+    if (!user || !user.twoFactor.enabled) {
+      return res
+        .status(401)
+        .json({ error: 'Login attempt expired; please sign in again' });
+    }
+
+    const lockedFor = lockoutRemainingSeconds(user);
+    if (lockedFor) {
+      return sendLocked(res, lockedFor);
+    }
+
+    if (user.disabledAt) {
+      return sendDisabled(res);
+    }
+
+    const { twoFactor } = user;
+    let usedRecoveryCode = false;
+
+    // Authenticator code, unless it was already used
+    const step = verifyCode(twoFactor.secret, code);
+    if (step !== null && (twoFactor.lastUsedStep == null || step > twoFactor.lastUsedStep)) {
+      twoFactor.lastUsedStep = step;
+    } else {
+      // Otherwise it may be a recovery code (each works once)
+      const index = twoFactor.recoveryCodeHashes.indexOf(hashRecoveryCode(code));
+      if (index === -1) {
+        const lockedNow = await recordLoginFailure(user, req);
+        if (lockedNow) {
+          return sendLocked(res, lockedNow);
+        }
+        return res.status(401).json({ error: 'Invalid authentication code' });
       }
+      twoFactor.recoveryCodeHashes.splice(index, 1);
+      usedRecoveryCode = true;
+    }
+    await user.save();
+    await clearLoginFailures(user);
+    await applyBootstrapAdmin(user);
+
+    const { token, refreshToken } = await startSession(user, req, challenge.rememberMe === true);
+
+    const response = { token, refreshToken, user: toAuthUser(user) };
+    if (usedRecoveryCode) {
+      response.recoveryCodesRemaining = twoFactor.recoveryCodeHashes.length;
+    }
+    return res.json(response);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/refresh
+// body: { refreshToken }
+router.post('/refresh', validate(schemas.refresh), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash })
+      .select('+refreshTokenHash');
+
+    if (!session) {
+      // A token that was already rotated away is being replayed:
+      // someone else holds a copy, so end that session for everyone
+      const reused = await Session.findOne({ previousTokenHash: tokenHash });
+      if (reused && !reused.revokedAt) {
+        reused.revokedAt = new Date();
+        await reused.save();
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({ error: 'Session expired or signed out' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (user.disabledAt) {
+      return sendDisabled(res);
+    }
+
+    const nextRefreshToken = session.rotateRefreshToken(refreshTtlMs(session));
+    await session.save();
+
+    return res.json({
+      token: createToken(user, session),
+      refreshToken: nextRefreshToken,
+      user: toAuthUser(user),
     });
   } catch (err) {
     next(err);
   }
 });
 
+// POST /api/auth/logout
+// header: Authorization: Bearer <access token> (may be expired)
+// body:   { refreshToken? }
+// Always answers 200 so the browser can clear its tokens regardless.
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const header = req.header('Authorization') || '';
+    const accessToken = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+    let session = null;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      session = await Session.findOne({
+        refreshTokenHash: Session.hashToken(refreshToken),
+      });
+    }
+
+    if (!session && accessToken) {
+      try {
+        const secret = process.env.JWT_SECRET || 'dev-secret';
+        const payload = jwt.verify(accessToken, secret, { ignoreExpiration: true });
+        if (payload.sid) session = await Session.findById(payload.sid);
+      } catch (_) {
+        // Unreadable token: nothing to revoke
+      }
+    }
+
+    if (session && !session.revokedAt) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/logout-all
+// Revokes every session of the current user, this one included.
+router.post('/logout-all', authMiddleware, async (req, res, next) => {
+  try {
+    const result = await Session.updateMany(
+      { userId: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return res.json({
+      message: 'Signed out of all devices',
+      revoked: result.modifiedCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/verify
+// body: { token }
+router.post('/verify', validate(schemas.verify), async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const verification = await AuthToken.consume(token, 'email-verification');
+    const user = verification ? await User.findById(verification.userId) : null;
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: 'This verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    return res.json({ message: 'Email address verified', user: toAuthUser(user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/verify/resend
+router.post('/verify/resend', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found for current token' });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    // Throttle: one email per cooldown window
+    const latest = await AuthToken.findOne({
+      userId: user._id,
+      purpose: 'email-verification',
+    }).sort({ createdAt: -1 });
+
+    if (latest) {
+      const waitMs =
+        latest.createdAt.getTime() + VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000 - Date.now();
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: `Please wait ${retryAfter} seconds before requesting another email`,
+          retryAfter,
+        });
+      }
+    }
+
+    await sendVerificationEmail(user);
+
+    return res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/forgot-password
+// body: { email }
+router.post('/forgot-password', passwordLimiter, validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Like login, never reveal whether the email is registered
+    const response = {
+      message: 'If an account exists for that email, a reset link has been sent.',
+    };
+
+    const user = await User.findOne({ email });
+
+    // Answer before any token or mail work, so the response time does
+    // not show whether the address has an account either
+    res.json(response);
+
+    if (user) {
+      sendPasswordResetEmail(user).catch((mailErr) => {
+        // The answer is already sent; the failure is for the server log
+        console.error('Password reset email failed:', mailErr.message);
+      });
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/reset-password
+// body: { token, password }
+router.post('/reset-password', passwordLimiter, validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await AuthToken.consume(token, 'password-reset');
+    const user = resetToken ? await User.findById(resetToken.userId) : null;
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    user.passwordHash = await bcrypt.hash(password, 12);
+    await user.save();
+
+    // Whoever knew the old password is signed out too
+    await Session.updateMany(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -2,9 +2,15 @@
 // -------------------------------------------------------------
 // AI Chat Route (RAG Implementation)
 // -------------------------------------------------------------
-// 1. Receives user question.
-// 2. Retrieves User profile and Devices.
-// 3. Retrieves last 20 health measurements from MongoDB.
+// 1. Receives user question (trimmed, at most 2000 characters;
+//    see validators/chat.js).
+// 2. Retrieves User profile and Devices. With { ownerId } the
+//    question is about readings another account shared with the
+//    user, or of a patient who consented to them as clinician
+//    (utils/deviceAccess.js; logged as an AccessEvent); neither
+//    → 404.
+// 3. Retrieves last 20 health measurements from MongoDB
+//    (leaving out readings graded "rejected").
 // 4. Augments the prompt with this real data.
 // 5. Sends prompt to Local LLM (via Tailscale tunnel).
 // -------------------------------------------------------------
@@ -15,39 +21,53 @@ const router = express.Router();
 const User = require('../models/User');
 const Device = require('../models/Device');
 const Measurement = require('../models/Measurement');
+const AccessEvent = require('../models/AccessEvent');
+const { findReadGrant } = require('../utils/deviceAccess');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/chat');
 
 // POST /api/chat
-// Body: { question: "What was my heart rate last night?" }
-router.post('/', async (req, res, next) => {
+// Body: { question: "What was my heart rate last night?", ownerId? }
+router.post('/', validate(schemas.askQuestion), async (req, res, next) => {
   try {
     const { question } = req.body;
     const userId = req.user.id; // From authMiddleware
+    const ownerId = req.body.ownerId || userId; // Whose readings we talk about
 
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
+    // --- STEP 1: RETRIEVAL (Gathering Context) ---
+
+    // A. Devices whose readings this user may read (own, shared or by consent)
+    const grant = await findReadGrant(userId, ownerId);
+    if (!grant) {
+      return res.status(404).json({ error: 'No readings were shared with you by this account' });
     }
+    const { deviceIds } = grant;
 
-    // --- STEP 1: RETRIEVAL (Gathering Context) ---
+    if (grant.via === 'consent') {
+      await AccessEvent.record(req, 'chat', { patientId: ownerId });
+    }
 
-    // A. Fetch User details (for personalized greeting)
-    const currentUser = await User.findById(userId);
-    const userName = currentUser ? currentUser.name : "User";
+    // B. Fetch the owner's details (for personalized greeting)
+    const owner = await User.findById(ownerId);
+    const userName = owner ? owner.name : "User";
 
-    // B. Fetch User's Devices (to map IDs to names like "Bedroom Sensor")
-    const userDevices = await Device.find({ userId });
+    // C. Fetch those Devices (to map IDs to names like "Bedroom Sensor")
+    const userDevices = await Device.find({ deviceId: { $in: deviceIds } });
     
     // Create a map for quick lookup: { "PHOTON_123": "Bedroom Sensor" }
     const deviceMap = {};
-    const deviceIds = [];
     
     userDevices.forEach(d => {
       deviceMap[d.deviceId] = d.name;
-      deviceIds.push(d.deviceId);
     });
 
-    // C. Fetch recent measurements (The "Knowledge Base")
-    // We limit to 20 to keep the prompt size small for the local LLM
-    const recentData = await Measurement.find({ deviceId: { $in: deviceIds } })
+    // D. Fetch recent measurements (The "Knowledge Base")
+    // We limit to 20 to keep the prompt size small for the local LLM.
+    // Readings graded "rejected" are left out, as in the history views.
+    const recentData = await Measurement.find({
+      deviceId: { $in: deviceIds },
+      'quality.status': { $ne: 'rejected' }
+    })
       .sort({ takenAt: -1 })
       .limit(20);
 
@@ -61,9 +81,17 @@ router.post('/', async (req, res, next) => {
       return `- [${dateStr}] Device: "${deviceName}" | Heart Rate: ${m.heartRate} bpm | SpO2: ${m.spo2}%`;
     }).join('\n');
 
+    // Someone reading shared records is asking about another person
+    const audience = {
+      owner: '',
+      share: `The question comes from a caregiver ${userName} shared these records with; refer to ${userName} by name.`,
+      consent: `The question comes from a clinician ${userName} gave consent to; refer to ${userName} as the patient.`
+    }[grant.via];
+
     // Construct the System Prompt
     const systemPrompt = `
       You are a helpful Health AI Assistant for ${userName}.
+      ${audience}
       
       INSTRUCTIONS:
       1. Answer the user's question based ONLY on the "Recent Health Records" provided below.
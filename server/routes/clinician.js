@@ -0,0 +1,163 @@
+// server/routes/clinician.js
+// -------------------------------------------------------------
+// Heart Track - Clinician Portal Routes
+// -------------------------------------------------------------
+//  The patient roster of a clinician account. Drilling into one
+//  patient uses the ordinary read endpoints with ?owner=<patient
+//  id> (routes/measurements.js), which check the consent and log
+//  the access like this roster does.
+//
+//  Authentication:
+//    • authMiddleware + requireRole('clinician') (mounted in
+//      server.js); other accounts get 403
+//
+//  Endpoints:
+//    GET /api/clinician/patients
+//        - Every patient whose consent is in force, those with open
+//          alerts first, then by name:
+//            {
+//              id, name, email, timezone, consentId, consentedAt,
+//              devices,           // number of devices (archived too)
+//              lastSeenAt,        // latest contact from any device
+//              latest: { heartRate, spo2, takenAt, quality } | null,
+//              openAlerts         // the patient's alerts not resolved
+//                                 // yet (models/Alert.js)
+//            }
+//        - Logged as one "roster" AccessEvent
+//
+//    DELETE /api/clinician/patients/:patientId
+//        - Takes the patient off the roster (revokes the consent);
+//          only the patient can give it again
+// -------------------------------------------------------------
+
+const express = require('express');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const Measurement = require('../models/Measurement');
+const ClinicianConsent = require('../models/ClinicianConsent');
+const Alert = require('../models/Alert');
+const AccessEvent = require('../models/AccessEvent');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/consents');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+const router = express.Router();
+
+// Latest non-rejected reading per device → Map(deviceId → reading)
+async function findLatestReadings(deviceIds) {
+  const latest = await Measurement.aggregate([
+    { $match: { deviceId: { $in: deviceIds }, 'quality.status': { $ne: 'rejected' } } },
+    { $sort: { takenAt: -1 } },
+    {
+      $group: {
+        _id: '$deviceId',
+        heartRate: { $first: '$heartRate' },
+        spo2: { $first: '$spo2' },
+        takenAt: { $first: '$takenAt' },
+        quality: { $first: '$quality.status' }
+      }
+    }
+  ]);
+  return new Map(latest.map(({ _id, ...reading }) => [_id, reading]));
+}
+
+// Alerts not resolved yet per patient → Map(user id string → count)
+async function countActiveAlerts(patientIds) {
+  const counts = await Alert.aggregate([
+    { $match: { userId: { $in: patientIds }, status: { $in: ['open', 'acknowledged'] } } },
+    { $group: { _id: '$userId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [String(c._id), c.count]));
+}
+
+// Later of two dates, ignoring missing ones
+function later(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+/**
+ * GET /api/clinician/patients
+ * The clinician's roster.
+ */
+router.get('/patients', async (req, res, next) => {
+  try {
+    const consents = await ClinicianConsent.find({ clinicianId: req.user.id, revokedAt: null });
+    const patientIds = consents.map(c => c.patientId);
+
+    const [patients, devices] = await Promise.all([
+      User.find({ _id: { $in: patientIds } }).select('name email timezone'),
+      Device.find({ userId: { $in: patientIds } }).select('userId deviceId telemetry')
+    ]);
+
+    const [latestByDevice, alertsByPatient] = await Promise.all([
+      findLatestReadings(devices.map(d => d.deviceId)),
+      countActiveAlerts(patientIds)
+    ]);
+
+    const consentByPatient = new Map(consents.map(c => [String(c.patientId), c]));
+
+    const roster = patients.map(patient => {
+      const consent = consentByPatient.get(String(patient._id));
+      const own = devices.filter(d => String(d.userId) === String(patient._id));
+
+      let latest = null;
+      let lastSeenAt = null;
+      own.forEach(device => {
+        const reading = latestByDevice.get(device.deviceId);
+        if (reading && (!latest || reading.takenAt > latest.takenAt)) {
+          latest = reading;
+        }
+        lastSeenAt = later(lastSeenAt, device.telemetry && device.telemetry.lastSeenAt);
+      });
+
+      return {
+        id: patient._id,
+        name: patient.name,
+        email: patient.email,
+        timezone: patient.timezone || DEFAULT_TIMEZONE,
+        consentId: consent._id,
+        consentedAt: consent.grantedAt,
+        devices: own.length,
+        lastSeenAt,
+        latest,
+        openAlerts: alertsByPatient.get(String(patient._id)) || 0
+      };
+    });
+
+    roster.sort((a, b) =>
+      b.openAlerts - a.openAlerts || (a.name || a.email).localeCompare(b.name || b.email)
+    );
+
+    await AccessEvent.record(req, 'roster', { details: { patients: roster.length } });
+
+    res.json(roster);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/clinician/patients/:patientId
+ * Take a patient off the roster.
+ */
+router.delete('/patients/:patientId', validate(schemas.patientParam), async (req, res, next) => {
+  try {
+    const consent = await ClinicianConsent.findOneAndUpdate(
+      { patientId: req.params.patientId, clinicianId: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!consent) {
+      return res.status(404).json({ error: 'Patient not found on your roster' });
+    }
+
+    res.json({ message: 'Patient removed from your roster' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
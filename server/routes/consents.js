@@ -0,0 +1,162 @@
+// server/routes/consents.js
+// -------------------------------------------------------------
+// Heart Track - Clinician Consent Routes (patient side)
+// -------------------------------------------------------------
+//  A patient decides which clinician accounts may follow their
+//  readings; see models/ClinicianConsent.js for the consent and
+//  routes/clinician.js for what the clinician sees.
+//
+//  Authentication:
+//    • All routes require authMiddleware (mounted in server.js)
+//
+//  Endpoints:
+//    GET /api/consents
+//        - Consents in force: [{ _id, grantedAt, clinician:
+//          { id, name, email } }], newest first
+//
+//    POST /api/consents
+//        - Body: { clinicianEmail }
+//        - Gives that clinician read access to every device of the
+//          patient, effective at once
+//        - 404 unless the address belongs to a clinician account
+//          with a verified email; 409 if consent is already given
+//
+//    DELETE /api/consents/:id
+//        - Withdraws the consent; the patient leaves the clinician's
+//          roster and access ends immediately
+//
+//    GET /api/consents/access-log?limit=50
+//        - The AccessEvent log about the patient: which clinician
+//          looked at what and when, newest first (default 50, at
+//          most 200)
+// -------------------------------------------------------------
+
+const express = require('express');
+const User = require('../models/User');
+const ClinicianConsent = require('../models/ClinicianConsent');
+const AccessEvent = require('../models/AccessEvent');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/consents');
+
+const router = express.Router();
+
+// { id, name, email } of each user in `ids` → Map(id string → summary)
+async function findUserSummaries(ids) {
+  const users = await User.find({ _id: { $in: ids } }).select('name email');
+  return new Map(users.map(u => [String(u._id), { id: u._id, name: u.name, email: u.email }]));
+}
+
+function toPublicConsent(consent, clinician) {
+  return {
+    _id: consent._id,
+    grantedAt: consent.grantedAt,
+    clinician: clinician || null
+  };
+}
+
+/**
+ * GET /api/consents
+ * Clinicians the patient consented to.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const consents = await ClinicianConsent.find({ patientId: req.user.id, revokedAt: null })
+      .sort({ grantedAt: -1 });
+    const clinicians = await findUserSummaries(consents.map(c => c.clinicianId));
+
+    res.json(consents.map(c => toPublicConsent(c, clinicians.get(String(c.clinicianId)))));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/consents
+ * Let a clinician follow the patient's readings.
+ * body: { clinicianEmail }
+ */
+router.post('/', validate(schemas.grantConsent), async (req, res, next) => {
+  try {
+    const clinician = await User.findOne({
+      email: req.body.clinicianEmail,
+      role: 'clinician',
+      emailVerifiedAt: { $ne: null }
+    }).select('name email');
+
+    if (!clinician) {
+      return res.status(404).json({ error: 'No clinician account uses that email address' });
+    }
+
+    if (String(clinician._id) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot give consent to yourself' });
+    }
+
+    const existing = await ClinicianConsent.exists({
+      patientId: req.user.id,
+      clinicianId: clinician._id,
+      revokedAt: null
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'This clinician can already see your readings' });
+    }
+
+    const consent = await ClinicianConsent.create({
+      patientId: req.user.id,
+      clinicianId: clinician._id
+    });
+
+    return res.status(201).json({
+      message: `${clinician.name || clinician.email} can now see your readings`,
+      consent: toPublicConsent(consent, { id: clinician._id, name: clinician.name, email: clinician.email })
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/consents/access-log
+ * Who looked at the patient's data.
+ */
+router.get('/access-log', validate(schemas.accessLogQuery), async (req, res, next) => {
+  try {
+    const events = await AccessEvent.find({ patientId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || 50);
+    const actors = await findUserSummaries(events.map(e => e.actorId));
+
+    res.json(events.map(event => ({
+      _id: event._id,
+      action: event.action,
+      details: event.details,
+      createdAt: event.createdAt,
+      clinician: actors.get(String(event.actorId)) || null
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/consents/:id
+ * Withdraw consent.
+ */
+router.delete('/:id', validate(schemas.consentParam), async (req, res, next) => {
+  try {
+    const consent = await ClinicianConsent.findOneAndUpdate(
+      { _id: req.params.id, patientId: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!consent) {
+      return res.status(404).json({ error: 'Consent not found' });
+    }
+
+    res.json({ message: 'Consent withdrawn' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,10 @@
 // -------------------------------------------------------------
 // Heart Track - Device Management Routes
 // -------------------------------------------------------------
-//  Handles registration and retrieval of IoT devices associated
-//  with a logged-in user. Uses the Device MongoDB model.
+//  Handles pairing and retrieval of IoT devices associated with a
+//  logged-in user. Uses the Device MongoDB model. Devices are only
+//  added through claim-code pairing, so nobody can take over a
+//  device just by typing its raw deviceId first.
 //
 //  Authentication:
 //    • All routes require authMiddleware
@@ -12,13 +14,63 @@
 //  Endpoints:
 //    GET /api/devices
 //        - Returns all devices owned by the authenticated user
+//          (archived ones only with ?includeArchived=true)
 //        - Sorted by creation time (oldest → newest)
+//        - Each device includes `measurementCount` (stored readings)
+//          and `unclaimedReadings` (quarantined readings published
+//          before it was registered)
 //
-//    POST /api/devices
-//        - Registers a new device to the user
-//        - Body: { name, deviceId }
-//        - Ensures deviceId is unique across the entire system
-//        - Stores userId from req.user.id
+//    POST /api/devices/pair
+//        - Binds a device to the user with the claim code the device
+//          got from POST /api/pairing/codes (routes/pairing.js)
+//        - Body: { claimCode, name }
+//        - Creates the device, or restores / renames it when it is
+//          already the user's; a device owned by someone else, or
+//          registered by a parallel pairing meanwhile → 409
+//        - No key is returned: the device collects its own API key
+//          by polling POST /api/pairing/status
+//        - 403 until the user's email is verified (unless
+//          EMAIL_VERIFICATION_REQUIRED_FOR leaves out "devices")
+//        - Includes `unclaimedReadings` so the UI can offer a claim
+//        - Claim attempts are rate limited per user
+//
+//    PUT /api/devices/:id
+//        - Updates a device owned by the user
+//        - Body (all optional): { name, active, settings: {
+//            measurementInterval, timeRange: { start, end } } }
+//        - Archived devices must be restored first (409), as for
+//          claiming readings and issuing keys
+//
+//    DELETE /api/devices/:id?mode=archive|delete
+//        - archive (default): soft delete. The device is hidden,
+//          deactivated and its API key revoked; its readings stay
+//          in the user's history and its deviceId stays taken
+//        - delete: removes the device, all of its measurements,
+//          alerts and any readings still quarantined under its
+//          deviceId; shares listing it drop it (and are deleted
+//          if it was the only device they covered)
+//
+//    POST /api/devices/:id/restore
+//        - Brings an archived device back (active, but without an
+//          API key until one is issued)
+//
+//    POST /api/devices/:id/claim
+//        - Moves quarantined readings for this deviceId into the
+//          Measurement collection (readings already stored under the
+//          same idempotency key are dropped, not copied twice)
+//
+//    POST /api/devices/:id/api-key
+//        - Rotates the device's API key (old key stops working)
+//        - Returns the new key ONCE as `apiKey`
+//
+//    DELETE /api/devices/:id/api-key
+//        - Revokes the device's API key (ingestion is refused
+//          until a new key is issued)
+//
+//  Validation (validators/devices.js):
+//    • bodies and the :id param are checked before the handler;
+//      malformed input → 422 { error, errors: [{ field, message }] }
+//    • deviceId: 1-64 letters, digits, "_" or "-"
 //
 //  Device Schema Summary:
 //    {
@@ -26,82 +78,414 @@
 //      name: "Bedroom Sensor",
 //      deviceId: "PHOTON_ABC123",
 //      active: true,
+//      settings: { measurementInterval: 30,
+//                  timeRange: { start: "06:00", end: "22:00" } },
+//      apiKeyLast4: "9f3c",      // hash itself is never returned
+//      archivedAt: null,         // set when archived (soft delete)
 //      createdAt / updatedAt auto-generated
 //    }
 // -------------------------------------------------------------
 
 const express = require('express');
 const Device = require('../models/Device');
+const Measurement = require('../models/Measurement');
+const UnclaimedReading = require('../models/UnclaimedReading');
+const Alert = require('../models/Alert');
+const DeviceShare = require('../models/DeviceShare');
+const PairingCode = require('../models/PairingCode');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const validate = require('../middleware/validate');
+const { pairingClaimLimiter } = require('../middleware/rateLimits');
+const schemas = require('../validators/devices');
 
 const router = express.Router();
 
+const PAIRING_CODE_TTL_MINUTES = Number(process.env.PAIRING_CODE_TTL_MINUTES) || 10;
+
+// Response for changes to an archived device
+function sendArchived(res) {
+  return res
+    .status(409)
+    .json({ error: 'This device is archived. Restore it first.' });
+}
+
+// Count documents per deviceId in one query → Map(deviceId → count)
+async function countByDeviceId(Model, deviceIds) {
+  const counts = await Model.aggregate([
+    { $match: { deviceId: { $in: deviceIds } } },
+    { $group: { _id: '$deviceId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id, c.count]));
+}
+
 /**
  * GET /api/devices
  * Return all devices that belong to the logged-in user.
+ * Archived devices are left out unless ?includeArchived=true.
  * Requires authMiddleware to have set req.user.id.
  */
-router.get('/', async (req, res, next) => {
+router.get('/', validate(schemas.listDevices), async (req, res, next) => {
   try {
-    const devices = await Device.find({ userId: req.user.id }).sort('createdAt');
-    return res.json(devices);
+    const filter = { userId: req.user.id };
+    if (req.query.includeArchived !== true) {
+      filter.archivedAt = null;
+    }
+
+    const devices = await Device.find(filter).sort('createdAt');
+    const deviceIds = devices.map(d => d.deviceId);
+
+    const [measured, unclaimed] = await Promise.all([
+      countByDeviceId(Measurement, deviceIds),
+      countByDeviceId(UnclaimedReading, deviceIds),
+    ]);
+
+    return res.json(devices.map(d => ({
+      ...d.toJSON(),
+      measurementCount: measured.get(d.deviceId) || 0,
+      unclaimedReadings: unclaimed.get(d.deviceId) || 0,
+    })));
   } catch (err) {
     next(err);
   }
 });
 
 /**
- * POST /api/devices
- * Register a new device for this user.
- * body: { name, deviceId }
+ * POST /api/devices/pair
+ * Pair a device using the claim code it displays.
+ * body: { claimCode, name }
+ */
+router.post(
+  '/pair',
+  requireVerifiedEmail('devices'),
+  pairingClaimLimiter,
+  validate(schemas.pairDevice),
+  async (req, res, next) => {
+    try {
+      const { claimCode, name } = req.body;
+      const invalidCode = { error: 'This claim code is invalid or has expired' };
+
+      const pending = await PairingCode.findOne({
+        codeHash: PairingCode.hashCode(claimCode),
+        claimedAt: null,
+        expiresAt: { $gt: new Date() },
+      });
+      if (!pending) {
+        return res.status(400).json(invalidCode);
+      }
+
+      let device = await Device.findOne({ deviceId: pending.deviceId });
+      if (device && String(device.userId) !== req.user.id) {
+        return res
+          .status(409)
+          .json({ error: 'This device is already paired with another account' });
+      }
+
+      // Claim atomically, so a code pairs at most one account
+      const pairing = await PairingCode.claim(
+        claimCode,
+        req.user.id,
+        PAIRING_CODE_TTL_MINUTES * 60 * 1000
+      );
+      if (!pairing) {
+        return res.status(400).json(invalidCode);
+      }
+
+      const created = !device;
+      if (created) {
+        device = new Device({
+          userId: req.user.id,
+          name,
+          deviceId: pairing.deviceId,
+          active: true,
+        });
+      } else {
+        // Re-pairing your own device (e.g. after a factory reset)
+        if (device.archivedAt) {
+          device.restore();
+        }
+        device.name = name;
+      }
+      try {
+        await device.save();
+      } catch (err) {
+        // A parallel pairing registered this deviceId first
+        if (err.code !== 11000) throw err;
+        return res.status(409).json({ error: 'Device is already registered' });
+      }
+
+      const unclaimedReadings = await UnclaimedReading.countDocuments({
+        deviceId: device.deviceId,
+      });
+
+      return res.status(created ? 201 : 200).json({
+        message: 'Device paired. It will receive its API key the next time it checks in.',
+        device: { ...device.toJSON(), unclaimedReadings },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /api/devices/:id
+ * Rename, (de)activate or reconfigure a device owned by the user.
+ * body: { name?, active?, settings?: { measurementInterval?, timeRange?: { start?, end? } } }
  */
-router.post('/', async (req, res, next) => {
+router.put('/:id', validate(schemas.updateDevice), async (req, res, next) => {
   try {
-    const { name, deviceId } = req.body || {};
+    const { name, active, settings } = req.body;
+
+    const device = await Device.findOne({
+      _id: req.params.id,
+      userId: req.user.id, // ensure you can only edit your own device
+    });
 
-    if (!name || !deviceId) {
-      return res.status(400).json({ error: 'name and deviceId are required' });
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found for this user' });
     }
 
-    // Prevent duplicate deviceId in the whole system
-    const existing = await Device.findOne({ deviceId });
-    if (existing) {
-      return res.status(400).json({ error: 'This deviceId is already registered' });
+    if (device.archivedAt) {
+      return sendArchived(res);
     }
 
-    const device = await Device.create({
-      userId: req.user.id, // comes from authMiddleware
-      name,
-      deviceId,
-      active: true,
-    });
+    // Values were checked and normalized by the schema
+    if (name !== undefined) {
+      device.name = name;
+    }
 
-    return res.status(201).json(device);
+    if (active !== undefined) {
+      device.active = active;
+    }
+
+    if (settings !== undefined) {
+      const { measurementInterval, timeRange } = settings;
+
+      if (measurementInterval !== undefined) {
+        device.settings.measurementInterval = measurementInterval;
+      }
+
+      if (timeRange !== undefined) {
+        const { start, end } = timeRange;
+        if (start !== undefined) device.settings.timeRange.start = start;
+        if (end !== undefined) device.settings.timeRange.end = end;
+      }
+    }
+
+    await device.save();
+
+    return res.json(device);
   } catch (err) {
     next(err);
   }
 });
 
 /**
- * DELETE /api/devices/:id
+ * DELETE /api/devices/:id?mode=archive|delete
  * Remove a device owned by the logged-in user.
  * :id is the MongoDB _id of the Device document.
+ *
+ *  - archive (default): keep the device document and its readings,
+ *    but hide it, deactivate it and revoke its API key
+ *  - delete: remove the device, every reading and alert stored for
+ *    it, and take it out of the owner's device-list shares
+ *    (related data goes first, so a failure part-way can be retried)
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', validate(schemas.removeDevice), async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const mode = req.query.mode || 'archive';
 
-    const deleted = await Device.findOneAndDelete({
-      _id: id,
+    const device = await Device.findOne({
+      _id: req.params.id,
       userId: req.user.id, // ensure you can only delete your own device
     });
 
-    if (!deleted) {
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found for this user' });
+    }
+
+    if (mode === 'archive') {
+      if (!device.archivedAt) {
+        device.archive();
+        await device.save();
+      }
+
+      const measurements = await Measurement.countDocuments({ deviceId: device.deviceId });
+
+      return res.json({
+        message: 'Device archived; its readings were kept',
+        mode,
+        device,
+        measurements,
+      });
+    }
+
+    const [measurements] = await Promise.all([
+      Measurement.deleteMany({ deviceId: device.deviceId }),
+      UnclaimedReading.deleteMany({ deviceId: device.deviceId }),
+      Alert.deleteMany({ userId: device.userId, deviceId: device.deviceId }),
+    ]);
+
+    // Shares of "all" devices simply stop covering it; shares of a
+    // device list drop it, and go once nothing is left to share
+    const ownShares = { ownerId: device.userId, scope: 'devices' };
+    await DeviceShare.updateMany(
+      { ...ownShares, deviceIds: device.deviceId },
+      { $pull: { deviceIds: device.deviceId } }
+    );
+    await DeviceShare.deleteMany({ ...ownShares, deviceIds: { $size: 0 } });
+
+    await device.deleteOne();
+
+    return res.json({
+      message: 'Device and its readings deleted',
+      mode,
+      device,
+      deletedMeasurements: measurements.deletedCount,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/devices/:id/restore
+ * Undo archiving. The device is active again but has no API key;
+ * issue one with POST /api/devices/:id/api-key.
+ */
+router.post('/:id/restore', validate(schemas.deviceParam), async (req, res, next) => {
+  try {
+    const device = await Device.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!device) {
       return res.status(404).json({ error: 'Device not found for this user' });
     }
 
+    if (device.archivedAt) {
+      device.restore();
+      await device.save();
+    }
+
+    return res.json({
+      message: 'Device restored. Issue a new API key before it uploads again.',
+      device,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/devices/:id/claim
+ * Move readings that were quarantined before this device was
+ * registered into the Measurement collection.
+ */
+router.post('/:id/claim', validate(schemas.deviceParam), async (req, res, next) => {
+  try {
+    const device = await Device.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found for this user' });
+    }
+
+    if (device.archivedAt) {
+      return sendArchived(res);
+    }
+
+    const pending = await UnclaimedReading.find({ deviceId: device.deviceId });
+
+    // Skip readings whose idempotency key is already in Measurement
+    // (e.g. a claim that failed half-way and is being retried)
+    const alreadyStored = await Measurement.distinct('idempotencyKey', {
+      deviceId: device.deviceId,
+      idempotencyKey: { $in: pending.map(r => r.idempotencyKey).filter(Boolean) },
+    });
+    const storedKeys = new Set(alreadyStored);
+    const toMove = pending.filter(r => !storedKeys.has(r.idempotencyKey));
+
+    if (toMove.length > 0) {
+      await Measurement.insertMany(toMove.map(r => ({
+        deviceId: r.deviceId,
+        heartRate: r.heartRate,
+        spo2: r.spo2,
+        takenAt: r.takenAt,
+        idempotencyKey: r.idempotencyKey || Measurement.deriveIdempotencyKey(r),
+      })));
+    }
+    if (pending.length > 0) {
+      await UnclaimedReading.deleteMany({ _id: { $in: pending.map(r => r._id) } });
+    }
+
+    return res.json({
+      message: `Claimed ${toMove.length} reading(s)`,
+      claimed: toMove.length,
+      duplicates: pending.length - toMove.length,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/devices/:id/api-key
+ * Rotate the API key of a device owned by the logged-in user.
+ * The previous key stops working immediately.
+ */
+router.post('/:id/api-key', validate(schemas.deviceParam), async (req, res, next) => {
+  try {
+    const device = await Device.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found for this user' });
+    }
+
+    if (device.archivedAt) {
+      return sendArchived(res);
+    }
+
+    const apiKey = device.issueApiKey();
+    await device.save();
+
+    return res.json({
+      message: 'API key rotated',
+      device,
+      apiKey,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/devices/:id/api-key
+ * Revoke the API key of a device owned by the logged-in user.
+ */
+router.delete('/:id/api-key', validate(schemas.deviceParam), async (req, res, next) => {
+  try {
+    const device = await Device.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found for this user' });
+    }
+
+    device.revokeApiKey();
+    await device.save();
+
     return res.json({
-      message: 'Device removed successfully',
-      device: deleted,
+      message: 'API key revoked',
+      device,
     });
   } catch (err) {
     next(err);
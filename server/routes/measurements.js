@@ -8,124 +8,686 @@
 //  Supports two payload styles for POST /api/measurements/device:
 //    1) JSON with explicit fields:
 //         { deviceId, heartRate, spo2, takenAt }
+//       or { deviceId, healthDataString: "HR,SPO2", takenAt }
 //    2) Particle event style:
 //         {
 //           coreid: "...",
 //           data: "73.462433,83.450096",
 //           published_at: "..."
 //         }
+//
+//  POST /api/measurements/device/batch accepts many readings at once
+//  (EEPROM replay) and keeps each reading's original takenAt.
+//  POST /api/measurements/device/heartbeat carries no reading; the
+//  device only reports that it is alive and how it is doing.
+//  All device routes are rate limited per device, and requests
+//  with a refused API key per IP (see middleware/rateLimits.js).
+//  Every upload they refuse is written to the IngestionError log
+//  (middleware/ingestionErrorLog.js) for the admin console.
+//
+//  Each new reading POST /device stores from a registered device is
+//  checked against the owner's alert rules (User.alertRules); see
+//  models/Alert.js and routes/alerts.js. Batch replays are history
+//  and are not checked.
+//
+//  Every request from a registered device updates its telemetry
+//  (lastSeenAt, plus firmwareVersion / rssi / bufferedRecords when
+//  sent), which GET /api/devices turns into online / stale / offline.
+//
+//  Read endpoints (GET /, GET /daily/:date, GET /weekly) require
+//  a JWT and are scoped to measurements from devices owned by
+//  req.user.id. With ?owner=<user id> they read another account's
+//  devices instead, as far as that account shared them with the
+//  user (models/DeviceShare.js) or consented to the user as their
+//  clinician (models/ClinicianConsent.js); neither → 404. Reads
+//  made under a clinician consent are written to the AccessEvent
+//  log (see utils/deviceAccess.js). Days are calendar days in the
+//  owner's timezone (User.timezone, overridable with
+//  ?tz=<IANA zone>), so the daily and weekly views agree on which
+//  day a reading belongs to.
+//
+//  Readings can carry notes (annotations): the owner and anyone
+//  the device was shared with "annotate" permission may add them
+//  (POST /:id/annotations); a note's author or the owner may
+//  remove it (DELETE /:id/annotations/:annotationId).
+//
+//  Every stored reading is graded valid / suspect / rejected by
+//  the Measurement model (see utils/plausibility.js). Rejected
+//  readings are kept but hidden from reads; suspect readings are
+//  returned (for the UI to mark) but left out of the aggregates.
+//
+//  Field types, query strings and params are checked first
+//  (validators/measurements.js) and answered with 422 + field
+//  errors; readings that parse but make no sense stay 400.
 // -------------------------------------------------------------
 
 const express = require('express');
 const router = express.Router();
 
 const Measurement = require('../models/Measurement');
-const Device = require('../models/Device'); // currently unused but fine
+const Device = require('../models/Device');
+const UnclaimedReading = require('../models/UnclaimedReading');
 const deviceApiKey = require('../middleware/deviceApiKey');
+const ingestionErrorLog = require('../middleware/ingestionErrorLog');
+const { deviceAuthFailureLimiter, deviceIngestLimiter } = require('../middleware/rateLimits');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/measurements');
+const User = require('../models/User');
+const AccessEvent = require('../models/AccessEvent');
+const Alert = require('../models/Alert');
+const { findReadGrant, findDeviceAccess } = require('../utils/deviceAccess');
+const {
+  utcOffsetMinutes,
+  resolveTimeZone,
+  localDateKey,
+  shiftDateKey,
+  zonedDayStart
+} = require('../utils/timezone');
 
 // -------------------------------------------------------------------
-// Helper: parse heartRate/spo2 from body
+// Helper: timezone used to bucket a user's readings into days.
+// An explicit ?tz= wins (already validated), else the user's stored
+// zone, else the server default.
 // -------------------------------------------------------------------
-function extractHeartRateAndSpo2(body) {
-  const { heartRate, spo2, data } = body || {};
-
-  let hrNum = Number.isFinite(Number(heartRate))
-    ? Number(heartRate)
-    : NaN;
-  let spo2Num = Number.isFinite(Number(spo2))
-    ? Number(spo2)
-    : NaN;
-
-  // If both parsed fine, we’re done.
-  if (Number.isFinite(hrNum) && Number.isFinite(spo2Num)) {
-    return { hrNum, spo2Num };
+async function findUserTimeZone(userId, requested) {
+  const user = await User.findById(userId).select('timezone');
+  return resolveTimeZone(requested, user && user.timezone);
+}
+
+// -------------------------------------------------------------------
+// Helper: whose readings a read request is about. Without ?owner= that
+// is the logged-in user; with it, an account that shared devices with
+// them or a patient who consented to them as clinician. Resolves
+// { deviceIds, timeZone } (deviceId strings, as stored on Measurement;
+// days bucketed in the owner's zone), or null when the owner gave the
+// user no access. `action` and `details` go to the AccessEvent log
+// when the access rests on a clinician consent.
+// -------------------------------------------------------------------
+async function resolveReadScope(req, action, details = {}) {
+  const ownerId = req.query.owner || req.user.id;
+  const [grant, timeZone] = await Promise.all([
+    findReadGrant(req.user.id, ownerId),
+    findUserTimeZone(ownerId, req.query.tz)
+  ]);
+  if (!grant) {
+    return null;
   }
 
-  // Otherwise, try to parse from `data: "HR,SPO2"` if present
-  if (typeof data === 'string') {
-    const parts = data.split(',');
-    if (parts.length >= 2) {
-      const parsedHr = Number(parts[0].trim());
-      const parsedSpo2 = Number(parts[1].trim());
-
-      if (Number.isFinite(parsedHr) && Number.isFinite(parsedSpo2)) {
-        return { hrNum: parsedHr, spo2Num: parsedSpo2 };
-      }
+  if (grant.via === 'consent') {
+    await AccessEvent.record(req, action, { patientId: ownerId, details });
+  }
+
+  return { deviceIds: grant.deviceIds, timeZone };
+}
+
+function sendNotShared(res) {
+  return res.status(404).json({ error: 'No readings were shared with you by this account' });
+}
+
+// -------------------------------------------------------------------
+// Helper: compact schedule for a device, with active hours expressed
+// in its owner's timezone (sent back to the firmware as `config`).
+// -------------------------------------------------------------------
+async function deviceConfigString(device) {
+  const timeZone = await findUserTimeZone(device.userId);
+  return device.toConfigString(utcOffsetMinutes(timeZone));
+}
+
+// -------------------------------------------------------------------
+// Helper: note that a registered device was heard from, with any
+// health fields it reported. $set per field, so a report without
+// e.g. rssi keeps the last known value.
+// -------------------------------------------------------------------
+const TELEMETRY_FIELDS = ['firmwareVersion', 'rssi', 'bufferedRecords'];
+
+async function recordDeviceContact(device, report) {
+  const update = { 'telemetry.lastSeenAt': new Date() };
+  TELEMETRY_FIELDS.forEach(field => {
+    if (report[field] !== undefined && report[field] !== null) {
+      update[`telemetry.${field}`] = report[field];
+    }
+  });
+
+  await Device.updateOne({ _id: device._id }, { $set: update });
+}
+
+// Middleware form for the upload routes (body checked by the schema);
+// runs before the reading is judged, so a bad reading still counts
+// as contact
+async function noteDeviceContact(req, res, next) {
+  try {
+    if (req.device) {
+      await recordDeviceContact(req.device, req.body);
     }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// -------------------------------------------------------------------
+// Helper: parse the heartbeat event data
+// "<firmwareVersion>,<rssi>,<bufferedRecords>" (empty parts allowed,
+// e.g. "1.1.0,,0" when the radio reported no RSSI).
+// Returns null when a part is malformed.
+// -------------------------------------------------------------------
+function parseHeartbeatData(data) {
+  const [firmwareVersion = '', rssi = '', bufferedRecords = ''] = data.split(',').map(p => p.trim());
+  const report = {};
+
+  if (firmwareVersion) {
+    if (firmwareVersion.length > 32) return null;
+    report.firmwareVersion = firmwareVersion;
+  }
+  if (rssi) {
+    const value = Number(rssi);
+    if (!Number.isInteger(value) || value < -127 || value > 0) return null;
+    report.rssi = value;
+  }
+  if (bufferedRecords) {
+    const value = Number(bufferedRecords);
+    if (!Number.isInteger(value) || value < 0) return null;
+    report.bufferedRecords = value;
+  }
+
+  return report;
+}
+
+// -------------------------------------------------------------------
+// Helper: parse "HR,SPO2" (the firmware payload) into numbers.
+// Returns null unless both are positive numbers.
+// -------------------------------------------------------------------
+function parseHealthDataString(healthDataString) {
+  if (typeof healthDataString !== 'string') return null;
+
+  const [hrStr, spo2Str] = healthDataString.split(',');
+  const heartRate = parseFloat(hrStr);
+  const spo2 = parseFloat(spo2Str);
+
+  if (isNaN(heartRate) || isNaN(spo2) || heartRate <= 0 || spo2 <= 0) {
+    return null;
+  }
+
+  return { heartRate, spo2 };
+}
+
+// Aggregates only use readings graded valid (documents stored before
+// grading existed have no quality.status and count as valid)
+const VALID_QUALITY = { 'quality.status': { $nin: ['suspect', 'rejected'] } };
+
+// How far in the future a device clock may drift before we reject it
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// -------------------------------------------------------------------
+// Helper: parse an optional takenAt. Missing → now.
+// Returns null for unparseable or future timestamps.
+// -------------------------------------------------------------------
+function parseTakenAt(takenAt) {
+  if (takenAt === undefined || takenAt === null || takenAt === '') {
+    return new Date();
+  }
+
+  const date = new Date(takenAt);
+  if (Number.isNaN(date.getTime())) return null;
+  if (date.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) return null;
+
+  return date;
+}
+
+// -------------------------------------------------------------------
+// Helper: parse the compact batch form "ts,hr,spo2;ts,hr,spo2;..."
+// (ts = Unix seconds, as stored in the firmware's EEPROM Record)
+// into [{ takenAt, healthDataString }] entries.
+// -------------------------------------------------------------------
+function parseCompactBatch(data) {
+  return data
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [ts, ...values] = entry.split(',');
+      const seconds = Number(ts);
+      return {
+        takenAt: Number.isFinite(seconds) && seconds > 0
+          ? new Date(seconds * 1000).toISOString()
+          : ts,
+        healthDataString: values.join(',')
+      };
+    });
+}
+
+// -------------------------------------------------------------------
+// Helper: idempotency key for a reading. Uses the sender's key when
+// given (Idempotency-Key header or body field), else derives one.
+// -------------------------------------------------------------------
+function resolveIdempotencyKey(clientKey, reading) {
+  if (typeof clientKey === 'string' && clientKey.trim()) {
+    return clientKey.trim().slice(0, 200);
+  }
+  return Measurement.deriveIdempotencyKey(reading);
+}
+
+// -------------------------------------------------------------------
+// Helper: store one reading, or hand back the copy already stored
+// under the same (deviceId, idempotencyKey).
+// -------------------------------------------------------------------
+async function storeOnce(Model, reading) {
+  try {
+    return { doc: await Model.create(reading), duplicate: false };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    const existing = await Model.findOne({
+      deviceId: reading.deviceId,
+      idempotencyKey: reading.idempotencyKey
+    });
+    return { doc: existing, duplicate: true };
+  }
+}
+
+// -------------------------------------------------------------------
+// Helper: insertMany for a batch. Unordered, so one reading that
+// another request stored in the meantime (E11000) does not stop the
+// rest; those come back in `duplicateKeys` instead of failing.
+// -------------------------------------------------------------------
+async function insertOnce(Model, readings) {
+  try {
+    const docs = await Model.insertMany(readings, {
+      ordered: false,
+      throwOnValidationError: true
+    });
+    return { docs, duplicateKeys: [] };
+  } catch (err) {
+    const writeErrors = err.writeErrors || [];
+    const isDuplicate = (writeError) =>
+      (writeError.code || (writeError.err && writeError.err.code)) === 11000;
+    if (!writeErrors.length || !writeErrors.every(isDuplicate)) throw err;
+
+    return {
+      docs: err.insertedDocs || [],
+      duplicateKeys: writeErrors.map(writeError => readings[writeError.index].idempotencyKey)
+    };
+  }
+}
+
+// -------------------------------------------------------------------
+// Helper: parse heartRate/spo2 from any supported body shape:
+//   • { healthDataString: "HR,SPO2" }      (custom webhook template)
+//   • { heartRate, spo2 }                  (Postman / custom client)
+//   • { data: "HR,SPO2" }                  (stock Particle webhook)
+// Returns null unless both are positive numbers.
+// -------------------------------------------------------------------
+function extractHeartRateAndSpo2(body) {
+  const { healthDataString, heartRate, spo2, data } = body || {};
+
+  if (healthDataString !== undefined) {
+    return parseHealthDataString(healthDataString);
+  }
+
+  const hrNum = Number(heartRate);
+  const spo2Num = Number(spo2);
+
+  // Explicit numeric fields
+  if (heartRate !== undefined && spo2 !== undefined) {
+    return Number.isFinite(hrNum) && Number.isFinite(spo2Num) &&
+      hrNum > 0 && spo2Num > 0
+      ? { heartRate: hrNum, spo2: spo2Num }
+      : null;
   }
 
-  // Still not valid
-  return { hrNum: NaN, spo2Num: NaN };
+  // Otherwise, try to parse from `data: "HR,SPO2"` if present
+  return parseHealthDataString(data);
 }
 
 // -------------------------------------------------------------------
 // POST /api/measurements/device
 //  -> Endpoint your Photon / Postman uses to push a single reading.
+//     Authenticated by the device's own key (x-api-key header);
+//     deviceId is optional but must match the key's device if sent.
+//     Inactive devices are refused. Readings from unregistered
+//     devices (sent with DEVICE_PROVISIONING_KEY) are quarantined in
+//     UnclaimedReading and answered with 202.
+//
+//     Retries are safe: each reading gets an idempotency key (the
+//     Idempotency-Key header, body `idempotencyKey`, or one derived
+//     from deviceId + takenAt + values). A reading already stored
+//     under that key is answered with 200, `duplicate: true` and the
+//     existing record instead of being stored twice.
+//
+//     A newly stored reading is checked against the owner's alert
+//     rules; the 201 response lists the rules it broke in `alerts`
+//     (e.g. ["spo2-low"]), which is empty most of the time.
+//
+//     The 201 response also carries `config`, the device schedule in
+//     the compact form "<intervalMin>,<startHHMM>,<endHHMM>,<utcOffsetMin>"
+//     (e.g. "30,0600,2200,-420"). Point the Particle webhook's response
+//     template at {{{config}}} and the firmware applies it on receipt.
 // Body examples:
 //
 // 1) JSON (Postman / custom client):
 //  {
 //    "deviceId": "PHOTON_123ABC",
-//    "heartRate": 75,
+//    "heartRate": 75,                        // or "healthDataString": "75,98"
 //    "spo2": 98,
 //    "takenAt": "2025-12-06T00:36:19.006Z"   // optional
 //  }
 //
-// 2) Particle event forwarded by webhook:
+// 2) Particle event forwarded by a stock webhook (no custom template):
 //  {
-//    "coreid": "0a10aced202194944a064ed4",
-//    "data": "73.462433,83.450096",
-//    "published_at": "2025-12-12T00:41:02.223Z"
+//    "event": "health_data",
+//    "coreid": "0a10aced202194944a064ed4",   // → Device.deviceId
+//    "data": "73.462433,83.450096",          // → heartRate, spo2
+//    "published_at": "2025-12-12T00:41:02.223Z" // → takenAt
 //  }
 // -------------------------------------------------------------------
-router.post('/device', deviceApiKey, async (req, res, next) => {
-    try {
-        // 💡 CHANGE 1: Extract the new field and remove old ones
-        const { deviceId, healthDataString, takenAt } = req.body; 
+router.post('/device', deviceAuthFailureLimiter, ingestionErrorLog, deviceApiKey, deviceIngestLimiter, validate(schemas.deviceReading), noteDeviceContact, async (req, res, next) => {
+  try {
+    const { healthDataString, heartRate, data } = req.body;
+    // Particle webhooks send the publish time as published_at
+    const takenAt = req.body.takenAt || req.body.published_at;
+    // The API key middleware already resolved the sending device
+    // (or flagged it as unregistered when the provisioning key was used)
+    const deviceId = req.device ? req.device.deviceId : req.unregisteredDeviceId;
+
+    if (healthDataString === undefined && heartRate === undefined && data === undefined) {
+      return res.status(400).json({
+        error: 'healthDataString, heartRate/spo2 or data is required'
+      });
+    }
 
-        // 💡 CHANGE 2: Update validation for the new fields
-        if (!deviceId || !healthDataString) {
-            return res.status(400).json({
-                error: 'deviceId and healthDataString are required'
-            });
-        }
+    // Validate HR/SpO2 (both must be positive numbers)
+    const values = extractHeartRateAndSpo2(req.body);
+    if (!values) {
+      return res.status(400).json({
+        error: 'Invalid HR/SpO2 values provided'
+      });
+    }
 
-        // 💡 NEW LOGIC: Split and parse the string here (where it is reliable)
-        const [hrStr, spo2Str] = healthDataString.split(',');
+    const parsedTakenAt = parseTakenAt(takenAt);
+    if (!parsedTakenAt) {
+      return res.status(400).json({ error: 'Invalid takenAt timestamp' });
+    }
 
-        const heartRate = parseFloat(hrStr);
-        const spo2 = parseFloat(spo2Str);
+    const reading = {
+      deviceId,
+      heartRate: values.heartRate,
+      spo2: values.spo2,
+      takenAt: parsedTakenAt
+    };
+    reading.idempotencyKey = resolveIdempotencyKey(
+      req.get('Idempotency-Key') || req.body.idempotencyKey,
+      reading
+    );
+
+    // Unregistered device → quarantine until its owner claims it
+    if (!req.device) {
+      const { doc, duplicate } = await storeOnce(UnclaimedReading, reading);
+      return res.status(duplicate ? 200 : 202).json({
+        message: 'Device is not registered; reading held until claimed',
+        quarantined: true,
+        duplicate,
+        reading: doc
+      });
+    }
 
-        // 💡 ADDED ROBUST VALIDATION for the parsed numbers
-        // Ensures both are valid numbers and not zero/negative
-        if (isNaN(heartRate)|| isNaN(spo2) || heartRate <= 0 || spo2 <= 0) {
-             return res.status(400).json({ 
-                error: "Invalid HR (${hrStr}) or SpO2 (${spo2Str}) values provided"
-             });
-        }
+    // Store it (a retried publish resolves to the copy already stored)
+    const { doc: measurement, duplicate } = await storeOnce(Measurement, reading);
 
-        // 💡 CHANGE 3: Use the parsed numbers in the Mongoose call
-        const measurement = await Measurement.create({
-            deviceId,
-            heartRate, // Uses the parsed float
-            spo2,      // Uses the parsed float
-            takenAt: takenAt ? new Date(takenAt) : new Date()
-        });
+    // A retried publish was checked when it was first stored
+    const alerts = duplicate ? [] : await Alert.raiseForReading(req.device, measurement);
 
-        return res.status(201).json(measurement);
-    } catch (err) {
-        next(err);
+    // Piggy-back the device's current schedule on the response so
+    // the webhook can relay it back (hook-response/health_data)
+    return res.status(duplicate ? 200 : 201).json({
+      ...measurement.toJSON(),
+      duplicate,
+      alerts: alerts.map(alert => alert.rule),
+      config: await deviceConfigString(req.device)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/measurements/device/batch
+//  -> Replay of readings the Photon buffered in EEPROM while offline.
+//     Each reading keeps its ORIGINAL measurement time. Readings
+//     already stored (same idempotency key, see POST /device) are
+//     reported as "duplicate" and not stored again, so a replay that
+//     was cut off half-way can simply be resent.
+//
+// Body (either form):
+//
+// 1) JSON array of readings (max 300, the firmware's MAX_RECORDS):
+//  {
+//    "readings": [
+//      { "takenAt": "2025-12-06T00:36:19.006Z", "healthDataString": "72.1,97.5",
+//        "idempotencyKey": "optional-client-key" },
+//      ...
+//    ]
+//  }
+//
+// 2) Compact string, small enough for one Particle event:
+//  { "data": "1733445379,72.1,97.5;1733447179,74.0,98.0" }
+//     (ts = Unix seconds)
+//
+// Response: per-item results so the device knows what was stored
+//  {
+//    "stored": 1, "duplicates": 1, "rejected": 1,
+//    "results": [
+//      { "index": 0, "status": "stored", "id": "...", "quality": "valid" },
+//      { "index": 1, "status": "rejected", "error": "Invalid takenAt timestamp" },
+//      { "index": 2, "status": "duplicate", "id": "..." },
+//      ...
+//    ],
+//    "config": "30,0600,2200,-420"
+//  }
+// -------------------------------------------------------------------
+const MAX_BATCH_SIZE = 300;
+
+router.post('/device/batch', deviceAuthFailureLimiter, ingestionErrorLog, deviceApiKey, deviceIngestLimiter, validate(schemas.deviceBatch), noteDeviceContact, async (req, res, next) => {
+  try {
+    const { readings, data } = req.body || {};
+    const deviceId = req.device ? req.device.deviceId : req.unregisteredDeviceId;
+
+    let entries;
+    if (Array.isArray(readings)) {
+      entries = readings;
+    } else if (typeof data === 'string') {
+      entries = parseCompactBatch(data);
+    } else {
+      return res.status(400).json({
+        error: 'Provide a readings array or a compact data string'
+      });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'Batch is empty' });
+    }
+    if (entries.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: `Batch too large (max ${MAX_BATCH_SIZE} readings)`
+      });
+    }
+
+    // Validate every entry first, remembering its position
+    const results = [];
+    const valid = [];
+
+    entries.forEach((entry, index) => {
+      const values = parseHealthDataString(entry && entry.healthDataString);
+      if (!values) {
+        results.push({ index, status: 'rejected', error: 'Invalid HR/SpO2 values' });
+        return;
+      }
+
+      // takenAt is mandatory here: a replay without it is meaningless
+      const takenAt = entry.takenAt ? parseTakenAt(entry.takenAt) : null;
+      if (!takenAt) {
+        results.push({ index, status: 'rejected', error: 'Invalid takenAt timestamp' });
+        return;
+      }
+
+      const reading = { deviceId, heartRate: values.heartRate, spo2: values.spo2, takenAt };
+      reading.idempotencyKey = resolveIdempotencyKey(entry.idempotencyKey, reading);
+
+      const result = { index, status: 'stored' };
+      results.push(result);
+      valid.push({ result, reading });
+    });
+
+    // Unregistered device → quarantine until its owner claims it
+    const Target = req.device ? Measurement : UnclaimedReading;
+
+    // Skip readings stored by an earlier attempt or repeated in this batch
+    const keys = valid.map(v => v.reading.idempotencyKey);
+    const existing = keys.length
+      ? await Target.find({ deviceId, idempotencyKey: { $in: keys } })
+        .select('idempotencyKey')
+      : [];
+    const storedIds = new Map(existing.map(doc => [doc.idempotencyKey, doc._id]));
+
+    const fresh = [];
+    const repeats = [];
+    valid.forEach(v => {
+      const key = v.reading.idempotencyKey;
+      if (storedIds.has(key)) {
+        v.result.status = 'duplicate';
+        repeats.push(v);
+      } else {
+        storedIds.set(key, null);
+        fresh.push(v);
+      }
+    });
+
+    const { docs, duplicateKeys } = fresh.length
+      ? await insertOnce(Target, fresh.map(v => v.reading))
+      : { docs: [], duplicateKeys: [] };
+
+    // Stored by a concurrent replay after the check above
+    if (duplicateKeys.length) {
+      const raced = await Target.find({ deviceId, idempotencyKey: { $in: duplicateKeys } })
+        .select('idempotencyKey');
+      raced.forEach(doc => storedIds.set(doc.idempotencyKey, doc._id));
+    }
+
+    const inserted = new Map(docs.map(doc => [doc.idempotencyKey, doc]));
+    fresh.forEach(v => {
+      const doc = inserted.get(v.reading.idempotencyKey);
+      if (!doc) {
+        v.result.status = 'duplicate';
+        repeats.push(v);
+        return;
+      }
+      v.result.id = doc._id;
+      storedIds.set(doc.idempotencyKey, doc._id);
+      if (req.device) v.result.quality = doc.quality.status;
+      else v.result.status = 'quarantined';
+    });
+    repeats.forEach(v => {
+      v.result.id = storedIds.get(v.reading.idempotencyKey);
+    });
+
+    const body = {
+      stored: req.device ? docs.length : 0,
+      quarantined: req.device ? 0 : docs.length,
+      duplicates: repeats.length,
+      rejected: entries.length - valid.length,
+      results
+    };
+    if (req.device) {
+      body.config = await deviceConfigString(req.device);
+    }
+
+    // Nothing new but nothing wrong either (a full replay resent) → 200
+    let status = req.device ? 201 : 202;
+    if (docs.length === 0) status = repeats.length ? 200 : 400;
+    return res.status(status).json(body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------------------------------------------------------
+// POST /api/measurements/device/heartbeat
+//  -> "Still here" from a device, sent on a timer (the firmware's
+//     device_status event) so a device that is not measuring (e.g.
+//     outside its active hours) still shows as online.
+//
+// Body (either form):
+//  { "firmwareVersion": "1.1.0", "rssi": -61, "bufferedRecords": 0 }
+//  { "coreid": "...", "data": "1.1.0,-61,0", "published_at": "..." }
+//
+// Response (config as for POST /device, so schedule changes reach
+// the device between measurements too):
+//  { "status": "ok", "config": "30,0600,2200,-420" }
+// -------------------------------------------------------------------
+router.post('/device/heartbeat', deviceAuthFailureLimiter, ingestionErrorLog, deviceApiKey, deviceIngestLimiter, validate(schemas.deviceHeartbeat), async (req, res, next) => {
+  try {
+    // Provisioning key: nothing to record for an unregistered device
+    if (!req.device) {
+      return res.status(202).json({
+        message: 'Device is not registered; heartbeat ignored'
+      });
     }
+
+    let report = req.body;
+    if (typeof req.body.data === 'string') {
+      report = parseHeartbeatData(req.body.data);
+      if (!report) {
+        return res.status(400).json({
+          error: 'data must be "<firmwareVersion>,<rssi>,<bufferedRecords>"'
+        });
+      }
+    }
+
+    await recordDeviceContact(req.device, report);
+
+    return res.json({
+      status: 'ok',
+      config: await deviceConfigString(req.device)
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
+// Day windows accepted by GET /api/measurements?range=
+// (keep in step with RANGES in validators/measurements.js)
+const RANGE_DAYS = { today: 1, week: 7, month: 30 };
 
 // -------------------------------------------------------------------
 // GET /api/measurements
-//  -> Simple "dump everything" endpoint used by the dashboard.
+//  -> Latest readings from the logged-in user's devices
+//     (used by the dashboard), or from ?owner='s shared devices.
+//     ?range=today|week|month limits them to the last 1 / 7 / 30
+//     days (including today) in the user's timezone.
+//     Readings graded "rejected" are left out unless
+//     ?includeRejected=true; "suspect" ones are included and
+//     carry quality.reasons for the UI to show.
 // -------------------------------------------------------------------
-router.get('/', async (req, res, next) => {
+router.get('/', authMiddleware, validate(schemas.listQuery), async (req, res, next) => {
   try {
-    const measurements = await Measurement.find({})
+    const scope = await resolveReadScope(req, 'readings', { range: req.query.range || 'all' });
+    if (!scope) {
+      return sendNotShared(res);
+    }
+    const { deviceIds, timeZone } = scope;
+
+    const filter = { deviceId: { $in: deviceIds } };
+    if (req.query.includeRejected !== true) {
+      filter['quality.status'] = { $ne: 'rejected' };
+    }
+
+    const days = RANGE_DAYS[req.query.range];
+    if (days) {
+      const today = localDateKey(new Date(), timeZone);
+      filter.takenAt = { $gte: zonedDayStart(shiftDateKey(today, 1 - days), timeZone) };
+    }
+
+    const measurements = await Measurement.find(filter)
       .sort({ takenAt: -1 })
       .limit(500);
 
@@ -135,16 +697,61 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// -------------------------------------------------------------------
+// GET /api/measurements/daily/:date
+//  -> Every reading taken on one calendar day (YYYY-MM-DD) in the
+//     user's timezone, oldest first (used by the daily-detail page).
+//     Rejected readings are left out, as in GET /. Takes ?owner= too.
+//
+// Response shape:
+//  {
+//    "date": "2025-12-05",
+//    "timezone": "America/Phoenix",
+//    "measurements": [ { deviceId, heartRate, spo2, takenAt, quality,
+//                        annotations }, ... ]
+//  }
+// -------------------------------------------------------------------
+router.get('/daily/:date', authMiddleware, validate(schemas.dailyParams), async (req, res, next) => {
+  try {
+    const { date } = req.params;
+
+    const scope = await resolveReadScope(req, 'daily', { date });
+    if (!scope) {
+      return sendNotShared(res);
+    }
+    const { deviceIds, timeZone } = scope;
+
+    const measurements = await Measurement.find({
+      deviceId: { $in: deviceIds },
+      takenAt: {
+        $gte: zonedDayStart(date, timeZone),
+        $lt: zonedDayStart(shiftDateKey(date, 1), timeZone)
+      },
+      'quality.status': { $ne: 'rejected' }
+    }).sort({ takenAt: 1 });
+
+    res.json({ date, timezone: timeZone, measurements });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // -------------------------------------------------------------------
 // GET /api/measurements/weekly
 //
-// Returns a summary for the *last 7 days* (including today).
+// Returns a summary for the *last 7 days* (including today) in the
+// user's timezone, computed only over the logged-in user's devices (or
+// ?owner='s shared ones) and only over readings graded valid. Suspect /
+// rejected readings in the window are counted in flaggedMeasurements
+// instead.
 // Response shape:
 //
 // {
+//   "timezone": "America/Phoenix",
 //   "averageHeartRate": 73,
 //   "averageSpO2": 98,
 //   "totalMeasurements": 42,
+//   "flaggedMeasurements": 3,
 //   "activeDevices": 2,
 //   "daily": [
 //     {
@@ -159,32 +766,35 @@ router.get('/', async (req, res, next) => {
 //   ]
 // }
 // -------------------------------------------------------------------
-router.get('/weekly', async (req, res, next) => {
+router.get('/weekly', authMiddleware, validate(schemas.weeklyQuery), async (req, res, next) => {
   try {
-    const now = new Date();
-
-    // start = 6 days ago at 00:00, end = today 23:59:59
-    const end = new Date(now);
-    end.setHours(23, 59, 59, 999);
+    const scope = await resolveReadScope(req, 'weekly');
+    if (!scope) {
+      return sendNotShared(res);
+    }
+    const { deviceIds, timeZone } = scope;
 
-    const start = new Date(now);
-    start.setDate(start.getDate() - 6);
-    start.setHours(0, 0, 0, 0);
+    // start = local midnight 6 days ago, end = local midnight tomorrow
+    const today = localDateKey(new Date(), timeZone);
+    const start = zonedDayStart(shiftDateKey(today, -6), timeZone);
+    const end = zonedDayStart(shiftDateKey(today, 1), timeZone);
 
-    // Aggregate by day (using takenAt)
+    // Aggregate by local calendar day (using takenAt)
     const raw = await Measurement.aggregate([
       {
         $match: {
+          deviceId: { $in: deviceIds },
           takenAt: {
             $gte: start,
-            $lte: end
-          }
+            $lt: end
+          },
+          ...VALID_QUALITY
         }
       },
       {
         $group: {
           _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$takenAt' }
+            $dateToString: { format: '%Y-%m-%d', date: '$takenAt', timezone: timeZone }
           },
           avgHeartRate: { $avg: '$heartRate' },
           avgSpO2: { $avg: '$spo2' },
@@ -206,11 +816,7 @@ router.get('/weekly', async (req, res, next) => {
 
     // Build a continuous 7-day window, even if some days have no data
     for (let i = 6; i >= 0; i--) {
-      const d = new Date(now);
-      d.setDate(d.getDate() - i);
-      d.setHours(0, 0, 0, 0);
-
-      const dateKey = d.toISOString().slice(0, 10); // YYYY-MM-DD
+      const dateKey = shiftDateKey(today, -i); // YYYY-MM-DD, local
       const bucket = bucketsByDate.get(dateKey);
 
       if (bucket) {
@@ -241,16 +847,24 @@ router.get('/weekly', async (req, res, next) => {
       }
     }
 
-    const [activeDevicesCount] = await Promise.all([
+    const [activeDevicesCount, flaggedCount] = await Promise.all([
       Measurement.distinct('deviceId', {
-        takenAt: { $gte: start, $lte: end }
-      }).then(ids => ids.length)
+        deviceId: { $in: deviceIds },
+        takenAt: { $gte: start, $lt: end }
+      }).then(ids => ids.length),
+      Measurement.countDocuments({
+        deviceId: { $in: deviceIds },
+        takenAt: { $gte: start, $lt: end },
+        'quality.status': { $in: ['suspect', 'rejected'] }
+      })
     ]);
 
     const summary = {
+      timezone: timeZone,
       averageHeartRate: totalCount ? Math.round(totalHr / totalCount) : null,
       averageSpO2: totalCount ? Math.round(totalSpO2 / totalCount) : null,
       totalMeasurements: totalCount,
+      flaggedMeasurements: flaggedCount,
       activeDevices: activeDevicesCount,
       daily
     };
@@ -261,4 +875,86 @@ router.get('/weekly', async (req, res, next) => {
   }
 });
 
+// -------------------------------------------------------------------
+// Helper: load a reading with the caller's access to its device
+// ("owner" | "annotate" | "read" | null, see utils/deviceAccess.js).
+// Answers 404 itself and resolves null when the reading is unknown
+// or not visible to the caller.
+// -------------------------------------------------------------------
+async function findAnnotatableMeasurement(req, res) {
+  const measurement = await Measurement.findById(req.params.id);
+  const { access } = measurement
+    ? await findDeviceAccess(req.user.id, measurement.deviceId)
+    : { access: null };
+
+  if (!access) {
+    res.status(404).json({ error: 'Measurement not found' });
+    return null;
+  }
+  return { measurement, access };
+}
+
+// -------------------------------------------------------------------
+// POST /api/measurements/:id/annotations
+//  -> Add a note to a reading. Allowed for the device's owner and for
+//     accounts it was shared with "annotate" permission; read-only
+//     viewers get 403.
+//     body: { text }
+//     Returns 201 with the stored note.
+// -------------------------------------------------------------------
+router.post('/:id/annotations', authMiddleware, validate(schemas.addAnnotation), async (req, res, next) => {
+  try {
+    const found = await findAnnotatableMeasurement(req, res);
+    if (!found) return;
+
+    const { measurement, access } = found;
+    if (access === 'read') {
+      return res.status(403).json({ error: 'You can view these readings but not add notes' });
+    }
+
+    const author = await User.findById(req.user.id).select('name email');
+
+    measurement.annotations = measurement.annotations || [];
+    measurement.annotations.push({
+      authorId: req.user.id,
+      authorName: author ? author.name || author.email : '',
+      text: req.body.text
+    });
+    await measurement.save();
+
+    res.status(201).json(measurement.annotations[measurement.annotations.length - 1]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------------------------------------------------------
+// DELETE /api/measurements/:id/annotations/:annotationId
+//  -> Remove a note. Its author may always remove it; the device's
+//     owner may remove anyone's note on their readings.
+// -------------------------------------------------------------------
+router.delete('/:id/annotations/:annotationId', authMiddleware, validate(schemas.removeAnnotation), async (req, res, next) => {
+  try {
+    const found = await findAnnotatableMeasurement(req, res);
+    if (!found) return;
+
+    const { measurement, access } = found;
+    const annotation = measurement.annotations && measurement.annotations.id(req.params.annotationId);
+    if (!annotation) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    if (access !== 'owner' && String(annotation.authorId) !== String(req.user.id)) {
+      return res.status(403).json({ error: 'Only the note\'s author or the device owner can remove it' });
+    }
+
+    annotation.deleteOne();
+    await measurement.save();
+
+    res.json({ message: 'Note removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,135 @@
+// server/routes/pairing.js
+// -------------------------------------------------------------
+// Heart Track - Device Pairing Routes (device side)
+// -------------------------------------------------------------
+//  Called by the device itself (or a simulator), so there is no
+//  JWT here. The user's half of pairing is POST /api/devices/pair
+//  (routes/devices.js); see models/PairingCode.js for the flow.
+//
+//  Endpoints:
+//    POST /api/pairing/codes
+//        - Body: { deviceId, pairingToken? }
+//        - Returns { claimCode, pairingToken, expiresAt,
+//          pollIntervalSeconds }. The device shows claimCode to its
+//          owner and keeps pairingToken secret.
+//        - Asking again with the previous pairingToken replaces
+//          that unclaimed code; codes other callers got for the same
+//          deviceId are never cancelled
+//        - The request must carry DEVICE_PROVISIONING_KEY (the
+//          secret flashed into Heart Track firmware) in the
+//          x-api-key header, so only our devices can ask for codes;
+//          without it configured, pairing is off (503)
+//
+//    POST /api/pairing/status
+//        - Body: { pairingToken }
+//        - { status: "pending", expiresAt } until the code is entered
+//        - { status: "paired", deviceId, apiKey } once, after the
+//          owner entered the code. The key is minted at that moment
+//          (replacing any older key of the device), so the server
+//          never stores it in plain text.
+//        - 404 when the token is unknown or expired, 409 when its
+//          key was already collected
+//
+//  Codes live PAIRING_CODE_TTL_MINUTES (default 10) and both
+//  endpoints are rate limited (pairingDeviceLimiter).
+// -------------------------------------------------------------
+
+const express = require('express');
+const Device = require('../models/Device');
+const PairingCode = require('../models/PairingCode');
+const validate = require('../middleware/validate');
+const { pairingDeviceLimiter } = require('../middleware/rateLimits');
+const schemas = require('../validators/pairing');
+
+const router = express.Router();
+
+const PAIRING_CODE_TTL_MINUTES = Number(process.env.PAIRING_CODE_TTL_MINUTES) || 10;
+const POLL_INTERVAL_SECONDS = 5;
+
+/**
+ * POST /api/pairing/codes
+ * Start pairing: hand the device a claim code for its owner to enter.
+ * body: { deviceId, pairingToken? }
+ * pairingToken (from an earlier call) replaces that unclaimed code;
+ * other devices' pending codes for the same deviceId are left alone.
+ */
+router.post('/codes', pairingDeviceLimiter, validate(schemas.requestCode), async (req, res, next) => {
+  try {
+    const provisioningKey = process.env.DEVICE_PROVISIONING_KEY;
+    if (!provisioningKey) {
+      return res
+        .status(503)
+        .json({ error: 'Device pairing is not configured on this server' });
+    }
+    if (req.header('x-api-key') !== provisioningKey) {
+      return res.status(401).json({ error: 'Missing or invalid provisioning key' });
+    }
+
+    const { claimCode, pairingToken, expiresAt } = await PairingCode.issue(
+      req.body.deviceId,
+      PAIRING_CODE_TTL_MINUTES * 60 * 1000,
+      req.body.pairingToken
+    );
+
+    return res.status(201).json({
+      claimCode,
+      pairingToken,
+      expiresAt,
+      pollIntervalSeconds: POLL_INTERVAL_SECONDS,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/pairing/status
+ * Poll a pairing; collects the device's API key once it was claimed.
+ * body: { pairingToken }
+ */
+router.post('/status', pairingDeviceLimiter, validate(schemas.pairingStatus), async (req, res, next) => {
+  try {
+    const pairing = await PairingCode.findOne({
+      pairingTokenHash: PairingCode.hashPairingToken(req.body.pairingToken),
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!pairing) {
+      return res
+        .status(404)
+        .json({ error: 'Pairing not found or expired; request a new code' });
+    }
+
+    if (!pairing.claimedAt) {
+      return res.json({ status: 'pending', expiresAt: pairing.expiresAt });
+    }
+
+    const device = await Device.findOne({
+      deviceId: pairing.deviceId,
+      userId: pairing.claimedBy,
+      archivedAt: null,
+    });
+
+    // The owner removed the device again before it checked in
+    if (!device) {
+      return res
+        .status(404)
+        .json({ error: 'Pairing not found or expired; request a new code' });
+    }
+
+    // Only one poll gets to mint the key
+    const delivered = await PairingCode.markDelivered(pairing._id);
+    if (!delivered) {
+      return res.status(409).json({ error: 'This pairing was already completed' });
+    }
+
+    const apiKey = device.issueApiKey();
+    await device.save();
+
+    return res.json({ status: 'paired', deviceId: device.deviceId, apiKey });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
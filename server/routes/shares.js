@@ -0,0 +1,326 @@
+// server/routes/shares.js
+// -------------------------------------------------------------
+// Heart Track - Sharing Routes (caregiver access)
+// -------------------------------------------------------------
+//  Owners let other accounts read their readings; see
+//  models/DeviceShare.js for the share itself and
+//  utils/deviceAccess.js for how reads honour it.
+//
+//  Authentication:
+//    • All routes require authMiddleware (mounted in server.js)
+//
+//  Endpoints:
+//    GET /api/shares
+//        - { granted, received }: shares the user created (pending,
+//          expired and active; revoked ones are left out) and
+//          active shares other accounts gave them, each with
+//          `grantee` { id, name, email } or `owner` { id, name,
+//          email, timezone } and, for received shares, the shared
+//          `devices` [{ deviceId, name }]
+//
+//    POST /api/shares
+//        - Body: { email, permission?: "read" | "annotate",
+//                  scope?: "all" | "devices", deviceIds? }
+//        - Emails an invitation link (sharing.html?invite=<token>)
+//          valid for SHARE_INVITE_TTL_DAYS (default 7)
+//        - scope "devices" needs deviceIds the user owns (400)
+//        - 409 if that address already has a pending or active share
+//        - 403 until the user's email is verified, if
+//          EMAIL_VERIFICATION_REQUIRED_FOR lists "sharing"
+//        - Rate limited per account (shareInviteLimiter)
+//
+//    POST /api/shares/accept
+//        - Body: { token } from the invitation link
+//        - Only the account with the invited email can accept (403);
+//          unknown, used or expired links → 400
+//
+//    PUT /api/shares/:id
+//        - Owner only; changes permission / scope / deviceIds of a
+//          share that was not revoked
+//
+//    DELETE /api/shares/:id
+//        - The owner revokes the share (or cancels the invitation),
+//          or the grantee leaves it. Access ends immediately.
+// -------------------------------------------------------------
+
+const express = require('express');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const DeviceShare = require('../models/DeviceShare');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const validate = require('../middleware/validate');
+const { shareInviteLimiter } = require('../middleware/rateLimits');
+const { sendMail, appUrl } = require('../utils/mailer');
+const schemas = require('../validators/shares');
+
+const router = express.Router();
+
+const SHARE_INVITE_TTL_DAYS = Number(process.env.SHARE_INVITE_TTL_DAYS) || 7;
+
+// { id, name, email } of each user in `ids` → Map(id string → summary);
+// owners also get their timezone, which shared views show times in
+async function findUserSummaries(ids, { withTimeZone = false } = {}) {
+  const users = await User.find({ _id: { $in: ids.filter(Boolean) } })
+    .select(withTimeZone ? 'name email timezone' : 'name email');
+  return new Map(users.map(u => [
+    String(u._id),
+    withTimeZone
+      ? { id: u._id, name: u.name, email: u.email, timezone: u.timezone }
+      : { id: u._id, name: u.name, email: u.email }
+  ]));
+}
+
+// Check permission / scope / deviceIds sent for a share of `ownerId`'s
+// devices and apply them to `share`. Returns an error message, or null.
+async function applyShareFields(share, body, ownerId) {
+  if (body.permission !== undefined) share.permission = body.permission;
+  if (body.scope !== undefined) share.scope = body.scope;
+  if (body.deviceIds !== undefined) share.deviceIds = [...new Set(body.deviceIds)];
+
+  if (share.scope === 'all') {
+    share.deviceIds = [];
+    return null;
+  }
+
+  if (share.deviceIds.length === 0) {
+    return 'Choose at least one device to share';
+  }
+
+  const owned = await Device.find({ userId: ownerId, deviceId: { $in: share.deviceIds } })
+    .select('deviceId');
+  const ownedIds = new Set(owned.map(d => d.deviceId));
+  const unknown = share.deviceIds.find(deviceId => !ownedIds.has(deviceId));
+
+  return unknown ? `You have no device "${unknown}"` : null;
+}
+
+/**
+ * GET /api/shares
+ * Shares the user gave and received.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const [granted, received] = await Promise.all([
+      DeviceShare.find({ ownerId: req.user.id, revokedAt: null }).sort({ createdAt: -1 }),
+      DeviceShare.find({
+        granteeId: req.user.id,
+        acceptedAt: { $ne: null },
+        revokedAt: null
+      }).sort({ acceptedAt: -1 })
+    ]);
+
+    const [grantees, owners] = await Promise.all([
+      findUserSummaries(granted.map(s => s.granteeId)),
+      findUserSummaries(received.map(s => s.ownerId), { withTimeZone: true })
+    ]);
+
+    const ownerDevices = await Device.find({ userId: { $in: received.map(s => s.ownerId) } })
+      .select('userId deviceId name')
+      .sort('createdAt');
+
+    res.json({
+      granted: granted.map(share => ({
+        ...share.toJSON(),
+        grantee: share.granteeId ? grantees.get(String(share.granteeId)) || null : null
+      })),
+      received: received.map(share => ({
+        ...share.toJSON(),
+        owner: owners.get(String(share.ownerId)) || null,
+        devices: ownerDevices
+          .filter(d => String(d.userId) === String(share.ownerId) && share.covers(d.deviceId))
+          .map(d => ({ deviceId: d.deviceId, name: d.name }))
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/shares
+ * Invite someone (by email) to the user's readings.
+ * body: { email, permission?, scope?, deviceIds? }
+ */
+router.post(
+  '/',
+  requireVerifiedEmail('sharing'),
+  shareInviteLimiter,
+  validate(schemas.createShare),
+  async (req, res, next) => {
+    try {
+      const owner = await User.findById(req.user.id).select('name email');
+      if (!owner) {
+        return res.status(401).json({ error: 'User not found for current token' });
+      }
+
+      const { email } = req.body;
+      if (email === owner.email) {
+        return res.status(400).json({ error: 'You cannot share your readings with yourself' });
+      }
+
+      const existing = await DeviceShare.find({ ownerId: owner._id, email, revokedAt: null });
+      if (existing.some(share => ['pending', 'active'].includes(share.status()))) {
+        return res.status(409).json({
+          error: 'You already share with this address. Change or revoke that share instead.'
+        });
+      }
+
+      const draft = new DeviceShare({ ownerId: owner._id, email });
+      const fieldError = await applyShareFields(draft, req.body, owner._id);
+      if (fieldError) {
+        return res.status(400).json({ error: fieldError });
+      }
+
+      const { share, token } = await DeviceShare.invite(
+        {
+          ownerId: owner._id,
+          email,
+          permission: draft.permission,
+          scope: draft.scope,
+          deviceIds: draft.deviceIds
+        },
+        SHARE_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000
+      );
+
+      const ownerName = owner.name || owner.email;
+      const link = `${appUrl()}/sharing.html?invite=${token}`;
+
+      try {
+        await sendMail({
+          to: email,
+          subject: `${ownerName} shared their Heart Track readings with you`,
+          text: [
+            `${ownerName} invited you to view their Heart Track readings` +
+              (share.permission === 'annotate' ? ' and add notes to them.' : '.'),
+            '',
+            `Accept the invitation here: ${link}`,
+            '',
+            `The link expires in ${SHARE_INVITE_TTL_DAYS} days. Sign in (or sign up) with ${email} to accept it.`,
+            'If you were not expecting this, you can ignore this email.',
+          ].join('\n'),
+        });
+      } catch (mailErr) {
+        // The owner can revoke and invite again
+        console.error('Share invitation email failed:', mailErr.message);
+      }
+
+      return res.status(201).json({
+        message: `Invitation sent to ${email}`,
+        share: { ...share.toJSON(), grantee: null }
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/shares/accept
+ * Accept an invitation from its emailed link.
+ * body: { token }
+ */
+router.post('/accept', validate(schemas.acceptShare), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('name email');
+    if (!user) {
+      return res.status(401).json({ error: 'User not found for current token' });
+    }
+
+    const share = await DeviceShare.accept(req.body.token, user);
+
+    if (!share) {
+      const pending = await DeviceShare.exists({
+        inviteTokenHash: DeviceShare.hashToken(req.body.token),
+        acceptedAt: null,
+        revokedAt: null,
+        inviteExpiresAt: { $gt: new Date() }
+      });
+
+      return pending
+        ? res.status(403).json({
+          error: 'This invitation was sent to a different email address. Sign in with that account to accept it.'
+        })
+        : res.status(400).json({ error: 'This invitation link is invalid or has expired' });
+    }
+
+    const owners = await findUserSummaries([share.ownerId], { withTimeZone: true });
+    const owner = owners.get(String(share.ownerId)) || null;
+
+    return res.json({
+      message: owner
+        ? `You can now view readings shared by ${owner.name || owner.email}`
+        : 'Invitation accepted',
+      share: { ...share.toJSON(), owner }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/shares/:id
+ * Change what a share grants (owner only).
+ * body (all optional): { permission, scope, deviceIds }
+ */
+router.put('/:id', validate(schemas.updateShare), async (req, res, next) => {
+  try {
+    const share = await DeviceShare.findOne({
+      _id: req.params.id,
+      ownerId: req.user.id,
+      revokedAt: null
+    });
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    const fieldError = await applyShareFields(share, req.body, req.user.id);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    await share.save();
+
+    const users = await findUserSummaries([share.granteeId]);
+
+    res.json({
+      message: 'Share updated',
+      share: {
+        ...share.toJSON(),
+        grantee: share.granteeId ? users.get(String(share.granteeId)) || null : null
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/shares/:id
+ * Revoke a share (owner) or leave it (grantee).
+ */
+router.delete('/:id', validate(schemas.shareParam), async (req, res, next) => {
+  try {
+    const share = await DeviceShare.findOne({
+      _id: req.params.id,
+      revokedAt: null,
+      $or: [{ ownerId: req.user.id }, { granteeId: req.user.id }]
+    });
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    const isOwner = String(share.ownerId) === String(req.user.id);
+
+    share.revokedAt = new Date();
+    share.inviteTokenHash = null;
+    await share.save();
+
+    res.json({ message: isOwner ? 'Access revoked' : 'You no longer have access to these readings' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
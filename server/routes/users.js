@@ -1,15 +1,90 @@
 // server/routes/users.js
 // Routes for authenticated user profile management.
-// - GET /api/users/me    → return current user profile
-// - PUT /api/users/me    → update profile fields (name, password)
+// Mounted behind authMiddleware at /api/users.
+// - GET /api/users/me           → return current user profile (incl. settings)
+// - PUT /api/users/me           → update profile fields (name, timezone, password;
+//                                 a password change signs out other sessions and
+//                                 is rate limited per account)
+// - GET /api/users/me/settings  → return the user's preferences
+// - PUT /api/users/me/settings  → update preferences (interval, reminders,
+//                                 active hours, units, timezone)
+// - POST /api/users/me/2fa/setup          → new TOTP secret + QR code
+// - POST /api/users/me/2fa/enable         → confirm a code, turn 2FA on,
+//                                           return recovery codes once
+// - POST /api/users/me/2fa/disable        → turn 2FA off (password required)
+// - POST /api/users/me/2fa/recovery-codes → replace recovery codes
+//                                           (password required)
+//   Both are rate limited per account, and wrong passwords count
+//   towards the sign-in lockout
+// - GET /api/users/me/export    → download all of the user's data as one
+//                                 JSON file (measurements streamed)
+// - DELETE /api/users/me        → delete the account and everything tied
+//                                 to it (password required, rate limited
+//                                 per account)
 // Email is *not* editable.
+// Bodies are checked against validators/users.js first; malformed
+// input is answered with 422 { error, errors: [{ field, message }] }.
 
+const { once } = require('events');
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const SecurityEvent = require('../models/SecurityEvent');
+const Device = require('../models/Device');
+const Measurement = require('../models/Measurement');
+const UnclaimedReading = require('../models/UnclaimedReading');
+const DeviceShare = require('../models/DeviceShare');
+const ClinicianConsent = require('../models/ClinicianConsent');
+const AccessEvent = require('../models/AccessEvent');
+const IngestionError = require('../models/IngestionError');
+const Alert = require('../models/Alert');
+const {
+  passwordChangeLimiter,
+  accountDeleteLimiter,
+  twoFactorChangeLimiter,
+} = require('../middleware/rateLimits');
+const {
+  lockoutRemainingSeconds,
+  recordLoginFailure,
+  sendLocked,
+} = require('../utils/loginLockout');
+const validate = require('../middleware/validate');
+const schemas = require('../validators/users');
+const { DEFAULT_TIMEZONE, localDateKey } = require('../utils/timezone');
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('../utils/totp');
 
 const router = express.Router();
 
+const RECOVERY_CODE_COUNT = 10;
+
+// Every 2FA field, including the ones hidden by default
+const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+/**
+ * Preferences as the Settings page sees them. timezone lives on the
+ * user itself (aggregations use it) but is edited with the rest.
+ */
+function toPublicSettings(user) {
+  const { measurementInterval, reminders, timeRange, units } = user.settings;
+  return {
+    measurementInterval,
+    reminders,
+    timeRange: { start: timeRange.start, end: timeRange.end },
+    units,
+    timezone: user.timezone || DEFAULT_TIMEZONE,
+  };
+}
+
 /**
  * Helper to safely pick fields we expose to the frontend.
  */
@@ -18,12 +93,27 @@ function toPublicUser(user) {
   return {
     id: user._id,
     email: user.email,
+    emailVerified: Boolean(user.emailVerifiedAt),
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
     name: user.name,
+    role: user.role,
+    timezone: user.timezone || DEFAULT_TIMEZONE,
+    settings: toPublicSettings(user),
     createdAt: user.createdAt,
     updatedAt: user.updatedAt,
   };
 }
 
+/**
+ * Write part of a streamed response, waiting for the socket to drain
+ * (or close) when its buffer is full.
+ */
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+}
+
 /**
  * GET /api/users/me
  * Returns the current logged-in user's profile.
@@ -58,12 +148,13 @@ router.get('/me', async (req, res, next) => {
  *
  * Body can include:
  *  - name: string
+ *  - timezone: IANA zone name (e.g. "America/Phoenix")
  *  - currentPassword: string (required if changing password)
  *  - newPassword: string (optional, to change password)
  *
  * Email is intentionally *not* updatable from here.
  */
-router.put('/me', async (req, res, next) => {
+router.put('/me', passwordChangeLimiter, validate(schemas.updateProfile), async (req, res, next) => {
   try {
     const userId = req.user && req.user.id;
     if (!userId) {
@@ -72,7 +163,7 @@ router.put('/me', async (req, res, next) => {
         .json({ error: 'Not authenticated: missing user context' });
     }
 
-    const { name, currentPassword, newPassword } = req.body || {};
+    const { name, timezone, currentPassword, newPassword } = req.body;
 
     const user = await User.findById(userId);
     if (!user) {
@@ -81,37 +172,39 @@ router.put('/me', async (req, res, next) => {
         .json({ error: 'User not found for current token' });
     }
 
-    // 1) Update name if provided (and not empty string only)
-    if (typeof name === 'string') {
-      user.name = name.trim();
+    // 1) Update name if provided (already trimmed)
+    if (name !== undefined) {
+      user.name = name;
     }
 
-    // 2) Optional password change
-    if (newPassword) {
-      if (!currentPassword) {
-        return res
-          .status(400)
-          .json({ error: 'currentPassword is required to change password' });
-      }
+    // Timezone used to bucket readings into days
+    if (timezone !== undefined) {
+      user.timezone = timezone;
+    }
 
+    // 2) Optional password change (length and currentPassword
+    //    presence are checked by the schema)
+    if (newPassword) {
       const matches = await bcrypt.compare(currentPassword, user.passwordHash);
       if (!matches) {
         return res.status(401).json({ error: 'Current password is incorrect' });
       }
 
-      // Basic password strength check (you can enforce more if you want)
-      if (newPassword.length < 8) {
-        return res
-          .status(400)
-          .json({ error: 'New password must be at least 8 characters long' });
-      }
-
       const newHash = await bcrypt.hash(newPassword, 12);
       user.passwordHash = newHash;
     }
 
     await user.save();
 
+    // Anyone signed in with the old password loses access;
+    // the browser making the change stays logged in
+    if (newPassword) {
+      await Session.updateMany(
+        { userId: user._id, _id: { $ne: req.user.sessionId }, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+    }
+
     return res.json({
       message: 'Profile updated',
       user: toPublicUser(user),
@@ -121,4 +214,427 @@ router.put('/me', async (req, res, next) => {
   }
 });
 
+/**
+ * DELETE /api/users/me
+ * body: { password }
+ *
+ * Permanently deletes the account. Its devices, their measurements
+ * (and readings still quarantined under those device IDs), sessions,
+ * emailed tokens, security events, alerts, logged ingestion errors of
+ * its devices, shares given or received, clinician consents given or
+ * received, the clinician access log about it or by it and the notes it
+ * wrote on readings shared with it are deleted with it. The
+ * user document goes last, so a failure part-way can simply be retried.
+ */
+router.delete('/me', accountDeleteLimiter, validate(schemas.confirmPassword), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    if (!(await bcrypt.compare(req.body.password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const devices = await Device.find({ userId: user._id }).select('deviceId');
+    const deviceIds = devices.map(d => d.deviceId);
+
+    const [measurements] = await Promise.all([
+      Measurement.deleteMany({ deviceId: { $in: deviceIds } }),
+      UnclaimedReading.deleteMany({ deviceId: { $in: deviceIds } }),
+      Session.deleteMany({ userId: user._id }),
+      AuthToken.deleteMany({ userId: user._id }),
+      SecurityEvent.deleteMany({ userId: user._id }),
+      Alert.deleteMany({ $or: [{ userId: user._id }, { deviceId: { $in: deviceIds } }] }),
+      IngestionError.deleteMany({ $or: [{ userId: user._id }, { deviceId: { $in: deviceIds } }] }),
+      DeviceShare.deleteMany({ $or: [{ ownerId: user._id }, { granteeId: user._id }] }),
+      ClinicianConsent.deleteMany({ $or: [{ patientId: user._id }, { clinicianId: user._id }] }),
+      AccessEvent.deleteMany({ $or: [{ patientId: user._id }, { actorId: user._id }] }),
+      Measurement.updateMany(
+        { 'annotations.authorId': user._id },
+        { $pull: { annotations: { authorId: user._id } } }
+      ),
+    ]);
+    await Device.deleteMany({ userId: user._id });
+    await User.deleteOne({ _id: user._id });
+
+    return res.json({
+      message: 'Account deleted',
+      deleted: {
+        devices: devices.length,
+        measurements: measurements.deletedCount,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/users/me/export
+ * Download everything stored about the current user as one JSON file:
+ *
+ *  {
+ *    exportedAt, profile, devices, sessions, securityEvents,
+ *    shares: { granted, received },
+ *    consents: { given, received },    // clinician consents
+ *    accessEvents,                     // clinician reads of this account
+ *    alertRules, alerts,
+ *    measurements: [ ...every reading from the user's devices, oldest first ]
+ *  }
+ *
+ * Measurements are streamed from a cursor, so large histories are not
+ * held in memory. Chat questions are never stored, so there is no chat
+ * history to include. Secrets (password, 2FA, API key and refresh
+ * token hashes) are left out.
+ */
+router.get('/me/export', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    const [
+      devices,
+      sessions,
+      securityEvents,
+      granted,
+      received,
+      consentsGiven,
+      consentsReceived,
+      accessEvents,
+      alerts,
+    ] = await Promise.all([
+      Device.find({ userId: user._id }).sort('createdAt'),
+      Session.find({ userId: user._id }).sort('createdAt'),
+      SecurityEvent.find({ userId: user._id }).sort('createdAt'),
+      DeviceShare.find({ ownerId: user._id }).sort('createdAt'),
+      DeviceShare.find({ granteeId: user._id }).sort('createdAt'),
+      ClinicianConsent.find({ patientId: user._id }).sort('createdAt'),
+      ClinicianConsent.find({ clinicianId: user._id }).sort('createdAt'),
+      AccessEvent.find({ patientId: user._id }).sort('createdAt'),
+      Alert.find({ userId: user._id }).sort('createdAt'),
+    ]);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        ...toPublicUser(user),
+        emailVerifiedAt: user.emailVerifiedAt || null,
+        twoFactorEnabledAt: user.twoFactor.enabledAt || null,
+      },
+      devices,
+      sessions,
+      securityEvents,
+      shares: { granted, received },
+      consents: { given: consentsGiven, received: consentsReceived },
+      accessEvents,
+      alertRules: user.alertRules,
+      alerts,
+    };
+
+    const day = localDateKey(new Date(), user.timezone || DEFAULT_TIMEZONE);
+    res.attachment(`heart-track-export-${day}.json`);
+    res.type('application/json');
+
+    // Write the rest of the archive, leaving the closing "}" off so
+    // the measurements array can be appended reading by reading
+    const head = JSON.stringify(archive, null, 2);
+    await writeChunk(res, `${head.slice(0, -2)},\n  "measurements": [`);
+
+    const cursor = Measurement.find({ deviceId: { $in: devices.map(d => d.deviceId) } })
+      .sort({ takenAt: 1 })
+      .select('-__v')
+      .lean()
+      .cursor();
+
+    let first = true;
+    for await (const measurement of cursor) {
+      if (res.destroyed) break; // browser gave up on the download
+      await writeChunk(res, `${first ? '' : ','}\n    ${JSON.stringify(measurement)}`);
+      first = false;
+    }
+    await cursor.close();
+
+    return res.end(`${first ? '' : '\n  '}]\n}\n`);
+  } catch (err) {
+    // Once the download has started the status can no longer change
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+});
+
+/**
+ * GET /api/users/me/settings
+ * Returns the current user's preferences.
+ */
+router.get('/me/settings', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    return res.json({ settings: toPublicSettings(user) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/users/me/settings
+ * Update preferences for the current user. Every field is optional.
+ *
+ * Body can include:
+ *  - measurementInterval: whole minutes, 1-1440
+ *  - reminders: boolean
+ *  - timeRange: { start: "HH:MM", end: "HH:MM" }
+ *  - units: "metric" | "imperial"
+ *  - timezone: IANA zone name
+ *
+ * Devices keep their own schedule; the Settings page pushes the new
+ * interval / active hours to them with PUT /api/devices/:id.
+ */
+router.put('/me/settings', validate(schemas.updateSettings), async (req, res, next) => {
+  try {
+    const { measurementInterval, reminders, timeRange, units, timezone } =
+      req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    // Values were checked and normalized by the schema
+    if (measurementInterval !== undefined) {
+      user.settings.measurementInterval = measurementInterval;
+    }
+
+    if (reminders !== undefined) {
+      user.settings.reminders = reminders;
+    }
+
+    if (timeRange !== undefined) {
+      const { start, end } = timeRange;
+      if (start !== undefined) user.settings.timeRange.start = start;
+      if (end !== undefined) user.settings.timeRange.end = end;
+    }
+
+    if (units !== undefined) {
+      user.settings.units = units;
+    }
+
+    if (timezone !== undefined) {
+      user.timezone = timezone;
+    }
+
+    await user.save();
+
+    return res.json({
+      message: 'Settings updated',
+      settings: toPublicSettings(user),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/setup
+ * Start (or restart) 2FA enrollment. The secret stays pending until
+ * a code from the authenticator app is confirmed with /2fa/enable.
+ *
+ * Returns { secret, otpauthUrl, qrCode } (qrCode is a PNG data URL).
+ */
+router.post('/me/2fa/setup', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const url = otpauthUrl(secret, user.email);
+    const qrCode = await QRCode.toDataURL(url);
+
+    return res.json({ secret, otpauthUrl: url, qrCode });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/enable
+ * body: { code } - current 6-digit code for the pending secret
+ *
+ * Returns the recovery codes. They are shown once; only hashes are kept.
+ */
+router.post('/me/2fa/enable', validate(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res
+        .status(400)
+        .json({ error: 'Start two-factor setup before enabling it' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res
+        .status(400)
+        .json({ error: 'That code is not valid. Check the time on your phone and try again.' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Password check for the 2FA changes below. Wrong passwords count
+// towards the sign-in lockout (utils/loginLockout.js), so a stolen
+// access token cannot be used to guess the password and then turn
+// 2FA off. Returns the response sent on failure, otherwise null.
+async function checkTwoFactorPassword(req, res, user, password) {
+  const lockedFor = lockoutRemainingSeconds(user);
+  if (lockedFor) {
+    return sendLocked(res, lockedFor);
+  }
+
+  if (await bcrypt.compare(password, user.passwordHash)) {
+    return null;
+  }
+
+  const lockedNow = await recordLoginFailure(user, req);
+  if (lockedNow) {
+    return sendLocked(res, lockedNow);
+  }
+  return res.status(401).json({ error: 'Password is incorrect' });
+}
+
+/**
+ * POST /api/users/me/2fa/disable
+ * body: { password }
+ */
+router.post('/me/2fa/disable', twoFactorChangeLimiter, validate(schemas.confirmPassword), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const passwordError = await checkTwoFactorPassword(req, res, user, password);
+    if (passwordError) return passwordError;
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodeHashes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    await user.save();
+
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/recovery-codes
+ * body: { password }
+ *
+ * Replaces every recovery code; the old ones stop working.
+ */
+router.post('/me/2fa/recovery-codes', twoFactorChangeLimiter, validate(schemas.confirmPassword), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ error: 'User not found for current token' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const passwordError = await checkTwoFactorPassword(req, res, user, password);
+    if (passwordError) return passwordError;
+
+    const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+    user.twoFactor.recoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    return res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
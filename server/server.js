@@ -6,14 +6,22 @@
 //  connects to MongoDB, and exposes API routes for:
 //      • Authentication      (/api/auth)
 //      • Device Management   (/api/devices)
+//      • Device Pairing      (/api/pairing)
 //      • Measurements (IoT)  (/api/measurements)
+//      • User Profile        (/api/users)
+//      • Sharing & Consent   (/api/shares, /api/consents)
+//      • Clinician Portal    (/api/clinician)
+//      • Alerts              (/api/alerts)
+//      • Admin Console       (/api/admin)
 //
 //  Responsibilities:
 //
 //   1. Security Middleware
 //      - helmet() for HTTP security headers
 //      - CORS configuration (default localhost dev environment)
-//      - express-rate-limit to slow brute-force attempts
+//      - per-route rate limits (middleware/rateLimits.js) on login,
+//        register, password and device upload routes; set
+//        TRUST_PROXY behind a load balancer so limits see client IPs
 //
 //   2. Request Parsing
 //      - JSON and URL-encoded payload handling (10MB limit)
@@ -21,13 +29,28 @@
 //   3. Routing
 //      - /api/auth          → user registration & login
 //      - /api/devices       → protected via authMiddleware
+//      - /api/pairing       → device side of claim-code pairing
+//                             (no JWT; called by the device)
 //      - /api/measurements  → device ingestion + analytics
+//      - /api/users         → profile + settings (authMiddleware)
+//      - /api/shares        → caregiver sharing (authMiddleware)
+//      - /api/consents      → patients' clinician consents
+//                             (authMiddleware)
+//      - /api/clinician     → patient roster (authMiddleware +
+//                             requireRole('clinician'))
+//      - /api/alerts        → threshold alerts + alert rules
+//                             (authMiddleware)
+//      - /api/admin         → users, devices, stats, ingestion
+//                             errors (authMiddleware +
+//                             requireRole('admin'))
 //      - Serves /public as frontend (dashboard, weekly summary, etc.)
 //      - Catch-all (*) route returns index.html (SPA-friendly)
 //
 //   4. Database Bootstrapping
 //      - Uses connectDB() to connect to MongoDB via Mongoose
 //      - Server starts *only after* MongoDB connection succeeds
+//      - Accounts from before email verification are marked
+//        verified once connected (User.backfillEmailVerification)
 //
 //   5. Error Handling
 //      - Centralized errorHandler middleware returns clean JSON
@@ -41,22 +64,31 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
 
 // Database connection helper
 const connectDB = require('./config/database');
+const { appUrl } = require('./utils/mailer');
+const User = require('./models/User');
 
 // Import routes (we'll flesh these out next)
 const authRoutes = require('./routes/auth');
 const deviceRoutes = require('./routes/devices');
+const pairingRoutes = require('./routes/pairing');
 const measurementRoutes = require('./routes/measurements');
 const userRoutes = require('./routes/users');
 const chatRoutes = require('./routes/chat');
+const shareRoutes = require('./routes/shares');
+const consentRoutes = require('./routes/consents');
+const clinicianRoutes = require('./routes/clinician');
+const adminRoutes = require('./routes/admin');
+const alertRoutes = require('./routes/alerts');
 
 // Import middleware
 const authMiddleware = require('./middleware/auth');
+const requireVerifiedEmail = require('./middleware/requireVerifiedEmail');
+const requireRole = require('./middleware/requireRole');
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
@@ -80,13 +112,12 @@ app.use(
   })
 );
 
-// Rate limiting for API routes
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000,  // 15 minutes
-//   max: 100,                   // limit each IP to 100 requests per window
-//   message: 'Too many requests from this IP, please try again later.',
-// });
-//app.use('/api/', limiter);
+// Rate limits are applied per route (see middleware/rateLimits.js).
+// Behind a proxy / load balancer, trust it so req.ip is the client.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
@@ -113,14 +144,26 @@ app.use(express.static(path.join(__dirname, '../public'), {
 
 app.use('/api/auth', authRoutes);
 app.use('/api/devices', authMiddleware, deviceRoutes);
+// Devices ask for claim codes and collect their API key here
+app.use('/api/pairing', pairingRoutes);
 // Note: /api/measurements has mixed auth - some routes use JWT, some use API key
 // So we apply auth inside the route handlers, not globally here
 app.use('/api/measurements', measurementRoutes);
-// app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/users', authMiddleware, userRoutes);
+// Caregiver sharing: invitations and grants to read another user's readings
+app.use('/api/shares', authMiddleware, shareRoutes);
+// Patients give clinicians consent; clinicians see their roster
+app.use('/api/consents', authMiddleware, consentRoutes);
+app.use('/api/clinician', authMiddleware, requireRole('clinician'), clinicianRoutes);
+// Alerts raised by readings that broke the user's alert rules
+app.use('/api/alerts', authMiddleware, alertRoutes);
+// Operator console: accounts, devices, system stats, refused uploads
+app.use('/api/admin', authMiddleware, requireRole('admin'), adminRoutes);
 
 // AI Chat Route (New)
 // Protected by authMiddleware so we know who the user is
-app.use('/api/chat', authMiddleware, chatRoutes);
+// (and gated on a verified email if EMAIL_VERIFICATION_REQUIRED_FOR lists "chat")
+app.use('/api/chat', authMiddleware, requireVerifiedEmail('chat'), chatRoutes);
 
 // Fallback: serve index.html for any non-API route (but not static files)
 app.get(/^(?!\/api).*/, (req, res) => {
@@ -134,8 +177,24 @@ app.use(errorHandler);
 // Start server AFTER DB connects
 // ──────────────────────────────────────────────
 async function start() {
+  // Links in emails come from APP_URL only; refuse to start without it
+  // in production rather than fail on the first password reset
+  try {
+    appUrl();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
   try {
     await connectDB(); // uses server/config/database.js
+
+    // Accounts from before email verification count as verified
+    const backfilled = await User.backfillEmailVerification();
+    if (backfilled) {
+      console.log(`Marked ${backfilled} existing account(s) as email-verified`);
+    }
+
     app.listen(PORT, () => {
       console.log(`Heart Track server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
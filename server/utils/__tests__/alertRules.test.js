@@ -0,0 +1,71 @@
+// server/utils/__tests__/alertRules.test.js
+// -------------------------------------------------------------
+// Heart Track - Alert rules (checkReading)
+// -------------------------------------------------------------
+
+const { checkReading, DEFAULT_ALERT_RULES } = require('../alertRules');
+
+const at = (minute) => new Date(Date.UTC(2025, 11, 1, 12, minute));
+const reading = (heartRate, spo2, minute = 0) => ({ heartRate, spo2, takenAt: at(minute) });
+const rulesOf = (alerts) => alerts.map(a => a.rule);
+
+describe('checkReading', () => {
+  test('a normal reading triggers nothing', () => {
+    expect(checkReading({}, reading(72, 97))).toEqual([]);
+  });
+
+  test('limits use the defaults for missing fields', () => {
+    const alerts = checkReading({}, reading(130, 85));
+
+    expect(rulesOf(alerts)).toEqual(['heart-rate-high', 'spo2-low']);
+    expect(alerts[0]).toMatchObject({ value: 130, threshold: DEFAULT_ALERT_RULES.heartRateHigh });
+    expect(alerts[0].message).toBe('Heart rate 130 BPM is above your limit of 120 BPM');
+  });
+
+  test('a limit is exclusive', () => {
+    expect(checkReading({}, reading(120, 90))).toEqual([]);
+    expect(rulesOf(checkReading({}, reading(39, 97)))).toEqual(['heart-rate-low']);
+  });
+
+  test('a null limit turns that rule off; enabled: false turns all off', () => {
+    expect(checkReading({ heartRateHigh: null }, reading(150, 97))).toEqual([]);
+    expect(checkReading({ enabled: false }, reading(150, 80))).toEqual([]);
+  });
+
+  test('sustainedReadings needs that many breaking readings in a row', () => {
+    const rules = { sustainedReadings: 3 };
+
+    // Not enough history yet
+    expect(checkReading(rules, reading(130, 97, 10), [reading(130, 97, 5)])).toEqual([]);
+    // One reading in the streak is within the limit
+    expect(checkReading(rules, reading(130, 97, 10), [reading(130, 97, 5), reading(100, 97, 0)]))
+      .toEqual([]);
+
+    const alerts = checkReading(rules, reading(130, 97, 10), [reading(125, 97, 5), reading(140, 97, 0)]);
+    expect(rulesOf(alerts)).toEqual(['heart-rate-high']);
+    expect(alerts[0].message).toMatch(/\(3 readings in a row\)$/);
+  });
+
+  test('change rules compare with a recent previous reading', () => {
+    const alerts = checkReading({}, reading(110, 90, 10), [reading(75, 97, 0)]);
+
+    expect(rulesOf(alerts)).toEqual(['heart-rate-change', 'spo2-drop']);
+    expect(alerts[0]).toMatchObject({ value: 35, threshold: 30 });
+    expect(alerts[0].message).toBe('Heart rate rose by 35 BPM (to 110 BPM) since the previous reading');
+    expect(alerts[1]).toMatchObject({ value: 7, threshold: 5 });
+  });
+
+  test('a falling heart rate counts as a change too', () => {
+    const alerts = checkReading({}, reading(60, 97, 10), [reading(100, 97, 0)]);
+    expect(alerts[0].message).toMatch(/^Heart rate fell by 40 BPM/);
+  });
+
+  test('change rules ignore a previous reading outside the window', () => {
+    const rules = { changeWindowMinutes: 5 };
+    expect(checkReading(rules, reading(110, 90, 10), [reading(75, 97, 0)])).toEqual([]);
+  });
+
+  test('a rising SpO2 is not a drop', () => {
+    expect(checkReading({}, reading(72, 99, 10), [reading(72, 91, 0)])).toEqual([]);
+  });
+});
@@ -0,0 +1,173 @@
+// server/utils/__tests__/loginLockout.test.js
+// -------------------------------------------------------------
+// Heart Track - Progressive account lockout
+// -------------------------------------------------------------
+//  The database updates are stubbed; these tests cover when a
+//  failure locks, how long for, and what gets audited.
+// -------------------------------------------------------------
+
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const LoginThrottle = require('../../models/LoginThrottle');
+const SecurityEvent = require('../../models/SecurityEvent');
+const {
+  lockoutRemainingSeconds,
+  recordLoginFailure,
+  recordUnknownEmailFailure,
+  clearLoginFailures,
+  sendLocked,
+} = require('../loginLockout');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'a@example.com' };
+const req = {};
+
+// findOneAndUpdate(...).select('lockout') for the counting update
+const counted = (failures, level = 0) => ({
+  select: () => Promise.resolve({ lockout: { failures, level } }),
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue(undefined);
+});
+
+describe('lockoutRemainingSeconds', () => {
+  test('is 0 without a lock or once it has passed', () => {
+    expect(lockoutRemainingSeconds({ lockout: {} })).toBe(0);
+    expect(lockoutRemainingSeconds({ lockout: { lockedUntil: new Date(Date.now() - 1000) } })).toBe(0);
+  });
+
+  test('rounds up to whole seconds', () => {
+    const lockedUntil = new Date(Date.now() + 90500);
+    expect(lockoutRemainingSeconds({ lockout: { lockedUntil } })).toBe(91);
+  });
+});
+
+describe('recordLoginFailure', () => {
+  test('below the threshold only counts', async () => {
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockReturnValueOnce(counted(4));
+
+    await expect(recordLoginFailure(user, req)).resolves.toBe(0);
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][1]).toEqual({ $inc: { 'lockout.failures': 1 } });
+    expect(SecurityEvent.record).not.toHaveBeenCalled();
+  });
+
+  test('the fifth failure locks for a minute and is audited', async () => {
+    const update = jest.spyOn(User, 'findOneAndUpdate')
+      .mockReturnValueOnce(counted(5))
+      .mockResolvedValueOnce({ _id: user._id });
+
+    await expect(recordLoginFailure(user, req)).resolves.toBe(60);
+
+    // The lock only applies if no parallel failure took it first
+    const [filter, lock] = update.mock.calls[1];
+    expect(filter).toEqual({ _id: user._id, 'lockout.failures': { $gte: 5 }, 'lockout.level': 0 });
+    expect(lock.$set['lockout.failures']).toBe(0);
+    expect(lock.$inc).toEqual({ 'lockout.level': 1 });
+    expect(SecurityEvent.record).toHaveBeenCalledWith(req, 'account-locked', {
+      userId: user._id,
+      email: user.email,
+      details: { level: 1, lockedForSeconds: 60 },
+    });
+  });
+
+  test('each further lockout doubles, up to the maximum', async () => {
+    jest.spyOn(User, 'findOneAndUpdate')
+      .mockReturnValueOnce(counted(5, 2))
+      .mockResolvedValueOnce({ _id: user._id })
+      .mockReturnValueOnce(counted(5, 10))
+      .mockResolvedValueOnce({ _id: user._id });
+
+    await expect(recordLoginFailure(user, req)).resolves.toBe(4 * 60);
+    await expect(recordLoginFailure(user, req)).resolves.toBe(60 * 60);
+  });
+
+  test('a failure that lost the race to lock reports the current lock only', async () => {
+    jest.spyOn(User, 'findOneAndUpdate')
+      .mockReturnValueOnce(counted(6))
+      .mockResolvedValueOnce(null);
+    jest.spyOn(User, 'findOne').mockReturnValue({
+      select: () => Promise.resolve({ lockout: { lockedUntil: new Date(Date.now() + 30000) } }),
+    });
+
+    await expect(recordLoginFailure(user, req)).resolves.toBe(30);
+    expect(SecurityEvent.record).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordUnknownEmailFailure', () => {
+  test('upserts a throttle that expires a day later', async () => {
+    const update = jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockReturnValueOnce(counted(1));
+
+    await expect(recordUnknownEmailFailure('nobody@example.com', req)).resolves.toBe(0);
+
+    const [filter, change, options] = update.mock.calls[0];
+    expect(filter).toEqual({ email: 'nobody@example.com' });
+    expect(change.$inc).toEqual({ 'lockout.failures': 1 });
+    expect(change.$set.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    expect(options).toMatchObject({ new: true, upsert: true });
+  });
+
+  test('retries once when a parallel first failure inserted the throttle', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    const update = jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+      .mockReturnValueOnce({ select: () => Promise.reject(duplicate) })
+      .mockReturnValueOnce(counted(2));
+
+    await expect(recordUnknownEmailFailure('nobody@example.com', req)).resolves.toBe(0);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update.mock.calls[1][2]).toMatchObject({ upsert: true });
+  });
+
+  test('other errors are not retried', async () => {
+    const update = jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+      .mockReturnValueOnce({ select: () => Promise.reject(new Error('db down')) });
+
+    await expect(recordUnknownEmailFailure('nobody@example.com', req)).rejects.toThrow('db down');
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  test('locks like a real account and marks the audit entry', async () => {
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+      .mockReturnValueOnce(counted(5))
+      .mockResolvedValueOnce({ email: 'nobody@example.com' });
+
+    await expect(recordUnknownEmailFailure('nobody@example.com', req)).resolves.toBe(60);
+    expect(SecurityEvent.record).toHaveBeenCalledWith(req, 'account-locked', {
+      email: 'nobody@example.com',
+      details: { level: 1, lockedForSeconds: 60, unknownEmail: true },
+    });
+  });
+});
+
+describe('clearLoginFailures', () => {
+  test('writes nothing when there is nothing to clear', async () => {
+    const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+    await clearLoginFailures({ ...user, lockout: { failures: 0, level: 0, lockedUntil: null } });
+    expect(update).not.toHaveBeenCalled();
+
+    await clearLoginFailures({ ...user, lockout: { failures: 2, level: 1, lockedUntil: null } });
+    expect(update).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $set: { 'lockout.failures': 0, 'lockout.level': 0, 'lockout.lockedUntil': null } }
+    );
+  });
+});
+
+describe('sendLocked', () => {
+  test('answers 429 with Retry-After', () => {
+    const res = { set: jest.fn(), status: jest.fn(), json: jest.fn() };
+    res.status.mockReturnValue(res);
+
+    sendLocked(res, 61);
+
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '61');
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith({
+      error: 'Too many failed sign-in attempts. Try again in 2 minutes.',
+      retryAfter: 61,
+    });
+  });
+});
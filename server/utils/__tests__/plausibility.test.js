@@ -0,0 +1,63 @@
+// server/utils/__tests__/plausibility.test.js
+// -------------------------------------------------------------
+// Heart Track - Plausibility grading (assessReading)
+// -------------------------------------------------------------
+
+const { assessReading, PLAUSIBILITY_RULES } = require('../plausibility');
+
+describe('assessReading', () => {
+  test('a normal reading is valid', () => {
+    expect(assessReading({ heartRate: 72, spo2: 97 })).toEqual({ status: 'valid', reasons: [] });
+  });
+
+  test('readings outside the possible range are rejected', () => {
+    expect(assessReading({ heartRate: 20, spo2: 97 })).toEqual({
+      status: 'rejected',
+      reasons: ['heart rate below 25 BPM']
+    });
+    expect(assessReading({ heartRate: 72, spo2: 101 }).status).toBe('rejected');
+    expect(assessReading({ heartRate: 260, spo2: 40 }).reasons).toEqual([
+      'heart rate above 250 BPM',
+      'SpO2 below 50%'
+    ]);
+  });
+
+  test('unlikely readings are suspect', () => {
+    expect(assessReading({ heartRate: 35, spo2: 97 })).toEqual({
+      status: 'suspect',
+      reasons: ['heart rate below 40 BPM']
+    });
+    expect(assessReading({ heartRate: 190, spo2: 85 }).reasons).toEqual([
+      'heart rate above 180 BPM',
+      'SpO2 below 88%'
+    ]);
+  });
+
+  test('SpO2 at the firmware clamp floor is suspect', () => {
+    expect(assessReading({ heartRate: 72, spo2: 70 }).reasons).toEqual([
+      'SpO2 at the sensor clamp floor (70%)'
+    ]);
+  });
+
+  test('rejected wins over suspect and keeps both reasons', () => {
+    expect(assessReading({ heartRate: 20, spo2: 85 })).toEqual({
+      status: 'rejected',
+      reasons: ['heart rate below 25 BPM', 'SpO2 below 88%']
+    });
+  });
+
+  test('limits are inclusive at the edges of the valid range', () => {
+    const { heartRate, spo2 } = PLAUSIBILITY_RULES;
+    expect(assessReading({ heartRate: heartRate.suspectMin, spo2: spo2.rejectMax }).status).toBe('valid');
+    expect(assessReading({ heartRate: heartRate.suspectMax, spo2: spo2.suspectMin }).status).toBe('valid');
+  });
+
+  test('custom rules can be passed in', () => {
+    const rules = {
+      heartRate: { rejectMin: 30, rejectMax: 200, suspectMin: 50, suspectMax: 150 },
+      spo2: { rejectMin: 60, rejectMax: 100, suspectMin: 92, clampFloor: 70 }
+    };
+    expect(assessReading({ heartRate: 160, spo2: 97 }, rules).status).toBe('suspect');
+    expect(assessReading({ heartRate: 45, spo2: 97 }).status).toBe('valid');
+  });
+});
@@ -0,0 +1,65 @@
+// server/utils/__tests__/timezone.test.js
+// -------------------------------------------------------------
+// Heart Track - Timezone helpers
+// -------------------------------------------------------------
+
+const {
+  DEFAULT_TIMEZONE,
+  utcOffsetMinutes,
+  isValidTimeZone,
+  resolveTimeZone,
+  localDateKey,
+  shiftDateKey,
+  isDateKey,
+  zonedDayStart
+} = require('../timezone');
+
+describe('timezone helpers', () => {
+  test('utcOffsetMinutes follows daylight saving time', () => {
+    expect(utcOffsetMinutes('America/Phoenix', new Date('2025-07-01T12:00:00Z'))).toBe(-420);
+    expect(utcOffsetMinutes('America/New_York', new Date('2025-01-15T12:00:00Z'))).toBe(-300);
+    expect(utcOffsetMinutes('America/New_York', new Date('2025-07-01T12:00:00Z'))).toBe(-240);
+    expect(utcOffsetMinutes('Asia/Kolkata', new Date('2025-07-01T12:00:00Z'))).toBe(330);
+  });
+
+  test('isValidTimeZone accepts IANA names only', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+
+  test('resolveTimeZone picks the first valid candidate', () => {
+    expect(resolveTimeZone('nope', 'Europe/Berlin', 'Asia/Tokyo')).toBe('Europe/Berlin');
+    expect(resolveTimeZone(undefined, 'nope')).toBe(DEFAULT_TIMEZONE);
+  });
+
+  test('localDateKey is the calendar day in the zone', () => {
+    const instant = new Date('2025-12-01T05:30:00Z');
+
+    expect(localDateKey(instant, 'UTC')).toBe('2025-12-01');
+    expect(localDateKey(instant, 'America/Phoenix')).toBe('2025-11-30');
+    expect(localDateKey(instant, 'Asia/Tokyo')).toBe('2025-12-01');
+  });
+
+  test('shiftDateKey moves across month and year ends', () => {
+    expect(shiftDateKey('2025-12-31', 1)).toBe('2026-01-01');
+    expect(shiftDateKey('2024-03-01', -1)).toBe('2024-02-29');
+    expect(shiftDateKey('2025-06-15', -6)).toBe('2025-06-09');
+  });
+
+  test('isDateKey only accepts real dates', () => {
+    expect(isDateKey('2024-02-29')).toBe(true);
+    expect(isDateKey('2025-02-29')).toBe(false);
+    expect(isDateKey('2025-1-05')).toBe(false);
+    expect(isDateKey(20250105)).toBe(false);
+  });
+
+  test('zonedDayStart is local midnight, also on DST change days', () => {
+    expect(zonedDayStart('2025-12-01', 'America/Phoenix').toISOString()).toBe('2025-12-01T07:00:00.000Z');
+    // Spring forward in New York: midnight is still EST
+    expect(zonedDayStart('2025-03-09', 'America/New_York').toISOString()).toBe('2025-03-09T05:00:00.000Z');
+    // The day after is EDT
+    expect(zonedDayStart('2025-03-10', 'America/New_York').toISOString()).toBe('2025-03-10T04:00:00.000Z');
+  });
+});
@@ -0,0 +1,86 @@
+// server/utils/__tests__/totp.test.js
+// -------------------------------------------------------------
+// Heart Track - TOTP codes and recovery codes
+// -------------------------------------------------------------
+
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+    expect(generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(generateCode(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  test('generateSecret returns 160 bits of base32', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('verifyCode returns the matching time step', () => {
+    const time = 1234567890 * 1000;
+    const step = Math.floor(time / 30000);
+
+    expect(verifyCode(RFC_SECRET, '005924', { time })).toBe(step);
+    expect(verifyCode(RFC_SECRET, '005 924', { time })).toBe(step);
+  });
+
+  test('verifyCode allows one step of clock drift, not more', () => {
+    const time = 1234567890 * 1000;
+    const previous = generateCode(RFC_SECRET, time - 30000);
+    const older = generateCode(RFC_SECRET, time - 60000);
+
+    expect(verifyCode(RFC_SECRET, previous, { time })).toBe(Math.floor(time / 30000) - 1);
+    expect(verifyCode(RFC_SECRET, older, { time })).toBeNull();
+  });
+
+  test('verifyCode refuses malformed and wrong codes', () => {
+    const time = 1234567890 * 1000;
+    expect(verifyCode(RFC_SECRET, '', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '000000', { time })).toBeNull();
+  });
+
+  test('otpauthUrl names the issuer and account', () => {
+    const url = new URL(otpauthUrl(RFC_SECRET, 'a@example.com'));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/Heart Track:a@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('digits')).toBe('6');
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('recovery codes', () => {
+  test('are unique and shaped like "3f9a1-c07b2"', () => {
+    const codes = generateRecoveryCodes(10);
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+  });
+
+  test('hash the same regardless of case, spaces and dashes', () => {
+    const hash = hashRecoveryCode('3f9a1-c07b2');
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashRecoveryCode('3F9A1 C07B2')).toBe(hash);
+    expect(hashRecoveryCode('3f9a1c07b2')).toBe(hash);
+    expect(hashRecoveryCode('3f9a1-c07b3')).not.toBe(hash);
+  });
+});
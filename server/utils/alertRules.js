@@ -0,0 +1,138 @@
+// server/utils/alertRules.js
+// -------------------------------------------------------------
+// Heart Track - Alert Rules
+// -------------------------------------------------------------
+//  Decides which of a user's alert rules (User.alertRules) a new
+//  reading breaks. Pure functions; models/Alert.js turns the
+//  result into Alert documents at ingestion time.
+//
+//  Rules (a limit of null turns that rule off):
+//    • heartRateHigh  [120] → "heart-rate-high" above this BPM
+//    • heartRateLow   [40]  → "heart-rate-low" below this BPM
+//    • spo2Low        [90]  → "spo2-low" below this %
+//    • sustainedReadings [1] → the three limits above only alert
+//                      once this many readings in a row break them
+//    • heartRateChange [30] → "heart-rate-change" when HR moved by
+//                      more than this many BPM since the previous
+//                      reading
+//    • spo2Drop       [5]   → "spo2-drop" when SpO₂ fell by more
+//                      than this many points since the previous
+//                      reading
+//    • changeWindowMinutes [60] → the previous reading only counts
+//                      for the two change rules if it is this recent
+//    • enabled        [true] → false turns every rule off
+//
+//  Readings graded "rejected" (utils/plausibility.js) never
+//  trigger or count towards an alert.
+// -------------------------------------------------------------
+
+const ALERT_RULES = ['heart-rate-high', 'heart-rate-low', 'spo2-low', 'heart-rate-change', 'spo2-drop'];
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const DEFAULT_ALERT_RULES = {
+  enabled: true,
+  heartRateHigh: 120,
+  heartRateLow: 40,
+  spo2Low: 90,
+  sustainedReadings: 1,
+  heartRateChange: 30,
+  spo2Drop: 5,
+  changeWindowMinutes: 60,
+};
+
+const MAX_SUSTAINED_READINGS = 20;
+
+// null / undefined → the rule is off
+function isSet(limit) {
+  return limit !== null && limit !== undefined;
+}
+
+/**
+ * Which rules `reading` breaks.
+ *
+ *   rules    → the user's alertRules (missing fields use the defaults)
+ *   reading  → { heartRate, spo2, takenAt }
+ *   previous → earlier non-rejected readings of the same device,
+ *              newest first (at least sustainedReadings - 1 of them,
+ *              and at least one for the change rules)
+ *
+ * Returns [{ rule, value, threshold, message }] (empty when none).
+ */
+function checkReading(rules, reading, previous = []) {
+  const r = { ...DEFAULT_ALERT_RULES, ...rules };
+  if (!r.enabled) return [];
+
+  const triggered = [];
+  const streak = [reading, ...previous.slice(0, Math.max(r.sustainedReadings, 1) - 1)];
+  const sustained = streak.length >= r.sustainedReadings;
+  const hr = Math.round(reading.heartRate);
+  const spo2 = Math.round(reading.spo2);
+  const inARow = r.sustainedReadings > 1 ? ` (${r.sustainedReadings} readings in a row)` : '';
+
+  if (isSet(r.heartRateHigh) && sustained && streak.every(m => m.heartRate > r.heartRateHigh)) {
+    triggered.push({
+      rule: 'heart-rate-high',
+      value: reading.heartRate,
+      threshold: r.heartRateHigh,
+      message: `Heart rate ${hr} BPM is above your limit of ${r.heartRateHigh} BPM${inARow}`,
+    });
+  }
+
+  if (isSet(r.heartRateLow) && sustained && streak.every(m => m.heartRate < r.heartRateLow)) {
+    triggered.push({
+      rule: 'heart-rate-low',
+      value: reading.heartRate,
+      threshold: r.heartRateLow,
+      message: `Heart rate ${hr} BPM is below your limit of ${r.heartRateLow} BPM${inARow}`,
+    });
+  }
+
+  if (isSet(r.spo2Low) && sustained && streak.every(m => m.spo2 < r.spo2Low)) {
+    triggered.push({
+      rule: 'spo2-low',
+      value: reading.spo2,
+      threshold: r.spo2Low,
+      message: `SpO₂ ${spo2}% is below your limit of ${r.spo2Low}%${inARow}`,
+    });
+  }
+
+  // Change rules compare with the previous reading, if it is recent
+  const last = previous[0];
+  const windowMs = r.changeWindowMinutes * 60 * 1000;
+  const recent = last && new Date(reading.takenAt) - new Date(last.takenAt) <= windowMs;
+
+  if (recent && isSet(r.heartRateChange)) {
+    const change = reading.heartRate - last.heartRate;
+    if (Math.abs(change) > r.heartRateChange) {
+      triggered.push({
+        rule: 'heart-rate-change',
+        value: change,
+        threshold: r.heartRateChange,
+        message: `Heart rate ${change > 0 ? 'rose' : 'fell'} by ${Math.round(Math.abs(change))} BPM ` +
+          `(to ${hr} BPM) since the previous reading`,
+      });
+    }
+  }
+
+  if (recent && isSet(r.spo2Drop)) {
+    const drop = last.spo2 - reading.spo2;
+    if (drop > r.spo2Drop) {
+      triggered.push({
+        rule: 'spo2-drop',
+        value: drop,
+        threshold: r.spo2Drop,
+        message: `SpO₂ fell by ${Math.round(drop)} points (to ${spo2}%) since the previous reading`,
+      });
+    }
+  }
+
+  return triggered;
+}
+
+module.exports = {
+  ALERT_RULES,
+  ALERT_STATUSES,
+  DEFAULT_ALERT_RULES,
+  MAX_SUSTAINED_READINGS,
+  checkReading,
+};
@@ -0,0 +1,111 @@
+// server/utils/deviceAccess.js
+// -------------------------------------------------------------
+// Heart Track - Who May Read Which Readings
+// -------------------------------------------------------------
+//  Measurements are linked to devices by Device.deviceId, so
+//  access to readings is decided as a list of deviceIds. A user
+//  reads their own devices (archived ones included), plus what
+//  other owners shared with them (models/DeviceShare.js), plus,
+//  for clinicians, every device of patients who consented
+//  (models/ClinicianConsent.js):
+//
+//    • findOwnedDeviceIds(userId)
+//        → deviceIds of every device the user owns
+//    • findActiveShares(viewerId, ownerId)
+//        → accepted, unrevoked shares from owner to viewer
+//    • findActiveConsent(clinicianId, patientId)
+//        → the consent in force, or null (also null once the
+//          account is no longer a clinician)
+//    • findReadGrant(viewerId, ownerId)
+//        → { deviceIds, via } where via is "owner", "consent" or
+//          "share"; null when the viewer has no grant at all
+//    • findDeviceAccess(viewerId, deviceId)
+//        → { device, access } with access "owner", "annotate",
+//          "read" or null
+//
+//  Shared deviceIds are intersected with what the owner owns now,
+//  so a device that changed hands stops being shared.
+// -------------------------------------------------------------
+
+const Device = require('../models/Device');
+const DeviceShare = require('../models/DeviceShare');
+const ClinicianConsent = require('../models/ClinicianConsent');
+const User = require('../models/User');
+
+async function findOwnedDeviceIds(userId) {
+  const devices = await Device.find({ userId }).select('deviceId');
+  return devices.map(d => d.deviceId);
+}
+
+function findActiveShares(viewerId, ownerId) {
+  return DeviceShare.find({
+    ownerId,
+    granteeId: viewerId,
+    acceptedAt: { $ne: null },
+    revokedAt: null
+  });
+}
+
+async function findActiveConsent(clinicianId, patientId) {
+  const consent = await ClinicianConsent.findOne({ patientId, clinicianId, revokedAt: null });
+  if (!consent) {
+    return null;
+  }
+
+  const stillClinician = await User.exists({ _id: clinicianId, role: 'clinician' });
+  return stillClinician ? consent : null;
+}
+
+async function findReadGrant(viewerId, ownerId = viewerId) {
+  if (String(viewerId) === String(ownerId)) {
+    return { deviceIds: await findOwnedDeviceIds(ownerId), via: 'owner' };
+  }
+
+  // Consent covers every device, so it wins over a narrower share
+  if (await findActiveConsent(viewerId, ownerId)) {
+    return { deviceIds: await findOwnedDeviceIds(ownerId), via: 'consent' };
+  }
+
+  const shares = await findActiveShares(viewerId, ownerId);
+  if (shares.length === 0) {
+    return null;
+  }
+
+  const ownedIds = await findOwnedDeviceIds(ownerId);
+  return {
+    deviceIds: ownedIds.filter(deviceId => shares.some(share => share.covers(deviceId))),
+    via: 'share'
+  };
+}
+
+async function findDeviceAccess(viewerId, deviceId) {
+  const device = await Device.findOne({ deviceId });
+  if (!device) {
+    return { device: null, access: null };
+  }
+
+  if (String(device.userId) === String(viewerId)) {
+    return { device, access: 'owner' };
+  }
+
+  const shares = (await findActiveShares(viewerId, device.userId)).filter(share =>
+    share.covers(deviceId)
+  );
+
+  let access = null;
+  if (shares.some(share => share.permission === 'annotate')) {
+    access = 'annotate';
+  } else if (shares.length > 0 || (await findActiveConsent(viewerId, device.userId))) {
+    access = 'read';
+  }
+
+  return { device, access };
+}
+
+module.exports = {
+  findOwnedDeviceIds,
+  findActiveShares,
+  findActiveConsent,
+  findReadGrant,
+  findDeviceAccess,
+};
@@ -0,0 +1,177 @@
+// server/utils/loginLockout.js
+// -------------------------------------------------------------
+// Heart Track - Progressive Account Lockout
+// -------------------------------------------------------------
+//  Per-account brute-force protection for sign-in (password step
+//  and 2FA step) and for the password that confirms 2FA changes in
+//  Settings (routes/users.js), tracked on User.lockout:
+//
+//    • Every wrong password / code adds one failure.
+//    • LOCKOUT_THRESHOLD [5] failures in a row lock the account for
+//      LOCKOUT_BASE_MINUTES [1], doubling with each further lockout
+//      (1, 2, 4, ... minutes) up to LOCKOUT_MAX_MINUTES [60].
+//    • A successful sign-in clears failures and the lockout level.
+//    • Each lockout is written to the SecurityEvent audit log.
+//    • Addresses without an account are counted and locked the same
+//      way (models/LoginThrottle.js), so a 429 does not reveal
+//      which addresses are registered.
+//    • Counts are updated atomically ($inc, upserting the throttle
+//      of an unknown address in the same update), so parallel
+//      guesses all count, including the very first ones.
+//
+//  Routes answer a locked account with 429 and Retry-After (see
+//  sendLocked). Works alongside the per-IP limits in
+//  middleware/rateLimits.js, which catch one client trying many
+//  accounts.
+// -------------------------------------------------------------
+
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value > 0
+    ? value
+    : fallback;
+}
+
+const LOCKOUT_THRESHOLD = numberFromEnv('LOCKOUT_THRESHOLD', 5);
+const LOCKOUT_BASE_MINUTES = numberFromEnv('LOCKOUT_BASE_MINUTES', 1);
+const LOCKOUT_MAX_MINUTES = numberFromEnv('LOCKOUT_MAX_MINUTES', 60);
+
+// Unknown addresses are forgotten a day after their last failure
+const UNKNOWN_EMAIL_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seconds until the account unlocks, or 0 if it is not locked.
+ */
+function lockoutRemainingSeconds(user) {
+  const lockedUntil = user.lockout && user.lockout.lockedUntil;
+  if (!lockedUntil) return 0;
+  return Math.max(0, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+}
+
+// Failures are counted with atomic updates, so parallel guesses
+// cannot overwrite each other's increments. Returns the lockout
+// length in seconds (0 if not locked) and the new level.
+async function countFailure(Model, filter, extraUpdate = {}, options = {}) {
+  const increment = () => Model.findOneAndUpdate(
+    filter,
+    { ...extraUpdate, $inc: { 'lockout.failures': 1 } },
+    { new: true, ...options }
+  ).select('lockout');
+
+  let counted;
+  try {
+    counted = await increment();
+  } catch (err) {
+    // Two first failures upserting the same key: one insert wins, the
+    // other gets E11000 and now finds the document to increment
+    if (err.code !== 11000) throw err;
+    counted = await increment();
+  }
+
+  const { failures, level } = counted.lockout;
+  if (failures < LOCKOUT_THRESHOLD) {
+    return { lockedForSeconds: 0 };
+  }
+
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** level, LOCKOUT_MAX_MINUTES);
+  const lockedForSeconds = Math.round(minutes * 60);
+
+  // Only one of several parallel failures gets to lock (and log it)
+  const locked = await Model.findOneAndUpdate(
+    { ...filter, 'lockout.failures': { $gte: LOCKOUT_THRESHOLD }, 'lockout.level': level },
+    {
+      $set: {
+        'lockout.failures': 0,
+        'lockout.lockedUntil': new Date(Date.now() + lockedForSeconds * 1000),
+      },
+      $inc: { 'lockout.level': 1 },
+    }
+  );
+  if (!locked) {
+    const current = await Model.findOne(filter).select('lockout');
+    return { lockedForSeconds: current ? lockoutRemainingSeconds(current) : 0 };
+  }
+
+  return { lockedForSeconds, level: level + 1, locked: true };
+}
+
+/**
+ * Count a failed attempt. Returns the lockout length in seconds if
+ * this failure locked the account, otherwise 0.
+ */
+async function recordLoginFailure(user, req) {
+  const { lockedForSeconds, level, locked } = await countFailure(User, { _id: user._id });
+
+  if (locked) {
+    await SecurityEvent.record(req, 'account-locked', {
+      userId: user._id,
+      email: user.email,
+      details: { level, lockedForSeconds },
+    });
+  }
+  return lockedForSeconds;
+}
+
+/**
+ * Seconds until sign-ins for an address without an account unlock.
+ */
+async function unknownEmailLockoutSeconds(email) {
+  const throttle = await LoginThrottle.findOne({ email });
+  return throttle ? lockoutRemainingSeconds(throttle) : 0;
+}
+
+/**
+ * Count a failed attempt for an address without an account, the same
+ * way as for a real one (so a 429 does not give accounts away).
+ */
+async function recordUnknownEmailFailure(email, req) {
+  const { lockedForSeconds, level, locked } = await countFailure(
+    LoginThrottle,
+    { email },
+    { $set: { expiresAt: new Date(Date.now() + UNKNOWN_EMAIL_TTL_MS) } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (locked) {
+    await SecurityEvent.record(req, 'account-locked', {
+      email,
+      details: { level, lockedForSeconds, unknownEmail: true },
+    });
+  }
+  return lockedForSeconds;
+}
+
+/**
+ * Reset after a successful sign-in (writes only if something changed).
+ */
+async function clearLoginFailures(user) {
+  const { failures, level, lockedUntil } = user.lockout;
+  if (!failures && !level && !lockedUntil) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'lockout.failures': 0, 'lockout.level': 0, 'lockout.lockedUntil': null } }
+  );
+}
+
+function sendLocked(res, seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter: seconds,
+  });
+}
+
+module.exports = {
+  lockoutRemainingSeconds,
+  recordLoginFailure,
+  unknownEmailLockoutSeconds,
+  recordUnknownEmailFailure,
+  clearLoginFailures,
+  sendLocked,
+};
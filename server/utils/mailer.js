@@ -0,0 +1,95 @@
+// server/utils/mailer.js
+// -------------------------------------------------------------
+// Heart Track - Outgoing Email
+// -------------------------------------------------------------
+//  Routes send mail through sendMail({ to, subject, text }) and
+//  never talk to a mail service directly. The transport is picked
+//  with MAIL_TRANSPORT:
+//
+//    • "console" (default) → prints the message to the server log
+//    • "file"              → writes one .eml-style file per message
+//                            to MAIL_DIR (default temp/mail)
+//
+//  A real provider (SMTP, SendGrid, ...) plugs in with
+//  registerTransport(name, async (message) => { ... }) at startup.
+//  MAIL_FROM sets the sender address; appUrl() is the base URL for
+//  links in messages, read from APP_URL only (required in
+//  production).
+// -------------------------------------------------------------
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Heart Track <no-reply@hearttrack.local>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'temp', 'mail');
+
+function formatMessage({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    '',
+    text,
+    ''
+  ].join('\n');
+}
+
+const transports = {
+  async console(message) {
+    console.log(`📧 Mail (console transport)\n${formatMessage(message)}`);
+  },
+
+  async file(message) {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(MAIL_DIR, `${Date.now()}-${safeTo}.eml`);
+    await fs.writeFile(file, formatMessage(message), 'utf8');
+    console.log(`📧 Mail written to ${file}`);
+  }
+};
+
+/**
+ * Add (or replace) a transport. `send` receives
+ * { from, to, subject, text } and should reject on failure.
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Base URL of the site, without a trailing slash. Always APP_URL,
+ * never the request's Host header: a forged Host would otherwise get
+ * real reset / verification / invitation tokens mailed out on a link
+ * to someone else's site. Outside production it falls back to
+ * http://localhost:PORT; in production a missing APP_URL throws
+ * (server.js checks it at startup).
+ */
+function appUrl() {
+  const url =
+    process.env.APP_URL ||
+    (process.env.NODE_ENV === 'production' ? '' : `http://localhost:${process.env.PORT || 3000}`);
+  if (!url) {
+    throw new Error('APP_URL must be set in production (base URL for links in emails)');
+  }
+  return url.replace(/\/$/, '');
+}
+
+/**
+ * Send one plain-text email with the configured transport.
+ */
+async function sendMail({ to, subject, text }) {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+
+  return send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  appUrl
+};
@@ -0,0 +1,76 @@
+// server/utils/plausibility.js
+// -------------------------------------------------------------
+// Heart Track - Physiological Plausibility Rules
+// -------------------------------------------------------------
+//  Grades a reading as one of:
+//    • "valid"    → inside the normal plausible range
+//    • "suspect"  → possible, but more likely a bad sensor read
+//                   (loose finger, motion, firmware clamp)
+//    • "rejected" → physiologically impossible; kept for audit
+//                   but never shown as data
+//
+//  Limits come from the environment so they can be tuned per
+//  deployment without a code change (defaults in brackets):
+//
+//    HR_REJECT_MIN   [25]   HR_REJECT_MAX   [250]   BPM
+//    HR_SUSPECT_MIN  [40]   HR_SUSPECT_MAX  [180]   BPM
+//    SPO2_REJECT_MIN [50]   SPO2_REJECT_MAX [100]   %
+//    SPO2_SUSPECT_MIN [88]                          %
+//
+//  The firmware's calculateSpO2() clamps to 70-100, so a reading
+//  of exactly 70 % is always at least suspect.
+// -------------------------------------------------------------
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+const PLAUSIBILITY_RULES = {
+  heartRate: {
+    rejectMin: numberFromEnv('HR_REJECT_MIN', 25),
+    rejectMax: numberFromEnv('HR_REJECT_MAX', 250),
+    suspectMin: numberFromEnv('HR_SUSPECT_MIN', 40),
+    suspectMax: numberFromEnv('HR_SUSPECT_MAX', 180),
+  },
+  spo2: {
+    rejectMin: numberFromEnv('SPO2_REJECT_MIN', 50),
+    rejectMax: numberFromEnv('SPO2_REJECT_MAX', 100),
+    suspectMin: numberFromEnv('SPO2_SUSPECT_MIN', 88),
+    clampFloor: 70,
+  },
+};
+
+const QUALITY_STATUSES = ['valid', 'suspect', 'rejected'];
+
+/**
+ * Grade a reading against PLAUSIBILITY_RULES.
+ * Returns { status, reasons } where reasons are short, human-readable
+ * strings (empty for a valid reading).
+ */
+function assessReading({ heartRate, spo2 }, rules = PLAUSIBILITY_RULES) {
+  const rejected = [];
+  const suspect = [];
+  const hr = rules.heartRate;
+  const ox = rules.spo2;
+
+  if (heartRate < hr.rejectMin) rejected.push(`heart rate below ${hr.rejectMin} BPM`);
+  else if (heartRate > hr.rejectMax) rejected.push(`heart rate above ${hr.rejectMax} BPM`);
+  else if (heartRate < hr.suspectMin) suspect.push(`heart rate below ${hr.suspectMin} BPM`);
+  else if (heartRate > hr.suspectMax) suspect.push(`heart rate above ${hr.suspectMax} BPM`);
+
+  if (spo2 < ox.rejectMin) rejected.push(`SpO2 below ${ox.rejectMin}%`);
+  else if (spo2 > ox.rejectMax) rejected.push(`SpO2 above ${ox.rejectMax}%`);
+  else if (spo2 === ox.clampFloor) suspect.push(`SpO2 at the sensor clamp floor (${ox.clampFloor}%)`);
+  else if (spo2 < ox.suspectMin) suspect.push(`SpO2 below ${ox.suspectMin}%`);
+
+  if (rejected.length) return { status: 'rejected', reasons: [...rejected, ...suspect] };
+  if (suspect.length) return { status: 'suspect', reasons: suspect };
+  return { status: 'valid', reasons: [] };
+}
+
+module.exports = {
+  PLAUSIBILITY_RULES,
+  QUALITY_STATUSES,
+  assessReading,
+};
@@ -0,0 +1,129 @@
+// server/utils/timezone.js
+// -------------------------------------------------------------
+// Heart Track - Timezone Helpers
+// -------------------------------------------------------------
+//  Small wrappers around Intl so the server can reason about the
+//  wall-clock time of a user without extra dependencies.
+//
+//    • DEFAULT_TIMEZONE      → process.env.DEFAULT_TIMEZONE or
+//                              "America/Phoenix" (no DST)
+//    • utcOffsetMinutes(tz)  → minutes to add to UTC to get local
+//                              time in `tz` at a given instant
+//                              (e.g. -420 for America/Phoenix)
+//    • isValidTimeZone(tz)   → true for IANA names Intl knows
+//    • resolveTimeZone(...)  → first valid candidate, else default
+//    • localDateKey(d, tz)   → "YYYY-MM-DD" of instant d in tz
+//    • shiftDateKey(key, n)  → key moved by n calendar days
+//    • isDateKey(value)      → true for a real "YYYY-MM-DD" date
+//    • zonedDayStart(key,tz) → UTC instant of local 00:00 on key
+//
+//  Day keys are the unit every aggregation buckets by, so the
+//  server and the pages agree on which day a reading belongs to.
+// -------------------------------------------------------------
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Phoenix';
+
+/**
+ * Offset of `timeZone` from UTC, in minutes, at instant `date`.
+ */
+function utcOffsetMinutes(timeZone = DEFAULT_TIMEZONE, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+
+  // The same wall-clock reading interpreted as if it were UTC
+  const wallClockAsUtc = Date.UTC(
+    get('year'),
+    get('month') - 1,
+    get('day'),
+    get('hour'),
+    get('minute'),
+    get('second')
+  );
+
+  return Math.round((wallClockAsUtc - date.getTime()) / 60000);
+}
+
+/**
+ * True if `timeZone` is an IANA zone name this runtime understands.
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * First valid zone among the candidates (e.g. ?tz=, then the
+ * user's stored timezone), falling back to DEFAULT_TIMEZONE.
+ */
+function resolveTimeZone(...candidates) {
+  return candidates.find(isValidTimeZone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Calendar date ("YYYY-MM-DD") of instant `date` as seen in `timeZone`.
+ */
+function localDateKey(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Move a "YYYY-MM-DD" key by `days` calendar days.
+ */
+function shiftDateKey(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * True for a "YYYY-MM-DD" key naming a real calendar date.
+ */
+function isDateKey(value) {
+  return typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    shiftDateKey(value, 0) === value;
+}
+
+/**
+ * UTC instant at which local midnight of `dateKey` occurs in `timeZone`.
+ */
+function zonedDayStart(dateKey, timeZone = DEFAULT_TIMEZONE) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const midnightAsUtc = Date.UTC(y, m - 1, d);
+
+  // Offset is taken twice so a DST change near midnight lands right
+  let ts = midnightAsUtc - utcOffsetMinutes(timeZone, new Date(midnightAsUtc)) * 60000;
+  ts = midnightAsUtc - utcOffsetMinutes(timeZone, new Date(ts)) * 60000;
+  return new Date(ts);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  utcOffsetMinutes,
+  isValidTimeZone,
+  resolveTimeZone,
+  localDateKey,
+  shiftDateKey,
+  isDateKey,
+  zonedDayStart,
+};
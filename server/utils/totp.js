@@ -0,0 +1,134 @@
+// server/utils/totp.js
+// -------------------------------------------------------------
+// Heart Track - Time-Based One-Time Passwords (RFC 6238)
+// -------------------------------------------------------------
+//  The 6-digit codes shown by authenticator apps (Google
+//  Authenticator, Authy, 1Password, ...), built on Node's crypto
+//  so no extra dependency is needed:
+//
+//    • generateSecret()          → random base32 secret (160 bits)
+//    • otpauthUrl(secret, label) → URI the app scans from a QR code
+//    • generateCode(secret, t)   → code for the 30 s step of time t
+//    • verifyCode(secret, code)  → matching time step (allowing one
+//                                  step of clock drift), else null
+//
+//  Callers store the returned step and refuse codes from steps they
+//  have already accepted, so a code cannot be replayed.
+//
+//  Recovery codes (for a lost phone) live here too:
+//    • generateRecoveryCodes(n)  → n one-time codes like "3f9a1-c07b2"
+//    • hashRecoveryCode(code)    → SHA-256 as stored on the user
+//                                  (case, spaces and dashes ignored)
+//  TOTP_ISSUER names the app in the authenticator (default
+//  "Heart Track").
+// -------------------------------------------------------------
+
+const crypto = require('crypto');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Heart Track';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) for a given counter
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function generateCode(secret, time = Date.now()) {
+  return codeForStep(secret, timeStep(time));
+}
+
+/**
+ * Check a user-entered code. Returns the matching time step (so the
+ * caller can block reuse) or null.
+ */
+function verifyCode(secret, code, { window = 1, time = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = timeStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = codeForStep(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+function otpauthUrl(secret, label) {
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  const name = encodeURIComponent(`${TOTP_ISSUER}:${label}`);
+  return `otpauth://totp/${name}?${params.toString()}`;
+}
+
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
@@ -0,0 +1,106 @@
+// server/validators/admin.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/admin
+// -------------------------------------------------------------
+//  Used with middleware/validate.js. List endpoints take optional
+//  filters in the query string and a `limit` of at most
+//  MAX_ADMIN_LIST (200) rows.
+// -------------------------------------------------------------
+
+const { optionalBoolean } = require('./common');
+
+// Keep in step with models/User.js
+const USER_ROLES = ['patient', 'clinician', 'admin'];
+
+const MAX_ADMIN_LIST = 200;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const limit = {
+  in: ['query'],
+  optional: true,
+  isInt: {
+    options: { min: 1, max: MAX_ADMIN_LIST },
+    errorMessage: `limit must be a whole number from 1 to ${MAX_ADMIN_LIST}`,
+  },
+  toInt: true,
+};
+
+const userParam = {
+  id: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'User id is not valid' },
+  },
+};
+
+const listUsers = {
+  search: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'search must be a string', bail: true },
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: 'search must be at most 100 characters' },
+  },
+  role: {
+    in: ['query'],
+    optional: true,
+    isIn: {
+      options: [USER_ROLES],
+      errorMessage: `role must be one of: ${USER_ROLES.join(', ')}`,
+    },
+  },
+  disabled: {
+    in: ['query'],
+    ...optionalBoolean('disabled must be true or false'),
+  },
+  limit,
+};
+
+// reason is kept only when the account is being disabled
+const updateUser = {
+  ...userParam,
+  role: {
+    optional: true,
+    isIn: {
+      options: [USER_ROLES],
+      errorMessage: `role must be one of: ${USER_ROLES.join(', ')}`,
+    },
+  },
+  disabled: {
+    ...optionalBoolean('disabled must be true or false'),
+  },
+  reason: {
+    optional: true,
+    isString: { errorMessage: 'reason must be a string', bail: true },
+    trim: true,
+    isLength: { options: { max: 500 }, errorMessage: 'reason must be at most 500 characters' },
+  },
+};
+
+const listDevices = {
+  orphaned: {
+    in: ['query'],
+    ...optionalBoolean('orphaned must be true or false'),
+  },
+  limit,
+};
+
+const listIngestionErrors = {
+  deviceId: {
+    in: ['query'],
+    optional: true,
+    matches: {
+      options: [DEVICE_ID_PATTERN],
+      errorMessage: 'deviceId may only contain letters, digits, "_" and "-" (max 64)',
+    },
+  },
+  limit,
+};
+
+module.exports = {
+  USER_ROLES,
+  userParam,
+  listUsers,
+  updateUser,
+  listDevices,
+  listIngestionErrors,
+};
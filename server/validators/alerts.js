@@ -0,0 +1,92 @@
+// server/validators/alerts.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/alerts
+// -------------------------------------------------------------
+//  Used with middleware/validate.js. Alert rule limits are
+//  optional; null turns that rule off. Bounds match the User
+//  model's alertRules schema.
+// -------------------------------------------------------------
+
+const { optionalBoolean } = require('./common');
+const { ALERT_STATUSES, MAX_SUSTAINED_READINGS } = require('../utils/alertRules');
+
+const MAX_ALERT_LIST = 200;
+
+// "active" lists open and acknowledged alerts together
+const LIST_STATUSES = [...ALERT_STATUSES, 'active'];
+// Statuses a user may move an alert to
+const UPDATE_STATUSES = ['acknowledged', 'resolved'];
+
+// Whole number within [min, max], or null (rule off) when `nullable`
+function ruleLimit(path, min, max, { nullable = true } = {}) {
+  return {
+    optional: nullable ? { options: { values: 'null' } } : true,
+    isInt: {
+      options: { min, max },
+      errorMessage: `${path} must be a whole number from ${min} to ${max}${nullable ? ', or null' : ''}`,
+    },
+    toInt: true,
+  };
+}
+
+const alertParam = {
+  id: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'Alert id is not valid' },
+  },
+};
+
+const listAlerts = {
+  status: {
+    in: ['query'],
+    optional: true,
+    isIn: {
+      options: [LIST_STATUSES],
+      errorMessage: `status must be one of: ${LIST_STATUSES.join(', ')}`,
+    },
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: {
+      options: { min: 1, max: MAX_ALERT_LIST },
+      errorMessage: `limit must be a whole number from 1 to ${MAX_ALERT_LIST}`,
+    },
+    toInt: true,
+  },
+};
+
+const status = {
+  isIn: {
+    options: [UPDATE_STATUSES],
+    errorMessage: `status must be one of: ${UPDATE_STATUSES.join(', ')}`,
+  },
+};
+
+const updateAlert = {
+  ...alertParam,
+  status,
+};
+
+const updateAllAlerts = {
+  status,
+};
+
+const updateRules = {
+  enabled: optionalBoolean('enabled must be true or false'),
+  heartRateHigh: ruleLimit('heartRateHigh', 30, 250),
+  heartRateLow: ruleLimit('heartRateLow', 20, 200),
+  spo2Low: ruleLimit('spo2Low', 50, 100),
+  sustainedReadings: ruleLimit('sustainedReadings', 1, MAX_SUSTAINED_READINGS, { nullable: false }),
+  heartRateChange: ruleLimit('heartRateChange', 1, 200),
+  spo2Drop: ruleLimit('spo2Drop', 1, 50),
+  changeWindowMinutes: ruleLimit('changeWindowMinutes', 1, 24 * 60, { nullable: false }),
+};
+
+module.exports = {
+  alertParam,
+  listAlerts,
+  updateAlert,
+  updateAllAlerts,
+  updateRules,
+};
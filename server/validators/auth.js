@@ -0,0 +1,89 @@
+// server/validators/auth.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/auth
+// -------------------------------------------------------------
+//  Used with middleware/validate.js. Emails are trimmed and
+//  lower-cased so lookups match how the User model stores them;
+//  passwords, tokens and challenge tokens are never trimmed.
+//  Sign-up may pick a role ("patient" or "clinician"); "admin"
+//  is only given by another admin or ADMIN_EMAILS.
+//
+//  POST /api/auth/logout has no schema on purpose: it answers 200
+//  whatever it is sent so the browser can always clear its tokens.
+// -------------------------------------------------------------
+
+const {
+  requiredString,
+  email,
+  secretString,
+  newPassword,
+  optionalBoolean,
+} = require('./common');
+
+// Roles an account may choose for itself (see models/User.js)
+const SIGNUP_ROLES = ['patient', 'clinician'];
+
+// Sent by the browser; an unknown zone is ignored, not refused
+const browserTimeZone = {
+  optional: true,
+  isString: { errorMessage: 'timezone must be a string' },
+};
+
+const register = {
+  email: email(),
+  password: newPassword(),
+  name: {
+    optional: true,
+    isString: { errorMessage: 'name must be a string', bail: true },
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: 'name must be at most 100 characters' },
+  },
+  timezone: browserTimeZone,
+  role: {
+    optional: true,
+    isIn: { options: [SIGNUP_ROLES], errorMessage: `role must be one of: ${SIGNUP_ROLES.join(', ')}` },
+  },
+};
+
+const login = {
+  email: {
+    ...requiredString('Email is required'),
+    toLowerCase: true,
+  },
+  password: secretString('Password is required'),
+  timezone: browserTimeZone,
+  rememberMe: optionalBoolean('rememberMe must be true or false'),
+};
+
+const loginTwoFactor = {
+  challengeToken: secretString('challengeToken is required'),
+  code: requiredString('Enter the code from your authenticator app or a recovery code'),
+};
+
+const refresh = {
+  refreshToken: secretString('refreshToken is required'),
+};
+
+const verify = {
+  token: secretString('token is required'),
+};
+
+const forgotPassword = {
+  email: email(),
+};
+
+const resetPassword = {
+  token: secretString('token is required'),
+  password: newPassword(),
+};
+
+module.exports = {
+  SIGNUP_ROLES,
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  verify,
+  forgotPassword,
+  resetPassword,
+};
@@ -0,0 +1,32 @@
+// server/validators/chat.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schema for /api/chat
+// -------------------------------------------------------------
+//  The question ends up inside the LLM prompt, so its size is
+//  capped (MAX_QUESTION_LENGTH characters after trimming).
+//  ownerId (optional) asks about readings another account shared
+//  with the user instead of their own.
+// -------------------------------------------------------------
+
+const { requiredString } = require('./common');
+
+const MAX_QUESTION_LENGTH = 2000;
+
+const askQuestion = {
+  question: {
+    ...requiredString('Question is required'),
+    isLength: {
+      options: { max: MAX_QUESTION_LENGTH },
+      errorMessage: `Question must be at most ${MAX_QUESTION_LENGTH} characters`,
+    },
+  },
+  ownerId: {
+    optional: true,
+    isMongoId: { errorMessage: 'ownerId must be a user id' },
+  },
+};
+
+module.exports = {
+  MAX_QUESTION_LENGTH,
+  askQuestion,
+};
@@ -0,0 +1,125 @@
+// server/validators/common.js
+// -------------------------------------------------------------
+// Heart Track - Shared Validation Rules
+// -------------------------------------------------------------
+//  Building blocks for the express-validator schemas in this
+//  folder (used through middleware/validate.js):
+//
+//    • TIME_OF_DAY         → "HH:MM" in 24-hour time (same rule as
+//                            the User and Device models)
+//    • requiredString(msg) → present, a string, trimmed, non-empty
+//    • email()             → valid address, trimmed and lower-cased
+//                            (how the User model stores emails)
+//    • secretString(msg)   → present, a string, non-empty, NOT
+//                            trimmed (passwords, tokens, codes)
+//    • newPassword(opts)   → password strength rule (min 8 chars)
+//    • optionalTimeZone(path) → IANA zone name, when sent
+//    • optionalBoolean(m)  → true/false (also "true"/"false"),
+//                            normalized to a real boolean
+//    • measurementInterval(path) → whole minutes, 1-1440
+//    • timeOfDay(path)     → optional "HH:MM"
+//    • dateKey(msg)        → real calendar date "YYYY-MM-DD"
+//
+//  Every helper returns a fresh object so schemas can spread it.
+// -------------------------------------------------------------
+
+const { isValidTimeZone, isDateKey } = require('../utils/timezone');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function requiredString(message) {
+  return {
+    exists: { errorMessage: message, bail: true },
+    isString: { errorMessage: message, bail: true },
+    trim: true,
+    notEmpty: { errorMessage: message },
+  };
+}
+
+function email() {
+  return {
+    exists: { errorMessage: 'A valid email address is required', bail: true },
+    isString: { errorMessage: 'A valid email address is required', bail: true },
+    trim: true,
+    toLowerCase: true,
+    isEmail: { errorMessage: 'A valid email address is required' },
+  };
+}
+
+function secretString(message) {
+  return {
+    exists: { errorMessage: message, bail: true },
+    isString: { errorMessage: message, bail: true },
+    notEmpty: { errorMessage: message },
+  };
+}
+
+function newPassword({ optional = false, label = 'Password' } = {}) {
+  const message = `${label} must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  const rule = {
+    isString: { errorMessage: message, bail: true },
+    isLength: { options: { min: MIN_PASSWORD_LENGTH }, errorMessage: message },
+  };
+  // Optional passwords may also be sent as "" (field left blank)
+  return optional
+    ? { optional: { options: { values: 'falsy' } }, ...rule }
+    : { exists: { errorMessage: message, bail: true }, ...rule };
+}
+
+function optionalTimeZone(path = 'timezone') {
+  return {
+    optional: true,
+    custom: {
+      options: isValidTimeZone,
+      errorMessage: `${path} must be an IANA zone name (e.g. America/Phoenix)`,
+    },
+  };
+}
+
+function optionalBoolean(message) {
+  return {
+    optional: true,
+    isBoolean: { errorMessage: message, bail: true },
+    toBoolean: { options: [true] },
+  };
+}
+
+function measurementInterval(path = 'measurementInterval') {
+  return {
+    optional: true,
+    isInt: {
+      options: { min: 1, max: 24 * 60 },
+      errorMessage: `${path} must be a whole number of minutes (1-1440)`,
+      bail: true,
+    },
+    toInt: true,
+  };
+}
+
+function timeOfDay(path) {
+  return {
+    optional: true,
+    matches: { options: [TIME_OF_DAY], errorMessage: `${path} must be HH:MM` },
+  };
+}
+
+function dateKey(message) {
+  return {
+    custom: { options: isDateKey, errorMessage: message },
+  };
+}
+
+module.exports = {
+  TIME_OF_DAY,
+  MIN_PASSWORD_LENGTH,
+  requiredString,
+  email,
+  secretString,
+  newPassword,
+  optionalTimeZone,
+  optionalBoolean,
+  measurementInterval,
+  timeOfDay,
+  dateKey,
+};
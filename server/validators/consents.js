@@ -0,0 +1,49 @@
+// server/validators/consents.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/consents and
+// /api/clinician
+// -------------------------------------------------------------
+//  Used with middleware/validate.js. Clinicians are looked up by
+//  email, trimmed and lower-cased like the User model stores it.
+// -------------------------------------------------------------
+
+const { email } = require('./common');
+
+const MAX_ACCESS_LOG_ENTRIES = 200;
+
+const consentParam = {
+  id: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'Consent id is not valid' },
+  },
+};
+
+const grantConsent = {
+  clinicianEmail: email(),
+};
+
+const accessLogQuery = {
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: {
+      options: { min: 1, max: MAX_ACCESS_LOG_ENTRIES },
+      errorMessage: `limit must be a whole number from 1 to ${MAX_ACCESS_LOG_ENTRIES}`,
+    },
+    toInt: true,
+  },
+};
+
+const patientParam = {
+  patientId: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'Patient id is not valid' },
+  },
+};
+
+module.exports = {
+  consentParam,
+  grantConsent,
+  accessLogQuery,
+  patientParam,
+};
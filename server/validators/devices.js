@@ -0,0 +1,96 @@
+// server/validators/devices.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/devices
+// -------------------------------------------------------------
+//  Used with middleware/validate.js.
+//
+//    • deviceId (the firmware's ID, e.g. a Particle core id or
+//      "PHOTON_ABC123") is 1-64 letters, digits, "_" or "-"
+//    • :id route params must be MongoDB ObjectIds, so a bad link
+//      answers 422 instead of failing inside the query
+//    • claim codes (POST /pair) are checked for presence and size
+//      only; whether one is valid is decided against the database
+// -------------------------------------------------------------
+
+const {
+  requiredString,
+  optionalBoolean,
+  measurementInterval,
+  timeOfDay,
+} = require('./common');
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const deviceParam = {
+  id: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'Device id is not valid' },
+  },
+};
+
+const deviceName = {
+  ...requiredString('Device name is required'),
+  isLength: { options: { max: 100 }, errorMessage: 'Device name must be at most 100 characters' },
+};
+
+// Claim codes are 8 characters; spaces and dashes are ignored
+const pairDevice = {
+  claimCode: {
+    ...requiredString('Enter the claim code shown by your device'),
+    isLength: { options: { max: 20 }, errorMessage: 'That does not look like a claim code' },
+  },
+  name: deviceName,
+};
+
+const listDevices = {
+  includeArchived: {
+    in: ['query'],
+    ...optionalBoolean('includeArchived must be true or false'),
+  },
+};
+
+// archive (default) keeps the readings; delete removes them too
+const REMOVE_MODES = ['archive', 'delete'];
+
+const removeDevice = {
+  ...deviceParam,
+  mode: {
+    in: ['query'],
+    optional: true,
+    isIn: {
+      options: [REMOVE_MODES],
+      errorMessage: `mode must be one of: ${REMOVE_MODES.join(', ')}`,
+    },
+  },
+};
+
+const updateDevice = {
+  ...deviceParam,
+  name: {
+    optional: true,
+    ...requiredString('name must be a non-empty string'),
+    isLength: { options: { max: 100 }, errorMessage: 'name must be at most 100 characters' },
+  },
+  active: optionalBoolean('active must be true or false'),
+  settings: {
+    optional: true,
+    isObject: { errorMessage: 'settings must be an object' },
+  },
+  'settings.measurementInterval': measurementInterval('settings.measurementInterval'),
+  'settings.timeRange': {
+    optional: true,
+    isObject: { errorMessage: 'settings.timeRange must be an object' },
+  },
+  'settings.timeRange.start': timeOfDay('settings.timeRange.start'),
+  'settings.timeRange.end': timeOfDay('settings.timeRange.end'),
+};
+
+module.exports = {
+  DEVICE_ID_PATTERN,
+  REMOVE_MODES,
+  deviceParam,
+  listDevices,
+  pairDevice,
+  removeDevice,
+  updateDevice,
+};
@@ -0,0 +1,184 @@
+// server/validators/measurements.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/measurements
+// -------------------------------------------------------------
+//  Used with middleware/validate.js.
+//
+//  Device uploads only get a shape check here (strings are
+//  strings, numbers are numbers → coerced with toFloat). Whether
+//  the values make a usable reading is still decided by the
+//  handlers, which answer 400 as before, and a batch keeps
+//  rejecting bad readings one by one instead of failing whole.
+//
+//  Uploads and heartbeats may also report device health
+//  (firmwareVersion, rssi in dBm, bufferedRecords); those are
+//  coerced to integers here and recorded on the Device.
+//
+//  Read endpoints check their query / params:
+//    ?range=today|week|month   (keys of RANGE_DAYS in the route)
+//    ?tz=<IANA zone>
+//    ?includeRejected=true|false
+//    ?owner=<user id>          (readings shared by another account)
+//    :date = YYYY-MM-DD
+//
+//  Notes on a reading are 1-1000 characters after trimming.
+// -------------------------------------------------------------
+
+const { requiredString, optionalTimeZone, optionalBoolean, dateKey } = require('./common');
+
+const RANGES = ['today', 'week', 'month'];
+
+function optionalString(field, max) {
+  return {
+    optional: true,
+    isString: { errorMessage: `${field} must be a string`, bail: true },
+    isLength: { options: { max }, errorMessage: `${field} must be at most ${max} characters` },
+  };
+}
+
+function optionalReading(field) {
+  return {
+    optional: true,
+    isFloat: { errorMessage: `${field} must be a number`, bail: true },
+    toFloat: true,
+  };
+}
+
+// takenAt / published_at: ISO string or epoch milliseconds
+function optionalTimestamp(field) {
+  return {
+    optional: { options: { values: 'falsy' } },
+    custom: {
+      options: (value) => typeof value === 'string' || typeof value === 'number',
+      errorMessage: `${field} must be a date string or a number`,
+    },
+  };
+}
+
+function optionalInt(field, min, max) {
+  return {
+    optional: true,
+    isInt: { options: { min, max }, errorMessage: `${field} must be a whole number from ${min} to ${max}`, bail: true },
+    toInt: true,
+  };
+}
+
+// Health fields any device request may carry
+const telemetry = {
+  firmwareVersion: optionalString('firmwareVersion', 32),
+  rssi: optionalInt('rssi', -127, 0),
+  bufferedRecords: optionalInt('bufferedRecords', 0, 10000),
+};
+
+const deviceReading = {
+  deviceId: optionalString('deviceId', 64),
+  coreid: optionalString('coreid', 64),
+  healthDataString: optionalString('healthDataString', 100),
+  data: optionalString('data', 100),
+  heartRate: optionalReading('heartRate'),
+  spo2: optionalReading('spo2'),
+  takenAt: optionalTimestamp('takenAt'),
+  published_at: optionalTimestamp('published_at'),
+  idempotencyKey: optionalString('idempotencyKey', 200),
+  ...telemetry,
+};
+
+const deviceBatch = {
+  deviceId: optionalString('deviceId', 64),
+  coreid: optionalString('coreid', 64),
+  readings: {
+    optional: true,
+    isArray: { errorMessage: 'readings must be an array' },
+  },
+  data: {
+    optional: true,
+    isString: { errorMessage: 'data must be a string' },
+  },
+  ...telemetry,
+};
+
+// JSON fields, or a Particle event whose data is
+// "<firmwareVersion>,<rssi>,<bufferedRecords>"
+const deviceHeartbeat = {
+  deviceId: optionalString('deviceId', 64),
+  coreid: optionalString('coreid', 64),
+  data: optionalString('data', 100),
+  ...telemetry,
+};
+
+const MAX_ANNOTATION_LENGTH = 1000;
+
+const tzQuery = {
+  tz: { in: ['query'], ...optionalTimeZone('tz') },
+};
+
+const ownerQuery = {
+  owner: {
+    in: ['query'],
+    optional: true,
+    isMongoId: { errorMessage: 'owner must be a user id' },
+  },
+};
+
+const weeklyQuery = {
+  ...tzQuery,
+  ...ownerQuery,
+};
+
+const listQuery = {
+  ...weeklyQuery,
+  range: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [RANGES], errorMessage: `range must be one of: ${RANGES.join(', ')}` },
+  },
+  includeRejected: {
+    in: ['query'],
+    ...optionalBoolean('includeRejected must be true or false'),
+  },
+};
+
+const dailyParams = {
+  ...weeklyQuery,
+  date: { in: ['params'], ...dateKey('date must be YYYY-MM-DD') },
+};
+
+const measurementParam = {
+  id: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'Measurement id is not valid' },
+  },
+};
+
+const addAnnotation = {
+  ...measurementParam,
+  text: {
+    ...requiredString('Note text is required'),
+    isLength: {
+      options: { max: MAX_ANNOTATION_LENGTH },
+      errorMessage: `Note must be at most ${MAX_ANNOTATION_LENGTH} characters`,
+    },
+  },
+};
+
+const removeAnnotation = {
+  ...measurementParam,
+  annotationId: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'Note id is not valid' },
+  },
+};
+
+module.exports = {
+  RANGES,
+  MAX_ANNOTATION_LENGTH,
+  deviceReading,
+  deviceBatch,
+  deviceHeartbeat,
+  tzQuery,
+  weeklyQuery,
+  listQuery,
+  dailyParams,
+  addAnnotation,
+  removeAnnotation,
+};
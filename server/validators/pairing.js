@@ -0,0 +1,34 @@
+// server/validators/pairing.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/pairing
+// -------------------------------------------------------------
+//  Used with middleware/validate.js. These bodies come from the
+//  device itself (or a simulator), not from the browser.
+// -------------------------------------------------------------
+
+const { requiredString, secretString } = require('./common');
+const { DEVICE_ID_PATTERN } = require('./devices');
+
+const requestCode = {
+  deviceId: {
+    ...requiredString('deviceId is required'),
+    matches: {
+      options: [DEVICE_ID_PATTERN],
+      errorMessage: 'deviceId may only contain letters, digits, "_" and "-" (max 64)',
+    },
+  },
+  // The device's previous token, when it asks for a fresh code
+  pairingToken: {
+    optional: true,
+    isString: { errorMessage: 'pairingToken must be a string' },
+  },
+};
+
+const pairingStatus = {
+  pairingToken: secretString('pairingToken is required'),
+};
+
+module.exports = {
+  requestCode,
+  pairingStatus,
+};
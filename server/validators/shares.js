@@ -0,0 +1,77 @@
+// server/validators/shares.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/shares
+// -------------------------------------------------------------
+//  Used with middleware/validate.js.
+//
+//    • permission is "read" or "annotate", scope "all" or
+//      "devices" (same lists as models/DeviceShare.js)
+//    • deviceIds must look like device IDs; whether the owner
+//      really owns them is checked by the route
+//    • invitation tokens are secrets: checked, never trimmed
+// -------------------------------------------------------------
+
+const { email, secretString } = require('./common');
+const { DEVICE_ID_PATTERN } = require('./devices');
+
+const SHARE_PERMISSIONS = ['read', 'annotate'];
+const SHARE_SCOPES = ['all', 'devices'];
+const MAX_SHARED_DEVICES = 50;
+
+const shareParam = {
+  id: {
+    in: ['params'],
+    isMongoId: { errorMessage: 'Share id is not valid' },
+  },
+};
+
+const shareFields = {
+  permission: {
+    optional: true,
+    isIn: {
+      options: [SHARE_PERMISSIONS],
+      errorMessage: `permission must be one of: ${SHARE_PERMISSIONS.join(', ')}`,
+    },
+  },
+  scope: {
+    optional: true,
+    isIn: {
+      options: [SHARE_SCOPES],
+      errorMessage: `scope must be one of: ${SHARE_SCOPES.join(', ')}`,
+    },
+  },
+  deviceIds: {
+    optional: true,
+    isArray: {
+      options: { max: MAX_SHARED_DEVICES },
+      errorMessage: `deviceIds must be an array of at most ${MAX_SHARED_DEVICES} device IDs`,
+    },
+  },
+  'deviceIds.*': {
+    isString: { errorMessage: 'deviceIds must be device IDs', bail: true },
+    matches: { options: [DEVICE_ID_PATTERN], errorMessage: 'deviceIds must be device IDs' },
+  },
+};
+
+const createShare = {
+  email: email(),
+  ...shareFields,
+};
+
+const updateShare = {
+  ...shareParam,
+  ...shareFields,
+};
+
+const acceptShare = {
+  token: secretString('Invitation token is required'),
+};
+
+module.exports = {
+  SHARE_PERMISSIONS,
+  SHARE_SCOPES,
+  shareParam,
+  createShare,
+  updateShare,
+  acceptShare,
+};
@@ -0,0 +1,70 @@
+// server/validators/users.js
+// -------------------------------------------------------------
+// Heart Track - Validation Schemas for /api/users
+// -------------------------------------------------------------
+//  Used with middleware/validate.js. Every settings field is
+//  optional; the ones sent are checked and normalized (interval
+//  → integer, reminders → boolean) before the handler runs.
+// -------------------------------------------------------------
+
+const {
+  requiredString,
+  secretString,
+  newPassword,
+  optionalTimeZone,
+  optionalBoolean,
+  measurementInterval,
+  timeOfDay,
+} = require('./common');
+
+const UNITS = ['metric', 'imperial'];
+
+const updateProfile = {
+  name: {
+    optional: true,
+    isString: { errorMessage: 'name must be a string', bail: true },
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: 'name must be at most 100 characters' },
+  },
+  timezone: optionalTimeZone(),
+  newPassword: newPassword({ optional: true, label: 'New password' }),
+  currentPassword: {
+    custom: {
+      options: (value, { req }) => !req.body.newPassword || (typeof value === 'string' && value !== ''),
+      errorMessage: 'currentPassword is required to change password',
+    },
+  },
+};
+
+const updateSettings = {
+  measurementInterval: measurementInterval(),
+  reminders: optionalBoolean('reminders must be true or false'),
+  timeRange: {
+    optional: true,
+    isObject: { errorMessage: 'timeRange must be an object' },
+  },
+  'timeRange.start': timeOfDay('timeRange.start'),
+  'timeRange.end': timeOfDay('timeRange.end'),
+  units: {
+    optional: true,
+    isIn: { options: [UNITS], errorMessage: `units must be one of: ${UNITS.join(', ')}` },
+  },
+  timezone: optionalTimeZone(),
+};
+
+const twoFactorCode = {
+  code: requiredString('Enter the 6-digit code from your authenticator app'),
+};
+
+// Re-confirmation for sensitive changes (2FA, account deletion)
+const confirmPassword = {
+  password: secretString('Password is required'),
+};
+
+module.exports = {
+  UNITS,
+  updateProfile,
+  updateSettings,
+  twoFactorCode,
+  confirmPassword,
+};